@@ -0,0 +1,165 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore } from './kv'
+import type { KVStore } from './kv'
+import { LLMResponseCache, brandKitCacheTag, createBrandKitCacheInvalidator } from './cache'
+import type { LLMCompletionRequest } from './llm'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+const completionRequest = (overrides: Partial<LLMCompletionRequest> = {}): LLMCompletionRequest => ({
+  model: 'gpt-4o-mini',
+  messages: [{ role: 'user', content: 'Analyze brand: Acme' }],
+  temperature: 0.2,
+  ...overrides
+})
+
+const response = toolCallResponse('analyze_brand', { analysis: 'Clear brand', conclusion: 'ready', confidence: 0.8, brand_strength: 'strong' })
+
+// Only the required KVStore operations, so tag versions are bumped with get and set
+const basicStore = (): KVStore => {
+  const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+  return {
+    get: key => store.get(key),
+    set: (key, value, options) => store.set(key, value, options),
+    delete: key => store.delete(key)
+  }
+}
+
+describe('LLMResponseCache', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+    vi.restoreAllMocks()
+  })
+
+  it('misses, then serves the stored response without its raw payload', async () => {
+    const cache = new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const key = await cache.makeCacheKey(completionRequest())
+
+    expect(await cache.get(key!)).toBeNull()
+    await cache.set(key!, { ...response, raw: { id: 'chatcmpl-1' } })
+
+    expect(await cache.get(key!)).toEqual(response)
+    expect(await cache.makeCacheKey(completionRequest())).toBe(key)
+  })
+
+  it('keys on the parts of the request that change the answer', async () => {
+    const cache = new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const key = await cache.makeCacheKey(completionRequest())
+
+    expect(await cache.makeCacheKey(completionRequest({ model: 'gpt-4o' }))).not.toBe(key)
+    expect(await cache.makeCacheKey(completionRequest({ temperature: 0.7 }))).not.toBe(key)
+    expect(await cache.makeCacheKey(completionRequest({ messages: [{ role: 'user', content: 'Analyze brand: Globex' }] }))).not.toBe(key)
+    expect(await cache.makeCacheKey(completionRequest({ signal: new AbortController().signal }))).toBe(key)
+  })
+
+  it('expires entries after their TTL', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const cache = new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }), { ttlSeconds: 60 })
+    const key = (await cache.makeCacheKey(completionRequest()))!
+
+    await cache.set(key, response)
+    await cache.set(`${key}:long`, response, 600)
+    vi.advanceTimersByTime(61 * 1000)
+
+    expect(await cache.get(key)).toBeNull()
+    expect(await cache.get(`${key}:long`)).toEqual(response)
+  })
+
+  it.each([
+    ['a store with incr', () => new InMemoryKVStore({ sweepIntervalMs: 0 })],
+    ['a store without incr', basicStore]
+  ])('invalidates tagged entries in %s', async (_, createStore) => {
+    const cache = new LLMResponseCache(createStore())
+    const tagged = (await cache.makeCacheKey(completionRequest(), ['brand-kits:user-1', 'locale:en']))!
+    const untagged = (await cache.makeCacheKey(completionRequest()))!
+    await cache.set(tagged, response)
+    await cache.set(untagged, response)
+
+    // Tag order does not matter
+    expect(await cache.makeCacheKey(completionRequest(), ['locale:en', 'brand-kits:user-1'])).toBe(tagged)
+
+    await cache.invalidateTags(['brand-kits:user-1'])
+    const retagged = (await cache.makeCacheKey(completionRequest(), ['brand-kits:user-1', 'locale:en']))!
+
+    expect(retagged).not.toBe(tagged)
+    expect(await cache.get(retagged)).toBeNull()
+    expect(await cache.get(untagged)).toEqual(response)
+
+    await cache.invalidateTags(['brand-kits:user-1'])
+    expect(await cache.makeCacheKey(completionRequest(), ['brand-kits:user-1', 'locale:en'])).not.toBe(retagged)
+  })
+
+  it('treats store failures as misses', async () => {
+    vi.spyOn(console, 'warn').mockImplementation(() => {})
+    const failing: KVStore = {
+      get: async () => { throw new Error('connection lost') },
+      set: async () => { throw new Error('connection lost') },
+      delete: async () => false
+    }
+    const cache = new LLMResponseCache(failing)
+
+    expect(await cache.makeCacheKey(completionRequest(), ['brand-kits:user-1'])).toBeUndefined()
+    expect(await cache.get('llm-cache:key')).toBeNull()
+    await expect(cache.set('llm-cache:key', response)).resolves.toBeUndefined()
+  })
+})
+
+describe('createBrandKitCacheInvalidator', () => {
+  it('drops the changed user\'s brand-dependent entries only', async () => {
+    const cache = new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const keyFor = (userId: string) => cache.makeCacheKey(completionRequest(), [brandKitCacheTag(userId)])
+    const userOne = (await keyFor('user-1'))!
+    const userTwo = (await keyFor('user-2'))!
+
+    await createBrandKitCacheInvalidator(cache)({ userId: 'user-1', brandKitId: 'kit-1' })
+
+    expect(await keyFor('user-1')).not.toBe(userOne)
+    expect(await keyFor('user-2')).toBe(userTwo)
+  })
+})
+
+describe('response caching in AgentTaskExecutor', () => {
+  const request = {
+    threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+    userId: '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40',
+    agentType: 'CONTENT_GENERATION_AGENT',
+    taskSequence: 1
+  }
+  const taskInput = { brandContext: { brand_name: 'Acme', colors: ['#ff0000'], messaging: 'Bold', referenceImages: [] } }
+
+  it('serves a repeated brand analysis from the cache until the brand kit changes', async () => {
+    const client = createScriptedClient([response, response])
+    const cache = new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const executor = new AgentTaskExecutor(client, { cache })
+
+    const first = await executor.executeAgentTask(request, taskInput, AgentTaskConfigs.BRAND_ANALYSIS)
+    const second = await executor.executeAgentTask(request, taskInput, AgentTaskConfigs.BRAND_ANALYSIS)
+
+    expect(first.success).toBe(true)
+    expect(first.cacheHits).toBeUndefined()
+    expect(second.stepResult).toEqual(first.stepResult)
+    expect(second.stepResult).toMatchObject({ step: 'brand_analysis', brand_strength: 'strong' })
+    expect(second.cacheHits).toBe(1)
+    // Cached responses are not billed again
+    expect(second).not.toHaveProperty('usage')
+    expect(client.requests).toHaveLength(1)
+
+    await createBrandKitCacheInvalidator(cache)({ userId: request.userId, brandKitId: 'kit-1' })
+    const third = await executor.executeAgentTask(request, taskInput, AgentTaskConfigs.BRAND_ANALYSIS)
+
+    expect(third.success).toBe(true)
+    expect(third.cacheHits).toBeUndefined()
+    expect(client.requests).toHaveLength(2)
+  })
+
+  it('does not cache tasks without a cache config', async () => {
+    const intent = toolCallResponse('analyze_intent', { analysis: 'Posts', conclusion: 'social_posts', confidence: 0.9, inferred_assets: 2 })
+    const client = createScriptedClient([intent, intent])
+    const executor = new AgentTaskExecutor(client, { cache: new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 })) })
+
+    await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+    await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(client.requests).toHaveLength(2)
+  })
+})
@@ -0,0 +1,133 @@
+/**
+ * @growthub/agent-tools/cache
+ * LLM Response Cache
+ *
+ * Stores model responses in KVStore, keyed by a hash of the request (model, messages,
+ * tool definitions, temperature), so identical calls such as the brand analysis of an
+ * unchanged brand kit skip the provider. Tags let an entry be invalidated when the
+ * data behind it changes.
+ */
+
+import { InMemoryKVStore, supportsKVCapability } from './kv'
+import type { KVStore } from './kv'
+import { hashLLMRequest } from './llm'
+import type { LLMCompletionRequest, LLMCompletionResponse } from './llm'
+
+export interface LLMResponseCacheOptions {
+  keyPrefix?: string
+  // TTL for entries written without one
+  ttlSeconds?: number
+}
+
+export interface LLMCacheEntry {
+  response: LLMCompletionResponse
+  createdAt: string
+}
+
+// Matches BrandKitChange from @growthub/brand-kit, reported by BrandDataManager
+export interface BrandKitChangeEvent {
+  userId: string
+  brandKitId: string
+}
+
+// Default Configuration
+export const DEFAULT_LLM_CACHE_TTL_SECONDS = 60 * 60 // 1 hour
+
+/**
+ * LLM Response Cache Class
+ * Keys include the current version of each tag, so invalidating a tag orphans its
+ * entries (they expire with their TTL) without needing to list them.
+ */
+export class LLMResponseCache {
+  private kv: KVStore
+  private keyPrefix: string
+  private ttlSeconds: number
+
+  constructor(kvStore?: KVStore, options: LLMResponseCacheOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.keyPrefix = options.keyPrefix || 'llm-cache'
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_LLM_CACHE_TTL_SECONDS
+
+    // Cached responses may be evicted, but an evicted tag version would revive the entries it invalidated
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:tag:`)
+  }
+
+  /**
+   * Cache key for a request under the current versions of its tags
+   * Resolve it before calling the model, so an invalidation during the call is not lost.
+   * Returns undefined when the store cannot be read; the call then goes uncached.
+   */
+  async makeCacheKey(request: LLMCompletionRequest, tags: string[] = []): Promise<string | undefined> {
+    try {
+      const versions = await Promise.all([...tags].sort().map(async tag => `:${tag}@${await this.getTagVersion(tag)}`))
+      return `${this.keyPrefix}:${hashLLMRequest(request)}${versions.join('')}`
+    } catch (error) {
+      console.warn('[LLMResponseCache] Tag lookup failed:', error)
+      return undefined
+    }
+  }
+
+  /**
+   * Cached response for a key; store errors count as a miss
+   */
+  async get(cacheKey: string): Promise<LLMCompletionResponse | null> {
+    try {
+      const entry: LLMCacheEntry | null = await this.kv.get(cacheKey)
+      return entry?.response || null
+    } catch (error) {
+      console.warn('[LLMResponseCache] Read failed:', error)
+      return null
+    }
+  }
+
+  /**
+   * Store a response; the provider's `raw` payload is dropped
+   */
+  async set(cacheKey: string, response: LLMCompletionResponse, ttlSeconds?: number): Promise<void> {
+    const { raw, ...cacheable } = response
+    const entry: LLMCacheEntry = { response: cacheable, createdAt: new Date().toISOString() }
+
+    try {
+      await this.kv.set(cacheKey, entry, { ttl: ttlSeconds ?? this.ttlSeconds })
+    } catch (error) {
+      console.warn('[LLMResponseCache] Write failed:', error)
+    }
+  }
+
+  /**
+   * Invalidate every entry written under any of the tags
+   */
+  async invalidateTags(tags: string[]): Promise<void> {
+    await Promise.all(tags.map(async tag => {
+      const key = this.makeTagKey(tag)
+      if (supportsKVCapability(this.kv, 'incr')) {
+        await this.kv.incr(key)
+      } else {
+        await this.kv.set(key, ((await this.kv.get(key)) || 0) + 1)
+      }
+    }))
+  }
+
+  private async getTagVersion(tag: string): Promise<number> {
+    return (await this.kv.get(this.makeTagKey(tag))) || 0
+  }
+
+  private makeTagKey(tag: string): string {
+    return `${this.keyPrefix}:tag:${tag}`
+  }
+}
+
+/**
+ * Tag for responses that depend on a user's brand kits
+ * Task inputs carry brand context without the kit's id, so the tag covers all of the user's kits.
+ */
+export function brandKitCacheTag(userId: string): string {
+  return `brand-kits:${userId}`
+}
+
+/**
+ * Hook for BrandDataManager's `onBrandKitChange` that drops the user's brand-dependent responses
+ */
+export function createBrandKitCacheInvalidator(cache: LLMResponseCache): (change: BrandKitChangeEvent) => Promise<void> {
+  return change => cache.invalidateTags([brandKitCacheTag(change.userId)])
+}
@@ -0,0 +1,59 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { fileURLToPath } from 'node:url'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { CassetteMissError, ReplayLLMClient } from './cassette'
+
+const CASSETTE_PATH = fileURLToPath(new URL('../test/cassettes/intent-analysis.json', import.meta.url))
+
+// The request and input the cassette was recorded with
+const request = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: 'user-1',
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+const taskInput = {
+  prompt: 'Launch campaign for our new trail running shoe on Instagram and email',
+  brandContext: { brand_name: 'Northpeak', referenceImages: ['a.png', 'b.png'] }
+}
+
+describe('ReplayLLMClient', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals()
+  })
+
+  it('replays a recorded AgentTaskExecutor run without network access', async () => {
+    vi.stubGlobal('fetch', () => Promise.reject(new Error('network access during replay')))
+    const replay = await ReplayLLMClient.fromFile(CASSETTE_PATH)
+
+    const result = await new AgentTaskExecutor(replay).executeAgentTask(request, taskInput, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(result.stepResult).toMatchObject({
+      step: 'intent_analysis',
+      conclusion: 'multi_asset_campaign',
+      inferred_assets: 3,
+      asset_types: ['instagram_post', 'instagram_story', 'email_header']
+    })
+    expect(result.usage).toMatchObject({ inputTokens: 182, outputTokens: 96 })
+    expect(replay.getUnusedInteractions()).toEqual([])
+  })
+
+  it('fails loudly on a request that was never recorded', async () => {
+    const replay = await ReplayLLMClient.fromFile(CASSETTE_PATH)
+    const changedInput = { ...taskInput, prompt: 'Launch campaign for our new road running shoe' }
+
+    const miss = await replay.complete({
+      model: 'gpt-4o-mini',
+      messages: [{ role: 'user', content: changedInput.prompt }]
+    }).catch(error => error)
+    expect(miss).toBeInstanceOf(CassetteMissError)
+    expect(miss.code).toBe('CASSETTE_MISS')
+    expect(miss.message).toContain('re-record the cassette')
+
+    const result = await new AgentTaskExecutor(replay).executeAgentTask(request, changedInput, AgentTaskConfigs.INTENT_ANALYSIS)
+    expect(result.success).toBe(false)
+    expect(result.error?.message).toContain('No recorded interaction')
+    expect(replay.getUnusedInteractions()).toHaveLength(1)
+  })
+})
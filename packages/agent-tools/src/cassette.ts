@@ -0,0 +1,256 @@
+/**
+ * @growthub/agent-tools/cassette
+ * Record/Replay LLM Clients for Deterministic Tests
+ *
+ * RecordingLLMClient wraps a live client and saves each request/response pair to
+ * a cassette file, keyed by a hash of the normalized request. ReplayLLMClient
+ * serves those pairs offline and throws on any request it has not seen, so the
+ * executor, task helpers and orchestrations can be regression-tested in CI.
+ */
+
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { normalizeLLMRequest, hashNormalizedLLMRequest } from './llm'
+import type { LLMClient, LLMCompletionRequest, LLMCompletionResponse, LLMStreamChunk, LLMStreamDelta } from './llm'
+
+// Request hashing lives in ./llm so the response cache can use it without node:fs
+export { normalizeLLMRequest, hashLLMRequest } from './llm'
+
+export interface CassetteInteraction {
+  hash: string
+  // Normalized request, kept for diffing when a replay misses
+  request: Record<string, any>
+  response: LLMCompletionResponse
+  // Deltas in recorded order, when the call was streamed
+  stream?: LLMStreamDelta[]
+  recordedAt: string
+}
+
+export interface Cassette {
+  version: 1
+  provider?: string
+  interactions: CassetteInteraction[]
+}
+
+export interface CassetteOptions {
+  // Rewrite volatile request content (dates, ids) before hashing, e.g. to strip timestamps from prompts
+  normalize?: (request: Record<string, any>) => Record<string, any>
+}
+
+export interface RecordingLLMClientOptions extends CassetteOptions {
+  // Written after every recorded interaction
+  cassettePath?: string
+  // Start from an existing cassette (interactions are appended)
+  cassette?: Cassette
+}
+
+/**
+ * A replayed request that has no recorded interaction
+ */
+export class CassetteMissError extends Error {
+  readonly code = 'CASSETTE_MISS'
+  readonly hash: string
+  readonly request: Record<string, any>
+
+  constructor(hash: string, request: Record<string, any>, recorded: number) {
+    super(
+      `No recorded interaction for request ${hash.slice(0, 12)} (${recorded} recorded); ` +
+      `re-record the cassette if the prompt changed on purpose. Request: ${JSON.stringify(request).slice(0, 500)}`
+    )
+    this.name = 'CassetteMissError'
+    this.hash = hash
+    this.request = request
+  }
+}
+
+/**
+ * Recording LLM Client Class
+ * Passes calls through to a live client and records what it answered
+ */
+export class RecordingLLMClient implements LLMClient {
+  readonly provider: string
+  private client: LLMClient
+  private cassette: Cassette
+  private cassettePath?: string
+  private normalize?: CassetteOptions['normalize']
+  private saving: Promise<void> = Promise.resolve()
+
+  constructor(client: LLMClient, options: RecordingLLMClientOptions = {}) {
+    this.client = client
+    this.provider = client.provider
+    this.cassettePath = options.cassettePath
+    this.normalize = options.normalize
+    this.cassette = options.cassette || { version: 1, provider: client.provider, interactions: [] }
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    const response = await this.client.complete(request)
+    await this.record(request, response)
+    return response
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    if (!this.client.stream) {
+      // Streaming consumers still work; the response arrives as one batch of deltas
+      const response = await this.complete(request)
+      yield* responseToChunks(response)
+      return
+    }
+
+    const deltas: LLMStreamDelta[] = []
+    for await (const chunk of this.client.stream(request)) {
+      if (chunk.type === 'done') {
+        // Only streams that ran to completion are recorded
+        await this.record(request, chunk.response, deltas)
+      } else {
+        deltas.push(chunk)
+      }
+      yield chunk
+    }
+  }
+
+  /**
+   * Everything recorded so far
+   */
+  getCassette(): Cassette {
+    return this.cassette
+  }
+
+  /**
+   * Write the cassette to its file (done automatically when cassettePath is set)
+   */
+  save(path: string | undefined = this.cassettePath): Promise<void> {
+    if (!path) {
+      return Promise.reject(new Error('No cassette path to save to'))
+    }
+
+    // Serialize writes so concurrent calls cannot interleave
+    const snapshot = JSON.parse(JSON.stringify(this.cassette))
+    this.saving = this.saving.catch(() => {}).then(() => saveCassette(path, snapshot))
+    return this.saving
+  }
+
+  private async record(request: LLMCompletionRequest, response: LLMCompletionResponse, stream?: LLMStreamDelta[]): Promise<void> {
+    const normalized = normalizeLLMRequest(request, this.normalize)
+    const { raw, ...recordedResponse } = response
+
+    this.cassette.interactions.push({
+      hash: hashNormalizedLLMRequest(normalized),
+      request: normalized,
+      response: recordedResponse,
+      ...(stream && { stream }),
+      recordedAt: new Date().toISOString()
+    })
+
+    if (this.cassettePath) {
+      await this.save()
+    }
+  }
+}
+
+/**
+ * Replay LLM Client Class
+ * Serves recorded interactions; identical requests are answered in recorded order,
+ * repeating the last answer once they run out
+ */
+export class ReplayLLMClient implements LLMClient {
+  readonly provider: string
+  private interactions = new Map<string, CassetteInteraction[]>()
+  private served = new Map<string, number>()
+  private normalize?: CassetteOptions['normalize']
+  private recordedCount: number
+
+  constructor(cassette: Cassette, options: CassetteOptions = {}) {
+    this.provider = cassette.provider || 'replay'
+    this.normalize = options.normalize
+    this.recordedCount = cassette.interactions.length
+
+    for (const interaction of cassette.interactions) {
+      const existing = this.interactions.get(interaction.hash) || []
+      this.interactions.set(interaction.hash, [...existing, interaction])
+    }
+  }
+
+  /**
+   * Load a cassette file and replay it
+   */
+  static async fromFile(cassettePath: string, options: CassetteOptions = {}): Promise<ReplayLLMClient> {
+    return new ReplayLLMClient(await loadCassette(cassettePath), options)
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    return this.match(request).response
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    const interaction = this.match(request)
+
+    if (!interaction.stream) {
+      yield* responseToChunks(interaction.response)
+      return
+    }
+
+    yield* interaction.stream
+    yield { type: 'done', response: interaction.response }
+  }
+
+  /**
+   * Recorded interactions that were never requested; non-empty usually means a stale cassette
+   */
+  getUnusedInteractions(): CassetteInteraction[] {
+    return Array.from(this.interactions.entries())
+      .filter(([hash]) => !this.served.has(hash))
+      .flatMap(([, interactions]) => interactions)
+  }
+
+  private match(request: LLMCompletionRequest): CassetteInteraction {
+    const normalized = normalizeLLMRequest(request, this.normalize)
+    const hash = hashNormalizedLLMRequest(normalized)
+    const recorded = this.interactions.get(hash)
+
+    if (!recorded?.length) {
+      throw new CassetteMissError(hash, normalized, this.recordedCount)
+    }
+
+    const served = this.served.get(hash) || 0
+    this.served.set(hash, served + 1)
+    return recorded[Math.min(served, recorded.length - 1)]
+  }
+}
+
+/**
+ * Read a cassette file
+ */
+export async function loadCassette(cassettePath: string): Promise<Cassette> {
+  const cassette = JSON.parse(await readFile(cassettePath, 'utf8'))
+  if (cassette?.version !== 1 || !Array.isArray(cassette.interactions)) {
+    throw new Error(`${cassettePath} is not a version 1 cassette`)
+  }
+  return cassette
+}
+
+/**
+ * Write a cassette file atomically
+ */
+export async function saveCassette(cassettePath: string, cassette: Cassette): Promise<void> {
+  await mkdir(dirname(cassettePath), { recursive: true })
+  const tmpPath = `${cassettePath}.tmp`
+  await writeFile(tmpPath, `${JSON.stringify(cassette, null, 2)}\n`, 'utf8')
+  await rename(tmpPath, cassettePath)
+}
+
+function* responseToChunks(response: LLMCompletionResponse): Generator<LLMStreamChunk> {
+  const deltas: LLMStreamDelta[] = [
+    ...(response.content ? [{ type: 'text' as const, text: response.content }] : []),
+    ...response.toolCalls.map((call, index) => ({
+      type: 'tool_call_delta' as const,
+      index,
+      id: call.id,
+      name: call.name,
+      argumentsDelta: call.arguments
+    }))
+  ]
+
+  yield* deltas
+  yield { type: 'done', response }
+}
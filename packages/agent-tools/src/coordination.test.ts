@@ -0,0 +1,99 @@
+import { describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore, KVLockManager } from './kv'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { AgentCoordinationManager } from './coordination'
+import { createScriptedClient } from '../test/support/scripted-client'
+import type { LLMCompletionResponse } from './llm'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+
+const request = {
+  threadId: THREAD_ID,
+  userId: USER_ID,
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+const stalled = () => new Promise<LLMCompletionResponse>(() => {})
+
+describe('cancellation in AgentCoordinationManager', () => {
+  const createCoordinator = () => {
+    const client = createScriptedClient([stalled])
+    const kvManager = new KVLockManager(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const coordinator = new AgentCoordinationManager(kvManager, new AgentTaskExecutor(client))
+    return { client, kvManager, coordinator }
+  }
+
+  it('aborts the running model call and releases the lock on cancelOperation', async () => {
+    const { client, kvManager, coordinator } = createCoordinator()
+
+    const running = coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+    await vi.waitFor(() => expect(client.requests).toHaveLength(1))
+
+    expect(await coordinator.cancelOperation(USER_ID, THREAD_ID)).toBe(true)
+    const result = await running
+
+    expect(result.error).toMatchObject({ code: 'CANCELLED', type: 'CANCELLED' })
+    expect(result.lockMetadata).toMatchObject({ lockAcquired: true })
+    expect(await kvManager.checkKvLock(USER_ID, THREAD_ID)).toBeNull()
+  })
+
+  it('aborts the running model call when the caller signal fires', async () => {
+    const { client, kvManager, coordinator } = createCoordinator()
+    const controller = new AbortController()
+
+    const running = coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { signal: controller.signal })
+    await vi.waitFor(() => expect(client.requests).toHaveLength(1))
+    controller.abort()
+
+    const result = await running
+    expect(result.error?.type).toBe('CANCELLED')
+    expect(result.lockMetadata?.lockReleased).toBe(true)
+    expect(await kvManager.checkKvLock(USER_ID, THREAD_ID)).toBeNull()
+  })
+
+  it('stops waiting for a held lock when the caller signal fires', async () => {
+    const { client, kvManager, coordinator } = createCoordinator()
+    const held = await kvManager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    const controller = new AbortController()
+
+    const waiting = coordinator.executeTaskWithLock(
+      request,
+      { prompt: 'Launch posts' },
+      AgentTaskConfigs.INTENT_ANALYSIS,
+      { wait: { timeoutMs: 60_000, pollIntervalMs: 10 } },
+      { signal: controller.signal }
+    )
+    setTimeout(() => controller.abort(), 30)
+
+    const result = await waiting
+    expect(result.error?.type).toBe('CANCELLED')
+    expect(result.lockMetadata).toMatchObject({ lockAcquired: false, lockReleased: false })
+    expect(client.requests).toHaveLength(0)
+    // The other run's lock is untouched
+    expect((await kvManager.checkKvLock(USER_ID, THREAD_ID))?.lockId).toBe(held.lockId)
+  })
+
+  it('does not take the lock for an already aborted signal', async () => {
+    const { client, kvManager, coordinator } = createCoordinator()
+
+    const result = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { signal: AbortSignal.abort() })
+
+    expect(result.error?.type).toBe('CANCELLED')
+    expect(result.lockMetadata?.lockAcquired).toBe(false)
+    expect(client.requests).toHaveLength(0)
+    expect(await kvManager.checkKvLock(USER_ID, THREAD_ID)).toBeNull()
+  })
+
+  it('reports a task timeout as a failed task', async () => {
+    const { kvManager, coordinator } = createCoordinator()
+
+    const result = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, { ...AgentTaskConfigs.INTENT_ANALYSIS, timeoutMs: 20 })
+
+    expect(result.error).toMatchObject({ code: 'TIMEOUT_ERROR', type: 'TASK_EXECUTION_FAILED', details: { timeoutMs: 20 } })
+    expect(result.lockMetadata?.lockReleased).toBe(true)
+    expect(await kvManager.checkKvLock(USER_ID, THREAD_ID)).toBeNull()
+  })
+})
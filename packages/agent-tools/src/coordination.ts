@@ -7,15 +7,22 @@
  */
 
 import { z } from 'zod'
-import type { CSI } from '@growthub/compiler-core'
-import type { KVLockManager, KVLockMetadata, AcquireLockOptions } from './kv'
+import { AgentTypeNameSchema, agentTypeRegistry, parseAgentRequest } from '@growthub/compiler-core'
+import type { CSI, AgentTypeRegistry, AgentStepDefinition } from '@growthub/compiler-core'
+import { withAbortSignal, linkAbortSignal } from './kv'
+import type { KVLockManager, KVLockMetadata, AcquireLockOptions, KVLockHeartbeat } from './kv'
+import { AgentTaskConfigs } from './tasks'
 import type { AgentTaskExecutor, AgentTaskConfig, BaseAgentTaskRequest, AgentTaskResult } from './tasks'
+import type { RateLimiter } from './rate-limit'
+import { IdempotencyStore, createIdempotencyFingerprint, matchesIdempotencyFingerprint } from './idempotency'
+import { rollupUsage } from './usage'
+import type { UsageTracker, UsageRollup } from './usage'
 
 // Coordination Request Schema
 export const CoordinationRequestSchema = z.object({
   threadId: z.string().uuid(),
   userId: z.string().uuid(),
-  agentType: z.enum(['CONTENT_GENERATION_AGENT', 'TEXT_ANALYSIS_AGENT']),
+  agentType: AgentTypeNameSchema,
   operation: z.string().min(1),
   lockOptions: z.object({
     ttlSeconds: z.number().int().positive().optional(),
@@ -33,14 +40,26 @@ export interface CoordinationResult<T = any> {
   error?: {
     message: string
     code: string
-    type: 'LOCK_ACQUISITION_FAILED' | 'TASK_EXECUTION_FAILED' | 'VALIDATION_FAILED'
+    type:
+      | 'LOCK_ACQUISITION_FAILED'
+      | 'LOCK_LOST'
+      | 'RATE_LIMITED'
+      | 'OPERATION_IN_PROGRESS'
+      | 'CANCELLED'
+      | 'TASK_EXECUTION_FAILED'
+      | 'VALIDATION_FAILED'
     details?: any
+    retryAfterMs?: number
   }
   lockMetadata?: {
     lockKey: string
     lockAcquired: boolean
     lockReleased: boolean
     lockDuration?: number
+    lockId?: string
+    fencingToken?: number
+    queuePosition?: number
+    waitedMs?: number
   }
   executionMetadata?: {
     startTime: string
@@ -48,6 +67,33 @@ export interface CoordinationResult<T = any> {
     duration?: number
     retryCount?: number
   }
+  idempotency?: {
+    key: string
+    status: 'in_progress' | 'completed'
+    // True when the stored result of an earlier run was returned
+    replayed: boolean
+  }
+  // Token usage and cost, per step for sequences and orchestrations
+  usage?: UsageRollup
+}
+
+// Coordination Manager Configuration
+export interface AgentCoordinationOptions {
+  // Consulted before each model call, once the lock is held; keyed by userId, agentType
+  // and the model called, so fallbacks and experiment variants use their own limits
+  rateLimiter?: RateLimiter
+  // Defaults to a store sharing the lock manager's KVStore
+  idempotencyStore?: IdempotencyStore
+  // Records each task's usage per thread and per user
+  usageTracker?: UsageTracker
+}
+
+// Per-call execution options
+export interface TaskExecutionOptions {
+  // Duplicate calls with the same key (per user) get the first result instead of re-running
+  idempotencyKey?: string
+  // Stops lock waiting and the in-flight model call; the result reports CANCELLED
+  signal?: AbortSignal
 }
 
 // Orchestration Step Configuration
@@ -69,34 +115,85 @@ export interface OrchestrationStepConfig {
 export class AgentCoordinationManager {
   private kvManager: KVLockManager
   private taskExecutor: AgentTaskExecutor
-
-  constructor(kvManager: KVLockManager, taskExecutor: AgentTaskExecutor) {
+  private rateLimiter?: RateLimiter
+  private idempotencyStore: IdempotencyStore
+  private usageTracker?: UsageTracker
+  // In-flight operations per lock key, aborted by cancelOperation
+  private activeOperations = new Map<string, Set<AbortController>>()
+
+  constructor(
+    kvManager: KVLockManager,
+    taskExecutor: AgentTaskExecutor,
+    options: AgentCoordinationOptions = {}
+  ) {
     this.kvManager = kvManager
     this.taskExecutor = taskExecutor
+    this.rateLimiter = options.rateLimiter
+    this.idempotencyStore = options.idempotencyStore || new IdempotencyStore(kvManager.getStore())
+    this.usageTracker = options.usageTracker
   }
 
   /**
    * Execute a single agent task with automatic lock coordination
    */
-  async executeTaskWithLock<T extends BaseAgentTaskRequest>(
+  async executeTaskWithLock<T extends BaseAgentTaskRequest, TResult = Record<string, any>>(
     request: T,
     taskInput: Record<string, any>,
-    taskConfig: AgentTaskConfig,
-    lockOptions?: AcquireLockOptions
-  ): Promise<CoordinationResult<AgentTaskResult>> {
+    taskConfig: AgentTaskConfig<TResult>,
+    lockOptions?: AcquireLockOptions,
+    executionOptions: TaskExecutionOptions = {}
+  ): Promise<CoordinationResult<AgentTaskResult<TResult>>> {
+    return this.withCancellation(request.userId, request.threadId, executionOptions.signal, signal =>
+      this.withIdempotency(
+        request.userId,
+        executionOptions.idempotencyKey,
+        { threadId: request.threadId, taskName: taskConfig.taskName, taskInput },
+        () => this.runTaskWithLock(request, taskInput, taskConfig, lockOptions, signal)
+      )
+    )
+  }
+
+  private async runTaskWithLock<T extends BaseAgentTaskRequest, TResult = Record<string, any>>(
+    request: T,
+    taskInput: Record<string, any>,
+    taskConfig: AgentTaskConfig<TResult>,
+    lockOptions?: AcquireLockOptions,
+    signal?: AbortSignal
+  ): Promise<CoordinationResult<AgentTaskResult<TResult>>> {
     const startTime = new Date().toISOString()
     const lockKey = this.kvManager.makeKvLockKey(request.userId, request.threadId)
     let lockAcquired = false
     let lockReleased = false
+    let lockId: string | undefined
+    let fencingToken: number | undefined
+    let heartbeat: KVLockHeartbeat | undefined
+    let waitedMs: number | undefined
+    let unlinkTaskSignal: Array<() => void> = []
 
     try {
+      if (signal?.aborted) {
+        return createCancelledResult(taskConfig.taskName, { lockKey, lockAcquired: false, lockReleased: false })
+      }
+
       // Step 1: Acquire KV lock
       const lockResult = await this.kvManager.acquireKvLock(
         request.userId, 
         request.threadId, 
-        lockOptions
+        lockOptions?.wait && signal
+          ? { ...lockOptions, wait: { ...lockOptions.wait, signal: lockOptions.wait.signal ?? signal } }
+          : lockOptions
       )
 
+      if (!lockResult.success && signal?.aborted) {
+        return createCancelledResult(taskConfig.taskName, {
+          lockKey,
+          lockAcquired: false,
+          lockReleased: false,
+          queuePosition: lockResult.queuePosition,
+          waitedMs: lockResult.waitedMs
+        })
+      }
+
       if (!lockResult.success) {
         return {
           success: false,
@@ -109,53 +206,121 @@ export class AgentCoordinationManager {
           lockMetadata: {
             lockKey,
             lockAcquired: false,
-            lockReleased: false
+            lockReleased: false,
+            queuePosition: lockResult.queuePosition,
+            waitedMs: lockResult.waitedMs
           }
         }
       }
 
       lockAcquired = true
+      lockId = lockResult.lockId
+      fencingToken = lockResult.fencingToken
+      waitedMs = lockResult.waitedMs
+
+      // Step 2: Execute agent task while a heartbeat keeps the lock alive
+      if (lockId && lockOptions?.heartbeat !== false) {
+        heartbeat = this.kvManager.startKvLockHeartbeat(request.userId, request.threadId, lockId, {
+          ttlSeconds: lockOptions?.ttlSeconds,
+          ...(typeof lockOptions?.heartbeat === 'object' ? lockOptions.heartbeat : {})
+        })
+      }
 
-      // Step 2: Execute agent task
-      const taskResult = await this.taskExecutor.executeAgentTask(
+      // Cancellation and lock loss both stop the model call
+      const taskController = new AbortController()
+      unlinkTaskSignal = [linkAbortSignal(taskController, signal), linkAbortSignal(taskController, heartbeat?.signal)]
+
+      const runningTask = this.taskExecutor.executeAgentTask(
         request,
         taskInput,
-        taskConfig
+        taskConfig,
+        // Limits are checked per model call, so only runs that reach the model spend tokens
+        { signal: taskController.signal, rateLimiter: this.rateLimiter }
       )
+      const taskResult = heartbeat
+        ? await withAbortSignal(runningTask, heartbeat.signal)
+        : await runningTask
+      heartbeat?.stop()
+      unlinkTaskSignal.forEach(unlink => unlink())
+
+      // Step 3: Release lock (only if this run still holds it)
+      lockReleased = await this.kvManager.releaseKvLock(request.userId, request.threadId, lockId)
 
-      // Step 3: Release lock
-      lockReleased = await this.kvManager.releaseKvLock(request.userId, request.threadId)
+      // Tokens are billed whether or not the task succeeded
+      const usage = summarizeUsage(taskResult.usage ? [{ step: taskConfig.taskName, usage: taskResult.usage }] : [])
+      await this.recordUsage(request, taskConfig.taskName, taskResult)
 
       const endTime = new Date().toISOString()
 
+      // A cancelled run's result must not be used, even if the model finished first
+      if (signal?.aborted || taskResult.error?.code === 'CANCELLED') {
+        return createCancelledResult(taskConfig.taskName, {
+          lockKey,
+          lockAcquired,
+          lockReleased,
+          lockDuration: new Date(endTime).getTime() - new Date(startTime).getTime(),
+          lockId,
+          fencingToken,
+          waitedMs
+        }, usage)
+      }
+
       return {
         success: taskResult.success,
         result: taskResult,
         error: taskResult.success ? undefined : {
           message: taskResult.error?.message || 'Task execution failed',
           code: taskResult.error?.code || 'TASK_EXECUTION_FAILED',
-          type: 'TASK_EXECUTION_FAILED',
-          details: taskResult.error?.details
+          // Provider rate limits that outlasted the retry policy are reported like our own
+          type: taskResult.error?.code === 'RATE_LIMITED' ? 'RATE_LIMITED' : 'TASK_EXECUTION_FAILED',
+          details: taskResult.error?.details,
+          retryAfterMs: taskResult.error?.retryAfterMs
         },
         lockMetadata: {
           lockKey,
           lockAcquired,
           lockReleased,
-          lockDuration: new Date(endTime).getTime() - new Date(startTime).getTime()
+          lockDuration: new Date(endTime).getTime() - new Date(startTime).getTime(),
+          lockId,
+          fencingToken,
+          waitedMs
         },
         executionMetadata: {
           startTime,
           endTime,
           duration: new Date(endTime).getTime() - new Date(startTime).getTime()
-        }
+        },
+        usage
       }
 
     } catch (error) {
+      heartbeat?.stop()
+      unlinkTaskSignal.forEach(unlink => unlink())
+
+      // Another worker may own the lock now, so the result must not be used
+      if (heartbeat?.signal.aborted) {
+        return {
+          success: false,
+          error: {
+            message: `Lock lost while executing ${taskConfig.taskName}`,
+            code: 'LOCK_LOST',
+            type: 'LOCK_LOST',
+            details: error
+          },
+          lockMetadata: {
+            lockKey,
+            lockAcquired,
+            lockReleased: false,
+            lockId,
+            fencingToken
+          }
+        }
+      }
+
       // Ensure lock is released on error
       if (lockAcquired && !lockReleased) {
         try {
-          await this.kvManager.releaseKvLock(request.userId, request.threadId)
-          lockReleased = true
+          lockReleased = await this.kvManager.releaseKvLock(request.userId, request.threadId, lockId)
         } catch (releaseError) {
           console.error('Failed to release lock after error:', releaseError)
         }
@@ -172,7 +337,9 @@ export class AgentCoordinationManager {
         lockMetadata: {
           lockKey,
           lockAcquired,
-          lockReleased
+          lockReleased,
+          lockId,
+          fencingToken
         }
       }
     }
@@ -187,10 +354,34 @@ export class AgentCoordinationManager {
       taskInput: Record<string, any>
       taskConfig: AgentTaskConfig
       lockOptions?: AcquireLockOptions
-    }>
+    }>,
+    executionOptions: TaskExecutionOptions = {}
+  ): Promise<CoordinationResult<Array<AgentTaskResult>>> {
+    return this.withCancellation(request.userId, request.threadId, executionOptions.signal, signal =>
+      this.withIdempotency(
+        request.userId,
+        executionOptions.idempotencyKey,
+        {
+          threadId: request.threadId,
+          steps: steps.map(step => ({ taskName: step.taskConfig.taskName, taskInput: step.taskInput }))
+        },
+        () => this.runTaskSequence(request, steps, signal)
+      )
+    )
+  }
+
+  private async runTaskSequence<T extends BaseAgentTaskRequest>(
+    request: T,
+    steps: Array<{
+      taskInput: Record<string, any>
+      taskConfig: AgentTaskConfig
+      lockOptions?: AcquireLockOptions
+    }>,
+    signal?: AbortSignal
   ): Promise<CoordinationResult<Array<AgentTaskResult>>> {
     const results: AgentTaskResult[] = []
     const errors: any[] = []
+    const usage: UsageRollup['steps'] = []
     let currentCSI: CSI = request.previousCSI || {
       completedSteps: [],
       currentProgress: 0,
@@ -206,12 +397,14 @@ export class AgentCoordinationManager {
         previousCSI: currentCSI
       }
 
-      const result = await this.executeTaskWithLock(
+      const result = await this.runTaskWithLock(
         stepRequest,
         step.taskInput,
         step.taskConfig,
-        step.lockOptions
+        step.lockOptions,
+        signal
       )
+      usage.push(...(result.usage?.steps || []))
 
       if (result.success && result.result) {
         results.push(result.result)
@@ -225,7 +418,8 @@ export class AgentCoordinationManager {
     return {
       success: errors.length === 0,
       result: results,
-      error: errors.length > 0 ? errors[0] : undefined
+      error: errors.length > 0 ? errors[0] : undefined,
+      usage: summarizeUsage(usage)
     }
   }
 
@@ -251,14 +445,126 @@ export class AgentCoordinationManager {
   }
 
   /**
-   * Cancel an ongoing operation by releasing its lock
+   * Cancel an ongoing operation: abort its in-flight work and release its lock
+   * Operations running in other processes lose the lock and stop at their next heartbeat.
    */
   async cancelOperation(userId: string, threadId: string): Promise<boolean> {
+    const operations = this.activeOperations.get(this.kvManager.makeKvLockKey(userId, threadId))
+    const aborted = Boolean(operations?.size)
+    operations?.forEach(controller => controller.abort())
+
     try {
-      return await this.kvManager.releaseKvLock(userId, threadId)
+      return (await this.kvManager.releaseKvLock(userId, threadId)) || aborted
     } catch (error) {
       console.error('Error cancelling operation:', error)
-      return false
+      return aborted
+    }
+  }
+
+  /**
+   * Add a task's usage to the tracker; accounting failures never fail the task
+   */
+  private async recordUsage(request: BaseAgentTaskRequest, taskName: string, taskResult: AgentTaskResult<any>): Promise<void> {
+    if (!this.usageTracker || !taskResult.usage) return
+
+    try {
+      await this.usageTracker.record(request.userId, request.threadId, taskName, taskResult.usage)
+    } catch (error) {
+      console.error(`Failed to record usage for ${taskName}:`, error)
+    }
+  }
+
+  /**
+   * Run an operation that cancelOperation (or the caller's signal) can abort
+   */
+  protected async withCancellation<R>(
+    userId: string,
+    threadId: string,
+    signal: AbortSignal | undefined,
+    operation: (signal: AbortSignal) => Promise<R>
+  ): Promise<R> {
+    const lockKey = this.kvManager.makeKvLockKey(userId, threadId)
+    const controller = new AbortController()
+    const unlink = linkAbortSignal(controller, signal)
+    const operations = this.activeOperations.get(lockKey) || new Set<AbortController>()
+    operations.add(controller)
+    this.activeOperations.set(lockKey, operations)
+
+    try {
+      return await operation(controller.signal)
+    } finally {
+      unlink()
+      operations.delete(controller)
+      if (operations.size === 0 && this.activeOperations.get(lockKey) === operations) {
+        this.activeOperations.delete(lockKey)
+      }
+    }
+  }
+
+  /**
+   * Run an operation at most once per idempotency key
+   * Outcomes worth retrying (lock contention, rate limits, lost locks) and cancellations free the key
+   * instead of being stored.
+   */
+  private async withIdempotency<R>(
+    userId: string,
+    idempotencyKey: string | undefined,
+    payload: unknown,
+    operation: () => Promise<CoordinationResult<R>>
+  ): Promise<CoordinationResult<R>> {
+    if (!idempotencyKey) {
+      return operation()
+    }
+
+    const fingerprint = createIdempotencyFingerprint(payload)
+    const claim = await this.idempotencyStore.begin<CoordinationResult<R>>(userId, idempotencyKey, fingerprint)
+
+    if (!claim.started) {
+      const { record } = claim
+      const idempotency = { key: idempotencyKey, status: record.status, replayed: false }
+
+      if (!matchesIdempotencyFingerprint(record, fingerprint)) {
+        return {
+          success: false,
+          error: {
+            message: `Idempotency key ${idempotencyKey} was already used for a different request`,
+            code: 'IDEMPOTENCY_KEY_REUSED',
+            type: 'VALIDATION_FAILED'
+          },
+          idempotency
+        }
+      }
+
+      if (record.status === 'completed') {
+        return { ...record.result, idempotency: { ...idempotency, replayed: true } }
+      }
+
+      return {
+        success: false,
+        error: {
+          message: `Request with idempotency key ${idempotencyKey} is still in progress`,
+          code: 'OPERATION_IN_PROGRESS',
+          type: 'OPERATION_IN_PROGRESS',
+          details: { startedAt: record.startedAt }
+        },
+        idempotency
+      }
+    }
+
+    let result: CoordinationResult<R> | undefined
+    try {
+      result = await operation()
+      return { ...result, idempotency: { key: idempotencyKey, status: 'completed', replayed: false } }
+    } finally {
+      try {
+        if (result && !CoordinationUtils.isRetryableError(result.error) && result.error?.type !== 'CANCELLED') {
+          await this.idempotencyStore.complete(userId, idempotencyKey, claim.ownerId, result)
+        } else {
+          await this.idempotencyStore.fail(userId, idempotencyKey, claim.ownerId)
+        }
+      } catch (storeError) {
+        console.error(`Failed to record idempotency key ${idempotencyKey}:`, storeError)
+      }
     }
   }
 }
@@ -275,9 +581,22 @@ export class OrchestrationManager extends AgentCoordinationManager {
   async executeOrchestration<T extends BaseAgentTaskRequest>(
     request: T,
     steps: OrchestrationStepConfig[],
-    orchestrationData: Record<string, any>
+    orchestrationData: Record<string, any>,
+    executionOptions: Pick<TaskExecutionOptions, 'signal'> = {}
+  ): Promise<CoordinationResult<Record<string, AgentTaskResult>>> {
+    return this.withCancellation(request.userId, request.threadId, executionOptions.signal, signal =>
+      this.runOrchestration(request, steps, orchestrationData, signal)
+    )
+  }
+
+  private async runOrchestration<T extends BaseAgentTaskRequest>(
+    request: T,
+    steps: OrchestrationStepConfig[],
+    orchestrationData: Record<string, any>,
+    signal: AbortSignal
   ): Promise<CoordinationResult<Record<string, AgentTaskResult>>> {
     const results: Record<string, AgentTaskResult> = {}
+    const usage: UsageRollup['steps'] = []
     const completedSteps = new Set<string>()
     const pendingSteps = new Set(steps.map(s => s.stepId))
 
@@ -323,13 +642,27 @@ export class OrchestrationManager extends AgentCoordinationManager {
               lockId: `orchestration-${step.stepId}-${Date.now()}`,
               processId: process.pid?.toString()
             }
-          }
+          },
+          { signal }
         )
+        usage.push(...(result.usage?.steps || []).map(stepUsage => ({ ...stepUsage, step: step.stepId })))
 
         if (result.success && result.result) {
           results[step.stepId] = result.result
           completedSteps.add(step.stepId)
           pendingSteps.delete(step.stepId)
+        } else if (result.error?.type === 'CANCELLED') {
+          return {
+            success: false,
+            result: results,
+            error: {
+              message: `Orchestration cancelled at step '${step.stepId}'`,
+              code: 'CANCELLED',
+              type: 'CANCELLED',
+              details: result.error
+            },
+            usage: summarizeUsage(usage)
+          }
         } else {
           return {
             success: false,
@@ -339,7 +672,8 @@ export class OrchestrationManager extends AgentCoordinationManager {
               code: 'ORCHESTRATION_STEP_FAILED',
               type: 'TASK_EXECUTION_FAILED',
               details: result.error
-            }
+            },
+            usage: summarizeUsage(usage)
           }
         }
       }
@@ -347,17 +681,81 @@ export class OrchestrationManager extends AgentCoordinationManager {
 
     return {
       success: true,
-      result: results
+      result: results,
+      usage: summarizeUsage(usage)
     }
   }
 }
 
+/**
+ * Build orchestration steps from an agent type's registered step graph
+ * Each step runs the type's task config for its stepId, or else the predefined
+ * AgentTaskConfigs entry with that taskName. Steps with neither (planning and
+ * generation steps the app runs itself) are left out; their dependents inherit
+ * their dependencies.
+ */
+export function createAgentOrchestrationSteps(
+  agentType: string,
+  registry: AgentTypeRegistry<any> = agentTypeRegistry
+): OrchestrationStepConfig[] {
+  const definition = registry.require(agentType)
+  const predefined: AgentTaskConfig[] = Object.values(AgentTaskConfigs)
+  const stepsById = new Map(definition.steps.map(step => [step.stepId, step]))
+
+  const taskConfigs = new Map<string, AgentTaskConfig>()
+  for (const step of definition.steps) {
+    const taskConfig = definition.taskConfigs?.[step.stepId] ?? predefined.find(config => config.taskName === step.stepId)
+    if (taskConfig) taskConfigs.set(step.stepId, taskConfig)
+  }
+
+  const resolveDependencies = (step: AgentStepDefinition, seen = new Set<string>()): string[] =>
+    (step.dependencies || []).flatMap(dep => {
+      if (taskConfigs.has(dep)) return [dep]
+      if (seen.has(dep)) return []
+      seen.add(dep)
+      const skipped = stepsById.get(dep)
+      return skipped ? resolveDependencies(skipped, seen) : []
+    })
+
+  return definition.steps
+    .filter(step => taskConfigs.has(step.stepId))
+    .map(step => ({
+      stepId: step.stepId,
+      taskConfig: taskConfigs.get(step.stepId)!,
+      dependencies: Array.from(new Set(resolveDependencies(step)))
+    }))
+}
+
+/**
+ * Result for an operation stopped by cancelOperation or the caller's AbortSignal
+ */
+function createCancelledResult<T>(
+  taskName: string,
+  lockMetadata: CoordinationResult['lockMetadata'],
+  usage?: UsageRollup
+): CoordinationResult<T> {
+  return {
+    success: false,
+    error: {
+      message: `${taskName} was cancelled`,
+      code: 'CANCELLED',
+      type: 'CANCELLED'
+    },
+    lockMetadata,
+    usage
+  }
+}
+
+function summarizeUsage(steps: UsageRollup['steps']): UsageRollup | undefined {
+  return steps.length > 0 ? rollupUsage(steps) : undefined
+}
+
 /**
  * Validate coordination request
  */
 export function validateCoordinationRequest(data: unknown): { success: boolean; data?: CoordinationRequest; errors?: any[] } {
   try {
-    const validatedData = CoordinationRequestSchema.parse(data)
+    const validatedData = parseAgentRequest(CoordinationRequestSchema, data)
     return { success: true, data: validatedData }
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -409,7 +807,11 @@ export const CoordinationUtils = {
    */
   isRetryableError: (error: CoordinationResult['error']): boolean => {
     return error?.type === 'LOCK_ACQUISITION_FAILED' || 
+           error?.type === 'RATE_LIMITED' ||
+           error?.type === 'LOCK_LOST' ||
+           error?.type === 'OPERATION_IN_PROGRESS' ||
            error?.code === 'NETWORK_ERROR' ||
-           error?.code === 'TIMEOUT_ERROR'
+           error?.code === 'TIMEOUT_ERROR' ||
+           error?.code === 'PROVIDER_ERROR'
   }
 } 
\ No newline at end of file
@@ -0,0 +1,174 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { ContentFilteredError, classifyLLMError, getRetryDelayMs, parseRetryAfterMs } from './errors'
+import type { ClassifiedLLMError, LLMErrorCode, RetryPolicy } from './errors'
+import { LLMRequestError } from './llm'
+
+// Shaped like the openai and @anthropic-ai/sdk APIError classes: status, headers and the parsed body on `error`
+const sdkError = (message: string, fields: Record<string, any>) => Object.assign(new Error(message), fields)
+const namedError = (name: string, message: string) => Object.assign(new Error(message), { name })
+
+describe('classifyLLMError', () => {
+  const cases: Array<[string, unknown, LLMErrorCode, Partial<ClassifiedLLMError>?]> = [
+    [
+      'OpenAI rate limit with retry-after',
+      new LLMRequestError('openai', 429, { error: { type: 'rate_limit_exceeded', message: 'Rate limit reached' } }, { 'retry-after': '3' }),
+      'RATE_LIMITED',
+      { status: 429, retryAfterMs: 3000 }
+    ],
+    [
+      'OpenAI SDK rate limit with retry-after-ms',
+      sdkError('429 Rate limit reached', { status: 429, headers: { 'retry-after-ms': '250' }, error: { type: 'requests', code: 'rate_limit_exceeded' } }),
+      'RATE_LIMITED',
+      { status: 429, retryAfterMs: 250 }
+    ],
+    [
+      'Anthropic rate limit error streamed after a 200',
+      new LLMRequestError('anthropic', 500, { type: 'error', error: { type: 'rate_limit_error', message: 'Slow down' } }),
+      'RATE_LIMITED'
+    ],
+    [
+      'Anthropic overloaded',
+      new LLMRequestError('anthropic', 529, { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }),
+      'PROVIDER_ERROR',
+      { status: 529 }
+    ],
+    [
+      'OpenAI server error',
+      new LLMRequestError('openai', 500, { error: { type: 'server_error', message: 'The server had an error' } }),
+      'PROVIDER_ERROR',
+      { status: 500 }
+    ],
+    ['bad gateway page', new LLMRequestError('openai', 502, '<html>Bad gateway</html>'), 'PROVIDER_ERROR', { status: 502 }],
+    [
+      'OpenAI invalid API key',
+      new LLMRequestError('openai', 401, { error: { type: 'invalid_request_error', code: 'invalid_api_key' } }),
+      'AUTHENTICATION_FAILED',
+      { status: 401 }
+    ],
+    [
+      'Anthropic permission error',
+      new LLMRequestError('anthropic', 403, { type: 'error', error: { type: 'permission_error', message: 'Not allowed' } }),
+      'AUTHENTICATION_FAILED'
+    ],
+    [
+      'OpenAI context length code',
+      new LLMRequestError('openai', 400, { error: { type: 'invalid_request_error', code: 'context_length_exceeded', message: 'Too long' } }),
+      'CONTEXT_LENGTH_EXCEEDED',
+      { status: 400 }
+    ],
+    [
+      'Anthropic prompt too long message',
+      new LLMRequestError('anthropic', 400, { type: 'error', error: { type: 'invalid_request_error', message: 'prompt is too long: 210000 tokens > 200000 maximum' } }),
+      'CONTEXT_LENGTH_EXCEEDED'
+    ],
+    [
+      'Ollama context window message',
+      new LLMRequestError('ollama', 400, { error: 'input exceeds the context window' }),
+      'CONTEXT_LENGTH_EXCEEDED'
+    ],
+    ['request too large', new LLMRequestError('anthropic', 413, { type: 'error', error: { type: 'request_too_large' } }), 'CONTEXT_LENGTH_EXCEEDED'],
+    [
+      'OpenAI content policy code',
+      new LLMRequestError('openai', 400, { error: { type: 'invalid_request_error', code: 'content_policy_violation' } }),
+      'CONTENT_FILTERED'
+    ],
+    [
+      'Azure content management message',
+      new LLMRequestError('azure', 400, { error: { code: 'BadRequest', message: "The response was filtered due to the prompt triggering Azure OpenAI's content management policy." } }),
+      'CONTENT_FILTERED'
+    ],
+    ['filtered finish reason', new ContentFilteredError('openai', 'content_filter'), 'CONTENT_FILTERED'],
+    ['request timeout status', new LLMRequestError('openai', 408, null), 'TIMEOUT_ERROR', { status: 408 }],
+    ['gateway timeout status', new LLMRequestError('openai', 504, null, { 'retry-after': '1' }), 'TIMEOUT_ERROR', { status: 504, retryAfterMs: 1000 }],
+    ['Ollama unknown model', new LLMRequestError('ollama', 404, { error: "model 'llama9' not found" }), 'INVALID_REQUEST', { status: 404 }],
+    [
+      'OpenAI SDK bad request',
+      sdkError('400 Invalid schema', { status: 400, headers: {}, error: { type: 'invalid_request_error', message: 'Invalid schema' } }),
+      'INVALID_REQUEST'
+    ],
+    ['OpenAI SDK connection timeout', namedError('APIConnectionTimeoutError', 'Request timed out.'), 'TIMEOUT_ERROR'],
+    ['AbortSignal.timeout', new DOMException('The operation timed out', 'TimeoutError'), 'TIMEOUT_ERROR'],
+    ['fetch connect timeout', new TypeError('fetch failed', { cause: { code: 'UND_ERR_CONNECT_TIMEOUT' } }), 'TIMEOUT_ERROR'],
+    ['socket timeout', Object.assign(new Error('socket hang up'), { code: 'ETIMEDOUT' }), 'TIMEOUT_ERROR'],
+    ['OpenAI SDK connection error', namedError('APIConnectionError', 'Connection error.'), 'NETWORK_ERROR'],
+    ['fetch connection refused', new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } }), 'NETWORK_ERROR'],
+    ['DNS failure', Object.assign(new Error('getaddrinfo ENOTFOUND api.openai.com'), { code: 'ENOTFOUND' }), 'NETWORK_ERROR'],
+    ['invalid tool output from the executor', { code: 'INVALID_TOOL_OUTPUT', message: 'Invalid output' }, 'INVALID_TOOL_OUTPUT'],
+    ['unknown error', new Error('Something else'), 'TASK_EXECUTION_FAILED'],
+    ['thrown string', 'boom', 'TASK_EXECUTION_FAILED', { message: 'boom' }]
+  ]
+
+  it.each(cases)('classifies %s', (_, error, code, extra = {}) => {
+    expect(classifyLLMError(error)).toMatchObject({ code, ...extra })
+  })
+
+  it('keeps the error message', () => {
+    expect(classifyLLMError(new LLMRequestError('openai', 500, { error: { message: 'Oops' } })).message)
+      .toBe('openai request failed with status 500: Oops')
+  })
+
+  it('does not report a retry delay for errors that are not worth retrying', () => {
+    const error = new LLMRequestError('openai', 401, { error: { code: 'invalid_api_key' } }, { 'retry-after': '5' })
+    expect(classifyLLMError(error).retryAfterMs).toBeUndefined()
+  })
+})
+
+describe('parseRetryAfterMs', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it.each([
+    ['no headers', undefined, undefined],
+    ['no hint', { 'content-type': 'application/json' }, undefined],
+    ['seconds', { 'retry-after': '2' }, 2000],
+    ['fractional seconds', { 'retry-after': '1.5' }, 1500],
+    ['negative seconds', { 'retry-after': '-3' }, 0],
+    ['milliseconds before seconds', { 'retry-after-ms': '150', 'retry-after': '9' }, 150],
+    ['unreadable milliseconds', { 'retry-after-ms': 'soon', 'retry-after': '4' }, 4000],
+    ['unreadable value', { 'retry-after': 'soon' }, undefined],
+    ['non-string value', { 'retry-after': 5 }, undefined],
+    ['a Headers instance', new Headers({ 'Retry-After': '7' }), 7000]
+  ])('reads %s', (_, headers, expected) => {
+    expect(parseRetryAfterMs(headers)).toBe(expected)
+  })
+
+  it('reads an HTTP date relative to now', () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-01-01T00:00:00Z'))
+
+    expect(parseRetryAfterMs({ 'retry-after': 'Wed, 01 Jan 2025 00:00:30 GMT' })).toBe(30_000)
+    expect(parseRetryAfterMs({ 'retry-after': 'Tue, 31 Dec 2024 23:59:00 GMT' })).toBe(0)
+  })
+})
+
+describe('getRetryDelayMs', () => {
+  const rateLimited: ClassifiedLLMError = { code: 'RATE_LIMITED', message: 'Slow down' }
+
+  afterEach(() => {
+    vi.restoreAllMocks()
+  })
+
+  const cases: Array<[string, RetryPolicy, number, ClassifiedLLMError, number | null]> = [
+    ['the first retry', { jitter: false }, 1, rateLimited, 500],
+    ['a later retry with backoff', { jitter: false, maxRetries: 3 }, 3, rateLimited, 2000],
+    ['a retry past maxRetries', { jitter: false }, 3, rateLimited, null],
+    ['a code the policy does not retry', { jitter: false }, 1, { code: 'INVALID_REQUEST', message: 'Bad' }, null],
+    ['a custom retryOn list', { jitter: false, retryOn: ['NETWORK_ERROR'] }, 1, rateLimited, null],
+    ['backoff capped at maxDelayMs', { jitter: false, maxRetries: 4, initialDelayMs: 1000, maxDelayMs: 3000 }, 4, rateLimited, 3000],
+    ['a Retry-After longer than the backoff', { jitter: false }, 1, { ...rateLimited, retryAfterMs: 4000 }, 4000],
+    ['a Retry-After past maxDelayMs', { jitter: false }, 1, { ...rateLimited, retryAfterMs: 60_000 }, null],
+    ['retries disabled', { jitter: false, maxRetries: 0 }, 1, rateLimited, null]
+  ]
+
+  it.each(cases)('handles %s', (_, policy, retryNumber, error, expected) => {
+    expect(getRetryDelayMs(policy, retryNumber, error)).toBe(expected)
+  })
+
+  it('jitters the backoff but never undercuts Retry-After', () => {
+    vi.spyOn(Math, 'random').mockReturnValue(0.5)
+
+    expect(getRetryDelayMs({ initialDelayMs: 1000 }, 2, rateLimited)).toBe(1000)
+    expect(getRetryDelayMs({ initialDelayMs: 1000 }, 2, { ...rateLimited, retryAfterMs: 1500 })).toBe(1500)
+  })
+})
@@ -0,0 +1,204 @@
+/**
+ * @growthub/agent-tools/errors
+ * LLM Error Classification and Retry Policies
+ *
+ * Maps provider failures (HTTP errors, SDK errors, network failures, filtered
+ * responses) to a small set of codes, and decides which of them are worth
+ * retrying and after how long.
+ */
+
+import { LLMRequestError } from './llm'
+
+export type LLMErrorCode =
+  | 'RATE_LIMITED'
+  | 'TIMEOUT_ERROR'
+  | 'CONTEXT_LENGTH_EXCEEDED'
+  | 'CONTENT_FILTERED'
+  | 'AUTHENTICATION_FAILED'
+  | 'INVALID_TOOL_OUTPUT'
+  | 'NETWORK_ERROR'
+  | 'PROVIDER_ERROR'
+  | 'INVALID_REQUEST'
+  | 'TASK_EXECUTION_FAILED'
+
+export interface ClassifiedLLMError {
+  code: LLMErrorCode
+  message: string
+  // HTTP status, when the provider answered
+  status?: number
+  // Delay the provider asked for (Retry-After and similar headers)
+  retryAfterMs?: number
+}
+
+// Retry behaviour for transient failures of a single model call
+export interface RetryPolicy {
+  // Retries after the first call; 0 disables retrying
+  maxRetries?: number
+  initialDelayMs?: number
+  maxDelayMs?: number
+  backoffMultiplier?: number
+  // Randomize each delay between 0 and the backoff ("full jitter") so clients do not retry in lockstep
+  jitter?: boolean
+  retryOn?: LLMErrorCode[]
+}
+
+// Default Configuration
+export const DEFAULT_RETRY_POLICY: Required<RetryPolicy> = {
+  maxRetries: 2,
+  initialDelayMs: 500,
+  maxDelayMs: 30 * 1000,
+  backoffMultiplier: 2,
+  jitter: true,
+  retryOn: ['RATE_LIMITED', 'TIMEOUT_ERROR', 'NETWORK_ERROR', 'PROVIDER_ERROR']
+}
+
+// Finish reasons that mean the provider withheld or truncated the output for policy reasons
+export const CONTENT_FILTER_FINISH_REASONS = ['content_filter', 'refusal']
+
+const CONTEXT_LENGTH_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens/i
+const CONTENT_FILTER_PATTERN = /content[_ ]?(filter|policy|management)|safety system|responsible ?ai/i
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET']
+const TIMEOUT_ERROR_CODES = ['ETIMEDOUT', 'ESOCKETTIMEDOUT', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT']
+
+/**
+ * A response the provider withheld or cut short for policy reasons
+ */
+export class ContentFilteredError extends Error {
+  readonly code = 'CONTENT_FILTERED'
+  readonly finishReason?: string
+
+  constructor(provider: string, finishReason?: string) {
+    super(`${provider} filtered the response${finishReason ? ` (finish reason: ${finishReason})` : ''}`)
+    this.name = 'ContentFilteredError'
+    this.finishReason = finishReason
+  }
+}
+
+/**
+ * Classify an error thrown by an LLM client or the OpenAI SDK
+ */
+export function classifyLLMError(error: unknown): ClassifiedLLMError {
+  const err = error as any
+  const message = error instanceof Error ? error.message : String(error)
+  const classified = (code: LLMErrorCode, extra: Partial<ClassifiedLLMError> = {}): ClassifiedLLMError =>
+    ({ code, message, ...extra })
+
+  // Errors raised by the executor itself (InvalidToolOutputError, TaskTimeoutError) already carry a code
+  if (err?.code === 'INVALID_TOOL_OUTPUT' || err?.code === 'TIMEOUT_ERROR') return classified(err.code)
+  if (error instanceof ContentFilteredError) return classified('CONTENT_FILTERED')
+
+  // LLMRequestError and OpenAI SDK APIError both carry status, headers and the error body
+  const status: number | undefined = error instanceof LLMRequestError
+    ? error.status
+    : typeof err?.status === 'number' ? err.status : undefined
+  const body = error instanceof LLMRequestError ? error.body : err?.error
+  const retryAfterMs = parseRetryAfterMs(err?.headers)
+
+  // Provider error types are more precise than the status (Anthropic streams errors after a 200)
+  const errorType = [body?.error?.type, body?.error?.code, body?.type, body?.code].filter(Boolean).join(' ')
+  const text = `${message} ${typeof body === 'string' ? body : JSON.stringify(body ?? '')}`
+
+  if (/rate_limit/.test(errorType) || status === 429) {
+    return classified('RATE_LIMITED', { status, retryAfterMs })
+  }
+  if (/overloaded|server_error|api_error/.test(errorType) || status === 529) {
+    return classified('PROVIDER_ERROR', { status, retryAfterMs })
+  }
+  if (/authentication|permission|invalid_api_key/.test(errorType) || status === 401 || status === 403) {
+    return classified('AUTHENTICATION_FAILED', { status })
+  }
+  if (/context_length_exceeded/.test(errorType) || status === 413 || (isClientError(status) && CONTEXT_LENGTH_PATTERN.test(text))) {
+    return classified('CONTEXT_LENGTH_EXCEEDED', { status })
+  }
+  if (/content_filter|content_policy/.test(errorType) || (isClientError(status) && CONTENT_FILTER_PATTERN.test(text))) {
+    return classified('CONTENT_FILTERED', { status })
+  }
+  if (status === 408 || status === 504) {
+    return classified('TIMEOUT_ERROR', { status, retryAfterMs })
+  }
+  if (status !== undefined && status >= 500) {
+    return classified('PROVIDER_ERROR', { status, retryAfterMs })
+  }
+  if (isClientError(status)) {
+    return classified('INVALID_REQUEST', { status })
+  }
+
+  // No response: look at the transport error (fetch wraps it in `cause`)
+  const systemCode = err?.code ?? err?.cause?.code
+  if (
+    TIMEOUT_ERROR_CODES.includes(systemCode) ||
+    err?.name === 'TimeoutError' ||
+    err?.name === 'APIConnectionTimeoutError'
+  ) {
+    return classified('TIMEOUT_ERROR')
+  }
+  if (
+    NETWORK_ERROR_CODES.includes(systemCode) ||
+    err?.name === 'APIConnectionError' ||
+    (error instanceof TypeError && /fetch failed|network/i.test(message))
+  ) {
+    return classified('NETWORK_ERROR')
+  }
+
+  return classified('TASK_EXECUTION_FAILED')
+}
+
+/**
+ * Delay before the next retry, or null when the error should not be retried
+ * `retryNumber` starts at 1. A Retry-After hint is honoured as a lower bound; if it
+ * is longer than maxDelayMs the call is not retried, leaving the wait to the caller.
+ */
+export function getRetryDelayMs(
+  policy: RetryPolicy,
+  retryNumber: number,
+  error: ClassifiedLLMError
+): number | null {
+  const resolved = { ...DEFAULT_RETRY_POLICY, ...policy }
+  if (retryNumber > resolved.maxRetries || !resolved.retryOn.includes(error.code)) {
+    return null
+  }
+  if (error.retryAfterMs !== undefined && error.retryAfterMs > resolved.maxDelayMs) {
+    return null
+  }
+
+  const backoff = Math.min(
+    resolved.maxDelayMs,
+    resolved.initialDelayMs * resolved.backoffMultiplier ** (retryNumber - 1)
+  )
+  const delay = resolved.jitter ? Math.random() * backoff : backoff
+
+  return Math.round(Math.max(delay, error.retryAfterMs ?? 0))
+}
+
+/**
+ * Read a retry delay from response headers
+ * Supports retry-after-ms, and retry-after as seconds or an HTTP date.
+ */
+export function parseRetryAfterMs(headers: unknown): number | undefined {
+  const read = (name: string): string | undefined => {
+    if (!headers || typeof headers !== 'object') return undefined
+    if (typeof (headers as Headers).get === 'function') return (headers as Headers).get(name) ?? undefined
+    const value = (headers as Record<string, unknown>)[name]
+    return typeof value === 'string' ? value : undefined
+  }
+
+  const milliseconds = Number(read('retry-after-ms'))
+  if (read('retry-after-ms') && Number.isFinite(milliseconds)) {
+    return Math.max(0, milliseconds)
+  }
+
+  const retryAfter = read('retry-after')
+  if (!retryAfter) return undefined
+
+  const seconds = Number(retryAfter)
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000)
+  }
+
+  const date = Date.parse(retryAfter)
+  return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now())
+}
+
+function isClientError(status?: number): boolean {
+  return status !== undefined && status >= 400 && status < 500
+}
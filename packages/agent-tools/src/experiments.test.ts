@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import type { AgentTaskConfig } from './tasks'
+import { ExperimentTracker } from './experiments'
+import type { Experiment } from './experiments'
+import { LLMResponseCache } from './cache'
+import { InMemoryKVStore } from './kv'
+import type { LLMClient, LLMCompletionRequest } from './llm'
+
+const request = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: 'user-1',
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+// Every unit lands in the variant, which runs on a different model
+const modelExperiment: Experiment = {
+  id: 'intent-model',
+  variants: [
+    { id: 'control', weight: 0 },
+    { id: 'gpt-4o', modelConfig: { model: 'gpt-4o' } }
+  ]
+}
+
+function createIntentClient(): LLMClient & { requests: LLMCompletionRequest[] } {
+  const requests: LLMCompletionRequest[] = []
+  return {
+    provider: 'openai',
+    requests,
+    async complete(completionRequest) {
+      requests.push(completionRequest)
+      return {
+        content: null,
+        toolCalls: [{
+          id: 'call-1',
+          name: 'analyze_intent',
+          arguments: JSON.stringify({ analysis: 'a', conclusion: 'c', confidence: 0.8, inferred_assets: 1 })
+        }],
+        usage: { inputTokens: 1000, outputTokens: 100, totalTokens: 1100 }
+      }
+    }
+  }
+}
+
+describe('AgentTaskExecutor experiments', () => {
+  it('runs and reports a model variant on its own model', async () => {
+    const client = createIntentClient()
+    const executor = new AgentTaskExecutor(client)
+    const config: AgentTaskConfig<any> = { ...AgentTaskConfigs.INTENT_ANALYSIS, experiment: modelExperiment }
+
+    expect(executor.resolveModel(config)).toBe('gpt-4o-mini')
+    expect(executor.resolveModel(config, request)).toBe('gpt-4o')
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, config)
+    expect(result.experiment).toEqual({ experimentId: 'intent-model', variantId: 'gpt-4o' })
+    expect(client.requests[0].model).toBe('gpt-4o')
+    expect(result.usage?.model).toBe('gpt-4o')
+  })
+
+  it('records no outcome for runs served from the response cache', async () => {
+    const experiments = new ExperimentTracker(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const executor = new AgentTaskExecutor(createIntentClient(), {
+      experiments,
+      cache: new LLMResponseCache(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    })
+    const config: AgentTaskConfig<any> = { ...AgentTaskConfigs.INTENT_ANALYSIS, experiment: modelExperiment, cache: {} }
+
+    const first = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, config)
+    const cached = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, config)
+    expect(first.cacheHits).toBeUndefined()
+    expect(cached.cacheHits).toBe(1)
+
+    const stats = await experiments.getVariantStats('intent-model', 'gpt-4o')
+    expect(stats).toMatchObject({ assignments: 1, outcomes: 1, successes: 1 })
+    expect(stats.costUsd.count).toBe(1)
+  })
+})
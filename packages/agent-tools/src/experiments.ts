@@ -0,0 +1,388 @@
+/**
+ * @growthub/agent-tools/experiments
+ * Prompt and Model Experiments
+ *
+ * Splits a task's traffic between variants that override its system prompt, prompt
+ * template or model settings. Assignment hashes the user (or thread), so a unit keeps
+ * its variant across runs and processes. Outcomes are aggregated per variant in KVStore,
+ * and summaries test each variant against the control.
+ */
+
+import { createHash } from 'node:crypto'
+import { InMemoryKVStore, updateKvValue } from './kv'
+import type { KVStore } from './kv'
+import type { AgentTaskConfig } from './tasks'
+import type { PromptReference } from './prompts'
+
+export interface ExperimentVariant {
+  id: string
+  // Relative share of units (default 1); 0 stops new assignments without moving anyone else
+  weight?: number
+  systemPrompt?: string
+  prompt?: PromptReference
+  // Merged over the task's own modelConfig
+  modelConfig?: AgentTaskConfig['modelConfig']
+}
+
+export interface Experiment {
+  id: string
+  // Unit that keeps its variant across runs
+  assignBy?: 'userId' | 'threadId'
+  // The first variant is the control the others are compared against
+  variants: ExperimentVariant[]
+}
+
+// Recorded on AgentTaskResult.experiment
+export interface ExperimentAssignment {
+  experimentId: string
+  variantId: string
+}
+
+export interface ExperimentOutcome {
+  success: boolean
+  confidence?: number
+  costUsd?: number
+  rating?: number
+}
+
+export interface MetricTotals {
+  count: number
+  sum: number
+  sumSquares: number
+}
+
+// Stored per variant; totals are enough for the significance tests
+export interface VariantStats {
+  // Distinct units assigned
+  assignments: number
+  outcomes: number
+  successes: number
+  confidence: MetricTotals
+  costUsd: MetricTotals
+  rating: MetricTotals
+}
+
+export type ExperimentMetric = 'successRate' | 'confidence' | 'costUsd' | 'rating'
+
+export interface MetricSummary {
+  count: number
+  mean: number
+  stdDev: number
+}
+
+export interface VariantSummary {
+  variantId: string
+  assignments: number
+  outcomes: number
+  successRate?: number
+  confidence?: MetricSummary
+  costUsd?: MetricSummary
+  rating?: MetricSummary
+}
+
+export interface VariantComparison {
+  variantId: string
+  metric: ExperimentMetric
+  control: number
+  value: number
+  // value - control
+  difference: number
+  // Two-sided; undefined until both sides have enough data
+  pValue?: number
+  significant: boolean
+}
+
+export interface ExperimentSummary {
+  experimentId: string
+  controlVariantId: string
+  variants: VariantSummary[]
+  comparisons: VariantComparison[]
+}
+
+export interface ExperimentTrackerOptions {
+  keyPrefix?: string
+  // How long a unit's assignment record is kept (stats are kept without expiry)
+  assignmentTtlSeconds?: number
+}
+
+// Default Configuration
+export const DEFAULT_EXPERIMENT_ASSIGNMENT_TTL_SECONDS = 90 * 24 * 60 * 60 // 90 days
+export const DEFAULT_SIGNIFICANCE_LEVEL = 0.05
+
+/**
+ * Pick a unit's variant
+ * The same experiment and unit always land on the same variant while weights are unchanged.
+ */
+export function assignExperimentVariant(experiment: Experiment, unitId: string): ExperimentVariant {
+  validateExperiment(experiment)
+
+  const totalWeight = experiment.variants.reduce((sum, variant) => sum + (variant.weight ?? 1), 0)
+  const hash = createHash('sha256').update(`${experiment.id}:${unitId}`).digest()
+  let point = (hash.readUInt32BE(0) / 0x100000000) * totalWeight
+
+  for (const variant of experiment.variants) {
+    point -= variant.weight ?? 1
+    if (point < 0) return variant
+  }
+  // Rounding can leave the point on the upper edge
+  return [...experiment.variants].reverse().find(variant => (variant.weight ?? 1) > 0)!
+}
+
+/**
+ * Task config with a variant's overrides applied
+ */
+export function applyExperimentVariant<TResult>(
+  config: AgentTaskConfig<TResult>,
+  variant: ExperimentVariant
+): AgentTaskConfig<TResult> {
+  return {
+    ...config,
+    ...(variant.systemPrompt !== undefined && { systemPrompt: variant.systemPrompt }),
+    ...(variant.prompt && { prompt: variant.prompt }),
+    ...(variant.modelConfig && { modelConfig: { ...config.modelConfig, ...variant.modelConfig } })
+  }
+}
+
+/**
+ * Throw when an experiment cannot assign anyone
+ */
+export function validateExperiment(experiment: Experiment): void {
+  const ids = experiment.variants.map(variant => variant.id)
+  if (ids.length === 0) {
+    throw new Error(`Experiment ${experiment.id} has no variants`)
+  }
+  if (new Set(ids).size !== ids.length) {
+    throw new Error(`Experiment ${experiment.id} has duplicate variant ids`)
+  }
+  if (experiment.variants.some(variant => (variant.weight ?? 1) < 0)) {
+    throw new Error(`Experiment ${experiment.id} has a negative variant weight`)
+  }
+  if (!experiment.variants.some(variant => (variant.weight ?? 1) > 0)) {
+    throw new Error(`Experiment ${experiment.id} has no variant with a positive weight`)
+  }
+}
+
+/**
+ * Experiment Tracker Class
+ * Aggregates assignments and outcomes per variant and summarizes them
+ */
+export class ExperimentTracker {
+  private kv: KVStore
+  private keyPrefix: string
+  private assignmentTtlSeconds: number
+
+  constructor(kvStore?: KVStore, options: ExperimentTrackerOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.keyPrefix = options.keyPrefix || 'experiment'
+    this.assignmentTtlSeconds = options.assignmentTtlSeconds || DEFAULT_EXPERIMENT_ASSIGNMENT_TTL_SECONDS
+
+    // Evicted counters or assignments would skew the variant statistics
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Record that a unit saw its variant; only a unit's first run counts
+   */
+  async recordAssignment(assignment: ExperimentAssignment, unitId: string): Promise<void> {
+    const record = { variantId: assignment.variantId, assignedAt: new Date().toISOString() }
+    const key = `${this.keyPrefix}:${assignment.experimentId}:unit:${unitId}`
+    if (await this.kv.set(key, record, { ttl: this.assignmentTtlSeconds, condition: 'nx' })) {
+      await this.updateStats(assignment, stats => { stats.assignments++ })
+    }
+  }
+
+  async recordOutcome(assignment: ExperimentAssignment, outcome: ExperimentOutcome): Promise<void> {
+    await this.updateStats(assignment, stats => {
+      stats.outcomes++
+      if (outcome.success) stats.successes++
+      addMetric(stats.confidence, outcome.confidence)
+      addMetric(stats.costUsd, outcome.costUsd)
+      addMetric(stats.rating, outcome.rating)
+    })
+  }
+
+  /**
+   * Record a user's rating of a result, usually well after the task finished
+   */
+  async recordRating(assignment: ExperimentAssignment, rating: number): Promise<void> {
+    await this.updateStats(assignment, stats => addMetric(stats.rating, rating))
+  }
+
+  async getVariantStats(experimentId: string, variantId: string): Promise<VariantStats> {
+    return (await this.kv.get(this.makeStatsKey(experimentId, variantId))) || createVariantStats()
+  }
+
+  /**
+   * Per-variant metrics, each variant compared with the control
+   * Success rates use a two-proportion z-test; confidence, cost and rating use Welch's t-test.
+   */
+  async summarize(experiment: Experiment, options: { alpha?: number } = {}): Promise<ExperimentSummary> {
+    validateExperiment(experiment)
+    const alpha = options.alpha ?? DEFAULT_SIGNIFICANCE_LEVEL
+    const stats = await Promise.all(experiment.variants.map(variant => this.getVariantStats(experiment.id, variant.id)))
+    const [control] = stats
+
+    const variants = experiment.variants.map((variant, i): VariantSummary => ({
+      variantId: variant.id,
+      assignments: stats[i].assignments,
+      outcomes: stats[i].outcomes,
+      ...(stats[i].outcomes > 0 && { successRate: stats[i].successes / stats[i].outcomes }),
+      ...summarizeMetric('confidence', stats[i].confidence),
+      ...summarizeMetric('costUsd', stats[i].costUsd),
+      ...summarizeMetric('rating', stats[i].rating)
+    }))
+
+    const comparisons = experiment.variants.slice(1).flatMap((variant, i) => {
+      const treatment = stats[i + 1]
+      const results: VariantComparison[] = []
+
+      if (control.outcomes > 0 && treatment.outcomes > 0) {
+        const test = twoProportionTest(control.successes, control.outcomes, treatment.successes, treatment.outcomes)
+        results.push(toComparison(variant.id, 'successRate', test, alpha))
+      }
+      for (const metric of ['confidence', 'costUsd', 'rating'] as const) {
+        if (control[metric].count === 0 || treatment[metric].count === 0) continue
+        results.push(toComparison(variant.id, metric, welchTest(control[metric], treatment[metric]), alpha))
+      }
+      return results
+    })
+
+    return { experimentId: experiment.id, controlVariantId: experiment.variants[0].id, variants, comparisons }
+  }
+
+  private async updateStats(assignment: ExperimentAssignment, update: (stats: VariantStats) => void): Promise<void> {
+    await updateKvValue<VariantStats>(
+      this.kv,
+      this.makeStatsKey(assignment.experimentId, assignment.variantId),
+      current => {
+        const stats = current || createVariantStats()
+        update(stats)
+        return stats
+      }
+    )
+  }
+
+  private makeStatsKey(experimentId: string, variantId: string): string {
+    return `${this.keyPrefix}:${experimentId}:stats:${variantId}`
+  }
+}
+
+interface TestResult {
+  control: number
+  value: number
+  pValue?: number
+}
+
+function createVariantStats(): VariantStats {
+  const totals = () => ({ count: 0, sum: 0, sumSquares: 0 })
+  return { assignments: 0, outcomes: 0, successes: 0, confidence: totals(), costUsd: totals(), rating: totals() }
+}
+
+function addMetric(totals: MetricTotals, value: number | undefined): void {
+  if (typeof value !== 'number' || !Number.isFinite(value)) return
+  totals.count++
+  totals.sum += value
+  totals.sumSquares += value * value
+}
+
+function summarizeMetric(metric: 'confidence' | 'costUsd' | 'rating', totals: MetricTotals): Partial<VariantSummary> {
+  if (totals.count === 0) return {}
+  return { [metric]: { count: totals.count, mean: totals.sum / totals.count, stdDev: Math.sqrt(sampleVariance(totals)) } }
+}
+
+function toComparison(variantId: string, metric: ExperimentMetric, test: TestResult, alpha: number): VariantComparison {
+  return {
+    variantId,
+    metric,
+    control: test.control,
+    value: test.value,
+    difference: test.value - test.control,
+    ...(test.pValue !== undefined && { pValue: test.pValue }),
+    significant: test.pValue !== undefined && test.pValue < alpha
+  }
+}
+
+function sampleVariance(totals: MetricTotals): number {
+  if (totals.count < 2) return 0
+  const mean = totals.sum / totals.count
+  // Clamped: rounding can push a zero variance slightly negative
+  return Math.max(0, (totals.sumSquares - totals.count * mean * mean) / (totals.count - 1))
+}
+
+/**
+ * Pooled two-proportion z-test
+ */
+function twoProportionTest(successes1: number, n1: number, successes2: number, n2: number): TestResult {
+  const [p1, p2] = [successes1 / n1, successes2 / n2]
+  const pooled = (successes1 + successes2) / (n1 + n2)
+  const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / n1 + 1 / n2))
+  if (standardError === 0) return { control: p1, value: p2 }
+
+  const z = (p2 - p1) / standardError
+  return { control: p1, value: p2, pValue: 2 * (1 - normalCdf(Math.abs(z))) }
+}
+
+/**
+ * Welch's unequal-variance t-test on running totals
+ */
+function welchTest(a: MetricTotals, b: MetricTotals): TestResult {
+  const [meanA, meanB] = [a.sum / a.count, b.sum / b.count]
+  if (a.count < 2 || b.count < 2) return { control: meanA, value: meanB }
+
+  const [errorA, errorB] = [sampleVariance(a) / a.count, sampleVariance(b) / b.count]
+  const standardError = Math.sqrt(errorA + errorB)
+  if (standardError === 0) return { control: meanA, value: meanB }
+
+  const t = (meanB - meanA) / standardError
+  const df = (errorA + errorB) ** 2 / (errorA ** 2 / (a.count - 1) + errorB ** 2 / (b.count - 1))
+  return { control: meanA, value: meanB, pValue: regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5) }
+}
+
+// Abramowitz & Stegun 7.1.26 (error below 1.5e-7)
+function normalCdf(x: number): number {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2)
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))))
+  const erf = 1 - poly * Math.exp(-(x * x) / 2)
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2
+}
+
+// Lanczos approximation
+function logGamma(x: number): number {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5]
+  let y = x
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5)
+  const series = coefficients.reduce((sum, c) => sum + c / ++y, 1.000000000190015)
+  return -tmp + Math.log(2.5066282746310005 * series / x)
+}
+
+// I_x(a, b) by continued fraction (Numerical Recipes betacf)
+function regularizedIncompleteBeta(x: number, a: number, b: number): number {
+  if (x <= 0) return 0
+  if (x >= 1) return 1
+
+  // The continued fraction converges quickly only below this point
+  if (x > (a + 1) / (a + b + 2)) return 1 - regularizedIncompleteBeta(1 - x, b, a)
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x))
+
+  const tiny = 1e-30
+  let c = 1
+  let d = 1 - (a + b) * x / (a + 1)
+  d = 1 / (Math.abs(d) < tiny ? tiny : d)
+  let result = d
+
+  for (let m = 1; m <= 200; m++) {
+    for (const numerator of [
+      m * (b - m) * x / ((a + 2 * m - 1) * (a + 2 * m)),
+      -(a + m) * (a + b + m) * x / ((a + 2 * m) * (a + 2 * m + 1))
+    ]) {
+      d = 1 + numerator * d
+      d = 1 / (Math.abs(d) < tiny ? tiny : d)
+      c = 1 + numerator / c
+      if (Math.abs(c) < tiny) c = tiny
+      result *= d * c
+    }
+    if (Math.abs(d * c - 1) < 1e-12) break
+  }
+
+  return front * result / a
+}
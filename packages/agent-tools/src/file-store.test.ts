@@ -0,0 +1,140 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises'
+import type { FileHandle } from 'node:fs/promises'
+import { tmpdir } from 'node:os'
+import { join } from 'node:path'
+import { FileKVStore, FileKVStoreLockedError } from './file-store'
+
+describe('FileKVStore', () => {
+  let directory: string
+  let filePath: string
+  let stores: FileKVStore[]
+
+  const openStore = (options: { compactionThreshold?: number } = {}) => {
+    const store = new FileKVStore({ filePath, ...options })
+    stores.push(store)
+    return store
+  }
+
+  const readLog = async () => (await readFile(filePath, 'utf8')).split('\n').filter(Boolean).map(line => JSON.parse(line))
+
+  beforeEach(async () => {
+    directory = await mkdtemp(join(tmpdir(), 'file-kv-'))
+    filePath = join(directory, 'locks.log')
+    stores = []
+  })
+
+  afterEach(async () => {
+    vi.useRealTimers()
+    await Promise.all(stores.map(store => store.close()))
+    await rm(directory, { recursive: true, force: true })
+  })
+
+  it('replays the log into a new store', async () => {
+    const first = openStore()
+    await first.set('a', { n: 1 })
+    await first.set('b', 'two')
+    await first.delete('b')
+    const before = await first.getWithVersion('a')
+    await first.close()
+
+    const second = openStore()
+    expect(await second.get('a')).toEqual({ n: 1 })
+    expect(await second.get('b')).toBeNull()
+    // Versions survive the restart and keep increasing
+    expect(await second.getWithVersion('a')).toEqual(before)
+    await second.set('a', { n: 2 })
+    expect(Number((await second.getWithVersion('a'))!.version)).toBeGreaterThan(Number(before!.version))
+  })
+
+  it('honours nx and xx conditions', async () => {
+    const store = openStore()
+
+    expect(await store.set('k', 1, { condition: 'xx' })).toBe(false)
+    expect(await store.set('k', 1, { condition: 'nx' })).toBe(true)
+    expect(await store.set('k', 2, { condition: 'nx' })).toBe(false)
+    expect(await store.set('k', 3, { condition: 'xx' })).toBe(true)
+    expect(await store.get('k')).toBe(3)
+  })
+
+  it('expires keys by TTL and drops them on compaction', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const store = openStore()
+    await store.set('short', 'x', { ttl: 10 })
+    await store.set('long', 'y', { ttl: 100 })
+
+    vi.setSystemTime(Date.now() + 20_000)
+    expect(await store.get('short')).toBeNull()
+    expect(await store.scan('')).toEqual(['long'])
+    // An expired key counts as absent for nx
+    expect(await store.set('short', 'z', { condition: 'nx' })).toBe(true)
+    await store.delete('short')
+
+    await store.compact()
+    expect((await readLog()).map(record => record.key)).toEqual(['long'])
+  })
+
+  it('compacts the log into a snapshot after the threshold', async () => {
+    const store = openStore({ compactionThreshold: 5 })
+    for (let i = 0; i < 4; i++) {
+      await store.set('counter', i)
+    }
+    expect(await readLog()).toHaveLength(4)
+
+    await store.set('other', 'x')
+    expect((await readLog()).map(record => [record.key, record.value])).toEqual([['counter', 3], ['other', 'x']])
+    await store.close()
+
+    expect(await openStore().get('counter')).toBe(3)
+  })
+
+  it('rewrites a log whose last record was torn by a crash', async () => {
+    await writeFile(filePath, JSON.stringify({ op: 'set', key: 'kept', value: 1, version: 1 }) + '\n{"op":"set","key":"torn","va')
+
+    const store = openStore()
+    expect(await store.get('kept')).toBe(1)
+    expect(await store.get('torn')).toBeNull()
+
+    // The torn bytes are gone, so the next append starts on a clean line
+    await store.set('next', 2)
+    expect((await readLog()).map(record => record.key)).toEqual(['kept', 'next'])
+  })
+
+  it('does not leave a partial record mid-log when an append fails', async () => {
+    const store = openStore()
+    await store.set('a', 1)
+
+    const handle: FileHandle = (store as any).handle
+    vi.spyOn(handle, 'appendFile').mockImplementationOnce(async data => {
+      await handle.write(String(data).slice(0, 10))
+      throw Object.assign(new Error('no space left on device'), { code: 'ENOSPC' })
+    })
+
+    await expect(store.set('b', 2)).rejects.toThrow('no space left on device')
+    expect(await store.get('b')).toBeNull()
+
+    await store.set('c', 3)
+    expect((await readLog()).map(record => record.key)).toEqual(['a', 'c'])
+  })
+
+  it('refuses a second store on the same log', async () => {
+    const first = openStore()
+    await first.set('a', 1)
+
+    const second = new FileKVStore({ filePath })
+    await expect(second.get('a')).rejects.toBeInstanceOf(FileKVStoreLockedError)
+    await expect(second.set('a', 2)).rejects.toMatchObject({ code: 'FILE_STORE_LOCKED', ownerPid: process.pid })
+
+    await first.close()
+    expect(await openStore().get('a')).toBe(1)
+  })
+
+  it('takes over a lockfile left by a process that has exited', async () => {
+    // Pids are capped well below this on Linux and macOS, so no process owns it
+    await writeFile(`${filePath}.lock`, '99999999')
+
+    const store = openStore()
+    await store.set('a', 1)
+    expect(await readFile(`${filePath}.lock`, 'utf8')).toBe(String(process.pid))
+  })
+})
@@ -0,0 +1,402 @@
+/**
+ * @growthub/agent-tools/file-store
+ * File-backed Persistent KV Store
+ *
+ * Durable KVStore for single-node deployments. Every mutation is appended to a
+ * JSON-lines log that is replayed on startup, so KV locks survive process restarts.
+ * The log is periodically compacted into a snapshot of live keys. A lockfile next to
+ * the log keeps a second store, in this or another process, from opening it.
+ */
+
+import { mkdir, open, readFile, rename, rm } from 'node:fs/promises'
+import type { FileHandle } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { kvValuesEqual, parseKvCounter } from './kv'
+import type { KVStore, VersionedKVValue } from './kv'
+
+// File Store Configuration
+export interface FileKVStoreOptions {
+  filePath: string
+  compactionThreshold?: number
+  syncOnWrite?: boolean
+}
+
+type LogRecord =
+  | { op: 'set'; key: string; value: any; expiresAt?: number; version?: number }
+  | { op: 'delete'; key: string }
+
+type Entry = { value: any; expiresAt?: number; version: number }
+
+// Default Configuration
+export const DEFAULT_COMPACTION_THRESHOLD = 1000
+
+/**
+ * Thrown when another live store holds the log's lockfile
+ */
+export class FileKVStoreLockedError extends Error {
+  readonly code = 'FILE_STORE_LOCKED'
+  readonly lockPath: string
+  readonly ownerPid?: number
+
+  constructor(lockPath: string, ownerPid?: number) {
+    super(`${lockPath} is held by ${ownerPid ? `process ${ownerPid}` : 'another process'}; only one FileKVStore may open a log`)
+    this.name = 'FileKVStoreLockedError'
+    this.lockPath = lockPath
+    this.ownerPid = ownerPid
+  }
+}
+
+/**
+ * File KV Store Class
+ * Append-only log with snapshot compaction. Writes are serialized within the
+ * store, and the `<filePath>.lock` lockfile enforces a single store per log.
+ */
+export class FileKVStore implements KVStore {
+  private store = new Map<string, Entry>()
+  private filePath: string
+  private compactionThreshold: number
+  private syncOnWrite: boolean
+  private handle: FileHandle | null = null
+  private lockHeld = false
+  // Set when an append failed part-way; the next write starts from a fresh snapshot
+  private needsRewrite = false
+  private ready: Promise<void> | null = null
+  private queue: Promise<unknown> = Promise.resolve()
+  private recordsSinceCompaction = 0
+  private version = 0
+
+  constructor(options: FileKVStoreOptions) {
+    this.filePath = options.filePath
+    this.compactionThreshold = options.compactionThreshold || DEFAULT_COMPACTION_THRESHOLD
+    this.syncOnWrite = options.syncOnWrite ?? true
+  }
+
+  async get(key: string): Promise<any> {
+    await this.load()
+    const entry = this.store.get(key)
+    if (!entry || !isLive(entry)) return null
+
+    return entry.value
+  }
+
+  async set(key: string, value: any, options?: { ttl?: number; condition?: 'nx' | 'xx' }): Promise<boolean> {
+    return this.enqueue(async () => {
+      const existing = this.store.get(key)
+      const exists = existing !== undefined && isLive(existing)
+
+      // Handle conditional sets
+      if (options?.condition === 'nx' && exists) {
+        return false // Key exists and not expired
+      }
+      if (options?.condition === 'xx' && !exists) {
+        return false // Key doesn't exist or expired
+      }
+
+      const record: LogRecord = { op: 'set', key, value }
+      if (options?.ttl) {
+        record.expiresAt = Date.now() + (options.ttl * 1000)
+      }
+
+      await this.commit(record)
+      return true
+    })
+  }
+
+  async delete(key: string): Promise<boolean> {
+    return this.enqueue(async () => {
+      const existing = this.store.get(key)
+      if (!existing) return false
+
+      await this.commit({ op: 'delete', key })
+      return isLive(existing)
+    })
+  }
+
+  async compareAndDelete(key: string, expected: any): Promise<boolean> {
+    return this.enqueue(async () => {
+      const existing = this.store.get(key)
+      if (!existing || !isLive(existing) || !kvValuesEqual(existing.value, expected)) return false
+
+      await this.commit({ op: 'delete', key })
+      return true
+    })
+  }
+
+  async compareAndSet(key: string, expected: any, next: any, options?: { ttl?: number }): Promise<boolean> {
+    return this.enqueue(async () => {
+      const existing = this.store.get(key)
+      const current = existing && isLive(existing) ? existing.value : null
+      if (!kvValuesEqual(current, expected)) return false
+
+      const record: LogRecord = { op: 'set', key, value: next }
+      if (options?.ttl) {
+        record.expiresAt = Date.now() + (options.ttl * 1000)
+      }
+
+      await this.commit(record)
+      return true
+    })
+  }
+
+  async incr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    return this.enqueue(async () => {
+      const existing = this.store.get(key)
+      const live = existing !== undefined && isLive(existing)
+      const value = parseKvCounter(key, live ? existing.value : null) + by
+
+      // An existing expiry is kept, so a fixed window is not extended by every increment
+      const record: LogRecord = { op: 'set', key, value }
+      if (live && existing.expiresAt) {
+        record.expiresAt = existing.expiresAt
+      } else if (options?.ttl) {
+        record.expiresAt = Date.now() + (options.ttl * 1000)
+      }
+
+      await this.commit(record)
+      return value
+    })
+  }
+
+  async decr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    return this.incr(key, -by, options)
+  }
+
+  async getWithVersion(key: string): Promise<VersionedKVValue | null> {
+    await this.load()
+    const entry = this.store.get(key)
+    if (!entry || !isLive(entry)) return null
+
+    return { value: entry.value, version: String(entry.version) }
+  }
+
+  async scan(prefix: string): Promise<string[]> {
+    await this.load()
+    return Array.from(this.store.entries())
+      .filter(([key, entry]) => key.startsWith(prefix) && isLive(entry))
+      .map(([key]) => key)
+  }
+
+  /**
+   * Rewrite the log as a snapshot of live keys, dropping expired entries
+   */
+  async compact(): Promise<void> {
+    return this.enqueue(() => this.rewrite())
+  }
+
+  /**
+   * Flush pending writes, close the log file and release the lockfile
+   */
+  async close(): Promise<void> {
+    await this.queue
+    await this.handle?.close()
+    this.handle = null
+
+    if (this.lockHeld) {
+      await rm(this.lockPath(), { force: true })
+      this.lockHeld = false
+    }
+    // Reopening after close replays the log and takes the lock again
+    this.ready = null
+  }
+
+  private load(): Promise<void> {
+    if (!this.ready) {
+      this.ready = this.replay()
+    }
+    return this.ready
+  }
+
+  private enqueue<T>(operation: () => Promise<T>): Promise<T> {
+    const run = this.queue.then(() => this.load()).then(operation)
+    this.queue = run.catch(() => undefined)
+    return run
+  }
+
+  private lockPath(): string {
+    return `${this.filePath}.lock`
+  }
+
+  private async acquireFileLock(): Promise<void> {
+    const lockPath = this.lockPath()
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      try {
+        const lock = await open(lockPath, 'wx')
+        try {
+          await lock.write(String(process.pid))
+          await lock.sync()
+        } finally {
+          await lock.close()
+        }
+        this.lockHeld = true
+        return
+      } catch (error) {
+        if ((error as NodeJS.ErrnoException).code !== 'EEXIST') throw error
+      }
+
+      // A lockfile left by a process that has since died is stale and can be taken over
+      const ownerPid = Number.parseInt(await readFile(lockPath, 'utf8').catch(() => ''), 10)
+      if (Number.isInteger(ownerPid) && isProcessAlive(ownerPid)) {
+        throw new FileKVStoreLockedError(lockPath, ownerPid)
+      }
+      if (attempt === 0) {
+        await rm(lockPath, { force: true })
+      }
+    }
+
+    throw new FileKVStoreLockedError(lockPath)
+  }
+
+  private async replay(): Promise<void> {
+    await mkdir(dirname(this.filePath), { recursive: true })
+    await this.acquireFileLock()
+    this.store.clear()
+    this.recordsSinceCompaction = 0
+    // A leftover temp file means a compaction died before its rename; the log is still authoritative
+    await rm(`${this.filePath}.tmp`, { force: true })
+
+    let contents = ''
+    try {
+      contents = await readFile(this.filePath, 'utf8')
+    } catch (error) {
+      if ((error as NodeJS.ErrnoException).code !== 'ENOENT') throw error
+    }
+
+    const lines = contents.split('\n')
+    lines.forEach((line, index) => {
+      if (!line.trim()) return
+
+      try {
+        this.apply(JSON.parse(line) as LogRecord)
+        this.recordsSinceCompaction++
+      } catch {
+        // An unterminated last line is a write torn by a crash; it was never acknowledged
+        if (index !== lines.length - 1) {
+          console.warn(`Skipping corrupt record at line ${index + 1} of ${this.filePath}`)
+        }
+      }
+    })
+
+    // Appending after a torn write would corrupt the next record, so start from a clean snapshot
+    if (contents.length > 0 && !contents.endsWith('\n')) {
+      await this.rewrite()
+    }
+  }
+
+  private apply(record: LogRecord): void {
+    if (record.op === 'set') {
+      // Versions are persisted so they keep increasing across restarts and compactions
+      const version = record.version ?? this.version + 1
+      this.version = Math.max(this.version, version)
+
+      const entry: Entry = { value: record.value, version }
+      if (record.expiresAt) {
+        entry.expiresAt = record.expiresAt
+      }
+      this.store.set(record.key, entry)
+    } else {
+      this.store.delete(record.key)
+    }
+  }
+
+  private async commit(record: LogRecord): Promise<void> {
+    // A failed append may have left a partial line at the tail; replace the log before appending after it
+    if (this.needsRewrite) {
+      await this.rewrite()
+      this.needsRewrite = false
+    }
+
+    // Write-ahead: the in-memory view only changes once the record is on disk
+    if (record.op === 'set') {
+      record.version = this.version + 1
+    }
+
+    try {
+      const handle = await this.getHandle()
+      // appendFile loops until every byte is written, unlike a single write()
+      await handle.appendFile(JSON.stringify(record) + '\n')
+      if (this.syncOnWrite) {
+        await handle.sync()
+      }
+    } catch (error) {
+      this.needsRewrite = true
+      await this.handle?.close().catch(() => undefined)
+      this.handle = null
+      throw error
+    }
+    this.apply(record)
+
+    if (++this.recordsSinceCompaction >= this.compactionThreshold) {
+      try {
+        await this.rewrite()
+      } catch (error) {
+        console.error(`Error compacting KV log ${this.filePath}`, error)
+      }
+    }
+  }
+
+  private async rewrite(): Promise<void> {
+    const tmpPath = `${this.filePath}.tmp`
+    let snapshot = ''
+
+    for (const [key, entry] of this.store) {
+      if (!isLive(entry)) {
+        this.store.delete(key)
+        continue
+      }
+      snapshot += JSON.stringify({ op: 'set', key, value: entry.value, expiresAt: entry.expiresAt, version: entry.version }) + '\n'
+    }
+
+    const tmp = await open(tmpPath, 'w')
+    try {
+      await tmp.write(snapshot)
+      await tmp.sync()
+    } finally {
+      await tmp.close()
+    }
+
+    await this.handle?.close()
+    this.handle = null
+    await rename(tmpPath, this.filePath)
+    // The rename is only durable once the directory entry is flushed
+    await syncDirectory(dirname(this.filePath))
+    this.recordsSinceCompaction = 0
+  }
+
+  private async getHandle(): Promise<FileHandle> {
+    if (!this.handle) {
+      this.handle = await open(this.filePath, 'a')
+      // Flush the directory in case the open created the log
+      await syncDirectory(dirname(this.filePath))
+    }
+    return this.handle
+  }
+}
+
+function isLive(entry: Entry): boolean {
+  return !entry.expiresAt || Date.now() < entry.expiresAt
+}
+
+function isProcessAlive(pid: number): boolean {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (error) {
+    // EPERM means the process exists but belongs to another user
+    return (error as NodeJS.ErrnoException).code === 'EPERM'
+  }
+}
+
+async function syncDirectory(path: string): Promise<void> {
+  let directory: FileHandle | undefined
+  try {
+    directory = await open(path, 'r')
+    await directory.sync()
+  } catch (error) {
+    // Some platforms (Windows) cannot open or fsync a directory
+    const code = (error as NodeJS.ErrnoException).code
+    if (code !== 'EISDIR' && code !== 'EPERM' && code !== 'EINVAL') throw error
+  } finally {
+    await directory?.close()
+  }
+}
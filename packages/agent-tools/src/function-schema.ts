@@ -0,0 +1,216 @@
+/**
+ * @growthub/agent-tools/function-schema
+ * Zod-first Function Definitions
+ *
+ * Generates strict-mode-compatible function definitions from Zod schemas and
+ * parses tool-call arguments back through the same schema, so the JSON sent to
+ * the model and the types read by our code cannot drift apart.
+ */
+
+import { z } from 'zod'
+import type { AgentTaskFunction } from './tasks'
+import type { JsonSchemaIssue } from './json-schema'
+
+/**
+ * Build a strict function definition whose parameters are generated from a Zod object schema
+ */
+export function createFunctionDefinition(
+  name: string,
+  description: string,
+  schema: z.ZodObject<z.ZodRawShape>
+): AgentTaskFunction {
+  return {
+    name,
+    description,
+    parameters: zodToFunctionParameters(schema),
+    strict: true
+  }
+}
+
+/**
+ * Convert a Zod object schema to strict-mode JSON Schema parameters
+ * Strict mode requires every property to be listed in `required` and forbids extra
+ * properties, so optional fields are emitted as nullable instead. Length, range and
+ * refinement checks stay in Zod and are enforced when the arguments are parsed.
+ */
+export function zodToFunctionParameters(schema: z.ZodObject<z.ZodRawShape>): AgentTaskFunction['parameters'] {
+  const parameters = zodToJsonSchema(schema)
+  return {
+    ...parameters,
+    type: 'object',
+    properties: parameters.properties,
+    required: parameters.required
+  }
+}
+
+/**
+ * Convert a Zod schema to strict-mode-compatible JSON Schema
+ */
+export function zodToJsonSchema(schema: z.ZodTypeAny): Record<string, any> {
+  const json = convert(schema)
+  return schema.description && !json.description ? { ...json, description: schema.description } : json
+}
+
+/**
+ * JSON Schema for arguments from providers that ignore `strict`
+ * Strict mode lists every property as required and makes optional ones nullable; an
+ * unconstrained model may simply omit those, so nullable properties are not required.
+ */
+export function relaxStrictParameters(schema: Record<string, any>): Record<string, any> {
+  if (!schema || typeof schema !== 'object') return schema
+
+  const relaxed: Record<string, any> = { ...schema }
+  if (schema.properties) {
+    relaxed.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, property]) => [key, relaxStrictParameters(property as Record<string, any>)])
+    )
+  }
+  if (Array.isArray(schema.required) && schema.properties) {
+    relaxed.required = schema.required.filter((key: string) => !acceptsNull(schema.properties[key]))
+  }
+  if (schema.items) {
+    relaxed.items = relaxStrictParameters(schema.items)
+  }
+  if (Array.isArray(schema.anyOf)) {
+    relaxed.anyOf = schema.anyOf.map(relaxStrictParameters)
+  }
+  return relaxed
+}
+
+/**
+ * Parse tool-call arguments through the schema they were generated from
+ * Nulls the model sent for optional fields are dropped first, so defaults and `undefined` apply.
+ */
+export function parseFunctionArguments<T>(
+  schema: z.ZodType<T>,
+  value: unknown
+): { success: true; data: T } | { success: false; issues: JsonSchemaIssue[] } {
+  const parsed = schema.safeParse(stripStrictNulls(schema, value))
+  if (parsed.success) {
+    return { success: true, data: parsed.data }
+  }
+
+  return {
+    success: false,
+    issues: parsed.error.issues.map(issue => ({ path: formatIssuePath(issue.path), message: issue.message }))
+  }
+}
+
+function convert(schema: z.ZodTypeAny): Record<string, any> {
+  const described = (json: Record<string, any>) =>
+    schema.description ? { ...json, description: schema.description } : json
+
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    return described(withNull(zodToJsonSchema(schema.unwrap())))
+  }
+  if (schema instanceof z.ZodDefault) {
+    return described(withNull(zodToJsonSchema(schema.removeDefault())))
+  }
+  if (schema instanceof z.ZodEffects) {
+    return described(zodToJsonSchema(schema.innerType()))
+  }
+
+  if (schema instanceof z.ZodObject) {
+    const shape: Record<string, z.ZodTypeAny> = schema.shape
+    return described({
+      type: 'object',
+      properties: Object.fromEntries(Object.entries(shape).map(([key, field]) => [key, zodToJsonSchema(field)])),
+      required: Object.keys(shape),
+      additionalProperties: false
+    })
+  }
+  if (schema instanceof z.ZodArray) {
+    return described({ type: 'array', items: zodToJsonSchema(schema.element) })
+  }
+  if (schema instanceof z.ZodString) {
+    return described({ type: 'string' })
+  }
+  if (schema instanceof z.ZodNumber) {
+    return described({ type: schema.isInt ? 'integer' : 'number' })
+  }
+  if (schema instanceof z.ZodBoolean) {
+    return described({ type: 'boolean' })
+  }
+  if (schema instanceof z.ZodNull) {
+    return described({ type: 'null' })
+  }
+  if (schema instanceof z.ZodEnum) {
+    return described({ type: 'string', enum: [...schema.options] })
+  }
+  if (schema instanceof z.ZodNativeEnum) {
+    // Numeric native enums carry reverse mappings; keep only the values
+    const values = Object.entries(schema.enum)
+      .filter(([key]) => !/^\d+$/.test(key))
+      .map(([, value]) => value)
+    return described({ type: typeof values[0] === 'number' ? 'number' : 'string', enum: values })
+  }
+  if (schema instanceof z.ZodLiteral) {
+    return described({ type: typeof schema.value, enum: [schema.value] })
+  }
+  if (schema instanceof z.ZodUnion || schema instanceof z.ZodDiscriminatedUnion) {
+    const options: z.ZodTypeAny[] = Array.from(schema.options)
+    return described({ anyOf: options.map(option => zodToJsonSchema(option)) })
+  }
+
+  throw new Error(`Unsupported Zod type ${schema._def.typeName} in function schema`)
+}
+
+function withNull(json: Record<string, any>): Record<string, any> {
+  if (json.anyOf) {
+    return json.anyOf.some((option: any) => option.type === 'null')
+      ? json
+      : { ...json, anyOf: [...json.anyOf, { type: 'null' }] }
+  }
+
+  const types: string[] = Array.isArray(json.type) ? json.type : [json.type]
+  return {
+    ...json,
+    type: types.includes('null') ? types : [...types, 'null'],
+    ...(json.enum && !json.enum.includes(null) && { enum: [...json.enum, null] })
+  }
+}
+
+function acceptsNull(schema: Record<string, any> | undefined): boolean {
+  if (!schema) return false
+  if (Array.isArray(schema.anyOf)) return schema.anyOf.some(acceptsNull)
+  return Array.isArray(schema.type) ? schema.type.includes('null') : schema.type === 'null'
+}
+
+function stripStrictNulls(schema: z.ZodTypeAny, value: unknown): unknown {
+  if (schema instanceof z.ZodOptional || schema instanceof z.ZodNullable) {
+    return value === null || value === undefined ? value : stripStrictNulls(schema.unwrap(), value)
+  }
+  if (schema instanceof z.ZodDefault) {
+    return value === null || value === undefined ? value : stripStrictNulls(schema.removeDefault(), value)
+  }
+  if (schema instanceof z.ZodEffects) {
+    return stripStrictNulls(schema.innerType(), value)
+  }
+
+  if (schema instanceof z.ZodObject && typeof value === 'object' && value !== null && !Array.isArray(value)) {
+    const shape: Record<string, z.ZodTypeAny> = schema.shape
+    const result: Record<string, unknown> = {}
+
+    for (const [key, fieldValue] of Object.entries(value)) {
+      const field = shape[key]
+      // A null for a field that only accepts undefined is strict mode's way of omitting it
+      if (fieldValue === null && field && !field.safeParse(null).success && field.safeParse(undefined).success) {
+        continue
+      }
+      result[key] = field ? stripStrictNulls(field, fieldValue) : fieldValue
+    }
+    return result
+  }
+  if (schema instanceof z.ZodArray && Array.isArray(value)) {
+    return value.map(item => stripStrictNulls(schema.element, item))
+  }
+
+  return value
+}
+
+function formatIssuePath(path: Array<string | number>): string {
+  return path.reduce<string>(
+    (formatted, segment) => typeof segment === 'number' ? `${formatted}[${segment}]` : `${formatted}.${segment}`,
+    '$'
+  )
+}
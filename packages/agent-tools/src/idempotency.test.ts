@@ -0,0 +1,156 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore, KVLockManager } from './kv'
+import { IdempotencyStore, createIdempotencyFingerprint, matchesIdempotencyFingerprint } from './idempotency'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { AgentCoordinationManager } from './coordination'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+import type { LLMCompletionResponse } from './llm'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+
+const intent = toolCallResponse('analyze_intent', {
+  analysis: 'Two social posts for a product launch',
+  conclusion: 'social_posts',
+  confidence: 0.9,
+  inferred_assets: 2
+})
+
+describe('IdempotencyStore', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('hands the first caller the claim and later callers its record', async () => {
+    const store = new IdempotencyStore(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+
+    const claim = await store.begin('user-1', 'key-1', 'fp')
+    expect(claim.started).toBe(true)
+
+    const duplicate = await store.begin('user-1', 'key-1', 'fp')
+    expect(duplicate).toMatchObject({ started: false, record: { status: 'in_progress', fingerprint: 'fp' } })
+
+    // Keys are scoped per user
+    expect((await store.begin('user-2', 'key-1')).started).toBe(true)
+  })
+
+  it('stores the result for replay once the owner completes', async () => {
+    const store = new IdempotencyStore(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const claim = await store.begin('user-1', 'key-1')
+    if (!claim.started) throw new Error('expected a claim')
+
+    expect(await store.complete('user-1', 'key-1', 'someone-else', { value: 0 })).toBe(false)
+    expect(await store.complete('user-1', 'key-1', claim.ownerId, { value: 42 })).toBe(true)
+
+    expect(await store.begin('user-1', 'key-1')).toMatchObject({ started: false, record: { status: 'completed', result: { value: 42 } } })
+    // A completed record cannot be failed or completed again
+    expect(await store.fail('user-1', 'key-1', claim.ownerId)).toBe(false)
+    expect(await store.complete('user-1', 'key-1', claim.ownerId, { value: 7 })).toBe(false)
+  })
+
+  it('frees the key when the owner fails', async () => {
+    const store = new IdempotencyStore(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const claim = await store.begin('user-1', 'key-1')
+    if (!claim.started) throw new Error('expected a claim')
+
+    expect(await store.fail('user-1', 'key-1', 'someone-else')).toBe(false)
+    expect(await store.fail('user-1', 'key-1', claim.ownerId)).toBe(true)
+    expect(await store.get('user-1', 'key-1')).toBeNull()
+    expect((await store.begin('user-1', 'key-1')).started).toBe(true)
+  })
+
+  it('lets a retry take over a claim whose owner went away', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const store = new IdempotencyStore(new InMemoryKVStore({ sweepIntervalMs: 0 }), { inProgressTtlSeconds: 30 })
+    const stale = await store.begin('user-1', 'key-1')
+    if (!stale.started) throw new Error('expected a claim')
+
+    vi.setSystemTime(Date.now() + 31_000)
+    const retry = await store.begin('user-1', 'key-1')
+    expect(retry.started).toBe(true)
+
+    // The first owner's late result must not overwrite the new run's claim
+    expect(await store.complete('user-1', 'key-1', stale.ownerId, { value: 1 })).toBe(false)
+  })
+
+  it('fingerprints payloads by content', () => {
+    const fingerprint = createIdempotencyFingerprint({ taskName: 'intent_analysis', taskInput: { prompt: 'a' } })
+    expect(createIdempotencyFingerprint({ taskName: 'intent_analysis', taskInput: { prompt: 'a' } })).toBe(fingerprint)
+    expect(createIdempotencyFingerprint({ taskName: 'intent_analysis', taskInput: { prompt: 'b' } })).not.toBe(fingerprint)
+
+    const record = { status: 'in_progress' as const, ownerId: 'o', fingerprint, startedAt: '' }
+    expect(matchesIdempotencyFingerprint(record, fingerprint)).toBe(true)
+    expect(matchesIdempotencyFingerprint(record, 'other')).toBe(false)
+    // Records written without a fingerprint match anything
+    expect(matchesIdempotencyFingerprint({ ...record, fingerprint: undefined }, 'other')).toBe(true)
+  })
+})
+
+describe('idempotency keys in AgentCoordinationManager', () => {
+  const request = {
+    threadId: THREAD_ID,
+    userId: USER_ID,
+    agentType: 'CONTENT_GENERATION_AGENT',
+    taskSequence: 1
+  }
+  const input = { prompt: 'Launch posts' }
+
+  const createCoordinator = (steps: Parameters<typeof createScriptedClient>[0]) => {
+    const client = createScriptedClient(steps)
+    const kvManager = new KVLockManager(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    const coordinator = new AgentCoordinationManager(kvManager, new AgentTaskExecutor(client))
+    return { client, kvManager, coordinator }
+  }
+
+  it('replays a completed result without calling the model again', async () => {
+    const { client, coordinator } = createCoordinator([intent])
+
+    const first = await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    const second = await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+
+    expect(first.idempotency).toEqual({ key: 'launch-1', status: 'completed', replayed: false })
+    expect(second.idempotency).toEqual({ key: 'launch-1', status: 'completed', replayed: true })
+    expect(second.result?.stepResult).toEqual(first.result?.stepResult)
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('reports OPERATION_IN_PROGRESS to a duplicate of a running request', async () => {
+    let finish!: (response: LLMCompletionResponse) => void
+    const { coordinator } = createCoordinator([() => new Promise(resolve => { finish = resolve })])
+
+    const running = coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    await vi.waitFor(() => expect(finish).toBeDefined())
+
+    const duplicate = await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    expect(duplicate.error).toMatchObject({ code: 'OPERATION_IN_PROGRESS', type: 'OPERATION_IN_PROGRESS' })
+    expect(duplicate.idempotency).toEqual({ key: 'launch-1', status: 'in_progress', replayed: false })
+
+    finish(intent)
+    expect((await running).success).toBe(true)
+  })
+
+  it('rejects a key reused with a different task input', async () => {
+    const { client, coordinator } = createCoordinator([intent])
+
+    await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    const reused = await coordinator.executeTaskWithLock(request, { prompt: 'Something else' }, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+
+    expect(reused.error).toMatchObject({ code: 'IDEMPOTENCY_KEY_REUSED', type: 'VALIDATION_FAILED' })
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('does not store a retryable failure, so the retry runs again', async () => {
+    const { client, kvManager, coordinator } = createCoordinator([intent])
+
+    const held = await kvManager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    const blocked = await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    expect(blocked.error?.type).toBe('LOCK_ACQUISITION_FAILED')
+
+    await kvManager.releaseKvLock(USER_ID, THREAD_ID, held.lockId)
+    const retried = await coordinator.executeTaskWithLock(request, input, AgentTaskConfigs.INTENT_ANALYSIS, undefined, { idempotencyKey: 'launch-1' })
+    expect(retried.success).toBe(true)
+    expect(retried.idempotency?.replayed).toBe(false)
+    expect(client.requests).toHaveLength(1)
+  })
+})
@@ -0,0 +1,143 @@
+/**
+ * @growthub/agent-tools/idempotency
+ * Idempotency Keys for Agent Task Execution
+ *
+ * Records the outcome of a keyed operation in KVStore so a retried request
+ * gets the stored result back instead of re-running (and re-billing) the task.
+ */
+
+import { createHash, randomUUID } from 'node:crypto'
+import { InMemoryKVStore, DEFAULT_LOCK_TTL_SECONDS } from './kv'
+import type { KVStore } from './kv'
+
+export type IdempotencyRecord<T = any> =
+  | { status: 'in_progress'; ownerId: string; fingerprint?: string; startedAt: string }
+  | { status: 'completed'; ownerId: string; fingerprint?: string; startedAt: string; completedAt: string; result: T }
+
+export type IdempotencyBeginResult<T = any> =
+  | { started: true; ownerId: string }
+  | { started: false; record: IdempotencyRecord<T> }
+
+export interface IdempotencyStoreOptions {
+  keyPrefix?: string
+  // How long completed results are replayed
+  ttlSeconds?: number
+  // How long an unfinished run blocks duplicates before a retry may take over
+  inProgressTtlSeconds?: number
+}
+
+// Default Configuration
+export const DEFAULT_IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60 // 24 hours
+
+/**
+ * Idempotency Store Class
+ * begin → complete (result replayed to duplicates) or fail (key freed for a retry)
+ */
+export class IdempotencyStore {
+  private kv: KVStore
+  private keyPrefix: string
+  private ttlSeconds: number
+  private inProgressTtlSeconds: number
+
+  constructor(kvStore?: KVStore, options: IdempotencyStoreOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.keyPrefix = options.keyPrefix || 'idem'
+    this.ttlSeconds = options.ttlSeconds || DEFAULT_IDEMPOTENCY_TTL_SECONDS
+    this.inProgressTtlSeconds = options.inProgressTtlSeconds || DEFAULT_LOCK_TTL_SECONDS
+
+    // Evicting a record would let a duplicate run the task again
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for an idempotency key, scoped per user
+   */
+  makeIdempotencyKey(userId: string, idempotencyKey: string): string {
+    return `${this.keyPrefix}:${userId}:${idempotencyKey}`
+  }
+
+  /**
+   * Claim an idempotency key, or return the record of the run that already claimed it
+   */
+  async begin<T = any>(userId: string, idempotencyKey: string, fingerprint?: string): Promise<IdempotencyBeginResult<T>> {
+    const key = this.makeIdempotencyKey(userId, idempotencyKey)
+    const record: IdempotencyRecord<T> = {
+      status: 'in_progress',
+      ownerId: randomUUID(),
+      fingerprint,
+      startedAt: new Date().toISOString()
+    }
+
+    // A claim can expire between the failed set and the read, so try again once
+    for (let attempt = 0; attempt < 2; attempt++) {
+      if (await this.kv.set(key, record, { ttl: this.inProgressTtlSeconds, condition: 'nx' })) {
+        return { started: true, ownerId: record.ownerId }
+      }
+
+      const existing = await this.kv.get(key)
+      if (existing) {
+        return { started: false, record: existing }
+      }
+    }
+
+    throw new Error(`Could not claim idempotency key ${key}`)
+  }
+
+  /**
+   * Store the result of a claimed run for replay to duplicates
+   */
+  async complete<T>(userId: string, idempotencyKey: string, ownerId: string, result: T): Promise<boolean> {
+    const key = this.makeIdempotencyKey(userId, idempotencyKey)
+    const current = await this.kv.get(key)
+    if (!current || current.status !== 'in_progress' || current.ownerId !== ownerId) {
+      return false // Claim expired and was taken over
+    }
+
+    const record: IdempotencyRecord<T> = {
+      ...current,
+      status: 'completed',
+      completedAt: new Date().toISOString(),
+      result
+    }
+
+    return this.kv.compareAndSet
+      ? this.kv.compareAndSet(key, current, record, { ttl: this.ttlSeconds })
+      : this.kv.set(key, record, { ttl: this.ttlSeconds, condition: 'xx' })
+  }
+
+  /**
+   * Free a claimed key so a retry runs the operation again
+   */
+  async fail(userId: string, idempotencyKey: string, ownerId: string): Promise<boolean> {
+    const key = this.makeIdempotencyKey(userId, idempotencyKey)
+    const current = await this.kv.get(key)
+    if (!current || current.status !== 'in_progress' || current.ownerId !== ownerId) {
+      return false
+    }
+
+    return this.kv.compareAndDelete
+      ? this.kv.compareAndDelete(key, current)
+      : this.kv.delete(key)
+  }
+
+  /**
+   * Read the record for an idempotency key
+   */
+  async get<T = any>(userId: string, idempotencyKey: string): Promise<IdempotencyRecord<T> | null> {
+    return (await this.kv.get(this.makeIdempotencyKey(userId, idempotencyKey))) ?? null
+  }
+}
+
+/**
+ * Fingerprint a request payload so a reused key with a different payload can be rejected
+ */
+export function createIdempotencyFingerprint(payload: unknown): string {
+  return createHash('sha256').update(JSON.stringify(payload) ?? '').digest('hex')
+}
+
+/**
+ * Check whether a stored record was created for the same payload
+ */
+export function matchesIdempotencyFingerprint(record: IdempotencyRecord, fingerprint?: string): boolean {
+  return !record.fingerprint || !fingerprint || record.fingerprint === fingerprint
+}
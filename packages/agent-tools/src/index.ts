@@ -11,11 +11,104 @@ export * from './kv'
 export type {
   KVLockMetadata,
   KVStore,
+  VersionedKVValue,
+  KVStoreCapability,
+  InMemoryKVStoreOptions,
+  InMemoryKVStoreStats,
   KVLockConfig,
   AcquireLockOptions,
-  KVLockResult
+  KVLockResult,
+  KVLockHandle,
+  HeartbeatOptions,
+  KVLockHeartbeat,
+  LockWaitOptions,
+  LockQueueTicket,
+  ActiveLockInfo,
+  ForceReleaseFilter,
+  KVLockContentionStats
 } from './kv'
 
+// FileKVStore, RedisKVStore and the cassette clients need node:fs or node:net, so they are
+// only exported from their subpaths (/file-store, /redis-store, /cassette). The root entry
+// still imports node:crypto and is not browser-safe
+
+// Re-export semaphores and read/write locks
+export * from './semaphores'
+export type {
+  KVLockHolder,
+  SemaphoreState,
+  ReadWriteLockState,
+  MultiHolderAcquireOptions,
+  MultiHolderLockResult
+} from './semaphores'
+
+// Re-export rate limiters
+export * from './rate-limit'
+export type {
+  RateLimitSubject,
+  RateLimitResult,
+  RateLimiter,
+  RateLimiterOptions,
+  TokenBucketState,
+  SlidingWindowState
+} from './rate-limit'
+
+// Re-export idempotency keys
+export * from './idempotency'
+export type {
+  IdempotencyRecord,
+  IdempotencyBeginResult,
+  IdempotencyStoreOptions
+} from './idempotency'
+
+// Re-export token usage and cost accounting
+export * from './usage'
+export type {
+  ModelPricing,
+  ModelPricingTable,
+  TaskUsage,
+  UsageTotals,
+  UsageRollup,
+  UsageRecord,
+  UsageTrackerOptions
+} from './usage'
+
+// Re-export provider-agnostic LLM clients
+export * from './llm'
+export type {
+  LLMMessage,
+  LLMToolDefinition,
+  LLMToolCall,
+  LLMToolChoice,
+  LLMCompletionRequest,
+  LLMCompletionResponse,
+  LLMUsage,
+  LLMStreamDelta,
+  LLMStreamChunk,
+  LLMClient,
+  HttpLLMClientOptions
+} from './llm'
+
+// Re-export JSON Schema validation for tool-call arguments
+export * from './json-schema'
+export type {
+  JsonSchemaIssue
+} from './json-schema'
+
+// Re-export Zod-first function definitions
+export * from './function-schema'
+
+// Re-export LLM error classification and retry policies
+export * from './errors'
+export type {
+  LLMErrorCode,
+  ClassifiedLLMError,
+  RetryPolicy
+} from './errors'
+
+// Re-export partial JSON parsing for streamed arguments
+export * from './partial-json'
+
 // Re-export all task utilities  
 export * from './tasks'
 export type {
@@ -23,14 +116,76 @@ export type {
   AgentTaskFunction,
   AgentTaskResult,
   AgentTaskConfig,
-  OpenAIClient
+  AgentTaskStreamEvent,
+  AgentTaskRunOptions,
+  AgentTaskToolsConfig,
+  AgentTaskCacheConfig,
+  AgentTaskTranscript,
+  OpenAIClient,
+  IntentAnalysisResult,
+  BrandAnalysisResult,
+  ComplexityAssessmentResult
 } from './tasks'
 
+// Re-export the tool registry for multi-turn tasks
+export * from './tools'
+export type {
+  AgentTool,
+  AgentToolContext,
+  ToolExecution,
+  ToolRegistryOptions,
+  BrandKitToolSource
+} from './tools'
+
+// Re-export model routing
+export * from './models'
+export type {
+  ModelInfo,
+  ModelRoute,
+  ModelRouterOptions
+} from './models'
+
+// Re-export the LLM response cache
+export * from './cache'
+export type {
+  LLMResponseCacheOptions,
+  LLMCacheEntry,
+  BrandKitChangeEvent
+} from './cache'
+
+// Re-export versioned prompt templates
+export * from './prompts'
+export type {
+  PromptTemplateDefinition,
+  PromptReference,
+  RenderedPrompt,
+  PromptTemplateErrorCode
+} from './prompts'
+
+// Re-export prompt and model experiments
+export * from './experiments'
+export type {
+  Experiment,
+  ExperimentVariant,
+  ExperimentAssignment,
+  ExperimentOutcome,
+  ExperimentSummary,
+  ExperimentMetric,
+  ExperimentTrackerOptions,
+  VariantStats,
+  VariantSummary,
+  VariantComparison,
+  MetricSummary,
+  MetricTotals
+} from './experiments'
+
 // Re-export all coordination utilities
 export * from './coordination'
 export type {
   CoordinationRequest,
   CoordinationResult,
+  AgentCoordinationOptions,
+  TaskExecutionOptions,
   OrchestrationStepConfig
 } from './coordination'
 
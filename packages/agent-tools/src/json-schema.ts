@@ -0,0 +1,136 @@
+/**
+ * @growthub/agent-tools/json-schema
+ * JSON Schema Validation for Tool-call Arguments
+ *
+ * Covers the subset of JSON Schema used in function definitions: type, enum,
+ * const, properties, required, additionalProperties, items, anyOf/oneOf/allOf
+ * and the common string, number and array bounds.
+ */
+
+export interface JsonSchemaIssue {
+  // JSON path of the offending value, e.g. `$.asset_types[2]`
+  path: string
+  message: string
+}
+
+/**
+ * Validate a value against a JSON Schema, returning every issue found
+ */
+export function validateJsonSchema(schema: Record<string, any>, value: unknown, path = '$'): JsonSchemaIssue[] {
+  if (!schema || typeof schema !== 'object') return []
+
+  const issues: JsonSchemaIssue[] = []
+  const fail = (message: string) => issues.push({ path, message })
+
+  if (schema.type !== undefined) {
+    const types: string[] = Array.isArray(schema.type) ? schema.type : [schema.type]
+    if (!types.some(type => matchesType(type, value))) {
+      fail(`Expected ${types.join(' or ')}, received ${describeType(value)}`)
+      return issues // Further keywords would only repeat the type mismatch
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option: unknown) => deepEqual(option, value))) {
+    fail(`Expected one of ${schema.enum.map((option: unknown) => JSON.stringify(option)).join(', ')}`)
+  }
+  if ('const' in schema && !deepEqual(schema.const, value)) {
+    fail(`Expected ${JSON.stringify(schema.const)}`)
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(`Expected at least ${schema.minLength} characters`)
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`Expected at most ${schema.maxLength} characters`)
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(`Expected to match pattern ${schema.pattern}`)
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`Expected >= ${schema.minimum}`)
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`Expected <= ${schema.maximum}`)
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) fail(`Expected > ${schema.exclusiveMinimum}`)
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) fail(`Expected < ${schema.exclusiveMaximum}`)
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`Expected at least ${schema.minItems} items`)
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`Expected at most ${schema.maxItems} items`)
+    if (schema.items && typeof schema.items === 'object') {
+      value.forEach((item, index) => issues.push(...validateJsonSchema(schema.items, item, `${path}[${index}]`)))
+    }
+  }
+
+  if (isPlainObject(value)) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        issues.push({ path: `${path}.${key}`, message: 'Required property is missing' })
+      }
+    }
+
+    const properties: Record<string, any> = schema.properties || {}
+    for (const [key, propertyValue] of Object.entries(value)) {
+      const childPath = `${path}.${key}`
+      if (key in properties) {
+        issues.push(...validateJsonSchema(properties[key], propertyValue, childPath))
+      } else if (schema.additionalProperties === false) {
+        issues.push({ path: childPath, message: 'Unexpected property' })
+      } else if (typeof schema.additionalProperties === 'object') {
+        issues.push(...validateJsonSchema(schema.additionalProperties, propertyValue, childPath))
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      issues.push(...validateJsonSchema(subschema, value, path))
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some((subschema: any) => validateJsonSchema(subschema, value, path).length === 0)) {
+    fail('Expected to match at least one allowed schema')
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema: any) => validateJsonSchema(subschema, value, path).length === 0).length
+    if (matches !== 1) fail(`Expected to match exactly one allowed schema, matched ${matches}`)
+  }
+
+  return issues
+}
+
+/**
+ * Render issues as one line each, for logs and repair prompts
+ */
+export function formatJsonSchemaIssues(issues: JsonSchemaIssue[]): string {
+  return issues.map(issue => `${issue.path}: ${issue.message}`).join('\n')
+}
+
+function matchesType(type: string, value: unknown): boolean {
+  switch (type) {
+    case 'string': return typeof value === 'string'
+    case 'number': return typeof value === 'number' && Number.isFinite(value)
+    case 'integer': return Number.isInteger(value)
+    case 'boolean': return typeof value === 'boolean'
+    case 'array': return Array.isArray(value)
+    case 'object': return isPlainObject(value)
+    case 'null': return value === null
+    default: return true
+  }
+}
+
+function describeType(value: unknown): string {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer'
+  return typeof value
+}
+
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === 'object' && value !== null && !Array.isArray(value)
+}
+
+function deepEqual(a: unknown, b: unknown): boolean {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
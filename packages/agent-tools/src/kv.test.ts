@@ -0,0 +1,152 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore, KVLockManager, DEFAULT_FENCING_TOKEN_TTL_SECONDS } from './kv'
+import { IdempotencyStore } from './idempotency'
+import { TokenBucketRateLimiter } from './rate-limit'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+
+describe('KVLockManager fencing tokens', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('expires fencing counters that see no acquisitions', async () => {
+    vi.useFakeTimers()
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const manager = new KVLockManager(store)
+    const fencingKey = manager.makeFencingKey(USER_ID, THREAD_ID)
+
+    const lock = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    await manager.releaseKvLock(USER_ID, THREAD_ID, lock.lockId)
+    expect(await store.get(fencingKey)).toBe(1)
+
+    // Each acquisition renews the counter's expiry
+    vi.advanceTimersByTime((DEFAULT_FENCING_TOKEN_TTL_SECONDS - 60) * 1000)
+    const next = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    await manager.releaseKvLock(USER_ID, THREAD_ID, next.lockId)
+    expect(next.fencingToken).toBe(2)
+
+    vi.advanceTimersByTime((DEFAULT_FENCING_TOKEN_TTL_SECONDS - 60) * 1000)
+    expect(await store.get(fencingKey)).toBe(2)
+
+    vi.advanceTimersByTime(120 * 1000)
+    expect(await store.get(fencingKey)).toBeNull()
+  })
+
+  it('fails the acquisition when the lock expires before its token is stored', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const manager = new KVLockManager(store)
+    const lockKey = manager.makeKvLockKey(USER_ID, THREAD_ID)
+
+    // Simulate the lock lapsing and another worker taking it between the set and the token write
+    const compareAndSet = store.compareAndSet.bind(store)
+    vi.spyOn(store, 'compareAndSet').mockImplementation(async (key, expected, next, options) => {
+      if (key !== lockKey) return compareAndSet(key, expected, next, options)
+      await store.set(key, { lockedAt: new Date().toISOString(), lockId: 'other-holder' })
+      return false
+    })
+
+    const result = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    expect(result.success).toBe(false)
+    expect(result.lockId).toBeUndefined()
+    expect(result.activeLockMetadata?.lockId).toBe('other-holder')
+    expect((await store.get(lockKey)).lockId).toBe('other-holder')
+    expect(manager.getContentionStats().acquired).toBe(0)
+  })
+})
+
+describe('KVLockManager administration', () => {
+  it('reports lock owners from metadata, even when ids contain colons', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const manager = new KVLockManager(store)
+
+    const lock = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    expect(await manager.checkKvLock(USER_ID, THREAD_ID)).toMatchObject({ userId: USER_ID, threadId: THREAD_ID })
+
+    await store.set(manager.makeKvLockKey('org:7', 'thread:a:b'), {
+      lockedAt: new Date().toISOString(),
+      lockId: 'colon-lock',
+      userId: 'org:7',
+      threadId: 'thread:a:b'
+    })
+
+    const owners = (await manager.listActiveLocks()).map(({ userId, threadId, lockId }) => ({ userId, threadId, lockId }))
+    expect(owners).toContainEqual({ userId: USER_ID, threadId: THREAD_ID, lockId: lock.lockId })
+    expect(owners).toContainEqual({ userId: 'org:7', threadId: 'thread:a:b', lockId: 'colon-lock' })
+
+    const released = await manager.forceReleaseLocks({})
+    expect(released).toHaveLength(2)
+    expect(await manager.listActiveLocks()).toEqual([])
+  })
+})
+
+describe('KVLockManager contention statistics', () => {
+  it('counts a blocking acquisition once, however often it polls', async () => {
+    const manager = new KVLockManager(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+
+    const held = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    const waiting = manager.acquireKvLock(USER_ID, THREAD_ID, {
+      ttlSeconds: 60,
+      wait: { timeoutMs: 2000, pollIntervalMs: 5, maxPollIntervalMs: 5 }
+    })
+
+    await new Promise(resolve => setTimeout(resolve, 60))
+    await manager.releaseKvLock(USER_ID, THREAD_ID, held.lockId)
+    expect((await waiting).success).toBe(true)
+
+    const stats = manager.getContentionStats()
+    expect(stats).toMatchObject({ acquireAttempts: 2, acquired: 2, contended: 1, waits: 1 })
+    expect(stats.hottestLocks).toEqual([{ lockKey: manager.makeKvLockKey(USER_ID, THREAD_ID), contentions: 1 }])
+  })
+})
+
+describe('InMemoryKVStore eviction', () => {
+  it('never evicts lock or fencing keys to stay under maxEntries', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0, maxEntries: 3 })
+    const manager = new KVLockManager(store)
+
+    const held = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    for (let i = 0; i < 5; i++) {
+      await store.set(`cache:${i}`, i)
+    }
+
+    expect((await manager.checkKvLock(USER_ID, THREAD_ID))?.lockId).toBe(held.lockId)
+    expect(await store.get(manager.makeFencingKey(USER_ID, THREAD_ID))).toBe(1)
+    expect(await store.get('cache:4')).toBe(4)
+    expect(await store.get('cache:0')).toBeNull()
+    expect(store.stats()).toMatchObject({ size: 3, pinned: 2, evictions: 4, overCapacity: 0 })
+  })
+
+  it('keeps keys of every manager sharing the store, custom prefixes included', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0, maxEntries: 5 })
+    const manager = new KVLockManager(store, { keyPrefix: 'jobs' })
+    const idempotency = new IdempotencyStore(store)
+    const rateLimiter = new TokenBucketRateLimiter(store, { keyPrefix: 'quota' })
+
+    const held = await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    const claim = await idempotency.begin(USER_ID, 'request-1')
+    await rateLimiter.consume({ userId: USER_ID })
+    for (let i = 0; i < 5; i++) {
+      await store.set(`cache:${i}`, i)
+    }
+
+    expect((await manager.checkKvLock(USER_ID, THREAD_ID))?.lockId).toBe(held.lockId)
+    expect(await idempotency.get(USER_ID, 'request-1')).toMatchObject({ ownerId: claim.started && claim.ownerId })
+    expect(await store.get(rateLimiter.makeRateLimitKey({ userId: USER_ID }))).not.toBeNull()
+    expect(await store.get('cache:4')).toBe(4)
+    expect(await store.get('cache:3')).toBeNull()
+    expect(store.stats()).toMatchObject({ size: 5, pinned: 4, overCapacity: 0 })
+  })
+
+  it('reports pinned entries it cannot evict', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0, maxEntries: 1, pinnedKeyPrefixes: ['job:'] })
+
+    await store.set('job:1', 'running')
+    await store.set('job:2', 'running')
+
+    expect(await store.get('job:1')).toBe('running')
+    expect(store.stats()).toMatchObject({ size: 2, pinned: 2, evictions: 0, overCapacity: 1 })
+  })
+})
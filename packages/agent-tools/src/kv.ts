@@ -6,6 +6,7 @@
  * Provides distributed locking for agent coordination with TTL-based cleanup.
  */
 
+import { randomUUID } from 'node:crypto'
 import { z } from 'zod'
 import type { ValidationResult } from '@growthub/compiler-core'
 import { validateKVLock } from '@growthub/compiler-core'
@@ -17,6 +18,10 @@ export const KVLockMetadataSchema = z.object({
   processId: z.string().optional(),
   metadata: z.record(z.any()).optional(),
   expiresAt: z.string().datetime().optional(),
+  fencingToken: z.number().int().positive().optional(),
+  // Owner of the lock; ids may contain ':', so they are not parsed back out of the key
+  userId: z.string().optional(),
+  threadId: z.string().optional(),
 })
 
 export type KVLockMetadata = z.infer<typeof KVLockMetadataSchema>
@@ -26,48 +31,309 @@ export interface KVStore {
   get(key: string): Promise<any>
   set(key: string, value: any, options?: { ttl?: number; condition?: 'nx' | 'xx' }): Promise<boolean>
   delete(key: string): Promise<boolean>
+  // Atomically delete the key only while it still holds the expected value
+  compareAndDelete?(key: string, expected: any): Promise<boolean>
+  // Atomically replace the value only while it still equals expected (null matches a missing key)
+  compareAndSet?(key: string, expected: any, next: any, options?: { ttl?: number }): Promise<boolean>
+  // List live keys starting with prefix
+  scan?(prefix: string): Promise<string[]>
+  // Atomically add to an integer counter (missing keys start at 0); ttl applies while the counter has no expiry
+  incr?(key: string, by?: number, options?: { ttl?: number }): Promise<number>
+  decr?(key: string, by?: number, options?: { ttl?: number }): Promise<number>
+  // Read a value with an opaque version that changes on every write
+  getWithVersion?(key: string): Promise<VersionedKVValue | null>
+  // Never evict keys starting with prefix (they still expire); for stores that evict under memory pressure
+  pinKeyPrefix?(prefix: string): void
+}
+
+export interface VersionedKVValue {
+  value: any
+  version: string
+}
+
+export type KVStoreCapability = 'compareAndDelete' | 'compareAndSet' | 'scan' | 'incr' | 'decr' | 'getWithVersion'
+
+const KV_STORE_CAPABILITIES: KVStoreCapability[] = ['compareAndDelete', 'compareAndSet', 'scan', 'incr', 'decr', 'getWithVersion']
+
+/**
+ * Check whether a store implements an optional KVStore operation
+ */
+export function supportsKVCapability<C extends KVStoreCapability>(
+  store: KVStore,
+  capability: C
+): store is KVStore & Required<Pick<KVStore, C>> {
+  return typeof store[capability] === 'function'
+}
+
+/**
+ * List the optional KVStore operations a store implements
+ */
+export function getKVStoreCapabilities(store: KVStore): KVStoreCapability[] {
+  return KV_STORE_CAPABILITIES.filter(capability => supportsKVCapability(store, capability))
+}
+
+/**
+ * Compare two stored values structurally (stores hold JSON-compatible data)
+ */
+export function kvValuesEqual(a: any, b: any): boolean {
+  return JSON.stringify(a) === JSON.stringify(b)
+}
+
+/**
+ * Read a stored counter value for incr/decr (missing keys count as 0)
+ */
+export function parseKvCounter(key: string, value: any): number {
+  if (value === null || value === undefined) return 0
+
+  const counter = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value
+  if (!Number.isSafeInteger(counter)) {
+    throw new Error(`Value at ${key} is not an integer counter`)
+  }
+  return counter
+}
+
+function ttlToExpiry(ttlSeconds?: number): number | undefined {
+  return ttlSeconds ? Date.now() + (ttlSeconds * 1000) : undefined
 }
 
 // In-Memory KV Store Implementation
+type MemoryEntry = { value: any; expiresAt?: number; version: number }
+
+export interface InMemoryKVStoreOptions {
+  // Background removal of expired entries; 0 disables (expired keys are then dropped when read)
+  sweepIntervalMs?: number
+  // Least recently used entries are evicted beyond this count
+  maxEntries?: number
+  // Keys starting with these prefixes are never evicted, only expired. The bundled managers
+  // add their own prefixes through pinKeyPrefix, so this is only needed for other state.
+  pinnedKeyPrefixes?: string[]
+}
+
+export interface InMemoryKVStoreStats {
+  size: number
+  hits: number
+  misses: number
+  expirations: number
+  evictions: number
+  // Live entries under pinned prefixes
+  pinned: number
+  // Live entries beyond maxEntries that could not be evicted because they are pinned
+  overCapacity: number
+}
+
+// Default Configuration
+export const DEFAULT_SWEEP_INTERVAL_MS = 60_000
+
 export class InMemoryKVStore implements KVStore {
-  private store = new Map<string, { value: any; expiresAt?: number }>()
+  private store = new Map<string, MemoryEntry>()
+  private version = 0
+  private maxEntries: number
+  private pinnedKeyPrefixes: Set<string>
+  private sweepTimer?: ReturnType<typeof setInterval>
+  private counters = { hits: 0, misses: 0, expirations: 0, evictions: 0 }
+
+  constructor(options: InMemoryKVStoreOptions = {}) {
+    this.maxEntries = options.maxEntries || Infinity
+    this.pinnedKeyPrefixes = new Set(options.pinnedKeyPrefixes)
+
+    const sweepIntervalMs = options.sweepIntervalMs ?? DEFAULT_SWEEP_INTERVAL_MS
+    if (sweepIntervalMs > 0) {
+      this.sweepTimer = setInterval(() => this.sweep(), sweepIntervalMs)
+      // Sweeping alone must not keep the process alive
+      this.sweepTimer.unref?.()
+    }
+  }
   
   async get(key: string): Promise<any> {
-    const entry = this.store.get(key)
-    if (!entry) return null
-    
-    // Check if expired
-    if (entry.expiresAt && Date.now() > entry.expiresAt) {
-      this.store.delete(key)
-      return null
-    }
-    
-    return entry.value
+    return this.lookup(key)
   }
   
   async set(key: string, value: any, options?: { ttl?: number; condition?: 'nx' | 'xx' }): Promise<boolean> {
-    const existing = this.store.get(key)
+    const exists = this.read(key) !== null
     
     // Handle conditional sets
-    if (options?.condition === 'nx' && existing && (!existing.expiresAt || Date.now() < existing.expiresAt)) {
+    if (options?.condition === 'nx' && exists) {
       return false // Key exists and not expired
     }
-    if (options?.condition === 'xx' && (!existing || (existing.expiresAt && Date.now() > existing.expiresAt))) {
+    if (options?.condition === 'xx' && !exists) {
       return false // Key doesn't exist or expired
     }
     
-    const entry: { value: any; expiresAt?: number } = { value }
-    if (options?.ttl) {
-      entry.expiresAt = Date.now() + (options.ttl * 1000)
-    }
-    
-    this.store.set(key, entry)
+    this.write(key, value, ttlToExpiry(options?.ttl))
     return true
   }
   
   async delete(key: string): Promise<boolean> {
     return this.store.delete(key)
   }
+
+  async compareAndDelete(key: string, expected: any): Promise<boolean> {
+    const current = this.read(key)
+    if (current === null || !kvValuesEqual(current, expected)) return false
+
+    return this.store.delete(key)
+  }
+
+  async compareAndSet(key: string, expected: any, next: any, options?: { ttl?: number }): Promise<boolean> {
+    if (!kvValuesEqual(this.read(key), expected)) return false
+
+    this.write(key, next, ttlToExpiry(options?.ttl))
+    return true
+  }
+
+  async incr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    const current = this.read(key)
+    const next = parseKvCounter(key, current) + by
+    // An existing expiry is kept, so a fixed window is not extended by every increment
+    const expiresAt = (current !== null ? this.store.get(key)!.expiresAt : undefined) ?? ttlToExpiry(options?.ttl)
+
+    this.write(key, next, expiresAt)
+    return next
+  }
+
+  async decr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    return this.incr(key, -by, options)
+  }
+
+  async getWithVersion(key: string): Promise<VersionedKVValue | null> {
+    const value = this.lookup(key)
+    if (value === null) return null
+
+    return { value, version: String(this.store.get(key)!.version) }
+  }
+
+  async scan(prefix: string): Promise<string[]> {
+    return Array.from(this.store.keys()).filter(key => key.startsWith(prefix) && this.read(key) !== null)
+  }
+
+  /**
+   * Keep keys under a prefix from being evicted; they still expire
+   */
+  pinKeyPrefix(prefix: string): void {
+    this.pinnedKeyPrefixes.add(prefix)
+  }
+
+  /**
+   * Number of live entries
+   */
+  size(): number {
+    let live = 0
+    for (const entry of this.store.values()) {
+      if (!isExpired(entry)) live++
+    }
+    return live
+  }
+
+  /**
+   * Hit/miss counts for get/getWithVersion, entries dropped by expiry or eviction, and
+   * how far pinned entries hold the store over maxEntries
+   */
+  stats(): InMemoryKVStoreStats {
+    const size = this.size()
+    let pinned = 0
+    for (const [key, entry] of this.store) {
+      if (!isExpired(entry) && this.isPinned(key)) pinned++
+    }
+
+    return {
+      size,
+      ...this.counters,
+      pinned,
+      overCapacity: Math.max(0, size - this.maxEntries)
+    }
+  }
+
+  /**
+   * Remove every expired entry, returning how many were dropped
+   */
+  sweep(): number {
+    let removed = 0
+    for (const [key, entry] of this.store) {
+      if (isExpired(entry)) {
+        this.store.delete(key)
+        removed++
+      }
+    }
+    this.counters.expirations += removed
+    return removed
+  }
+
+  /**
+   * Stop the background sweeper
+   */
+  dispose(): void {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer)
+      this.sweepTimer = undefined
+    }
+  }
+
+  private write(key: string, value: any, expiresAt?: number): void {
+    const entry: MemoryEntry = { value, version: ++this.version }
+    if (expiresAt) {
+      entry.expiresAt = expiresAt
+    }
+
+    // Re-inserting moves the key to the most recently used end
+    this.store.delete(key)
+    this.store.set(key, entry)
+    this.evictOverflow()
+  }
+
+  private lookup(key: string): any {
+    const value = this.read(key)
+    if (value === null) {
+      this.counters.misses++
+      return null
+    }
+
+    this.counters.hits++
+    const entry = this.store.get(key)!
+    this.store.delete(key)
+    this.store.set(key, entry)
+    return value
+  }
+
+  private read(key: string): any {
+    const entry = this.store.get(key)
+    if (!entry) return null
+    
+    // Check if expired
+    if (isExpired(entry)) {
+      this.store.delete(key)
+      this.counters.expirations++
+      return null
+    }
+    
+    return entry.value
+  }
+
+  private evictOverflow(): void {
+    // Map iteration order is insertion order, so the first key is the least recently used
+    for (const [key, entry] of this.store) {
+      if (this.store.size <= this.maxEntries) return
+
+      if (isExpired(entry)) {
+        this.store.delete(key)
+        this.counters.expirations++
+      } else if (!this.isPinned(key)) {
+        this.store.delete(key)
+        this.counters.evictions++
+      }
+    }
+    // Only pinned entries are left over the cap; stats() reports them as overCapacity
+  }
+
+  private isPinned(key: string): boolean {
+    for (const prefix of this.pinnedKeyPrefixes) {
+      if (key.startsWith(prefix)) return true
+    }
+    return false
+  }
+}
+
+function isExpired(entry: { expiresAt?: number }): boolean {
+  return entry.expiresAt !== undefined && Date.now() >= entry.expiresAt
 }
 
 // Lock Configuration
@@ -80,16 +346,94 @@ export interface KVLockConfig {
 export interface AcquireLockOptions {
   ttlSeconds?: number
   metadata?: KVLockMetadata
+  heartbeat?: boolean | HeartbeatOptions
+  wait?: LockWaitOptions
+}
+
+// Blocking acquisition: wait in a FIFO ticket queue until the lock frees up or the deadline passes
+export interface LockWaitOptions {
+  timeoutMs: number
+  pollIntervalMs?: number
+  maxPollIntervalMs?: number
+  backoffMultiplier?: number
+  onQueuePosition?: (position: number) => void
+  // Stops waiting early; acquisition then fails as if the wait had timed out
+  signal?: AbortSignal
+}
+
+export interface LockQueueTicket {
+  ticketId: string
+  enqueuedAt: number
+  expiresAt: number
+}
+
+export interface HeartbeatOptions {
+  intervalMs?: number
+  ttlSeconds?: number
+  onLost?: (error: Error) => void
+}
+
+// Running heartbeat; signal aborts once the lock can no longer be renewed
+export interface KVLockHeartbeat {
+  signal: AbortSignal
+  stop(): void
 }
 
 export interface KVLockResult {
   success: boolean
   activeLockMetadata?: KVLockMetadata
   lockKey: string
+  lockId?: string
+  fencingToken?: number
+  queuePosition?: number
+  waitedMs?: number
+}
+
+// Active lock as reported by the administration API
+export interface ActiveLockInfo {
+  lockKey: string
+  userId: string
+  threadId: string
+  lockId?: string
+  processId?: string
+  lockedAt?: string
+  ageMs?: number
+  expiresAt?: string
+  ttlRemainingMs?: number
+  fencingToken?: number
+  metadata?: Record<string, any>
+}
+
+export interface ForceReleaseFilter {
+  processId?: string
+  olderThanMs?: number
+}
+
+// Contention statistics collected by a KVLockManager instance
+export interface KVLockContentionStats {
+  acquireAttempts: number
+  acquired: number
+  contended: number
+  released: number
+  forcedReleases: number
+  lost: number
+  waits: number
+  averageWaitMs: number
+  hottestLocks: Array<{ lockKey: string; contentions: number }>
+}
+
+// Handle passed to operations running under withKvLock
+export interface KVLockHandle {
+  lockKey: string
+  lockId: string
+  fencingToken?: number
+  signal?: AbortSignal
 }
 
 // Default Configuration
 export const DEFAULT_LOCK_TTL_SECONDS = 15 * 60 // 15 minutes
+export const DEFAULT_FENCING_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60 // 30 days
+const MAX_TRACKED_CONTENDED_KEYS = 1000
 
 /**
  * KV Lock Manager Class
@@ -99,14 +443,39 @@ export class KVLockManager {
   private kv: KVStore
   private defaultTTL: number
   private keyPrefix: string
+  private fencingTokenTTL: number
+  private stats = {
+    acquireAttempts: 0,
+    acquired: 0,
+    contended: 0,
+    released: 0,
+    forcedReleases: 0,
+    lost: 0,
+    waits: 0,
+    totalWaitMs: 0,
+    contentionByKey: new Map<string, number>()
+  }
 
   constructor(
     kvStore?: KVStore, 
-    options: { defaultTTL?: number; keyPrefix?: string } = {}
+    options: { defaultTTL?: number; keyPrefix?: string; fencingTokenTTL?: number } = {}
   ) {
     this.kv = kvStore || new InMemoryKVStore()
     this.defaultTTL = options.defaultTTL || DEFAULT_LOCK_TTL_SECONDS
     this.keyPrefix = options.keyPrefix || 'run'
+    this.fencingTokenTTL = options.fencingTokenTTL || DEFAULT_FENCING_TOKEN_TTL_SECONDS
+
+    // Evicting a lock, queue ticket or fencing counter would silently release a lock or reset tokens
+    for (const prefix of [`${this.keyPrefix}:`, `queue:${this.keyPrefix}:`, `fence:${this.keyPrefix}:`]) {
+      this.kv.pinKeyPrefix?.(prefix)
+    }
+  }
+
+  /**
+   * KV store backing this manager, for features that share its state
+   */
+  getStore(): KVStore {
+    return this.kv
   }
 
   /**
@@ -116,16 +485,52 @@ export class KVLockManager {
     return `${this.keyPrefix}:${userId}:${threadId}`
   }
 
+  /**
+   * Generate the key holding the wait queue for a user/thread
+   */
+  makeQueueKey(userId: string, threadId: string): string {
+    return `queue:${this.keyPrefix}:${userId}:${threadId}`
+  }
+
+  /**
+   * Generate the key holding the last fencing token issued for a user/thread
+   */
+  makeFencingKey(userId: string, threadId: string): string {
+    return `fence:${this.keyPrefix}:${userId}:${threadId}`
+  }
+
   /**
    * Try to acquire a KV lock for a user/thread
+   * Fails immediately on contention unless `wait` is set.
    */
   async acquireKvLock(
     userId: string,
     threadId: string,
     options?: AcquireLockOptions
+  ): Promise<KVLockResult> {
+    if (options?.wait) {
+      return this.waitForKvLock(userId, threadId, options, options.wait)
+    }
+
+    const result = await this.tryAcquireKvLock(userId, threadId, options)
+    this.stats.acquireAttempts++
+    if (!result.success) {
+      this.recordContention(result.lockKey)
+    }
+    return result
+  }
+
+  /**
+   * Single acquisition attempt; callers account for attempts and contention
+   */
+  private async tryAcquireKvLock(
+    userId: string,
+    threadId: string,
+    options?: AcquireLockOptions
   ): Promise<KVLockResult> {
     const kvKey = this.makeKvLockKey(userId, threadId)
     const ttl = options?.ttlSeconds ?? this.defaultTTL
+    const runId = randomUUID()
     
     try {
       // Validate input data
@@ -135,7 +540,7 @@ export class KVLockManager {
         lockKey: kvKey,
         ttl: ttl * 1000, // Convert to ms for validation
         metadata: {
-          runId: `${userId}-${threadId}`,
+          runId,
           lockAcquired: Date.now(),
           processId: process.pid?.toString(),
           expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
@@ -146,12 +551,13 @@ export class KVLockManager {
         throw new Error(`KV lock validation failed: ${JSON.stringify(validationResult.errors)}`)
       }
 
-      const lockMetadata: KVLockMetadata = options?.metadata ?? {
+      const baseMetadata: KVLockMetadata = options?.metadata ?? {
         lockedAt: new Date().toISOString(),
-        lockId: `${userId}-${threadId}-${Date.now()}`,
         processId: process.pid?.toString(),
         expiresAt: new Date(Date.now() + ttl * 1000).toISOString(),
       }
+      const lockId = baseMetadata.lockId ?? runId
+      const lockMetadata: KVLockMetadata = { ...baseMetadata, lockId, userId, threadId }
       
       const lockSet = await this.kv.set(kvKey, lockMetadata, {
         ttl,
@@ -168,9 +574,24 @@ export class KVLockManager {
         }
       }
       
+      // Only the holder advances the counter, so tokens increase across successive holders
+      const fencingToken = await this.issueFencingToken(userId, threadId)
+      const stored = await this.replaceLockMetadata(kvKey, lockMetadata, { ...lockMetadata, fencingToken }, ttl)
+      if (!stored) {
+        // The lock expired (and may have been taken) before its token was recorded
+        return {
+          success: false,
+          activeLockMetadata: (await this.kv.get(kvKey)) || undefined,
+          lockKey: kvKey
+        }
+      }
+      this.stats.acquired++
+      
       return { 
         success: true,
-        lockKey: kvKey
+        lockKey: kvKey,
+        lockId,
+        fencingToken
       }
     } catch (error) {
       console.error(`Error acquiring KV lock for key ${kvKey}`, error)
@@ -180,12 +601,31 @@ export class KVLockManager {
 
   /**
    * Release the KV lock for a user/thread
+   * With a lockId, only the holder that acquired it can release; without one the
+   * lock is removed unconditionally (administrative cancellation).
    */
-  async releaseKvLock(userId: string, threadId: string): Promise<boolean> {
+  async releaseKvLock(userId: string, threadId: string, lockId?: string): Promise<boolean> {
     const kvKey = this.makeKvLockKey(userId, threadId)
     
     try {
-      return await this.kv.delete(kvKey)
+      let released = false
+
+      if (!lockId) {
+        released = await this.kv.delete(kvKey)
+      } else {
+        const current = await this.kv.get(kvKey)
+        if (!current || parseLockMetadata(current).lockId !== lockId) {
+          return false // Expired or taken over by another holder
+        }
+
+        released = this.kv.compareAndDelete
+          ? await this.kv.compareAndDelete(kvKey, current)
+          // Stores without compare-and-delete leave a small window between the check and the delete
+          : await this.kv.delete(kvKey)
+      }
+
+      if (released) this.stats.released++
+      return released
     } catch (error) {
       console.error(`Error releasing KV lock for key ${kvKey}`, error)
       throw error
@@ -194,10 +634,12 @@ export class KVLockManager {
 
   /**
    * Check the lock status by returning stored metadata or null if unlocked
+   * With a lockId, returns null unless that holder still owns the lock
    */
   async checkKvLock(
     userId: string,
-    threadId: string
+    threadId: string,
+    lockId?: string
   ): Promise<KVLockMetadata | null> {
     const kvKey = this.makeKvLockKey(userId, threadId)
     
@@ -205,42 +647,510 @@ export class KVLockManager {
       const data = await this.kv.get(kvKey)
       if (!data) return null
       
-      if (typeof data === 'string') {
-        try {
-          return JSON.parse(data)
-        } catch {
-          return { lockedAt: 'invalid data' } as KVLockMetadata
-        }
-      }
-      
-      return data as KVLockMetadata
+      const metadata = parseLockMetadata(data)
+      if (lockId && metadata.lockId !== lockId) return null
+
+      return metadata
     } catch (error) {
       console.error(`Error checking KV lock for key ${kvKey}`, error)
       throw error
     }
   }
 
+  /**
+   * Extend the TTL of a lock still held by lockId
+   * Returns false if the lock expired or was taken over by another holder.
+   */
+  async extendKvLock(
+    userId: string,
+    threadId: string,
+    lockId: string,
+    ttlSeconds?: number
+  ): Promise<boolean> {
+    const kvKey = this.makeKvLockKey(userId, threadId)
+    const ttl = ttlSeconds ?? this.defaultTTL
+
+    try {
+      const current = await this.kv.get(kvKey)
+      if (!current || parseLockMetadata(current).lockId !== lockId) {
+        return false
+      }
+
+      const renewed: KVLockMetadata = {
+        ...parseLockMetadata(current),
+        expiresAt: new Date(Date.now() + ttl * 1000).toISOString()
+      }
+      return await this.replaceLockMetadata(kvKey, current, renewed, ttl)
+    } catch (error) {
+      console.error(`Error extending KV lock for key ${kvKey}`, error)
+      throw error
+    }
+  }
+
+  /**
+   * Periodically extend a held lock until stopped
+   * If a renewal fails the returned signal aborts, so work can stop before it loses exclusivity.
+   */
+  startKvLockHeartbeat(
+    userId: string,
+    threadId: string,
+    lockId: string,
+    options: HeartbeatOptions = {}
+  ): KVLockHeartbeat {
+    const ttl = options.ttlSeconds ?? this.defaultTTL
+    const intervalMs = options.intervalMs ?? Math.max(1000, (ttl * 1000) / 3)
+    const controller = new AbortController()
+    let stopped = false
+    let timer: ReturnType<typeof setTimeout> | undefined
+
+    const lose = (error: Error) => {
+      if (stopped) return
+      stopped = true
+      this.stats.lost++
+      controller.abort(error)
+      options.onLost?.(error)
+    }
+
+    const beat = async () => {
+      try {
+        const renewed = await this.extendKvLock(userId, threadId, lockId, ttl)
+        if (!renewed) {
+          lose(new Error(`KV lock lost for user ${userId}, thread ${threadId}`))
+          return
+        }
+      } catch (error) {
+        lose(error instanceof Error ? error : new Error('KV lock renewal failed'))
+        return
+      }
+      schedule()
+    }
+
+    const schedule = () => {
+      if (stopped) return
+      timer = setTimeout(beat, intervalMs)
+      // Never keep the process alive just to renew a lock
+      timer.unref?.()
+    }
+
+    schedule()
+
+    return {
+      signal: controller.signal,
+      stop: () => {
+        stopped = true
+        clearTimeout(timer)
+      }
+    }
+  }
+
+  /**
+   * Check whether a fencing token is the latest one issued for a user/thread
+   * Downstream writes should reject tokens older than the latest they have seen.
+   */
+  async isFencingTokenCurrent(
+    userId: string,
+    threadId: string,
+    fencingToken: number
+  ): Promise<boolean> {
+    const latest = await this.kv.get(this.makeFencingKey(userId, threadId))
+    return Number(latest) === fencingToken
+  }
+
   /**
    * Utility function to run code with automatic lock acquisition and release
    */
   async withKvLock<T>(
     userId: string,
     threadId: string,
-    operation: () => Promise<T>,
+    operation: (lock: KVLockHandle) => Promise<T>,
     options?: AcquireLockOptions
   ): Promise<T> {
     const lockResult = await this.acquireKvLock(userId, threadId, options)
     
-    if (!lockResult.success) {
-      throw new Error(`Failed to acquire lock for user ${userId}, thread ${threadId}. Active lock: ${JSON.stringify(lockResult.activeLockMetadata)}`)
+    if (!lockResult.success || !lockResult.lockId) {
+      const queued = lockResult.queuePosition ? ` Queue position: ${lockResult.queuePosition}.` : ''
+      throw new Error(`Failed to acquire lock for user ${userId}, thread ${threadId}.${queued} Active lock: ${JSON.stringify(lockResult.activeLockMetadata)}`)
     }
     
+    const heartbeat = options?.heartbeat === false
+      ? undefined
+      : this.startKvLockHeartbeat(userId, threadId, lockResult.lockId, {
+          ttlSeconds: options?.ttlSeconds,
+          ...(typeof options?.heartbeat === 'object' ? options.heartbeat : {})
+        })
+    
     try {
-      return await operation()
+      const running = operation({
+        lockKey: lockResult.lockKey,
+        lockId: lockResult.lockId,
+        fencingToken: lockResult.fencingToken,
+        signal: heartbeat?.signal
+      })
+      return heartbeat ? await withAbortSignal(running, heartbeat.signal) : await running
     } finally {
-      await this.releaseKvLock(userId, threadId)
+      heartbeat?.stop()
+      await this.releaseKvLock(userId, threadId, lockResult.lockId)
     }
   }
+
+  /**
+   * Queue for the lock and poll with backoff until it is acquired or the wait times out
+   * Only the head of the queue attempts acquisition, so waiters are served in arrival order.
+   */
+  private async waitForKvLock(
+    userId: string,
+    threadId: string,
+    options: AcquireLockOptions,
+    wait: LockWaitOptions
+  ): Promise<KVLockResult> {
+    const queueKey = this.makeQueueKey(userId, threadId)
+    const pollIntervalMs = wait.pollIntervalMs ?? 100
+    const maxPollIntervalMs = wait.maxPollIntervalMs ?? 2000
+    const backoffMultiplier = wait.backoffMultiplier ?? 1.5
+    // Tickets of waiters that stop polling (crashed processes) lapse after a few missed polls
+    const leaseMs = Math.max(5000, maxPollIntervalMs * 3)
+    const ticketId = randomUUID()
+    const startedAt = Date.now()
+    const deadline = startedAt + Math.max(0, wait.timeoutMs)
+    const attemptOptions: AcquireLockOptions = { ...options, wait: undefined }
+
+    let delay = pollIntervalMs
+    let queuePosition: number | undefined
+    let lastAttempt: KVLockResult | undefined
+
+    // A wait counts as one attempt however often it polls, and as contended at most once
+    this.stats.acquireAttempts++
+    let contended = false
+
+    try {
+      while (true) {
+        const queue = await updateKvValue<LockQueueTicket[]>(this.kv, queueKey, current => {
+          const now = Date.now()
+          const tickets = (current || []).filter(ticket => ticket.expiresAt > now || ticket.ticketId === ticketId)
+          const own = tickets.find(ticket => ticket.ticketId === ticketId)
+          if (own) {
+            own.expiresAt = now + leaseMs
+            return tickets
+          }
+          return [...tickets, { ticketId, enqueuedAt: now, expiresAt: now + leaseMs }]
+        }, { ttl: Math.ceil(leaseMs / 1000) })
+
+        const position = (queue || []).findIndex(ticket => ticket.ticketId === ticketId) + 1
+        if (position !== queuePosition) {
+          queuePosition = position
+          wait.onQueuePosition?.(position)
+        }
+
+        if (position === 1) {
+          lastAttempt = await this.tryAcquireKvLock(userId, threadId, attemptOptions)
+          if (lastAttempt.success) {
+            const waitedMs = Date.now() - startedAt
+            this.stats.waits++
+            this.stats.totalWaitMs += waitedMs
+            return { ...lastAttempt, queuePosition, waitedMs }
+          }
+        }
+
+        // Either the lock is held or other waiters are ahead in the queue
+        if (!contended) {
+          contended = true
+          this.recordContention(this.makeKvLockKey(userId, threadId))
+        }
+
+        const remaining = deadline - Date.now()
+        if (remaining <= 0 || wait.signal?.aborted) break
+
+        await sleep(Math.min(delay, remaining), wait.signal)
+        delay = Math.min(delay * backoffMultiplier, maxPollIntervalMs)
+      }
+
+      return {
+        success: false,
+        activeLockMetadata: lastAttempt?.activeLockMetadata ?? await this.checkKvLock(userId, threadId) ?? undefined,
+        lockKey: this.makeKvLockKey(userId, threadId),
+        queuePosition,
+        waitedMs: Date.now() - startedAt
+      }
+    } finally {
+      try {
+        await updateKvValue<LockQueueTicket[]>(this.kv, queueKey, current =>
+          (current || []).filter(ticket => ticket.ticketId !== ticketId)
+        , { ttl: Math.ceil(leaseMs / 1000) })
+      } catch (error) {
+        // The ticket lapses on its own once its lease runs out
+        console.error(`Error leaving KV lock queue ${queueKey}`, error)
+      }
+    }
+  }
+
+  /**
+   * List every live lock under this manager's key prefix
+   * Requires a store that implements scan.
+   */
+  async listActiveLocks(): Promise<ActiveLockInfo[]> {
+    if (!this.kv.scan) {
+      throw new Error('KV store does not support scan; lock listing is unavailable')
+    }
+
+    const lockKeys = await this.kv.scan(`${this.keyPrefix}:`)
+    const locks = await Promise.all(lockKeys.map(async lockKey => {
+      const data = await this.kv.get(lockKey)
+      return data ? this.describeLock(lockKey, parseLockMetadata(data)) : null
+    }))
+
+    return locks
+      .filter((lock): lock is ActiveLockInfo => lock !== null)
+      .sort((a, b) => (b.ageMs ?? 0) - (a.ageMs ?? 0))
+  }
+
+  /**
+   * Describe the lock for a user/thread, or null if unlocked
+   */
+  async inspectKvLock(userId: string, threadId: string): Promise<ActiveLockInfo | null> {
+    const metadata = await this.checkKvLock(userId, threadId)
+    return metadata ? this.describeLock(this.makeKvLockKey(userId, threadId), { userId, threadId, ...metadata }) : null
+  }
+
+  /**
+   * Release a lock regardless of its holder
+   */
+  async forceReleaseKvLock(userId: string, threadId: string): Promise<boolean> {
+    const released = await this.releaseKvLock(userId, threadId)
+    if (released) this.stats.forcedReleases++
+    return released
+  }
+
+  /**
+   * Release every lock matching the filter, e.g. all locks of a dead process
+   * Each lock is removed only if it still holds the lockId that matched.
+   */
+  async forceReleaseLocks(filter: ForceReleaseFilter): Promise<ActiveLockInfo[]> {
+    const stale = (await this.listActiveLocks()).filter(lock =>
+      (filter.processId === undefined || lock.processId === filter.processId) &&
+      (filter.olderThanMs === undefined || (lock.ageMs ?? 0) > filter.olderThanMs)
+    )
+
+    const released: ActiveLockInfo[] = []
+    for (const lock of stale) {
+      if (lock.lockId && await this.releaseKvLock(lock.userId, lock.threadId, lock.lockId)) {
+        this.stats.forcedReleases++
+        released.push(lock)
+      }
+    }
+    return released
+  }
+
+  /**
+   * Report contention statistics collected by this manager instance
+   */
+  getContentionStats(): KVLockContentionStats {
+    const { contentionByKey, totalWaitMs, ...counters } = this.stats
+    return {
+      ...counters,
+      averageWaitMs: counters.waits > 0 ? Math.round(totalWaitMs / counters.waits) : 0,
+      hottestLocks: Array.from(contentionByKey, ([lockKey, contentions]) => ({ lockKey, contentions }))
+        .sort((a, b) => b.contentions - a.contentions)
+        .slice(0, 10)
+    }
+  }
+
+  /**
+   * Reset contention statistics
+   */
+  resetContentionStats(): void {
+    this.stats = {
+      acquireAttempts: 0,
+      acquired: 0,
+      contended: 0,
+      released: 0,
+      forcedReleases: 0,
+      lost: 0,
+      waits: 0,
+      totalWaitMs: 0,
+      contentionByKey: new Map()
+    }
+  }
+
+  private describeLock(lockKey: string, metadata: KVLockMetadata): ActiveLockInfo {
+    const now = Date.now()
+    const owner = metadata.userId !== undefined && metadata.threadId !== undefined
+      ? { userId: metadata.userId, threadId: metadata.threadId }
+      : parseLegacyLockOwner(lockKey.slice(this.keyPrefix.length + 1))
+    const lockedAt = Date.parse(metadata.lockedAt)
+    const expiresAt = metadata.expiresAt ? Date.parse(metadata.expiresAt) : NaN
+
+    return {
+      lockKey,
+      userId: owner.userId,
+      threadId: owner.threadId,
+      lockId: metadata.lockId,
+      processId: metadata.processId,
+      lockedAt: metadata.lockedAt,
+      ageMs: Number.isNaN(lockedAt) ? undefined : now - lockedAt,
+      expiresAt: metadata.expiresAt,
+      ttlRemainingMs: Number.isNaN(expiresAt) ? undefined : Math.max(0, expiresAt - now),
+      fencingToken: metadata.fencingToken,
+      metadata: metadata.metadata
+    }
+  }
+
+  private recordContention(lockKey: string): void {
+    this.stats.contended++
+    const contentions = this.stats.contentionByKey.get(lockKey) ?? 0
+    this.stats.contentionByKey.delete(lockKey)
+    this.stats.contentionByKey.set(lockKey, contentions + 1)
+
+    // Drop the least recently contended key once the map is full
+    if (this.stats.contentionByKey.size > MAX_TRACKED_CONTENDED_KEYS) {
+      const oldest = this.stats.contentionByKey.keys().next().value
+      if (oldest !== undefined) this.stats.contentionByKey.delete(oldest)
+    }
+  }
+
+  /**
+   * Advance the fencing counter for a user/thread; must be called while holding the lock
+   * Counters expire after fencingTokenTTL without an acquisition, after which tokens
+   * start again at 1. Keep the TTL longer than downstream systems remember tokens.
+   */
+  private async issueFencingToken(userId: string, threadId: string): Promise<number> {
+    const fencingKey = this.makeFencingKey(userId, threadId)
+    const ttl = this.fencingTokenTTL
+
+    if (this.kv.incr) {
+      const fencingToken = await this.kv.incr(fencingKey, 1, { ttl })
+      // incr keeps an existing expiry; renew it unless a newer token was issued meanwhile
+      await this.kv.compareAndSet?.(fencingKey, fencingToken, fencingToken, { ttl })
+      return fencingToken
+    }
+
+    const fencingToken = (Number(await this.kv.get(fencingKey)) || 0) + 1
+    await this.kv.set(fencingKey, fencingToken, { ttl })
+    return fencingToken
+  }
+
+  /**
+   * Swap lock metadata only while the expected value is still stored
+   */
+  private async replaceLockMetadata(
+    kvKey: string,
+    expected: any,
+    next: KVLockMetadata,
+    ttl: number
+  ): Promise<boolean> {
+    if (this.kv.compareAndSet) {
+      return this.kv.compareAndSet(kvKey, expected, next, { ttl })
+    }
+    // Stores without compare-and-set can only guarantee the key still exists
+    return this.kv.set(kvKey, next, { ttl, condition: 'xx' })
+  }
+}
+
+/**
+ * Read-modify-write a key, retrying when another writer changes it in between
+ * Atomic on stores with compareAndSet; other stores fall back to a plain get/set.
+ */
+export async function updateKvValue<T>(
+  kv: KVStore,
+  key: string,
+  update: (current: T | null) => T,
+  options: { ttl?: number | ((next: T) => number | undefined); maxAttempts?: number } = {}
+): Promise<T> {
+  const maxAttempts = options.maxAttempts ?? 20
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const current = (await kv.get(key)) ?? null
+    // Updaters may mutate what they are given; in-memory stores hand out the stored object itself
+    const next = update(current === null ? null : JSON.parse(JSON.stringify(current)))
+    const ttl = typeof options.ttl === 'function' ? options.ttl(next) : options.ttl
+
+    if (!kv.compareAndSet) {
+      await kv.set(key, next, { ttl })
+      return next
+    }
+    if (await kv.compareAndSet(key, current, next, { ttl })) {
+      return next
+    }
+  }
+
+  throw new Error(`KV update for key ${key} kept conflicting after ${maxAttempts} attempts`)
+}
+
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise(resolve => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+/**
+ * Reject as soon as the signal aborts, even if the operation itself keeps running
+ */
+export function withAbortSignal<T>(operation: Promise<T>, signal: AbortSignal): Promise<T> {
+  if (signal.aborted) {
+    return Promise.reject(signal.reason)
+  }
+
+  return new Promise<T>((resolve, reject) => {
+    const onAbort = () => reject(signal.reason)
+    signal.addEventListener('abort', onAbort, { once: true })
+    operation.then(
+      value => {
+        signal.removeEventListener('abort', onAbort)
+        resolve(value)
+      },
+      error => {
+        signal.removeEventListener('abort', onAbort)
+        reject(error)
+      }
+    )
+  })
+}
+
+/**
+ * Abort a controller (with the same reason) when a signal aborts
+ * Returns a function that removes the link, so long-lived signals do not collect listeners.
+ */
+export function linkAbortSignal(controller: AbortController, signal?: AbortSignal): () => void {
+  if (!signal) return () => {}
+  if (signal.aborted) {
+    controller.abort(signal.reason)
+    return () => {}
+  }
+
+  const onAbort = () => controller.abort(signal.reason)
+  signal.addEventListener('abort', onAbort, { once: true })
+  return () => signal.removeEventListener('abort', onAbort)
+}
+
+/**
+ * Owner of a lock written before metadata carried userId/threadId
+ * Ambiguous when an id contains ':'; such locks lapse with their TTL.
+ */
+function parseLegacyLockOwner(scopedKey: string): { userId: string; threadId: string } {
+  const separator = scopedKey.lastIndexOf(':')
+  return { userId: scopedKey.slice(0, separator), threadId: scopedKey.slice(separator + 1) }
+}
+
+/**
+ * Normalize stored lock data, which string-only stores may hold as JSON text
+ */
+function parseLockMetadata(data: any): KVLockMetadata {
+  if (typeof data === 'string') {
+    try {
+      return JSON.parse(data)
+    } catch {
+      return { lockedAt: 'invalid data' } as KVLockMetadata
+    }
+  }
+
+  return data as KVLockMetadata
 }
 
 // Singleton instance for backward compatibility
@@ -255,16 +1165,19 @@ export const makeKvLockKey = (userId: string, threadId: string) =>
 export const acquireKvLock = (userId: string, threadId: string, options?: AcquireLockOptions) => 
   defaultKVLockManager.acquireKvLock(userId, threadId, options)
 
-export const releaseKvLock = (userId: string, threadId: string) => 
-  defaultKVLockManager.releaseKvLock(userId, threadId)
+export const releaseKvLock = (userId: string, threadId: string, lockId?: string) => 
+  defaultKVLockManager.releaseKvLock(userId, threadId, lockId)
+
+export const checkKvLock = (userId: string, threadId: string, lockId?: string) => 
+  defaultKVLockManager.checkKvLock(userId, threadId, lockId)
 
-export const checkKvLock = (userId: string, threadId: string) => 
-  defaultKVLockManager.checkKvLock(userId, threadId)
+export const extendKvLock = (userId: string, threadId: string, lockId: string, ttlSeconds?: number) => 
+  defaultKVLockManager.extendKvLock(userId, threadId, lockId, ttlSeconds)
 
 export const withKvLock = <T>(
   userId: string, 
   threadId: string, 
-  operation: () => Promise<T>, 
+  operation: (lock: KVLockHandle) => Promise<T>, 
   options?: AcquireLockOptions
 ) => defaultKVLockManager.withKvLock(userId, threadId, operation, options)
 
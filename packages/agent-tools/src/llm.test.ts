@@ -0,0 +1,455 @@
+import { describe, expect, it } from 'vitest'
+import {
+  AnthropicClient,
+  LLMRequestError,
+  LLMResponseAccumulator,
+  OllamaClient,
+  OpenAICompatibleClient,
+  OpenAISDKClient,
+  fromOpenAIChatResponse,
+  toOpenAIChatParams
+} from './llm'
+import type { LLMClient, LLMCompletionRequest, LLMStreamChunk } from './llm'
+
+const tool = {
+  name: 'analyze_intent',
+  description: 'Classifies the request',
+  parameters: { type: 'object', properties: { conclusion: { type: 'string' } }, required: ['conclusion'] }
+}
+
+const request: LLMCompletionRequest = {
+  model: 'test-model',
+  messages: [
+    { role: 'system', content: 'Classify the request.' },
+    { role: 'user', content: 'Launch posts' }
+  ],
+  tools: [tool],
+  toolChoice: { name: 'analyze_intent' },
+  temperature: 0.2
+}
+
+// A fetch that answers every call with `body`, delivered in chunks of `chunkSize` bytes
+function createFetch(body: string | object, init: { status?: number; headers?: Record<string, string>; chunkSize?: number } = {}) {
+  const calls: Array<{ url: string; headers: Record<string, string>; body: any }> = []
+  const text = typeof body === 'string' ? body : JSON.stringify(body)
+  const bytes = new TextEncoder().encode(text)
+  const chunkSize = init.chunkSize || bytes.length || 1
+
+  const fetchImpl = (async (url: string, options: RequestInit) => {
+    calls.push({ url, headers: options.headers as Record<string, string>, body: JSON.parse(options.body as string) })
+    const stream = new ReadableStream<Uint8Array>({
+      start(controller) {
+        for (let offset = 0; offset < bytes.length; offset += chunkSize) {
+          controller.enqueue(bytes.slice(offset, offset + chunkSize))
+        }
+        controller.close()
+      }
+    })
+    return new Response(stream, { status: init.status || 200, headers: init.headers })
+  }) as typeof fetch
+
+  return { fetch: fetchImpl, calls }
+}
+
+const sse = (events: Array<object | string>, named = false) => events
+  .map(event => {
+    const data = typeof event === 'string' ? event : JSON.stringify(event)
+    const name = named && typeof event === 'object' ? `event: ${(event as any).type}\n` : ''
+    return `${name}data: ${data}\n\n`
+  })
+  .join('')
+
+async function collect(client: LLMClient, completionRequest = request): Promise<LLMStreamChunk[]> {
+  const chunks: LLMStreamChunk[] = []
+  for await (const chunk of client.stream!(completionRequest)) {
+    chunks.push(chunk)
+  }
+  return chunks
+}
+
+const doneResponse = (chunks: LLMStreamChunk[]) => {
+  const last = chunks[chunks.length - 1]
+  if (last.type !== 'done') throw new Error('stream did not end with a done chunk')
+  return last.response
+}
+
+describe('OpenAI chat mapping', () => {
+  it('maps requests to chat completions parameters', () => {
+    const params = toOpenAIChatParams({
+      ...request,
+      messages: [
+        ...request.messages,
+        { role: 'assistant', content: '', toolCalls: [{ id: 'call-1', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }] },
+        { role: 'tool', content: 'ok', toolCallId: 'call-1' }
+      ],
+      maxTokens: 100
+    })
+
+    expect(params).toEqual({
+      model: 'test-model',
+      messages: [
+        { role: 'system', content: 'Classify the request.' },
+        { role: 'user', content: 'Launch posts' },
+        {
+          role: 'assistant',
+          content: '',
+          tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'analyze_intent', arguments: '{"conclusion":"x"}' } }]
+        },
+        { role: 'tool', content: 'ok', tool_call_id: 'call-1' }
+      ],
+      temperature: 0.2,
+      max_tokens: 100,
+      tools: [{ type: 'function', function: tool }],
+      tool_choice: { type: 'function', function: { name: 'analyze_intent' } }
+    })
+    expect(toOpenAIChatParams({ ...request, toolChoice: 'required' }).tool_choice).toBe('required')
+  })
+
+  it('normalizes chat completions responses', () => {
+    const raw = {
+      model: 'gpt-4o-mini',
+      choices: [{
+        finish_reason: 'tool_calls',
+        message: {
+          content: null,
+          tool_calls: [{ id: 'call-1', type: 'function', function: { name: 'analyze_intent', arguments: '' } }]
+        }
+      }],
+      usage: { prompt_tokens: 12, completion_tokens: 3 }
+    }
+
+    expect(fromOpenAIChatResponse(raw)).toEqual({
+      content: null,
+      toolCalls: [{ id: 'call-1', name: 'analyze_intent', arguments: '{}' }],
+      finishReason: 'tool_calls',
+      usage: { inputTokens: 12, outputTokens: 3, totalTokens: 15 },
+      model: 'gpt-4o-mini',
+      raw
+    })
+  })
+})
+
+describe('OpenAICompatibleClient', () => {
+  it('posts to chat completions and normalizes the reply', async () => {
+    const { fetch, calls } = createFetch({
+      model: 'test-model',
+      choices: [{ finish_reason: 'stop', message: { content: 'Hello' } }],
+      usage: { prompt_tokens: 5, completion_tokens: 1 }
+    })
+    const client = new OpenAICompatibleClient({ baseUrl: 'http://llm.local/v1/', apiKey: 'sk-test', fetch })
+
+    const response = await client.complete(request)
+
+    expect(calls[0].url).toBe('http://llm.local/v1/chat/completions')
+    expect(calls[0].headers).toMatchObject({ authorization: 'Bearer sk-test', 'content-type': 'application/json' })
+    expect(calls[0].body.tool_choice).toEqual({ type: 'function', function: { name: 'analyze_intent' } })
+    expect(response).toMatchObject({ content: 'Hello', toolCalls: [], finishReason: 'stop', usage: { totalTokens: 6 } })
+  })
+
+  it('streams server-sent events split across reads', async () => {
+    const { fetch, calls } = createFetch(sse([
+      { model: 'test-model', choices: [{ delta: { content: 'Think' } }] },
+      { choices: [{ delta: { content: 'ing' } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call-1', function: { name: 'analyze_intent', arguments: '{"concl' } }] } }] },
+      { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: 'usion":"x"}' } }] } }] },
+      { choices: [{ delta: {}, finish_reason: 'tool_calls' }] },
+      { choices: [], usage: { prompt_tokens: 9, completion_tokens: 4 } },
+      '[DONE]'
+    ]), { chunkSize: 7 })
+    const client = new OpenAICompatibleClient({ fetch })
+
+    const chunks = await collect(client)
+
+    expect(calls[0].body).toMatchObject({ stream: true, stream_options: { include_usage: true } })
+    expect(chunks.slice(0, 2)).toEqual([{ type: 'text', text: 'Think' }, { type: 'text', text: 'ing' }])
+    expect(chunks[2]).toEqual({ type: 'tool_call_delta', index: 0, id: 'call-1', name: 'analyze_intent', argumentsDelta: '{"concl' })
+    expect(doneResponse(chunks)).toEqual({
+      content: 'Thinking',
+      toolCalls: [{ id: 'call-1', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }],
+      finishReason: 'tool_calls',
+      usage: { inputTokens: 9, outputTokens: 4, totalTokens: 13 },
+      model: 'test-model'
+    })
+  })
+
+  it('throws LLMRequestError with the status, body and headers of a failed call', async () => {
+    const { fetch } = createFetch(
+      { error: { type: 'rate_limit_exceeded', message: 'Slow down' } },
+      { status: 429, headers: { 'retry-after': '2' } }
+    )
+    const client = new OpenAICompatibleClient({ fetch })
+
+    const error = await client.complete(request).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(LLMRequestError)
+    expect(error).toMatchObject({
+      provider: 'openai',
+      status: 429,
+      body: { error: { type: 'rate_limit_exceeded' } },
+      headers: { 'retry-after': '2' },
+      message: 'openai request failed with status 429: Slow down'
+    })
+  })
+
+  it('reports a non-JSON error page verbatim', async () => {
+    const { fetch } = createFetch('<html>Bad gateway</html>', { status: 502 })
+
+    await expect(new OpenAICompatibleClient({ fetch }).complete(request)).rejects.toMatchObject({
+      status: 502,
+      body: '<html>Bad gateway</html>'
+    })
+  })
+})
+
+describe('OpenAISDKClient', () => {
+  it('calls chat.completions.create and forwards the abort signal', async () => {
+    const calls: any[][] = []
+    const sdk = {
+      chat: {
+        completions: {
+          create: async (...args: any[]) => {
+            calls.push(args)
+            return { model: 'gpt-4o', choices: [{ finish_reason: 'stop', message: { content: 'Hi' } }] }
+          }
+        }
+      }
+    }
+    const controller = new AbortController()
+
+    const response = await new OpenAISDKClient(sdk).complete({ ...request, signal: controller.signal })
+
+    expect(calls[0][0]).toMatchObject({ model: 'test-model', tool_choice: { type: 'function', function: { name: 'analyze_intent' } } })
+    expect(calls[0][1]).toEqual({ signal: controller.signal })
+    expect(response).toMatchObject({ content: 'Hi', model: 'gpt-4o' })
+  })
+
+  it('streams SDK chunks', async () => {
+    const sdk = {
+      chat: {
+        completions: {
+          create: async () => (async function* () {
+            yield { model: 'gpt-4o', choices: [{ delta: { tool_calls: [{ index: 0, id: 'call-1', function: { name: 'analyze_intent', arguments: '{}' } }] } }] }
+            yield { choices: [{ delta: {}, finish_reason: 'tool_calls' }] }
+          })()
+        }
+      }
+    }
+
+    const chunks = await collect(new OpenAISDKClient(sdk))
+
+    expect(doneResponse(chunks)).toEqual({
+      content: null,
+      toolCalls: [{ id: 'call-1', name: 'analyze_intent', arguments: '{}' }],
+      finishReason: 'tool_calls',
+      usage: undefined,
+      model: 'gpt-4o'
+    })
+  })
+})
+
+describe('AnthropicClient', () => {
+  const conversation: LLMCompletionRequest = {
+    ...request,
+    messages: [
+      ...request.messages,
+      {
+        role: 'assistant',
+        content: 'Checking',
+        toolCalls: [
+          { id: 'toolu_1', name: 'lookup', arguments: '{"q":"a"}' },
+          { id: 'toolu_2', name: 'lookup', arguments: 'not json' }
+        ]
+      },
+      { role: 'tool', content: 'A', toolCallId: 'toolu_1' },
+      { role: 'tool', content: 'B', toolCallId: 'toolu_2' }
+    ]
+  }
+
+  it('maps system prompts, tool turns and tool choice to the messages API', async () => {
+    const { fetch, calls } = createFetch({
+      model: 'claude-sonnet-4-5',
+      stop_reason: 'tool_use',
+      content: [
+        { type: 'text', text: 'Calling the tool' },
+        { type: 'tool_use', id: 'toolu_3', name: 'analyze_intent', input: { conclusion: 'x' } }
+      ],
+      usage: { input_tokens: 20, output_tokens: 8 }
+    })
+    const client = new AnthropicClient({ apiKey: 'key', fetch })
+
+    const response = await client.complete(conversation)
+
+    expect(calls[0].url).toBe('https://api.anthropic.com/v1/messages')
+    expect(calls[0].headers).toMatchObject({ 'x-api-key': 'key', 'anthropic-version': '2023-06-01' })
+    expect(calls[0].body).toEqual({
+      model: 'test-model',
+      max_tokens: 4096,
+      system: 'Classify the request.',
+      temperature: 0.2,
+      messages: [
+        { role: 'user', content: [{ type: 'text', text: 'Launch posts' }] },
+        {
+          role: 'assistant',
+          content: [
+            { type: 'text', text: 'Checking' },
+            { type: 'tool_use', id: 'toolu_1', name: 'lookup', input: { q: 'a' } },
+            { type: 'tool_use', id: 'toolu_2', name: 'lookup', input: {} }
+          ]
+        },
+        // Consecutive tool results share one user turn
+        {
+          role: 'user',
+          content: [
+            { type: 'tool_result', tool_use_id: 'toolu_1', content: 'A' },
+            { type: 'tool_result', tool_use_id: 'toolu_2', content: 'B' }
+          ]
+        }
+      ],
+      tools: [{ name: tool.name, description: tool.description, input_schema: tool.parameters }],
+      tool_choice: { type: 'tool', name: 'analyze_intent' }
+    })
+    expect(response).toMatchObject({
+      content: 'Calling the tool',
+      toolCalls: [{ id: 'toolu_3', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }],
+      finishReason: 'tool_use',
+      usage: { inputTokens: 20, outputTokens: 8, totalTokens: 28 },
+      model: 'claude-sonnet-4-5'
+    })
+  })
+
+  it('streams text and tool input deltas', async () => {
+    const { fetch } = createFetch(sse([
+      { type: 'message_start', message: { model: 'claude-sonnet-4-5', usage: { input_tokens: 30 } } },
+      { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+      { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Sure' } },
+      { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'analyze_intent' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"conclusion":' } },
+      { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"x"}' } },
+      { type: 'ping' },
+      { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 11 } },
+      { type: 'message_stop' }
+    ], true), { chunkSize: 5 })
+
+    const chunks = await collect(new AnthropicClient({ fetch }))
+
+    expect(chunks.slice(0, 3)).toEqual([
+      { type: 'text', text: 'Sure' },
+      { type: 'tool_call_delta', index: 1, id: 'toolu_1', name: 'analyze_intent', argumentsDelta: '' },
+      { type: 'tool_call_delta', index: 1, argumentsDelta: '{"conclusion":' }
+    ])
+    expect(doneResponse(chunks)).toEqual({
+      content: 'Sure',
+      toolCalls: [{ id: 'toolu_1', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }],
+      finishReason: 'tool_use',
+      usage: { inputTokens: 30, outputTokens: 11, totalTokens: 41 },
+      model: 'claude-sonnet-4-5'
+    })
+  })
+
+  it('throws an error event as LLMRequestError', async () => {
+    const { fetch } = createFetch(sse([
+      { type: 'message_start', message: { model: 'claude-sonnet-4-5' } },
+      { type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }
+    ], true))
+
+    const error = await collect(new AnthropicClient({ fetch })).catch(caught => caught)
+
+    expect(error).toBeInstanceOf(LLMRequestError)
+    expect(error).toMatchObject({ provider: 'anthropic', status: 500, body: { error: { type: 'overloaded_error' } } })
+  })
+})
+
+describe('OllamaClient', () => {
+  it('narrows the tool list and asks for a forced tool', async () => {
+    const { fetch, calls } = createFetch({
+      model: 'llama3.1',
+      message: { role: 'assistant', content: '', tool_calls: [{ function: { name: 'analyze_intent', arguments: { conclusion: 'x' } } }] },
+      done: true,
+      done_reason: 'stop',
+      prompt_eval_count: 14,
+      eval_count: 6
+    })
+    const other = { ...tool, name: 'other_tool' }
+
+    const response = await new OllamaClient({ fetch }).complete({ ...request, tools: [tool, other], maxTokens: 50 })
+
+    expect(calls[0].url).toBe('http://localhost:11434/api/chat')
+    expect(calls[0].body).toMatchObject({
+      stream: false,
+      options: { temperature: 0.2, num_predict: 50 },
+      tools: [{ type: 'function', function: tool }]
+    })
+    expect(calls[0].body.messages.at(-1)).toEqual({ role: 'system', content: 'Respond by calling the analyze_intent tool.' })
+    expect(response).toMatchObject({
+      content: null,
+      toolCalls: [{ id: 'call_0', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }],
+      finishReason: 'stop',
+      usage: { inputTokens: 14, outputTokens: 6, totalTokens: 20 },
+      model: 'llama3.1'
+    })
+  })
+
+  it('omits tools when the tool choice is none', async () => {
+    const { fetch, calls } = createFetch({ model: 'llama3.1', message: { content: 'Hi' }, done: true })
+
+    const response = await new OllamaClient({ fetch }).complete({ ...request, toolChoice: 'none' })
+
+    expect(calls[0].body).not.toHaveProperty('tools')
+    expect(response).toMatchObject({ content: 'Hi', usage: undefined })
+  })
+
+  it('streams JSON lines split across reads', async () => {
+    const lines = [
+      { model: 'llama3.1', message: { content: 'Working' }, done: false },
+      { model: 'llama3.1', message: { content: '', tool_calls: [{ function: { name: 'analyze_intent', arguments: { conclusion: 'x' } } }] }, done: false },
+      { model: 'llama3.1', message: { content: '' }, done: true, done_reason: 'stop', prompt_eval_count: 10, eval_count: 5 }
+    ]
+    const { fetch, calls } = createFetch(lines.map(line => JSON.stringify(line)).join('\n'), { chunkSize: 11 })
+
+    const chunks = await collect(new OllamaClient({ fetch }))
+
+    expect(calls[0].body.stream).toBe(true)
+    expect(chunks.slice(0, 2)).toEqual([
+      { type: 'text', text: 'Working' },
+      { type: 'tool_call_delta', index: 0, id: 'call_0', name: 'analyze_intent', argumentsDelta: '{"conclusion":"x"}' }
+    ])
+    expect(doneResponse(chunks)).toEqual({
+      content: 'Working',
+      toolCalls: [{ id: 'call_0', name: 'analyze_intent', arguments: '{"conclusion":"x"}' }],
+      finishReason: 'stop',
+      usage: { inputTokens: 10, outputTokens: 5, totalTokens: 15 },
+      model: 'llama3.1'
+    })
+  })
+})
+
+describe('LLMResponseAccumulator', () => {
+  it('folds interleaved deltas into a response ordered by tool index', () => {
+    const accumulator = new LLMResponseAccumulator()
+    const chunks = accumulator.pushAll([
+      { type: 'tool_call_delta', index: 1, id: 'call-b', name: 'second', argumentsDelta: '{"b":' },
+      { type: 'text', text: 'Hi ' },
+      { type: 'tool_call_delta', index: 0, name: 'first', argumentsDelta: '' },
+      { type: 'tool_call_delta', index: 1, argumentsDelta: '2}' },
+      { type: 'text', text: 'there' }
+    ])
+    accumulator.finishReason = 'tool_calls'
+
+    expect(chunks).toHaveLength(5)
+    expect(accumulator.toResponse()).toEqual({
+      content: 'Hi there',
+      toolCalls: [
+        // Missing ids are generated and empty arguments default to an empty object
+        { id: 'call_0', name: 'first', arguments: '{}' },
+        { id: 'call-b', name: 'second', arguments: '{"b":2}' }
+      ],
+      finishReason: 'tool_calls',
+      usage: undefined,
+      model: undefined
+    })
+  })
+
+  it('returns null content when nothing was streamed', () => {
+    expect(new LLMResponseAccumulator().toResponse()).toMatchObject({ content: null, toolCalls: [] })
+  })
+})
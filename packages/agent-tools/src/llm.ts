@@ -0,0 +1,759 @@
+/**
+ * @growthub/agent-tools/llm
+ * Provider-agnostic LLM Client Layer
+ *
+ * Normalizes messages, tool definitions and tool calls so the same AgentTaskConfig
+ * runs against OpenAI-compatible endpoints, the Anthropic messages API or a local
+ * Ollama server.
+ */
+
+import { createHash } from 'node:crypto'
+import type { OpenAIClient } from './tasks'
+
+// Normalized Message Format
+export interface LLMMessage {
+  role: 'system' | 'user' | 'assistant' | 'tool'
+  content: string
+  // Assistant turns that called tools
+  toolCalls?: LLMToolCall[]
+  // Tool turns answering a call
+  toolCallId?: string
+}
+
+// Tool definition; parameters are JSON Schema
+export interface LLMToolDefinition {
+  name: string
+  description: string
+  parameters: Record<string, any>
+  // Ask the provider to constrain arguments to the schema, where supported
+  strict?: boolean
+}
+
+export interface LLMToolCall {
+  id: string
+  name: string
+  // Raw JSON text as produced by the model
+  arguments: string
+}
+
+export type LLMToolChoice = 'auto' | 'none' | 'required' | { name: string }
+
+export interface LLMCompletionRequest {
+  model: string
+  messages: LLMMessage[]
+  tools?: LLMToolDefinition[]
+  toolChoice?: LLMToolChoice
+  temperature?: number
+  maxTokens?: number
+  topP?: number
+  signal?: AbortSignal
+}
+
+export interface LLMUsage {
+  inputTokens: number
+  outputTokens: number
+  totalTokens: number
+}
+
+export interface LLMCompletionResponse {
+  content: string | null
+  toolCalls: LLMToolCall[]
+  finishReason?: string
+  usage?: LLMUsage
+  model?: string
+  // Provider response, for debugging
+  raw?: any
+}
+
+// Incremental output of a streaming completion
+export type LLMStreamDelta =
+  | { type: 'text'; text: string }
+  | { type: 'tool_call_delta'; index: number; id?: string; name?: string; argumentsDelta: string }
+
+// Streams end with a `done` chunk carrying the accumulated response
+export type LLMStreamChunk = LLMStreamDelta | { type: 'done'; response: LLMCompletionResponse }
+
+// LLM Client Interface
+export interface LLMClient {
+  readonly provider: string
+  complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse>
+  stream?(request: LLMCompletionRequest): AsyncIterable<LLMStreamChunk>
+}
+
+export interface HttpLLMClientOptions {
+  baseUrl?: string
+  apiKey?: string
+  headers?: Record<string, string>
+  // Injectable for proxies and tests
+  fetch?: typeof fetch
+}
+
+/**
+ * Error returned by an LLM provider's HTTP API
+ */
+export class LLMRequestError extends Error {
+  readonly provider: string
+  readonly status: number
+  readonly body: any
+  readonly headers: Record<string, string>
+
+  constructor(provider: string, status: number, body: any, headers: Record<string, string> = {}) {
+    super(`${provider} request failed with status ${status}: ${describeErrorBody(body)}`)
+    this.name = 'LLMRequestError'
+    this.provider = provider
+    this.status = status
+    this.body = body
+    this.headers = headers
+  }
+}
+
+// Default Configuration
+export const DEFAULT_OPENAI_BASE_URL = 'https://api.openai.com/v1'
+export const DEFAULT_ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1'
+export const DEFAULT_ANTHROPIC_VERSION = '2023-06-01'
+export const DEFAULT_ANTHROPIC_MAX_TOKENS = 4096
+export const DEFAULT_OLLAMA_BASE_URL = 'http://localhost:11434'
+
+/**
+ * OpenAI-compatible Client Class
+ * Chat Completions over HTTP; works with OpenAI, Azure-style proxies, vLLM, LM Studio and similar
+ */
+export class OpenAICompatibleClient implements LLMClient {
+  readonly provider: string
+  private baseUrl: string
+  private apiKey?: string
+  private headers: Record<string, string>
+  private fetchImpl: typeof fetch
+
+  constructor(options: HttpLLMClientOptions & { provider?: string } = {}) {
+    this.provider = options.provider || 'openai'
+    this.baseUrl = trimTrailingSlash(options.baseUrl || DEFAULT_OPENAI_BASE_URL)
+    this.apiKey = options.apiKey
+    this.headers = options.headers || {}
+    this.fetchImpl = options.fetch || fetch
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    const response = await this.post(toOpenAIChatParams(request), request.signal)
+    return fromOpenAIChatResponse(await readJson(response))
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    const params = { ...toOpenAIChatParams(request), stream: true, stream_options: { include_usage: true } }
+    const response = await this.post(params, request.signal)
+    const accumulator = new LLMResponseAccumulator()
+
+    for await (const event of readServerSentEvents(response)) {
+      if (event.data === '[DONE]') break
+      yield* accumulator.pushAll(fromOpenAIChatChunk(JSON.parse(event.data), accumulator))
+    }
+
+    yield { type: 'done', response: accumulator.toResponse() }
+  }
+
+  private post(params: Record<string, any>, signal?: AbortSignal): Promise<Response> {
+    return post(this.fetchImpl, this.provider, `${this.baseUrl}/chat/completions`, params, {
+      ...(this.apiKey && { authorization: `Bearer ${this.apiKey}` }),
+      ...this.headers
+    }, signal)
+  }
+}
+
+/**
+ * OpenAI SDK Client Class
+ * Adapts an `openai` SDK instance (or anything with its chat.completions.create shape)
+ */
+export class OpenAISDKClient implements LLMClient {
+  readonly provider = 'openai'
+  private client: OpenAIClient
+
+  constructor(client: OpenAIClient) {
+    this.client = client
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    const response = await this.client.chat.completions.create(
+      toOpenAIChatParams(request),
+      ...(request.signal ? [{ signal: request.signal }] : [])
+    )
+    return fromOpenAIChatResponse(response)
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    const chunks: AsyncIterable<any> = await this.client.chat.completions.create(
+      { ...toOpenAIChatParams(request), stream: true, stream_options: { include_usage: true } },
+      ...(request.signal ? [{ signal: request.signal }] : [])
+    )
+    const accumulator = new LLMResponseAccumulator()
+
+    for await (const chunk of chunks) {
+      yield* accumulator.pushAll(fromOpenAIChatChunk(chunk, accumulator))
+    }
+
+    yield { type: 'done', response: accumulator.toResponse() }
+  }
+}
+
+/**
+ * Anthropic Client Class
+ * Messages API with tool use
+ */
+export class AnthropicClient implements LLMClient {
+  readonly provider = 'anthropic'
+  private baseUrl: string
+  private apiKey?: string
+  private headers: Record<string, string>
+  private fetchImpl: typeof fetch
+  private defaultMaxTokens: number
+
+  constructor(options: HttpLLMClientOptions & { defaultMaxTokens?: number } = {}) {
+    this.baseUrl = trimTrailingSlash(options.baseUrl || DEFAULT_ANTHROPIC_BASE_URL)
+    this.apiKey = options.apiKey
+    this.headers = options.headers || {}
+    this.fetchImpl = options.fetch || fetch
+    this.defaultMaxTokens = options.defaultMaxTokens || DEFAULT_ANTHROPIC_MAX_TOKENS
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    const body = await readJson(await this.post(this.toParams(request), request.signal))
+    const blocks: any[] = body.content || []
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('')
+
+    return {
+      content: text || null,
+      toolCalls: blocks
+        .filter(block => block.type === 'tool_use')
+        .map(block => ({ id: block.id, name: block.name, arguments: JSON.stringify(block.input ?? {}) })),
+      finishReason: body.stop_reason,
+      usage: body.usage && toUsage(body.usage.input_tokens, body.usage.output_tokens),
+      model: body.model,
+      raw: body
+    }
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    const response = await this.post({ ...this.toParams(request), stream: true }, request.signal)
+    const accumulator = new LLMResponseAccumulator()
+    let inputTokens = 0
+
+    for await (const { data } of readServerSentEvents(response)) {
+      const event = JSON.parse(data)
+
+      switch (event.type) {
+        case 'message_start':
+          accumulator.model = event.message?.model
+          inputTokens = event.message?.usage?.input_tokens || 0
+          break
+        case 'content_block_start':
+          if (event.content_block?.type === 'tool_use') {
+            yield* accumulator.pushAll([{
+              type: 'tool_call_delta',
+              index: event.index,
+              id: event.content_block.id,
+              name: event.content_block.name,
+              argumentsDelta: ''
+            }])
+          }
+          break
+        case 'content_block_delta':
+          if (event.delta?.type === 'text_delta') {
+            yield* accumulator.pushAll([{ type: 'text', text: event.delta.text }])
+          } else if (event.delta?.type === 'input_json_delta') {
+            yield* accumulator.pushAll([{ type: 'tool_call_delta', index: event.index, argumentsDelta: event.delta.partial_json }])
+          }
+          break
+        case 'message_delta':
+          accumulator.finishReason = event.delta?.stop_reason ?? accumulator.finishReason
+          if (event.usage?.output_tokens !== undefined) {
+            accumulator.usage = toUsage(inputTokens, event.usage.output_tokens)
+          }
+          break
+        case 'error':
+          throw new LLMRequestError(this.provider, 500, event)
+      }
+    }
+
+    yield { type: 'done', response: accumulator.toResponse() }
+  }
+
+  private toParams(request: LLMCompletionRequest): Record<string, any> {
+    const system = request.messages.filter(message => message.role === 'system').map(message => message.content)
+    const params: Record<string, any> = {
+      model: request.model,
+      // Anthropic requires an output budget on every request
+      max_tokens: request.maxTokens || this.defaultMaxTokens,
+      messages: toAnthropicMessages(request.messages),
+      ...(system.length > 0 && { system: system.join('\n\n') }),
+      ...(request.temperature !== undefined && { temperature: request.temperature }),
+      ...(request.topP !== undefined && { top_p: request.topP })
+    }
+
+    if (request.tools?.length) {
+      params.tools = request.tools.map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }))
+      if (request.toolChoice) {
+        params.tool_choice = toAnthropicToolChoice(request.toolChoice)
+      }
+    }
+
+    return params
+  }
+
+  private post(params: Record<string, any>, signal?: AbortSignal): Promise<Response> {
+    return post(this.fetchImpl, this.provider, `${this.baseUrl}/messages`, params, {
+      'anthropic-version': DEFAULT_ANTHROPIC_VERSION,
+      ...(this.apiKey && { 'x-api-key': this.apiKey }),
+      ...this.headers
+    }, signal)
+  }
+}
+
+/**
+ * Ollama Client Class
+ * Local models through Ollama's /api/chat endpoint
+ */
+export class OllamaClient implements LLMClient {
+  readonly provider = 'ollama'
+  private baseUrl: string
+  private headers: Record<string, string>
+  private fetchImpl: typeof fetch
+
+  constructor(options: Omit<HttpLLMClientOptions, 'apiKey'> = {}) {
+    this.baseUrl = trimTrailingSlash(options.baseUrl || DEFAULT_OLLAMA_BASE_URL)
+    this.headers = options.headers || {}
+    this.fetchImpl = options.fetch || fetch
+  }
+
+  async complete(request: LLMCompletionRequest): Promise<LLMCompletionResponse> {
+    const body = await readJson(await this.post({ ...this.toParams(request), stream: false }, request.signal))
+    const message = body.message || {}
+
+    return {
+      content: message.content || null,
+      toolCalls: (message.tool_calls || []).map((call: any, index: number) => fromOllamaToolCall(call, index)),
+      finishReason: body.done_reason,
+      usage: body.eval_count !== undefined ? toUsage(body.prompt_eval_count || 0, body.eval_count) : undefined,
+      model: body.model,
+      raw: body
+    }
+  }
+
+  async *stream(request: LLMCompletionRequest): AsyncGenerator<LLMStreamChunk> {
+    const response = await this.post({ ...this.toParams(request), stream: true }, request.signal)
+    const accumulator = new LLMResponseAccumulator()
+    let toolIndex = 0
+
+    for await (const line of readJsonLines(response)) {
+      const message = line.message || {}
+      if (message.content) {
+        yield* accumulator.pushAll([{ type: 'text', text: message.content }])
+      }
+      // Ollama sends each tool call complete in a single chunk
+      for (const call of message.tool_calls || []) {
+        const toolCall = fromOllamaToolCall(call, toolIndex)
+        yield* accumulator.pushAll([{
+          type: 'tool_call_delta',
+          index: toolIndex++,
+          id: toolCall.id,
+          name: toolCall.name,
+          argumentsDelta: toolCall.arguments
+        }])
+      }
+      if (line.done) {
+        accumulator.model = line.model
+        accumulator.finishReason = line.done_reason
+        if (line.eval_count !== undefined) {
+          accumulator.usage = toUsage(line.prompt_eval_count || 0, line.eval_count)
+        }
+      }
+    }
+
+    yield { type: 'done', response: accumulator.toResponse() }
+  }
+
+  private toParams(request: LLMCompletionRequest): Record<string, any> {
+    const forcedTool = typeof request.toolChoice === 'object' ? request.toolChoice.name : undefined
+    // Ollama cannot force a tool call, so narrow the tool list and ask for it explicitly
+    const tools = forcedTool ? request.tools?.filter(tool => tool.name === forcedTool) : request.tools
+    const messages = forcedTool
+      ? [...request.messages, { role: 'system' as const, content: `Respond by calling the ${forcedTool} tool.` }]
+      : request.messages
+
+    const params: Record<string, any> = {
+      model: request.model,
+      messages: messages.map(message => ({
+        role: message.role,
+        content: message.content,
+        ...(message.toolCalls?.length && {
+          tool_calls: message.toolCalls.map(call => ({
+            function: { name: call.name, arguments: parseArguments(call.arguments) }
+          }))
+        })
+      })),
+      options: {
+        ...(request.temperature !== undefined && { temperature: request.temperature }),
+        ...(request.topP !== undefined && { top_p: request.topP }),
+        ...(request.maxTokens !== undefined && { num_predict: request.maxTokens })
+      }
+    }
+
+    if (tools?.length && request.toolChoice !== 'none') {
+      params.tools = tools.map(tool => ({ type: 'function', function: tool }))
+    }
+
+    return params
+  }
+
+  private post(params: Record<string, any>, signal?: AbortSignal): Promise<Response> {
+    return post(this.fetchImpl, this.provider, `${this.baseUrl}/api/chat`, params, this.headers, signal)
+  }
+}
+
+/**
+ * LLM Response Accumulator Class
+ * Folds stream chunks into the response a non-streaming call would have returned
+ */
+export class LLMResponseAccumulator {
+  finishReason?: string
+  usage?: LLMUsage
+  model?: string
+  private content = ''
+  private toolCalls = new Map<number, LLMToolCall>()
+
+  push(chunk: LLMStreamDelta): void {
+    if (chunk.type === 'text') {
+      this.content += chunk.text
+      return
+    }
+
+    const existing = this.toolCalls.get(chunk.index)
+    this.toolCalls.set(chunk.index, {
+      id: chunk.id || existing?.id || `call_${chunk.index}`,
+      name: chunk.name || existing?.name || '',
+      arguments: (existing?.arguments || '') + chunk.argumentsDelta
+    })
+  }
+
+  /**
+   * Record chunks and pass them through, for use with `yield*` in stream implementations
+   */
+  pushAll(chunks: LLMStreamDelta[]): LLMStreamDelta[] {
+    chunks.forEach(chunk => this.push(chunk))
+    return chunks
+  }
+
+  toResponse(): LLMCompletionResponse {
+    return {
+      content: this.content || null,
+      toolCalls: Array.from(this.toolCalls.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([, call]) => ({ ...call, arguments: call.arguments || '{}' })),
+      finishReason: this.finishReason,
+      usage: this.usage,
+      model: this.model
+    }
+  }
+}
+
+/**
+ * Check whether a client implements the normalized LLMClient interface
+ */
+export function isLLMClient(client: unknown): client is LLMClient {
+  return typeof (client as LLMClient)?.complete === 'function'
+}
+
+/**
+ * Accept either a normalized client or an OpenAI SDK-shaped client
+ */
+export function toLLMClient(client: LLMClient | OpenAIClient): LLMClient {
+  return isLLMClient(client) ? client : new OpenAISDKClient(client)
+}
+
+/**
+ * Reduce a request to the fields that determine the response, with keys in stable order
+ * The abort signal and undefined options are dropped.
+ */
+export function normalizeLLMRequest(
+  request: LLMCompletionRequest,
+  normalize?: (request: Record<string, any>) => Record<string, any>
+): Record<string, any> {
+  const { signal, ...rest } = request
+  const plain = JSON.parse(JSON.stringify(rest))
+  return sortKeys(normalize ? normalize(plain) : plain)
+}
+
+/**
+ * SHA-256 of the normalized request; keys cassette interactions and cached responses
+ */
+export function hashLLMRequest(
+  request: LLMCompletionRequest,
+  normalize?: (request: Record<string, any>) => Record<string, any>
+): string {
+  return hashNormalizedLLMRequest(normalizeLLMRequest(request, normalize))
+}
+
+/**
+ * Hash a request already reduced by normalizeLLMRequest
+ */
+export function hashNormalizedLLMRequest(normalized: Record<string, any>): string {
+  return createHash('sha256').update(JSON.stringify(normalized)).digest('hex')
+}
+
+/**
+ * Build OpenAI Chat Completions parameters from a normalized request
+ */
+export function toOpenAIChatParams(request: LLMCompletionRequest): Record<string, any> {
+  const params: Record<string, any> = {
+    model: request.model,
+    messages: request.messages.map(message => {
+      if (message.role === 'tool') {
+        return { role: 'tool', content: message.content, tool_call_id: message.toolCallId }
+      }
+      return {
+        role: message.role,
+        content: message.content,
+        ...(message.toolCalls?.length && {
+          tool_calls: message.toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+          }))
+        })
+      }
+    }),
+    ...(request.temperature !== undefined && { temperature: request.temperature }),
+    ...(request.maxTokens && { max_tokens: request.maxTokens }),
+    ...(request.topP && { top_p: request.topP })
+  }
+
+  if (request.tools?.length) {
+    params.tools = request.tools.map(tool => ({ type: 'function', function: tool }))
+    if (request.toolChoice) {
+      params.tool_choice = typeof request.toolChoice === 'object'
+        ? { type: 'function', function: { name: request.toolChoice.name } }
+        : request.toolChoice
+    }
+  }
+
+  return params
+}
+
+/**
+ * Normalize an OpenAI Chat Completions response
+ */
+export function fromOpenAIChatResponse(response: any): LLMCompletionResponse {
+  const choice = response?.choices?.[0]
+  const message = choice?.message || {}
+
+  return {
+    content: message.content ?? null,
+    toolCalls: (message.tool_calls || []).map((call: any) => ({
+      id: call.id,
+      name: call.function.name,
+      arguments: call.function.arguments || '{}'
+    })),
+    finishReason: choice?.finish_reason,
+    usage: response?.usage && toUsage(response.usage.prompt_tokens, response.usage.completion_tokens),
+    model: response?.model,
+    raw: response
+  }
+}
+
+function toAnthropicMessages(messages: LLMMessage[]): any[] {
+  const converted: Array<{ role: 'user' | 'assistant'; content: any[] }> = []
+
+  for (const message of messages) {
+    if (message.role === 'system') continue
+
+    const role = message.role === 'assistant' ? 'assistant' : 'user'
+    const blocks: any[] = []
+
+    if (message.role === 'tool') {
+      blocks.push({ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content })
+    } else {
+      if (message.content) {
+        blocks.push({ type: 'text', text: message.content })
+      }
+      for (const call of message.toolCalls || []) {
+        blocks.push({ type: 'tool_use', id: call.id, name: call.name, input: parseArguments(call.arguments) })
+      }
+    }
+
+    // Anthropic requires alternating roles; consecutive tool results share one user turn
+    const previous = converted[converted.length - 1]
+    if (previous?.role === role) {
+      previous.content.push(...blocks)
+    } else {
+      converted.push({ role, content: blocks })
+    }
+  }
+
+  return converted
+}
+
+function toAnthropicToolChoice(choice: LLMToolChoice): Record<string, any> {
+  if (typeof choice === 'object') return { type: 'tool', name: choice.name }
+  if (choice === 'required') return { type: 'any' }
+  return { type: choice }
+}
+
+async function post(
+  fetchImpl: typeof fetch,
+  provider: string,
+  url: string,
+  body: unknown,
+  headers: Record<string, string>,
+  signal?: AbortSignal
+): Promise<Response> {
+  const response = await fetchImpl(url, {
+    method: 'POST',
+    headers: { 'content-type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+    signal
+  })
+
+  if (!response.ok) {
+    const responseHeaders: Record<string, string> = {}
+    response.headers.forEach((value, name) => {
+      responseHeaders[name] = value
+    })
+    throw new LLMRequestError(provider, response.status, parseBody(await response.text()), responseHeaders)
+  }
+
+  return response
+}
+
+async function readJson(response: Response): Promise<any> {
+  return parseBody(await response.text())
+}
+
+function parseBody(text: string): any {
+  try {
+    return text ? JSON.parse(text) : null
+  } catch {
+    return text // Non-JSON error pages are reported verbatim
+  }
+}
+
+async function* readLines(response: Response): AsyncGenerator<string> {
+  if (!response.body) return
+
+  const reader = response.body.getReader()
+  const decoder = new TextDecoder()
+  let buffered = ''
+
+  try {
+    while (true) {
+      const { done, value } = await reader.read()
+      if (done) break
+
+      buffered += decoder.decode(value, { stream: true })
+      const lines = buffered.split('\n')
+      buffered = lines.pop() || ''
+      for (const line of lines) {
+        yield line.replace(/\r$/, '')
+      }
+    }
+    buffered += decoder.decode()
+    if (buffered) yield buffered
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+async function* readServerSentEvents(response: Response): AsyncGenerator<{ event?: string; data: string }> {
+  let event: string | undefined
+  let data: string[] = []
+
+  for await (const line of readLines(response)) {
+    if (line === '') {
+      if (data.length > 0) yield { event, data: data.join('\n') }
+      event = undefined
+      data = []
+    } else if (line.startsWith('data:')) {
+      data.push(line.slice(5).replace(/^ /, ''))
+    } else if (line.startsWith('event:')) {
+      event = line.slice(6).trim()
+    }
+  }
+
+  if (data.length > 0) yield { event, data: data.join('\n') }
+}
+
+async function* readJsonLines(response: Response): AsyncGenerator<any> {
+  for await (const line of readLines(response)) {
+    if (line.trim()) yield JSON.parse(line)
+  }
+}
+
+function fromOpenAIChatChunk(chunk: any, accumulator: LLMResponseAccumulator): LLMStreamDelta[] {
+  const deltas: LLMStreamDelta[] = []
+  const choice = chunk?.choices?.[0]
+
+  accumulator.model = chunk?.model ?? accumulator.model
+  if (chunk?.usage) {
+    accumulator.usage = toUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens)
+  }
+  if (choice?.finish_reason) {
+    accumulator.finishReason = choice.finish_reason
+  }
+
+  if (choice?.delta?.content) {
+    deltas.push({ type: 'text', text: choice.delta.content })
+  }
+  for (const call of choice?.delta?.tool_calls || []) {
+    deltas.push({
+      type: 'tool_call_delta',
+      index: call.index ?? 0,
+      id: call.id,
+      name: call.function?.name,
+      argumentsDelta: call.function?.arguments || ''
+    })
+  }
+
+  return deltas
+}
+
+function fromOllamaToolCall(call: any, index: number): LLMToolCall {
+  return {
+    id: call.id || `call_${index}`,
+    name: call.function.name,
+    arguments: typeof call.function.arguments === 'string'
+      ? call.function.arguments
+      : JSON.stringify(call.function.arguments ?? {})
+  }
+}
+
+function parseArguments(text: string): any {
+  try {
+    return JSON.parse(text || '{}')
+  } catch {
+    return {}
+  }
+}
+
+function toUsage(inputTokens = 0, outputTokens = 0): LLMUsage {
+  return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens }
+}
+
+function trimTrailingSlash(url: string): string {
+  return url.replace(/\/+$/, '')
+}
+
+function describeErrorBody(body: any): string {
+  if (typeof body === 'string') return body.slice(0, 200)
+  if (typeof body?.error === 'string') return body.error
+  return body?.error?.message || JSON.stringify(body)?.slice(0, 200) || 'no body'
+}
+
+function sortKeys(value: any): any {
+  if (Array.isArray(value)) return value.map(sortKeys)
+  if (!value || typeof value !== 'object') return value
+
+  return Object.fromEntries(
+    Object.keys(value).sort().map(key => [key, sortKeys(value[key])])
+  )
+}
@@ -0,0 +1,150 @@
+import { describe, expect, it } from 'vitest'
+import { ModelRegistry, ModelRouter } from './models'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { LLMRequestError } from './llm'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+const request = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40',
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+const intent = {
+  analysis: 'Two social posts for a product launch',
+  conclusion: 'social_posts',
+  confidence: 0.9,
+  inferred_assets: 2
+}
+
+const rateLimited = () => new LLMRequestError('openai', 429, { error: { type: 'rate_limit_exceeded', message: 'Rate limit reached' } })
+
+describe('ModelRegistry', () => {
+  it('matches dated snapshots to the longest registered base name', () => {
+    const registry = new ModelRegistry()
+
+    expect(registry.get('gpt-4o-mini-2024-07-18')?.name).toBe('gpt-4o-mini')
+    expect(registry.get('gpt-4o-2024-08-06')?.name).toBe('gpt-4o')
+    expect(registry.get('gpt-4omni')).toBeUndefined()
+  })
+
+  it('builds a pricing table from the models that have pricing', () => {
+    const registry = new ModelRegistry([
+      { name: 'priced', pricing: { inputPerMillion: 1, outputPerMillion: 2 } },
+      { name: 'local' }
+    ])
+
+    expect(registry.getPricingTable()).toEqual({ priced: { inputPerMillion: 1, outputPerMillion: 2 } })
+  })
+})
+
+describe('ModelRouter.resolve', () => {
+  const routes = [
+    { taskName: 'brand_analysis', model: 'claude-sonnet-4-5', fallbacks: ['gpt-4o'] },
+    { taskType: ['text_generation' as const, 'completion' as const], model: 'gpt-4o' },
+    { match: (config: { modelConfig?: { temperature?: number } }) => config.modelConfig?.temperature === 0, model: 'o3-mini' }
+  ]
+
+  it('uses the first route every condition of which matches', () => {
+    const router = new ModelRouter(routes, { fallbacks: ['claude-3-5-haiku'] })
+
+    expect(router.resolve(AgentTaskConfigs.BRAND_ANALYSIS, 'gpt-4o-mini')).toEqual(['claude-sonnet-4-5', 'gpt-4o'])
+    expect(router.resolve({ ...AgentTaskConfigs.INTENT_ANALYSIS, taskType: 'completion' }, 'gpt-4o-mini')).toEqual(['gpt-4o', 'claude-3-5-haiku'])
+    expect(router.resolve({ ...AgentTaskConfigs.INTENT_ANALYSIS, modelConfig: { temperature: 0 } }, 'gpt-4o-mini')).toEqual(['o3-mini', 'claude-3-5-haiku'])
+  })
+
+  it('falls back to the default model and the router chain when no route matches', () => {
+    const router = new ModelRouter(routes, { fallbacks: ['gpt-4o-mini', 'claude-3-5-haiku'] })
+
+    // The primary model is not repeated in the chain
+    expect(router.resolve(AgentTaskConfigs.INTENT_ANALYSIS, 'gpt-4o-mini')).toEqual(['gpt-4o-mini', 'claude-3-5-haiku'])
+  })
+
+  it('lets a task\'s own model override its route', () => {
+    const router = new ModelRouter(routes)
+
+    expect(router.resolve({ ...AgentTaskConfigs.BRAND_ANALYSIS, modelConfig: { model: 'o3-mini' } }, 'gpt-4o-mini')).toEqual(['o3-mini', 'gpt-4o'])
+  })
+
+  it('drops models whose context window is too small for the prompt', () => {
+    const router = new ModelRouter([], { fallbacks: ['claude-sonnet-4-5', 'o3-mini'] })
+
+    expect(router.resolve(AgentTaskConfigs.INTENT_ANALYSIS, 'gpt-4o-mini', 150000)).toEqual(['claude-sonnet-4-5', 'o3-mini'])
+    expect(router.resolve(AgentTaskConfigs.INTENT_ANALYSIS, 'gpt-4o-mini', 1000)).toEqual(['gpt-4o-mini', 'claude-sonnet-4-5', 'o3-mini'])
+    // Nothing fits, so the whole chain is kept rather than none
+    expect(router.resolve(AgentTaskConfigs.INTENT_ANALYSIS, 'gpt-4o-mini', 500000)).toEqual(['gpt-4o-mini', 'claude-sonnet-4-5', 'o3-mini'])
+  })
+
+  it('drops models without tool calling and keeps unregistered ones', () => {
+    const registry = new ModelRegistry([{ name: 'text-only', supportsTools: false, contextWindow: 4000 }, { name: 'tools', supportsTools: true }])
+    const router = new ModelRouter([], { registry, fallbacks: ['unknown-model', 'tools'] })
+
+    expect(router.resolve(AgentTaskConfigs.INTENT_ANALYSIS, 'text-only')).toEqual(['unknown-model', 'tools'])
+    expect(router.resolve({ ...AgentTaskConfigs.INTENT_ANALYSIS, modelConfig: { model: 'text-only' } }, 'tools', 100000)).toEqual(['unknown-model', 'tools'])
+  })
+
+  it('looks up clients by provider and falls back only on the configured codes', () => {
+    const anthropic = createScriptedClient([], { provider: 'anthropic' })
+    const router = new ModelRouter([], { clients: { anthropic }, fallbackOn: ['RATE_LIMITED'] })
+
+    expect(router.getClient('claude-3-5-haiku-20241022')).toBe(anthropic)
+    expect(router.getClient('gpt-4o')).toBeUndefined()
+    expect(router.shouldFallback('RATE_LIMITED')).toBe(true)
+    expect(router.shouldFallback('PROVIDER_ERROR')).toBe(false)
+  })
+})
+
+describe('model fallback in AgentTaskExecutor', () => {
+  const retryPolicy = { maxRetries: 1, initialDelayMs: 1, jitter: false }
+
+  it('moves to the next model once the primary\'s retries are used up', async () => {
+    const openai = createScriptedClient([rateLimited(), rateLimited()])
+    const anthropic = createScriptedClient([toolCallResponse('analyze_intent', intent, { model: 'claude-3-5-haiku' })], { provider: 'anthropic' })
+    const router = new ModelRouter([{ taskName: 'intent_analysis', model: 'gpt-4o-mini', fallbacks: ['claude-3-5-haiku'] }], { clients: { openai, anthropic } })
+    const executor = new AgentTaskExecutor(createScriptedClient([]), { router, retryPolicy })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(openai.requests.map(call => call.model)).toEqual(['gpt-4o-mini', 'gpt-4o-mini'])
+    expect(anthropic.requests.map(call => call.model)).toEqual(['claude-3-5-haiku'])
+    expect(result.model).toBe('claude-3-5-haiku')
+    expect(result.fallbacks).toEqual([{ model: 'gpt-4o-mini', code: 'RATE_LIMITED' }])
+    // Priced at the fallback's rates
+    expect(result.usage!.costUsd).toBeCloseTo((100 * 0.8 + 20 * 4) / 1_000_000, 12)
+  })
+
+  it('uses the executor\'s client for models without a registered provider client', async () => {
+    const client = createScriptedClient([rateLimited(), rateLimited(), toolCallResponse('analyze_intent', intent)])
+    const router = new ModelRouter([], { fallbacks: ['gpt-4o'] })
+    const executor = new AgentTaskExecutor(client, { router, retryPolicy })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(client.requests.map(call => call.model)).toEqual(['gpt-4o-mini', 'gpt-4o-mini', 'gpt-4o'])
+  })
+
+  it('does not fall back on errors outside fallbackOn', async () => {
+    const client = createScriptedClient([new LLMRequestError('openai', 401, { error: { code: 'invalid_api_key' } })])
+    const router = new ModelRouter([], { fallbacks: ['gpt-4o'] })
+    const executor = new AgentTaskExecutor(client, { router, retryPolicy })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.error?.code).toBe('AUTHENTICATION_FAILED')
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('fails with the last error once every model is used up', async () => {
+    const client = createScriptedClient([rateLimited(), rateLimited(), rateLimited(), rateLimited()])
+    const router = new ModelRouter([], { fallbacks: ['gpt-4o'] })
+    const executor = new AgentTaskExecutor(client, { router, retryPolicy })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.error?.code).toBe('RATE_LIMITED')
+    expect(client.requests.map(call => call.model)).toEqual(['gpt-4o-mini', 'gpt-4o-mini', 'gpt-4o', 'gpt-4o'])
+  })
+})
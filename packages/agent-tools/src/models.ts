@@ -0,0 +1,170 @@
+/**
+ * @growthub/agent-tools/models
+ * Model Registry and Routing
+ *
+ * Records what each model can do (context window, tool calling, pricing) and picks
+ * the models a task runs on: a routed primary model plus an ordered fallback chain
+ * that takes over when the current model is rate limited or unavailable.
+ */
+
+import type { LLMClient } from './llm'
+import type { LLMErrorCode } from './errors'
+import type { AgentTaskConfig } from './tasks'
+import { DEFAULT_MODEL_PRICING } from './usage'
+import type { ModelPricing, ModelPricingTable } from './usage'
+
+export interface ModelInfo {
+  name: string
+  // Key into ModelRouterOptions.clients, e.g. 'openai' or 'anthropic'
+  provider?: string
+  // Input plus output tokens
+  contextWindow?: number
+  // Agent tasks always call a function; models without tool calling are skipped
+  supportsTools?: boolean
+  pricing?: ModelPricing
+}
+
+// Matches when every condition given holds; the first matching route wins
+export interface ModelRoute {
+  taskName?: string | string[]
+  taskType?: AgentTaskConfig['taskType'] | Array<AgentTaskConfig['taskType']>
+  match?: (config: AgentTaskConfig<any>) => boolean
+  model: string
+  // Tried in order once `model` fails with a fallbackOn error
+  fallbacks?: string[]
+}
+
+export interface ModelRouterOptions {
+  registry?: ModelRegistry
+  // Chain for tasks no route matches (after the executor's default model)
+  fallbacks?: string[]
+  // Errors that move a task to its next model, once retries are used up
+  fallbackOn?: LLMErrorCode[]
+  // Clients by ModelInfo.provider; models without one use the executor's client
+  clients?: Record<string, LLMClient>
+}
+
+// Default Configuration
+export const DEFAULT_MODELS: ModelInfo[] = [
+  { name: 'gpt-4o-mini', provider: 'openai', contextWindow: 128000, supportsTools: true, pricing: DEFAULT_MODEL_PRICING['gpt-4o-mini'] },
+  { name: 'gpt-4o', provider: 'openai', contextWindow: 128000, supportsTools: true, pricing: DEFAULT_MODEL_PRICING['gpt-4o'] },
+  { name: 'o3-mini', provider: 'openai', contextWindow: 200000, supportsTools: true, pricing: DEFAULT_MODEL_PRICING['o3-mini'] },
+  { name: 'claude-sonnet-4-5', provider: 'anthropic', contextWindow: 200000, supportsTools: true, pricing: DEFAULT_MODEL_PRICING['claude-sonnet-4-5'] },
+  { name: 'claude-3-5-haiku', provider: 'anthropic', contextWindow: 200000, supportsTools: true, pricing: DEFAULT_MODEL_PRICING['claude-3-5-haiku'] }
+]
+export const DEFAULT_FALLBACK_ON: LLMErrorCode[] = ['RATE_LIMITED', 'PROVIDER_ERROR', 'NETWORK_ERROR', 'TIMEOUT_ERROR']
+
+/**
+ * Model Registry Class
+ * Model capabilities by name; dated snapshots (gpt-4o-mini-2024-07-18) match their base name
+ */
+export class ModelRegistry {
+  private models = new Map<string, ModelInfo>()
+
+  constructor(models: ModelInfo[] = DEFAULT_MODELS) {
+    models.forEach(model => this.register(model))
+  }
+
+  /**
+   * Add or replace a model
+   */
+  register(model: ModelInfo): this {
+    this.models.set(model.name, model)
+    return this
+  }
+
+  /**
+   * Look up a model: exact name first, then the longest name it starts with
+   */
+  get(name: string): ModelInfo | undefined {
+    const exact = this.models.get(name)
+    if (exact) return exact
+
+    const base = Array.from(this.models.keys())
+      .filter(model => name.startsWith(`${model}-`))
+      .sort((a, b) => b.length - a.length)[0]
+    return base ? this.models.get(base) : undefined
+  }
+
+  list(): ModelInfo[] {
+    return Array.from(this.models.values())
+  }
+
+  /**
+   * Pricing of every registered model that has it, for usage accounting
+   */
+  getPricingTable(): ModelPricingTable {
+    return Object.fromEntries(
+      this.list()
+        .filter(model => model.pricing)
+        .map(model => [model.name, model.pricing!])
+    )
+  }
+}
+
+/**
+ * Model Router Class
+ * Picks the ordered models a task may run on
+ */
+export class ModelRouter {
+  readonly registry: ModelRegistry
+  private routes: ModelRoute[]
+  private fallbacks: string[]
+  private fallbackOn: LLMErrorCode[]
+  private clients: Record<string, LLMClient>
+
+  constructor(routes: ModelRoute[] = [], options: ModelRouterOptions = {}) {
+    this.routes = routes
+    this.registry = options.registry || new ModelRegistry()
+    this.fallbacks = options.fallbacks || []
+    this.fallbackOn = options.fallbackOn || DEFAULT_FALLBACK_ON
+    this.clients = options.clients || {}
+  }
+
+  /**
+   * Models to try for a task, primary first
+   * A model set on the task's modelConfig wins over routes; routes win over `defaultModel`.
+   * Models without tool calling, or whose context window is smaller than
+   * `estimatedInputTokens`, are dropped unless that would leave none.
+   */
+  resolve(config: AgentTaskConfig<any>, defaultModel: string, estimatedInputTokens?: number): string[] {
+    const route = this.routes.find(candidate => matchesRoute(candidate, config))
+    const primary = config.modelConfig?.model || route?.model || defaultModel
+    const chain = Array.from(new Set([primary, ...(route?.fallbacks || this.fallbacks)]))
+
+    const usable = chain.filter(model => {
+      const info = this.registry.get(model)
+      if (info?.supportsTools === false) return false
+      return !(estimatedInputTokens && info?.contextWindow && info.contextWindow < estimatedInputTokens)
+    })
+    return usable.length > 0 ? usable : chain
+  }
+
+  /**
+   * Whether an error should move the task to its next model
+   */
+  shouldFallback(code: LLMErrorCode): boolean {
+    return this.fallbackOn.includes(code)
+  }
+
+  /**
+   * Client registered for the model's provider, if any
+   */
+  getClient(model: string): LLMClient | undefined {
+    const provider = this.registry.get(model)?.provider
+    return provider ? this.clients[provider] : undefined
+  }
+
+  getPricingTable(): ModelPricingTable {
+    return this.registry.getPricingTable()
+  }
+}
+
+function matchesRoute(route: ModelRoute, config: AgentTaskConfig<any>): boolean {
+  const includes = <T>(value: T | T[] | undefined, candidate: T) =>
+    value === undefined || (Array.isArray(value) ? value.includes(candidate) : value === candidate)
+
+  return includes(route.taskName, config.taskName) &&
+    includes(route.taskType, config.taskType) &&
+    (!route.match || route.match(config))
+}
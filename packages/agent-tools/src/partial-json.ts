@@ -0,0 +1,71 @@
+/**
+ * @growthub/agent-tools/partial-json
+ * Partial JSON Parsing for Streamed Tool-call Arguments
+ *
+ * Tool-call arguments arrive a few characters at a time. These helpers turn an
+ * incomplete JSON document into the value parsed so far, so progress can be shown
+ * before the model finishes.
+ */
+
+/**
+ * Parse the complete part of a truncated JSON document
+ * Open strings, arrays and objects are closed; a trailing key without a value, a
+ * dangling comma or an unfinished number/literal is dropped. Returns undefined when
+ * nothing usable has arrived yet.
+ */
+export function parsePartialJson(text: string): unknown {
+  const source = text.trim()
+  if (!source) return undefined
+
+  try {
+    return JSON.parse(source)
+  } catch {
+    // Fall through to repair
+  }
+
+  // Drop trailing characters one at a time until the closed document parses
+  for (let end = source.length; end > 0; end--) {
+    const completed = closeJson(source.slice(0, end))
+    if (completed === undefined) continue
+
+    try {
+      return JSON.parse(completed)
+    } catch {
+      // Keep backtracking
+    }
+  }
+
+  return undefined
+}
+
+function closeJson(prefix: string): string | undefined {
+  const closers: string[] = []
+  let inString = false
+  let escaped = false
+
+  for (const char of prefix) {
+    if (inString) {
+      if (escaped) escaped = false
+      else if (char === '\\') escaped = true
+      else if (char === '"') inString = false
+      continue
+    }
+
+    if (char === '"') inString = true
+    else if (char === '{') closers.push('}')
+    else if (char === '[') closers.push(']')
+    else if (char === '}' || char === ']') closers.pop()
+  }
+
+  // A half-written escape sequence cannot be closed
+  if (escaped) return undefined
+
+  let completed = inString ? `${prefix}"` : prefix
+  // Commas and colons promise more input; let the caller backtrack past them
+  if (/[,:]\s*$/.test(completed)) return undefined
+
+  for (let index = closers.length - 1; index >= 0; index--) {
+    completed += closers[index]
+  }
+  return completed
+}
@@ -0,0 +1,268 @@
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_PROMPT_TEMPLATES, PromptLibrary, PromptTemplate, PromptTemplateError, promptLibrary, satisfiesRange } from './prompts'
+import type { PromptTemplateDefinition } from './prompts'
+import { AgentTaskBuilder, AgentTaskConfigs, AgentTaskExecutor, IntentAnalysisResultSchema } from './tasks'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+const template = (source: string, required?: string[]) => new PromptTemplate({ name: 'test', version: '1.0.0', template: source, required })
+
+const thrown = (fn: () => unknown): PromptTemplateError => {
+  try {
+    fn()
+  } catch (error) {
+    return error as PromptTemplateError
+  }
+  throw new Error('Expected an error')
+}
+
+// The userPromptTemplate closures the default templates replaced
+const BASELINE_PROMPTS: Record<string, (data: any) => string> = {
+  intent_analysis: data =>
+    `Analyze: "${data.prompt}" for ${data.brandContext?.brand_name || 'brand'} (${data.brandContext?.referenceImages?.length || 0} ref images)`,
+  brand_analysis: data =>
+    `Analyze brand: ${data.brandContext?.brand_name || 'Unknown'}
+Colors: ${data.brandContext?.colors ? JSON.stringify(data.brandContext.colors) : 'None'}
+Messaging: ${data.brandContext?.messaging || 'None'}
+Reference Images: ${data.brandContext?.referenceImages?.length || 0}`,
+  complexity_assessment: data =>
+    `Assess complexity:
+Prompt: "${data.prompt || ''}"
+Brand: ${data.brandContext?.brand_name || 'Unknown'} (${data.brandStrength || 'Unknown'})
+Assets: ${data.inferredAssets || 1}
+References: ${data.brandContext?.referenceImages?.length || 0}`
+}
+
+describe('default prompt templates', () => {
+  const inputs: Array<[string, Record<string, any>]> = [
+    ['a full brand context', {
+      prompt: 'Launch posts',
+      brandContext: { brand_name: 'Acme', colors: ['#ff0000', '#000'], messaging: 'Bold & "loud"', referenceImages: [{ url: 'a.png' }, { url: 'b.png' }] },
+      brandStrength: 'strong',
+      inferredAssets: 3
+    }],
+    ['free text with quotes and line breaks', {
+      prompt: 'Say "hi"\nthen <b>bye</b>',
+      brandContext: { brand_name: 'Ben & Jerry\'s', messaging: 'Line one\nLine two' }
+    }],
+    ['empty and falsy values', {
+      prompt: '',
+      brandContext: { brand_name: '', colors: [], messaging: null, referenceImages: [] },
+      brandStrength: '',
+      inferredAssets: 0
+    }],
+    ['no brand context', { prompt: 'Launch posts' }]
+  ]
+
+  it.each(inputs)('render like the closures they replaced for %s', (_, input) => {
+    for (const definition of DEFAULT_PROMPT_TEMPLATES) {
+      const rendered = new PromptTemplate({ ...definition, required: [] }).render(input)
+      expect(rendered, definition.name).toBe(BASELINE_PROMPTS[definition.name](input))
+    }
+  })
+
+  it('require a prompt for intent analysis', () => {
+    expect(thrown(() => promptLibrary.render({ name: 'intent_analysis' }, {})).code).toBe('MISSING_VARIABLES')
+  })
+})
+
+describe('PromptTemplate', () => {
+  it('escapes {{ }} strings like a JSON string body and inserts {{{ }}} ones unchanged', () => {
+    const rendered = template('"{{text}}" / {{{text}}} / {{count}} / {{list}} / {{missing}}.').render({ text: 'a "b"\nc', count: 2, list: ['x'] })
+
+    expect(rendered).toBe('"a \\"b\\"\\nc" / a "b"\nc / 2 / ["x"] / .')
+  })
+
+  it('applies filters in order', () => {
+    const rendered = template('{{name | default: "anon"}} {{count | default: 1}} {{flag | default: "off"}} {{tags | join}} {{tags | join: "+"}} {{tags | length}} {{word | length}} {{none | length}}')
+      .render({ name: '', count: 0, flag: false, tags: ['a', 'b'], word: 'four' })
+
+    expect(rendered).toBe('anon 1 off a, b a+b 2 4 0')
+  })
+
+  it('renders #if and #each blocks with their else branches', () => {
+    const source = '{{#if items}}Items:{{#each items}} {{@index}}={{name}}/{{this.name}}@{{brand}}{{/each}}{{else}}none{{/if}}{{#each empty}}x{{else}}, empty{{/each}}'
+
+    expect(template(source).render({ brand: 'Acme', items: [{ name: 'a' }, { name: 'b' }], empty: [] }))
+      .toBe('Items: 0=a/a@Acme 1=b/b@Acme, empty')
+    expect(template(source).render({ items: [] })).toBe('none, empty')
+    expect(template('{{#each tags}}[{{this}}]{{/each}}').render({ tags: ['x', 'y'] })).toBe('[x][y]')
+  })
+
+  it('drops lines holding only a block tag or comment', () => {
+    const source = [
+      'Header',
+      '  {{! a comment }}',
+      '{{#if channels}}',
+      'Channels:',
+      '{{#each channels}}',
+      '- {{this}}',
+      '{{/each}}',
+      '{{else}}',
+      'No channels',
+      '{{/if}}',
+      'Footer {{#if x}}inline{{/if}}'
+    ].join('\n')
+
+    expect(template(source).render({ channels: ['web', 'email'] })).toBe('Header\nChannels:\n- web\n- email\nFooter ')
+    expect(template(source).render({ x: true })).toBe('Header\nNo channels\nFooter inline')
+  })
+
+  it('lists the variables it reads outside #each bodies', () => {
+    expect(template('{{a}} {{#if b.c}}{{d | default: 1}}{{/if}}{{#each items}}{{name}}{{else}}{{e}}{{/each}}{{a}}').variables)
+      .toEqual(['a', 'b.c', 'd', 'items', 'e'])
+  })
+
+  it.each([
+    ['an unclosed block', '{{#if a}}x', 'Unclosed {{#if}}'],
+    ['a mismatched close', '{{#if a}}x{{/each}}', 'Unexpected {{/each}}'],
+    ['a stray else', 'x{{else}}y', '{{else}} outside an {{#if}} or {{#each}} block'],
+    ['a second else', '{{#if a}}x{{else}}y{{else}}z{{/if}}', '{{else}} outside'],
+    ['an unknown block', '{{#with a}}x{{/with}}', 'Unknown block {{#with a}}'],
+    ['an invalid path', '{{a-b}}', 'Invalid variable {{a-b}}'],
+    ['an unknown filter', '{{a | upper}}', 'Unknown filter "upper"'],
+    ['a filter argument that is not JSON', '{{a | default: none}}', 'Filter arguments must be JSON literals']
+  ])('rejects %s when compiled', (_, source, message) => {
+    const error = thrown(() => template(source))
+
+    expect(error).toBeInstanceOf(PromptTemplateError)
+    expect(error.code).toBe('TEMPLATE_SYNTAX')
+    expect(error.message).toContain('test@1.0.0: ')
+    expect(error.message).toContain(message)
+  })
+
+  it('names every missing required variable', () => {
+    const error = thrown(() => template('{{goal}} for {{brand.name}}', ['goal', 'brand.name', 'count']).render({ goal: '', count: 0 }))
+
+    expect(error.code).toBe('MISSING_VARIABLES')
+    expect(error.variables).toEqual(['goal', 'brand.name'])
+    expect(error.message).toBe('Prompt test@1.0.0 is missing required variables: goal, brand.name')
+  })
+})
+
+describe('satisfiesRange', () => {
+  it.each([
+    ['1.2.3', undefined, true],
+    ['1.2.3', 'latest', true],
+    ['2.0.0-beta.1', undefined, false],
+    ['1.2.3', '1.2.3', true],
+    ['1.2.4', '1.2.3', false],
+    ['1.9.0', '^1.2.3', true],
+    ['1.2.2', '^1.2.3', false],
+    ['2.0.0', '^1.2.3', false],
+    ['0.2.5', '^0.2.0', true],
+    ['0.3.0', '^0.2.0', false],
+    ['1.2.9', '~1.2.3', true],
+    ['1.3.0', '~1.2.3', false],
+    ['1.3.0-rc.1', '^1.2.0', false],
+    ['1.3.0-rc.1', '1.3.0-rc.1', true],
+    ['1.2.3', 'one', false],
+    ['not-a-version', '^1.0.0', false]
+  ])('%s satisfies %s: %s', (version, range, expected) => {
+    expect(satisfiesRange(version, range)).toBe(expected)
+  })
+})
+
+describe('PromptLibrary', () => {
+  const brief = (version: string, text = `Brief ${version}`): PromptTemplateDefinition => ({ name: 'brief', version, template: text })
+
+  it('picks the highest version in a range, releases after their prereleases', () => {
+    const library = new PromptLibrary(['1.10.0', '1.2.0', '2.0.0-beta.2', '2.0.0-beta.10', '1.2.1', '2.0.0'].map(version => brief(version)))
+
+    expect(library.versions('brief')).toEqual(['1.2.0', '1.2.1', '1.10.0', '2.0.0-beta.2', '2.0.0-beta.10', '2.0.0'])
+    expect(library.get('brief')?.version).toBe('2.0.0')
+    expect(library.get('brief', '^1.0.0')?.version).toBe('1.10.0')
+    expect(library.get('brief', '~1.2.0')?.version).toBe('1.2.1')
+    expect(library.render({ name: 'brief', version: '2.0.0-beta.10' }, {})).toEqual({ name: 'brief', version: '2.0.0-beta.10', text: 'Brief 2.0.0-beta.10' })
+    expect(library.has('brief', '^3.0.0')).toBe(false)
+  })
+
+  it('treats published versions as immutable', () => {
+    const library = new PromptLibrary([brief('1.0.0')])
+
+    expect(library.register(brief('1.0.0'))).toBe(library.require('brief', '1.0.0'))
+    expect(thrown(() => library.register(brief('1.0.0', 'Changed'))).code).toBe('VERSION_CONFLICT')
+    expect(thrown(() => library.register(brief('1.0'))).code).toBe('INVALID_VERSION')
+  })
+
+  it('reports prompts no version matches', () => {
+    const error = thrown(() => new PromptLibrary([brief('1.0.0')]).require('brief', '^2.0.0'))
+
+    expect(error.code).toBe('PROMPT_NOT_FOUND')
+    expect(error.message).toBe('No prompt brief matches version ^2.0.0')
+  })
+
+  it('round-trips through JSON', () => {
+    const definitions = [{ ...brief('1.0.0'), required: ['goal'], description: 'Campaign brief' }, brief('1.1.0')]
+    const library = new PromptLibrary(definitions)
+
+    expect(new PromptLibrary(JSON.parse(JSON.stringify(library))).list()).toEqual(definitions)
+  })
+})
+
+describe('prompts in AgentTaskExecutor', () => {
+  const request = {
+    threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+    userId: '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40',
+    agentType: 'CONTENT_GENERATION_AGENT',
+    taskSequence: 1
+  }
+  const intent = toolCallResponse('analyze_intent', { analysis: 'Posts', conclusion: 'social_posts', confidence: 0.9, inferred_assets: 2 })
+
+  const briefTask = (version: string) => AgentTaskBuilder
+    .create('campaign_brief')
+    .type('analysis')
+    .tool('campaign_brief_writer')
+    .systemPrompt('Write campaign briefs.')
+    .prompt('campaign_brief', version)
+    .schema('analyze_intent', 'Analyzes the brief', IntentAnalysisResultSchema)
+    .progress(25)
+    .build()
+
+  it('renders the matching version and records it on the result', async () => {
+    const client = createScriptedClient([intent])
+    const prompts = new PromptLibrary([
+      { name: 'campaign_brief', version: '1.0.0', template: 'Old brief for {{{goal}}}' },
+      { name: 'campaign_brief', version: '1.1.0', template: 'Brief for {{{goal}}}', required: ['goal'] },
+      { name: 'campaign_brief', version: '2.0.0', template: 'New brief' }
+    ])
+
+    const result = await new AgentTaskExecutor(client, { prompts }).executeAgentTask(request, { goal: 'Launch "Acme"' }, briefTask('^1.0.0'))
+
+    expect(result.success).toBe(true)
+    expect(result.prompt).toEqual({ name: 'campaign_brief', version: '1.1.0' })
+    expect(client.requests[0].messages[1]).toEqual({ role: 'user', content: 'Brief for Launch "Acme"' })
+  })
+
+  it('fails with MISSING_VARIABLES without calling the model', async () => {
+    const client = createScriptedClient([])
+    const prompts = new PromptLibrary([{ name: 'campaign_brief', version: '1.0.0', template: 'Brief for {{{goal}}}', required: ['goal'] }])
+
+    const result = await new AgentTaskExecutor(client, { prompts }).executeAgentTask(request, {}, briefTask('^1.0.0'))
+
+    expect(result.success).toBe(false)
+    expect(result.error).toMatchObject({ code: 'MISSING_VARIABLES' })
+    expect(result.prompt).toEqual({ name: 'campaign_brief', version: '1.0.0' })
+    expect(client.requests).toHaveLength(0)
+  })
+
+  it('takes prompts a custom library lacks from the shared library', async () => {
+    const client = createScriptedClient([intent])
+    const prompts = new PromptLibrary([{ name: 'campaign_brief', version: '1.0.0', template: 'Brief' }])
+
+    const result = await new AgentTaskExecutor(client, { prompts }).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(result.prompt).toEqual({ name: 'intent_analysis', version: '1.0.0' })
+    expect(client.requests[0].messages[1].content).toBe('Analyze: "Launch posts" for brand (0 ref images)')
+  })
+
+  it('does not fall back when the custom library has the prompt in other versions', async () => {
+    const client = createScriptedClient([])
+    const prompts = new PromptLibrary([{ name: 'intent_analysis', version: '2.0.0', template: 'Intent: {{{prompt}}}' }])
+
+    const result = await new AgentTaskExecutor(client, { prompts }).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.error).toMatchObject({ code: 'PROMPT_NOT_FOUND' })
+    expect(client.requests).toHaveLength(0)
+  })
+})
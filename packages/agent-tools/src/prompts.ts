@@ -0,0 +1,507 @@
+/**
+ * @growthub/agent-tools/prompts
+ * Versioned Prompt Templates
+ *
+ * Prompts as data instead of closures, so they can be stored, diffed and edited
+ * without a deploy. Templates use {{variables}}, {{#if}} and {{#each}} blocks and a few
+ * filters, and live in a library under semantic versions.
+ */
+
+export type PromptTemplateErrorCode =
+  | 'TEMPLATE_SYNTAX'
+  | 'MISSING_VARIABLES'
+  | 'PROMPT_NOT_FOUND'
+  | 'INVALID_VERSION'
+  | 'VERSION_CONFLICT'
+
+// Plain data, so libraries can be kept in a database or a JSON file
+export interface PromptTemplateDefinition {
+  name: string
+  // Semantic version (1.2.0, 2.0.0-beta.1)
+  version: string
+  template: string
+  // Dotted paths the input must provide (not undefined, null or '')
+  required?: string[]
+  description?: string
+}
+
+export interface PromptReference {
+  name: string
+  // Exact version, ^ or ~ range, or the latest release when omitted
+  version?: string
+}
+
+export interface RenderedPrompt {
+  name: string
+  version: string
+  text: string
+}
+
+type PromptNode =
+  | { type: 'text'; value: string }
+  | { type: 'variable'; path: string; filters: PromptFilter[]; raw: boolean }
+  | { type: 'if'; path: string; then: PromptNode[]; else: PromptNode[] }
+  | { type: 'each'; path: string; body: PromptNode[]; else: PromptNode[] }
+
+interface PromptFilter {
+  name: string
+  arg?: any
+}
+
+interface PromptScope {
+  value: any
+  index?: number
+}
+
+interface SemVer {
+  major: number
+  minor: number
+  patch: number
+  prerelease: string[]
+}
+
+// Default Configuration
+export const DEFAULT_PROMPT_TEMPLATES: PromptTemplateDefinition[] = [
+  {
+    name: 'intent_analysis',
+    version: '1.0.0',
+    template: 'Analyze: "{{{prompt}}}" for {{{brandContext.brand_name | default: "brand"}}} ({{brandContext.referenceImages | length}} ref images)',
+    required: ['prompt']
+  },
+  {
+    name: 'brand_analysis',
+    version: '1.0.0',
+    template: [
+      'Analyze brand: {{{brandContext.brand_name | default: "Unknown"}}}',
+      'Colors: {{{brandContext.colors | default: "None"}}}',
+      'Messaging: {{{brandContext.messaging | default: "None"}}}',
+      'Reference Images: {{brandContext.referenceImages | length}}'
+    ].join('\n')
+  },
+  {
+    name: 'complexity_assessment',
+    version: '1.0.0',
+    template: [
+      'Assess complexity:',
+      'Prompt: "{{{prompt}}}"',
+      'Brand: {{{brandContext.brand_name | default: "Unknown"}}} ({{{brandStrength | default: "Unknown"}}})',
+      'Assets: {{{inferredAssets | default: 1}}}',
+      'References: {{brandContext.referenceImages | length}}'
+    ].join('\n')
+  }
+]
+
+const PROMPT_FILTERS: Record<string, (value: any, arg?: any) => any> = {
+  // Like `||`, so '', 0 and false fall back too
+  default: (value, fallback) => value || fallback,
+  length: value => Array.isArray(value) || typeof value === 'string' ? value.length : 0,
+  join: (value, separator = ', ') => Array.isArray(value) ? value.join(separator) : value
+}
+
+/**
+ * Prompt Template Error Class
+ */
+export class PromptTemplateError extends Error {
+  readonly code: PromptTemplateErrorCode
+  readonly template?: string
+  // Missing variables (MISSING_VARIABLES)
+  readonly variables?: string[]
+
+  constructor(code: PromptTemplateErrorCode, message: string, details: { template?: string; variables?: string[] } = {}) {
+    super(message)
+    this.name = 'PromptTemplateError'
+    this.code = code
+    this.template = details.template
+    this.variables = details.variables
+  }
+}
+
+/**
+ * Prompt Template Class
+ * A compiled template; syntax errors surface when it is created, not when it renders.
+ *
+ * {{path}}                  value; strings escaped like a JSON string body, other values as JSON
+ * {{{path}}}                value, unescaped
+ * {{path | default: "x"}}   filters: default (for any falsy value), length, join (separator defaults to ", ")
+ * {{#if path}}..{{else}}..{{/if}}
+ * {{#each path}}{{this}} {{@index}} {{field}}{{else}}empty{{/each}}
+ * {{! comment }}
+ */
+export class PromptTemplate {
+  readonly name: string
+  readonly version: string
+  readonly source: string
+  readonly required: string[]
+  readonly description?: string
+  // Paths read from the input, outside #each bodies
+  readonly variables: string[]
+  private nodes: PromptNode[]
+
+  constructor(definition: PromptTemplateDefinition) {
+    this.name = definition.name
+    this.version = definition.version
+    this.source = definition.template
+    this.required = definition.required || []
+    this.description = definition.description
+    this.nodes = parsePromptTemplate(definition.template, `${definition.name}@${definition.version}`)
+    this.variables = Array.from(new Set(collectVariables(this.nodes)))
+  }
+
+  /**
+   * Required variables the input does not provide
+   */
+  validate(input: Record<string, any>): string[] {
+    return this.required.filter(path => isMissing(resolvePath(path, [{ value: input }])))
+  }
+
+  render(input: Record<string, any>): string {
+    const missing = this.validate(input)
+    if (missing.length > 0) {
+      throw new PromptTemplateError(
+        'MISSING_VARIABLES',
+        `Prompt ${this.name}@${this.version} is missing required variables: ${missing.join(', ')}`,
+        { template: this.name, variables: missing }
+      )
+    }
+    return renderNodes(this.nodes, [{ value: input }])
+  }
+
+  toJSON(): PromptTemplateDefinition {
+    return {
+      name: this.name,
+      version: this.version,
+      template: this.source,
+      ...(this.required.length > 0 && { required: this.required }),
+      ...(this.description && { description: this.description })
+    }
+  }
+}
+
+/**
+ * Prompt Library Class
+ * Templates by name and version; a published version never changes
+ */
+export class PromptLibrary {
+  private templates = new Map<string, PromptTemplate[]>()
+
+  constructor(definitions: PromptTemplateDefinition[] = []) {
+    definitions.forEach(definition => this.register(definition))
+  }
+
+  /**
+   * Add a template version
+   * Registering an identical version again is a no-op; changing a published one throws.
+   */
+  register(definition: PromptTemplateDefinition): PromptTemplate {
+    if (!parseSemVer(definition.version)) {
+      throw new PromptTemplateError('INVALID_VERSION', `Invalid version "${definition.version}" for prompt ${definition.name}`, { template: definition.name })
+    }
+
+    const versions = this.templates.get(definition.name) || []
+    const existing = versions.find(template => template.version === definition.version)
+    const template = new PromptTemplate(definition)
+    if (existing) {
+      if (JSON.stringify(existing.toJSON()) === JSON.stringify(template.toJSON())) return existing
+      throw new PromptTemplateError(
+        'VERSION_CONFLICT',
+        `Prompt ${definition.name}@${definition.version} is already registered with different content; publish a new version`,
+        { template: definition.name }
+      )
+    }
+
+    versions.push(template)
+    versions.sort((a, b) => compareSemVer(parseSemVer(a.version)!, parseSemVer(b.version)!))
+    this.templates.set(definition.name, versions)
+    return template
+  }
+
+  /**
+   * Highest version matching the range (exact, ^, ~ or latest release when omitted)
+   */
+  get(name: string, range?: string): PromptTemplate | undefined {
+    const versions = this.templates.get(name) || []
+    return [...versions].reverse().find(template => satisfiesRange(template.version, range))
+  }
+
+  require(name: string, range?: string): PromptTemplate {
+    const template = this.get(name, range)
+    if (!template) {
+      throw new PromptTemplateError('PROMPT_NOT_FOUND', `No prompt ${name} matches version ${range || 'latest'}`, { template: name })
+    }
+    return template
+  }
+
+  has(name: string, range?: string): boolean {
+    return this.get(name, range) !== undefined
+  }
+
+  /**
+   * Registered versions of a prompt, oldest first
+   */
+  versions(name: string): string[] {
+    return (this.templates.get(name) || []).map(template => template.version)
+  }
+
+  list(): PromptTemplateDefinition[] {
+    return Array.from(this.templates.values()).flat().map(template => template.toJSON())
+  }
+
+  render(reference: PromptReference, input: Record<string, any>): RenderedPrompt {
+    const template = this.require(reference.name, reference.version)
+    return { name: template.name, version: template.version, text: template.render(input) }
+  }
+
+  toJSON(): PromptTemplateDefinition[] {
+    return this.list()
+  }
+}
+
+// Shared library used by AgentTaskExecutor, and for prompts its own library lacks
+export const promptLibrary = new PromptLibrary(DEFAULT_PROMPT_TEMPLATES)
+
+/**
+ * Register a template version in the shared library
+ */
+export function registerPrompt(definition: PromptTemplateDefinition): PromptTemplate {
+  return promptLibrary.register(definition)
+}
+
+/**
+ * Check whether a version satisfies a range: exact, ^1.2.0, ~1.2.0, or latest (omitted, '*', 'latest')
+ * Prereleases only match exactly.
+ */
+export function satisfiesRange(version: string, range?: string): boolean {
+  const parsed = parseSemVer(version)
+  if (!parsed) return false
+
+  const trimmed = range?.trim()
+  if (!trimmed || trimmed === '*' || trimmed === 'latest') return parsed.prerelease.length === 0
+
+  const operator = trimmed[0] === '^' || trimmed[0] === '~' ? trimmed[0] : ''
+  const base = parseSemVer(trimmed.slice(operator.length))
+  if (!base) return false
+  if (!operator || parsed.prerelease.length > 0) return compareSemVer(parsed, base) === 0
+  if (compareSemVer(parsed, base) < 0 || parsed.major !== base.major) return false
+
+  // ^0.x pins the minor version, as ~ always does
+  if (operator === '~' || base.major === 0) return parsed.minor === base.minor
+  return true
+}
+
+function parseSemVer(version: string): SemVer | undefined {
+  const match = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(version)
+  if (!match) return undefined
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2]),
+    patch: Number(match[3]),
+    prerelease: match[4] ? match[4].split('.') : []
+  }
+}
+
+function compareSemVer(a: SemVer, b: SemVer): number {
+  const core = a.major - b.major || a.minor - b.minor || a.patch - b.patch
+  if (core !== 0) return core
+
+  // A release sorts after its prereleases
+  if (a.prerelease.length === 0 || b.prerelease.length === 0) return b.prerelease.length - a.prerelease.length
+  for (let i = 0; i < Math.max(a.prerelease.length, b.prerelease.length); i++) {
+    const [x, y] = [a.prerelease[i], b.prerelease[i]]
+    if (x === undefined || y === undefined) return x === undefined ? -1 : 1
+    if (x === y) continue
+    const [nx, ny] = [Number(x), Number(y)]
+    if (!isNaN(nx) && !isNaN(ny)) return nx - ny
+    return x < y ? -1 : 1
+  }
+  return 0
+}
+
+function isMissing(value: any): boolean {
+  return value === undefined || value === null || value === ''
+}
+
+function parsePromptTemplate(source: string, label: string): PromptNode[] {
+  const tokens = tokenize(source)
+  const root: PromptNode[] = []
+  // Open blocks; `target` is the branch new nodes go to
+  const stack: Array<{ node: Extract<PromptNode, { type: 'if' | 'each' }>; target: PromptNode[] }> = []
+  const current = () => stack.length > 0 ? stack[stack.length - 1].target : root
+  const fail = (message: string): never => {
+    throw new PromptTemplateError('TEMPLATE_SYNTAX', `${label}: ${message}`, { template: label })
+  }
+
+  for (const token of tokens) {
+    if (token.type === 'text') {
+      if (token.value) current().push({ type: 'text', value: token.value })
+      continue
+    }
+
+    const tag = token.value
+    if (tag.startsWith('!')) continue
+
+    const open = /^#(if|each)\s+(\S+)$/.exec(tag)
+    if (open) {
+      const node = open[1] === 'if'
+        ? { type: 'if' as const, path: open[2], then: [], else: [] }
+        : { type: 'each' as const, path: open[2], body: [], else: [] }
+      current().push(node)
+      stack.push({ node, target: node.type === 'if' ? node.then : node.body })
+      continue
+    }
+
+    if (tag === 'else') {
+      const block = stack[stack.length - 1]
+      if (!block || block.target === block.node.else) fail('{{else}} outside an {{#if}} or {{#each}} block')
+      block.target = block.node.else
+      continue
+    }
+
+    const close = /^\/(if|each)$/.exec(tag)
+    if (close) {
+      const block = stack.pop()
+      if (!block || block.node.type !== close[1]) fail(`Unexpected {{/${close[1]}}}`)
+      continue
+    }
+
+    if (tag.startsWith('#') || tag.startsWith('/')) fail(`Unknown block {{${tag}}}`)
+    current().push(parseVariable(tag, token.raw, fail))
+  }
+
+  if (stack.length > 0) fail(`Unclosed {{#${stack[stack.length - 1].node.type}}}`)
+  return root
+}
+
+function parseVariable(tag: string, raw: boolean, fail: (message: string) => never): PromptNode {
+  const [path, ...filterParts] = tag.split('|').map(part => part.trim())
+  if (!/^(@index|this|[A-Za-z_$][\w$]*)(\.[\w$]+)*$/.test(path)) fail(`Invalid variable {{${tag}}}`)
+
+  const filters = filterParts.map(part => {
+    const match = /^(\w+)(?:\s*:\s*(.+))?$/.exec(part)
+    if (!match || !PROMPT_FILTERS[match[1]]) fail(`Unknown filter "${part}" in {{${tag}}}`)
+
+    let arg: any
+    if (match![2] !== undefined) {
+      try {
+        arg = JSON.parse(match![2])
+      } catch {
+        fail(`Filter arguments must be JSON literals in {{${tag}}}`)
+      }
+    }
+    return { name: match![1], arg }
+  })
+
+  return { type: 'variable', path, filters, raw }
+}
+
+/**
+ * Split a template into text and tags
+ * Block tags and comments alone on a line take the whole line with them, so
+ * templates can be laid out one tag per line without leaving blank lines behind.
+ */
+function tokenize(source: string): Array<{ type: 'text' | 'tag'; value: string; raw: boolean }> {
+  const tokens: Array<{ type: 'text' | 'tag'; value: string; raw: boolean }> = []
+  const pattern = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g
+  let last = 0
+  let match: RegExpExecArray | null
+
+  while ((match = pattern.exec(source))) {
+    tokens.push({ type: 'text', value: source.slice(last, match.index), raw: false })
+    tokens.push({ type: 'tag', value: match[1] ?? match[2], raw: match[1] !== undefined })
+    last = pattern.lastIndex
+  }
+  tokens.push({ type: 'text', value: source.slice(last), raw: false })
+
+  // Tags and text alternate, text first and last. Cuts are decided on the original
+  // text, since one line break can sit between two standalone tags.
+  const keep = tokens.map(token => ({ start: 0, end: token.value.length }))
+  for (let i = 1; i < tokens.length; i += 2) {
+    if (!/^[#/!]|^else$/.test(tokens[i].value)) continue
+
+    const before = tokens[i - 1].value
+    const after = tokens[i + 1].value
+    const lineStart = before.lastIndexOf('\n') + 1
+    const lineEnd = after.indexOf('\n')
+    const standalone = /^[ \t]*$/.test(before.slice(lineStart)) &&
+      (lineStart > 0 || i === 1) &&
+      (lineEnd >= 0 ? /^[ \t\r]*$/.test(after.slice(0, lineEnd)) : i + 1 === tokens.length - 1 && /^[ \t]*$/.test(after))
+
+    if (standalone) {
+      keep[i - 1].end = lineStart
+      keep[i + 1].start = lineEnd >= 0 ? lineEnd + 1 : after.length
+    }
+  }
+
+  return tokens.map((token, i) => token.type === 'text'
+    ? { ...token, value: keep[i].start < keep[i].end ? token.value.slice(keep[i].start, keep[i].end) : '' }
+    : token)
+}
+
+function renderNodes(nodes: PromptNode[], scopes: PromptScope[]): string {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value
+      case 'variable': {
+        const value = node.filters.reduce(
+          (current, filter) => PROMPT_FILTERS[filter.name](current, filter.arg),
+          resolvePath(node.path, scopes)
+        )
+        return formatValue(value, node.raw)
+      }
+      case 'if':
+        return renderNodes(isTruthy(resolvePath(node.path, scopes)) ? node.then : node.else, scopes)
+      case 'each': {
+        const items = resolvePath(node.path, scopes)
+        if (!Array.isArray(items) || items.length === 0) return renderNodes(node.else, scopes)
+        return items.map((item, index) => renderNodes(node.body, [...scopes, { value: item, index }])).join('')
+      }
+    }
+  }).join('')
+}
+
+/**
+ * Look a path up from the innermost #each item outwards
+ */
+function resolvePath(path: string, scopes: PromptScope[]): any {
+  const innermost = scopes[scopes.length - 1]
+  if (path === '@index') return innermost.index
+
+  const [head, ...rest] = path.split('.')
+  let value: any
+  if (head === 'this') {
+    value = innermost.value
+  } else {
+    const scope = [...scopes].reverse().find(candidate =>
+      candidate.value !== null && typeof candidate.value === 'object' && head in candidate.value
+    )
+    value = scope?.value[head]
+  }
+
+  return rest.reduce((current, key) => current == null ? undefined : current[key], value)
+}
+
+function formatValue(value: any, raw: boolean): string {
+  if (value === undefined || value === null) return ''
+  if (typeof value !== 'string') return JSON.stringify(value)
+  // Quotes and newlines in input cannot close a quoted section or start a fake one
+  return raw ? value : JSON.stringify(value).slice(1, -1)
+}
+
+function isTruthy(value: any): boolean {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value)
+}
+
+function collectVariables(nodes: PromptNode[]): string[] {
+  return nodes.flatMap(node => {
+    switch (node.type) {
+      case 'text':
+        return []
+      case 'variable':
+        return node.path === 'this' || node.path === '@index' ? [] : [node.path]
+      case 'if':
+        return [node.path, ...collectVariables(node.then), ...collectVariables(node.else)]
+      case 'each':
+        return [node.path, ...collectVariables(node.else)]
+    }
+  })
+}
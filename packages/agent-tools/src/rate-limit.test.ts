@@ -0,0 +1,173 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore, KVLockManager } from './kv'
+import { TokenBucketRateLimiter, SlidingWindowRateLimiter } from './rate-limit'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { AgentCoordinationManager } from './coordination'
+import { ModelRouter } from './models'
+import { LLMRequestError } from './llm'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+
+const subject = { userId: 'user-1', agentType: 'CONTENT_GENERATION_AGENT', model: 'gpt-4o-mini' }
+
+const intent = toolCallResponse('analyze_intent', {
+  analysis: 'Two social posts for a product launch',
+  conclusion: 'social_posts',
+  confidence: 0.9,
+  inferred_assets: 2
+})
+
+describe('TokenBucketRateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('allows a burst up to the limit, then refills over the window', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const limiter = new TokenBucketRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 3, windowMs: 3000 })
+
+    for (let i = 0; i < 3; i++) {
+      expect((await limiter.consume(subject)).allowed).toBe(true)
+    }
+    const denied = await limiter.consume(subject)
+    expect(denied).toMatchObject({ allowed: false, remaining: 0, limit: 3, key: 'ratelimit:bucket:user-1:CONTENT_GENERATION_AGENT:gpt-4o-mini' })
+    // One token refills every second
+    expect(denied.retryAfterMs).toBe(1000)
+
+    vi.setSystemTime(Date.now() + 1000)
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+    expect((await limiter.consume(subject)).allowed).toBe(false)
+  })
+
+  it('keeps separate buckets per keyed dimension', async () => {
+    const limiter = new TokenBucketRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 1, keyBy: ['userId', 'model'] })
+
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+    expect((await limiter.consume({ ...subject, agentType: 'OTHER' })).allowed).toBe(false)
+    expect((await limiter.consume({ ...subject, model: 'gpt-4o' })).allowed).toBe(true)
+
+    await limiter.reset(subject)
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+  })
+
+  it('waits for enough tokens to cover the cost', async () => {
+    const limiter = new TokenBucketRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 4, windowMs: 4000 })
+
+    await limiter.consume(subject, 3)
+    const denied = await limiter.consume(subject, 3)
+    expect(denied.allowed).toBe(false)
+    expect(denied.retryAfterMs).toBeGreaterThan(1000)
+    expect(denied.retryAfterMs).toBeLessThanOrEqual(2000)
+  })
+
+  it('rejects a cost larger than the bucket', async () => {
+    const limiter = new TokenBucketRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 2 })
+    await expect(limiter.consume(subject, 3)).rejects.toBeInstanceOf(RangeError)
+  })
+})
+
+describe('SlidingWindowRateLimiter', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('allows at most the limit in any window', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const start = Date.now()
+    const limiter = new SlidingWindowRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 2, windowMs: 1000 })
+
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+    vi.setSystemTime(start + 400)
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+
+    vi.setSystemTime(start + 600)
+    const denied = await limiter.consume(subject)
+    // The first hit leaves the window at start + 1000
+    expect(denied).toMatchObject({ allowed: false, remaining: 0, retryAfterMs: 400 })
+
+    vi.setSystemTime(start + 1001)
+    expect((await limiter.consume(subject)).allowed).toBe(true)
+  })
+
+  it('waits for as many hits to expire as the cost needs', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    const start = Date.now()
+    const limiter = new SlidingWindowRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 3, windowMs: 1000 })
+
+    await limiter.consume(subject)
+    vi.setSystemTime(start + 100)
+    await limiter.consume(subject)
+    vi.setSystemTime(start + 200)
+    await limiter.consume(subject)
+
+    vi.setSystemTime(start + 500)
+    expect(await limiter.consume(subject, 2)).toMatchObject({ allowed: false, retryAfterMs: 600 })
+  })
+
+  it('rejects a cost larger than the window allows', async () => {
+    const limiter = new SlidingWindowRateLimiter(new InMemoryKVStore({ sweepIntervalMs: 0 }), { limit: 2 })
+    await expect(limiter.consume(subject, 3)).rejects.toBeInstanceOf(RangeError)
+  })
+})
+
+describe('rate limits in AgentCoordinationManager', () => {
+  const request = {
+    threadId: THREAD_ID,
+    userId: USER_ID,
+    agentType: 'CONTENT_GENERATION_AGENT',
+    taskSequence: 1
+  }
+
+  it('spends nothing when the lock is held by another run', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const kvManager = new KVLockManager(store)
+    const rateLimiter = new TokenBucketRateLimiter(store, { limit: 1 })
+    const client = createScriptedClient([intent])
+    const coordinator = new AgentCoordinationManager(kvManager, new AgentTaskExecutor(client), { rateLimiter })
+
+    const held = await kvManager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 60 })
+    const blocked = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+    expect(blocked.error?.type).toBe('LOCK_ACQUISITION_FAILED')
+
+    await kvManager.releaseKvLock(USER_ID, THREAD_ID, held.lockId)
+    const result = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+    expect(result.success).toBe(true)
+  })
+
+  it('fails with RATE_LIMITED and releases the lock once the limit is spent', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const kvManager = new KVLockManager(store)
+    const rateLimiter = new TokenBucketRateLimiter(store, { limit: 1 })
+    const client = createScriptedClient([intent])
+    const coordinator = new AgentCoordinationManager(kvManager, new AgentTaskExecutor(client), { rateLimiter })
+
+    await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+    const limited = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(limited.error).toMatchObject({ type: 'RATE_LIMITED', code: 'RATE_LIMITED' })
+    expect(limited.error?.retryAfterMs).toBeGreaterThan(0)
+    expect(limited.lockMetadata?.lockReleased).toBe(true)
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('charges each call to the model it is sent to', async () => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const rateLimiter = new TokenBucketRateLimiter(store, { limit: 5 })
+    const consume = vi.spyOn(rateLimiter, 'consume')
+    const client = createScriptedClient([
+      new LLMRequestError('openai', 503, { error: { type: 'server_error' } }),
+      { ...intent, model: 'gpt-4o' }
+    ])
+    const router = new ModelRouter([{ taskName: 'intent_analysis', model: 'gpt-4o-mini', fallbacks: ['gpt-4o'] }])
+    const executor = new AgentTaskExecutor(client, { router, retryPolicy: { maxRetries: 0 } })
+    const coordinator = new AgentCoordinationManager(new KVLockManager(store), executor, { rateLimiter })
+
+    const result = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(consume.mock.calls.map(([called]) => called.model)).toEqual(['gpt-4o-mini', 'gpt-4o'])
+  })
+})
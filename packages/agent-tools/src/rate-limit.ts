@@ -0,0 +1,212 @@
+/**
+ * @growthub/agent-tools/rate-limit
+ * KV-backed Rate Limiting for Agent Task Execution
+ *
+ * Token-bucket and sliding-window limiters keyed by user, agent type and model.
+ * State lives in the same KVStore as the locks, so limits hold across processes.
+ */
+
+import { InMemoryKVStore, updateKvValue } from './kv'
+import type { KVStore } from './kv'
+
+// Dimensions a limit can be keyed by
+export interface RateLimitSubject {
+  userId: string
+  agentType?: string
+  model?: string
+}
+
+export interface RateLimitResult {
+  allowed: boolean
+  key: string
+  limit: number
+  remaining: number
+  retryAfterMs: number
+}
+
+export interface RateLimiter {
+  consume(subject: RateLimitSubject, cost?: number): Promise<RateLimitResult>
+}
+
+export interface RateLimiterOptions {
+  // Bucket capacity / requests allowed per window
+  limit?: number
+  windowMs?: number
+  keyPrefix?: string
+  keyBy?: Array<keyof RateLimitSubject>
+}
+
+export interface TokenBucketState {
+  tokens: number
+  updatedAt: number
+}
+
+export interface SlidingWindowState {
+  hits: number[]
+}
+
+/**
+ * A model call rejected by the limiter passed to an agent task
+ */
+export class RateLimitExceededError extends Error {
+  readonly code = 'RATE_LIMITED'
+  readonly result: RateLimitResult
+  readonly retryAfterMs: number
+
+  constructor(model: string, result: RateLimitResult) {
+    super(`Rate limit exceeded for ${model}; retry in ${result.retryAfterMs}ms`)
+    this.name = 'RateLimitExceededError'
+    this.result = result
+    this.retryAfterMs = result.retryAfterMs
+  }
+}
+
+// Default Configuration
+export const DEFAULT_RATE_LIMIT = 60
+export const DEFAULT_RATE_LIMIT_WINDOW_MS = 60_000
+const DEFAULT_KEY_BY: Array<keyof RateLimitSubject> = ['userId', 'agentType', 'model']
+
+/**
+ * Token Bucket Rate Limiter Class
+ * Allows bursts up to `limit`, refilling `limit` tokens evenly over `windowMs`
+ */
+export class TokenBucketRateLimiter implements RateLimiter {
+  private kv: KVStore
+  private limit: number
+  private windowMs: number
+  private keyPrefix: string
+  private keyBy: Array<keyof RateLimitSubject>
+
+  constructor(kvStore?: KVStore, options: RateLimiterOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.limit = options.limit || DEFAULT_RATE_LIMIT
+    this.windowMs = options.windowMs || DEFAULT_RATE_LIMIT_WINDOW_MS
+    this.keyPrefix = options.keyPrefix || 'ratelimit:bucket'
+    this.keyBy = options.keyBy || DEFAULT_KEY_BY
+
+    // An evicted bucket would come back full
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for a subject
+   */
+  makeRateLimitKey(subject: RateLimitSubject): string {
+    return makeRateLimitKey(this.keyPrefix, this.keyBy, subject)
+  }
+
+  /**
+   * Take `cost` tokens if available
+   * Throws a RangeError when `cost` exceeds the bucket's capacity, since it could never be taken.
+   */
+  async consume(subject: RateLimitSubject, cost = 1): Promise<RateLimitResult> {
+    assertCostWithinLimit(cost, this.limit)
+    const key = this.makeRateLimitKey(subject)
+    const refillPerMs = this.limit / this.windowMs
+    let allowed = false
+
+    const state = await updateKvValue<TokenBucketState>(this.kv, key, current => {
+      const now = Date.now()
+      const elapsed = current ? Math.max(0, now - current.updatedAt) : 0
+      const tokens = current ? Math.min(this.limit, current.tokens + elapsed * refillPerMs) : this.limit
+
+      allowed = tokens >= cost
+      return { tokens: allowed ? tokens - cost : tokens, updatedAt: now }
+    }, { ttl: Math.ceil(this.windowMs / 1000) })
+
+    return {
+      allowed,
+      key,
+      limit: this.limit,
+      remaining: Math.floor(state.tokens),
+      retryAfterMs: allowed ? 0 : Math.ceil((cost - state.tokens) / refillPerMs)
+    }
+  }
+
+  /**
+   * Clear the bucket for a subject
+   */
+  async reset(subject: RateLimitSubject): Promise<boolean> {
+    return this.kv.delete(this.makeRateLimitKey(subject))
+  }
+}
+
+/**
+ * Sliding Window Rate Limiter Class
+ * Allows at most `limit` requests in any `windowMs` interval
+ */
+export class SlidingWindowRateLimiter implements RateLimiter {
+  private kv: KVStore
+  private limit: number
+  private windowMs: number
+  private keyPrefix: string
+  private keyBy: Array<keyof RateLimitSubject>
+
+  constructor(kvStore?: KVStore, options: RateLimiterOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.limit = options.limit || DEFAULT_RATE_LIMIT
+    this.windowMs = options.windowMs || DEFAULT_RATE_LIMIT_WINDOW_MS
+    this.keyPrefix = options.keyPrefix || 'ratelimit:window'
+    this.keyBy = options.keyBy || DEFAULT_KEY_BY
+
+    // An evicted window would forget its hits
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for a subject
+   */
+  makeRateLimitKey(subject: RateLimitSubject): string {
+    return makeRateLimitKey(this.keyPrefix, this.keyBy, subject)
+  }
+
+  /**
+   * Record `cost` requests if they fit in the current window
+   * Throws a RangeError when `cost` exceeds the window's limit, since it could never fit.
+   */
+  async consume(subject: RateLimitSubject, cost = 1): Promise<RateLimitResult> {
+    assertCostWithinLimit(cost, this.limit)
+    const key = this.makeRateLimitKey(subject)
+    let allowed = false
+    let now = Date.now()
+
+    const state = await updateKvValue<SlidingWindowState>(this.kv, key, current => {
+      now = Date.now()
+      const hits = (current?.hits || []).filter(hit => hit > now - this.windowMs)
+
+      allowed = hits.length + cost <= this.limit
+      return { hits: allowed ? [...hits, ...Array<number>(cost).fill(now)] : hits }
+    }, { ttl: Math.ceil(this.windowMs / 1000) })
+
+    // The request fits once enough of the oldest hits have left the window
+    const mustExpire = state.hits.length + cost - this.limit
+    return {
+      allowed,
+      key,
+      limit: this.limit,
+      remaining: Math.max(0, this.limit - state.hits.length),
+      retryAfterMs: allowed ? 0 : Math.max(0, (state.hits[mustExpire - 1] ?? now) + this.windowMs - now)
+    }
+  }
+
+  /**
+   * Clear the window for a subject
+   */
+  async reset(subject: RateLimitSubject): Promise<boolean> {
+    return this.kv.delete(this.makeRateLimitKey(subject))
+  }
+}
+
+function assertCostWithinLimit(cost: number, limit: number): void {
+  if (cost > limit) {
+    throw new RangeError(`Rate limit cost ${cost} exceeds the limit of ${limit} and can never be allowed`)
+  }
+}
+
+function makeRateLimitKey(
+  prefix: string,
+  keyBy: Array<keyof RateLimitSubject>,
+  subject: RateLimitSubject
+): string {
+  return [prefix, ...keyBy.map(dimension => subject[dimension] || '*')].join(':')
+}
@@ -0,0 +1,134 @@
+import { afterEach, beforeEach, describe, expect, it } from 'vitest'
+import { KVLockManager } from './kv'
+import { RedisKVStore } from './redis-store'
+import { startRedisStandIn } from '../test/support/redis-stand-in'
+import type { RedisStandIn } from '../test/support/redis-stand-in'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const OTHER_USER_ID = '1c383cd3-0b7c-4f4b-9b8a-2f9e7b5d6c11'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+const OTHER_THREAD_ID = '45c48cce-2e2d-4fbd-a2b5-3e1f0c9d8b33'
+
+describe('RedisKVStore with KVLockManager', () => {
+  let server: RedisStandIn
+  let stores: RedisKVStore[]
+
+  // Each worker gets its own connection pool, as separate processes would
+  const createWorker = () => {
+    const store = new RedisKVStore({ port: server.port, poolSize: 2 })
+    stores.push(store)
+    return new KVLockManager(store)
+  }
+
+  beforeEach(async () => {
+    server = await startRedisStandIn()
+    stores = []
+  })
+
+  afterEach(async () => {
+    await Promise.all(stores.map(store => store.close()))
+    await server.close()
+  })
+
+  it('acquires, rejects a contending worker and releases', async () => {
+    const first = createWorker()
+    const second = createWorker()
+
+    const held = await first.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 30 })
+    expect(held.success).toBe(true)
+    expect(held.fencingToken).toBe(1)
+
+    const contended = await second.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 30 })
+    expect(contended.success).toBe(false)
+    expect(contended.activeLockMetadata?.lockId).toBe(held.lockId)
+
+    // Only the holder's lockId releases the lock
+    expect(await second.releaseKvLock(USER_ID, THREAD_ID, 'not-the-holder')).toBe(false)
+    expect(await first.releaseKvLock(USER_ID, THREAD_ID, held.lockId)).toBe(true)
+
+    const next = await second.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 30 })
+    expect(next.success).toBe(true)
+    expect(next.fencingToken).toBe(2)
+    expect(await first.isFencingTokenCurrent(USER_ID, THREAD_ID, 1)).toBe(false)
+
+    expect(server.commands.some(([name, , , , ...flags]) => name === 'SET' && flags.includes('NX'))).toBe(true)
+  })
+
+  it('hands the lock to a waiting worker once it is released', async () => {
+    const first = createWorker()
+    const second = createWorker()
+
+    const held = await first.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 30 })
+    const waiting = second.acquireKvLock(USER_ID, THREAD_ID, {
+      ttlSeconds: 30,
+      wait: { timeoutMs: 2000, pollIntervalMs: 20 }
+    })
+
+    await new Promise(resolve => setTimeout(resolve, 50))
+    await first.releaseKvLock(USER_ID, THREAD_ID, held.lockId)
+
+    const acquired = await waiting
+    expect(acquired.success).toBe(true)
+    expect(acquired.queuePosition).toBe(1)
+  })
+
+  it('lists active locks through SCAN', async () => {
+    const manager = createWorker()
+    await manager.acquireKvLock(USER_ID, THREAD_ID, { ttlSeconds: 30 })
+    await manager.acquireKvLock(OTHER_USER_ID, OTHER_THREAD_ID, { ttlSeconds: 30 })
+
+    const locks = await manager.listActiveLocks()
+    expect(locks.map(lock => `${lock.userId}/${lock.threadId}`).sort()).toEqual(
+      [`${USER_ID}/${THREAD_ID}`, `${OTHER_USER_ID}/${OTHER_THREAD_ID}`].sort()
+    )
+  })
+})
+
+describe('RedisKVStore scripts', () => {
+  let server: RedisStandIn
+  let store: RedisKVStore
+
+  beforeEach(async () => {
+    server = await startRedisStandIn()
+    store = new RedisKVStore({ port: server.port, poolSize: 1 })
+  })
+
+  afterEach(async () => {
+    await store.close()
+    await server.close()
+  })
+
+  it('compares and deletes only a matching value', async () => {
+    await store.set('lock', { lockId: 'a' })
+
+    expect(await store.compareAndDelete('lock', { lockId: 'b' })).toBe(false)
+    expect(await store.compareAndDelete('lock', { lockId: 'a' })).toBe(true)
+    expect(await store.get('lock')).toBeNull()
+    expect(await store.compareAndDelete('lock', { lockId: 'a' })).toBe(false)
+  })
+
+  it('compares and sets, treating null as a missing key', async () => {
+    expect(await store.compareAndSet('token', null, 1, { ttl: 60 })).toBe(true)
+    expect(await store.compareAndSet('token', null, 2)).toBe(false)
+    expect(await store.compareAndSet('token', 1, 2)).toBe(true)
+    expect(await store.get('token')).toBe(2)
+    // A set without a TTL clears the expiry, as a plain SET does
+    expect(server.data.get('token')?.expiresAt).toBeUndefined()
+  })
+
+  it('sets an expiry on the first increment only', async () => {
+    expect(await store.incr('window', 1, { ttl: 60 })).toBe(1)
+    const expiresAt = server.data.get('window')?.expiresAt
+    expect(expiresAt).toBeGreaterThan(Date.now())
+
+    await new Promise(resolve => setTimeout(resolve, 5))
+    expect(await store.incr('window', 2, { ttl: 60 })).toBe(3)
+    expect(server.data.get('window')?.expiresAt).toBe(expiresAt)
+  })
+
+  it('surfaces errors raised inside a script', async () => {
+    await server.data.set('window', { value: 'not-a-number' })
+    await expect(store.incr('window', 1, { ttl: 60 })).rejects.toThrow('not an integer')
+  })
+})
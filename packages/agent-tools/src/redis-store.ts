@@ -0,0 +1,446 @@
+/**
+ * @growthub/agent-tools/redis-store
+ * Redis-protocol KV Store Adapter
+ *
+ * KVStore implementation for any server speaking the Redis protocol (RESP2).
+ * Maps conditional TTL writes onto atomic `SET ... NX|XX EX` commands and stores
+ * values as JSON, so KVLockManager and AgentCoordinationManager run unchanged.
+ */
+
+import { createHash } from 'node:crypto'
+import { connect as connectSocket } from 'node:net'
+import type { Socket } from 'node:net'
+import type { KVStore, VersionedKVValue } from './kv'
+
+// Redis Store Configuration
+export interface RedisKVStoreOptions {
+  host?: string
+  port?: number
+  password?: string
+  username?: string
+  db?: number
+  poolSize?: number
+  keyPrefix?: string
+  connectTimeoutMs?: number
+  commandTimeoutMs?: number
+  maxReconnectAttempts?: number
+  reconnectDelayMs?: number
+}
+
+// Command client interface for plugging in an existing Redis driver
+export interface RedisCommandClient {
+  sendCommand(args: Array<string | number>): Promise<any>
+}
+
+type PendingCommand = {
+  resolve: (value: any) => void
+  reject: (error: Error) => void
+  timer?: ReturnType<typeof setTimeout>
+}
+
+// Compare-and-delete runs server-side so no other client can interleave
+const COMPARE_AND_DELETE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`
+
+// Compare-and-set treats an empty expected argument as "key must not exist"
+const COMPARE_AND_SET_SCRIPT = `
+local current = redis.call('GET', KEYS[1])
+if (current == false and ARGV[1] == '') or current == ARGV[1] then
+  if ARGV[3] ~= '' then
+    redis.call('SET', KEYS[1], ARGV[2], 'PX', ARGV[3])
+  else
+    redis.call('SET', KEYS[1], ARGV[2])
+  end
+  return 1
+end
+return 0`
+
+const INCREMENT_WITH_TTL_SCRIPT = `
+local value = redis.call('INCRBY', KEYS[1], ARGV[1])
+if redis.call('PTTL', KEYS[1]) == -1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return value`
+
+// Default Configuration
+export const DEFAULT_REDIS_PORT = 6379
+export const DEFAULT_REDIS_POOL_SIZE = 4
+
+/**
+ * Error reply returned by the server (e.g. `-ERR wrong number of arguments`)
+ */
+export class RedisReplyError extends Error {
+  constructor(message: string) {
+    super(message)
+    this.name = 'RedisReplyError'
+  }
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ */
+export function encodeRedisCommand(args: Array<string | number>): Buffer {
+  const parts: Buffer[] = [Buffer.from(`*${args.length}\r\n`)]
+  for (const arg of args) {
+    const data = Buffer.from(String(arg))
+    parts.push(Buffer.from(`$${data.length}\r\n`), data, Buffer.from('\r\n'))
+  }
+  return Buffer.concat(parts)
+}
+
+/**
+ * Parse one RESP reply starting at offset, or return null if the buffer is incomplete
+ */
+export function parseRedisReply(buffer: Buffer, offset = 0): { value: any; offset: number } | null {
+  const lineEnd = buffer.indexOf('\r\n', offset)
+  if (lineEnd === -1) return null
+
+  const type = String.fromCharCode(buffer[offset])
+  const line = buffer.toString('utf8', offset + 1, lineEnd)
+  const next = lineEnd + 2
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next }
+    case '-':
+      return { value: new RedisReplyError(line), offset: next }
+    case ':':
+      return { value: Number(line), offset: next }
+    case '$': {
+      const length = Number(line)
+      if (length === -1) return { value: null, offset: next }
+      if (buffer.length < next + length + 2) return null
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 }
+    }
+    case '*': {
+      const count = Number(line)
+      if (count === -1) return { value: null, offset: next }
+      const items: any[] = []
+      let cursor = next
+      for (let i = 0; i < count; i++) {
+        const item = parseRedisReply(buffer, cursor)
+        if (!item) return null
+        items.push(item.value)
+        cursor = item.offset
+      }
+      return { value: items, offset: cursor }
+    }
+    default:
+      throw new RedisReplyError(`Unexpected RESP type byte '${type}'`)
+  }
+}
+
+/**
+ * Redis Connection Class
+ * Single pipelined socket that reconnects lazily with exponential backoff
+ */
+export class RedisConnection implements RedisCommandClient {
+  private options: Required<Omit<RedisKVStoreOptions, 'password' | 'username' | 'keyPrefix'>> &
+    Pick<RedisKVStoreOptions, 'password' | 'username'>
+  private socket: Socket | null = null
+  private connecting: Promise<Socket> | null = null
+  private pending: PendingCommand[] = []
+  private buffer: Buffer = Buffer.alloc(0)
+  private closed = false
+
+  constructor(options: RedisKVStoreOptions = {}) {
+    this.options = {
+      host: options.host || '127.0.0.1',
+      port: options.port || DEFAULT_REDIS_PORT,
+      password: options.password,
+      username: options.username,
+      db: options.db || 0,
+      poolSize: 1,
+      connectTimeoutMs: options.connectTimeoutMs || 5000,
+      commandTimeoutMs: options.commandTimeoutMs || 10000,
+      maxReconnectAttempts: options.maxReconnectAttempts ?? 3,
+      reconnectDelayMs: options.reconnectDelayMs || 100
+    }
+  }
+
+  get pendingCount(): number {
+    return this.pending.length
+  }
+
+  async sendCommand(args: Array<string | number>): Promise<any> {
+    if (this.closed) {
+      throw new Error('Redis connection has been closed')
+    }
+
+    const socket = await this.connect()
+    return this.write(socket, args)
+  }
+
+  /**
+   * Close the socket; pending commands are rejected
+   */
+  async close(): Promise<void> {
+    this.closed = true
+    const socket = this.socket
+    if (!socket) return
+
+    await new Promise<void>(resolve => {
+      socket.once('close', () => resolve())
+      socket.end()
+    })
+  }
+
+  private connect(): Promise<Socket> {
+    if (this.socket && !this.socket.destroyed) {
+      return Promise.resolve(this.socket)
+    }
+    if (!this.connecting) {
+      this.connecting = this.open().finally(() => {
+        this.connecting = null
+      })
+    }
+    return this.connecting
+  }
+
+  private async open(): Promise<Socket> {
+    let lastError: unknown
+
+    for (let attempt = 0; attempt <= this.options.maxReconnectAttempts; attempt++) {
+      if (attempt > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.options.reconnectDelayMs * 2 ** (attempt - 1)))
+      }
+
+      try {
+        const socket = await this.dial()
+        if (this.options.password) {
+          await this.write(socket, this.options.username
+            ? ['AUTH', this.options.username, this.options.password]
+            : ['AUTH', this.options.password])
+        }
+        if (this.options.db) {
+          await this.write(socket, ['SELECT', this.options.db])
+        }
+        return socket
+      } catch (error) {
+        lastError = error
+        this.socket?.destroy()
+        this.socket = null
+      }
+    }
+
+    throw lastError instanceof Error ? lastError : new Error('Failed to connect to Redis')
+  }
+
+  private dial(): Promise<Socket> {
+    return new Promise((resolve, reject) => {
+      const socket = connectSocket({ host: this.options.host, port: this.options.port })
+      const timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis connect timeout after ${this.options.connectTimeoutMs}ms`))
+      }, this.options.connectTimeoutMs)
+
+      socket.once('connect', () => {
+        clearTimeout(timer)
+        socket.setNoDelay(true)
+        this.socket = socket
+        this.buffer = Buffer.alloc(0)
+        resolve(socket)
+      })
+      // Errors after connect are followed by 'close', which fails the pending commands
+      socket.on('error', error => {
+        clearTimeout(timer)
+        reject(error)
+      })
+      socket.on('data', chunk => this.onData(chunk))
+      socket.on('close', () => this.onClose(socket))
+    })
+  }
+
+  private write(socket: Socket, args: Array<string | number>): Promise<any> {
+    return new Promise((resolve, reject) => {
+      const entry: PendingCommand = { resolve, reject }
+      // Replies are matched by order, so a timed-out command poisons the socket
+      entry.timer = setTimeout(() => {
+        socket.destroy(new Error(`Redis command ${args[0]} timed out after ${this.options.commandTimeoutMs}ms`))
+      }, this.options.commandTimeoutMs)
+
+      this.pending.push(entry)
+      socket.write(encodeRedisCommand(args))
+    })
+  }
+
+  private onData(chunk: Buffer): void {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk
+
+    let reply = parseRedisReply(this.buffer)
+    while (reply) {
+      this.buffer = this.buffer.subarray(reply.offset)
+      const entry = this.pending.shift()
+      if (entry) {
+        clearTimeout(entry.timer)
+        if (reply.value instanceof RedisReplyError) {
+          entry.reject(reply.value)
+        } else {
+          entry.resolve(reply.value)
+        }
+      }
+      reply = this.buffer.length ? parseRedisReply(this.buffer) : null
+    }
+  }
+
+  private onClose(socket: Socket): void {
+    if (this.socket === socket) {
+      this.socket = null
+    }
+
+    const pending = this.pending
+    this.pending = []
+    for (const entry of pending) {
+      clearTimeout(entry.timer)
+      entry.reject(new Error('Redis connection closed'))
+    }
+  }
+}
+
+/**
+ * Redis Connection Pool Class
+ * Routes each command to the least busy of a fixed set of connections
+ */
+export class RedisConnectionPool implements RedisCommandClient {
+  private connections: RedisConnection[]
+
+  constructor(options: RedisKVStoreOptions = {}) {
+    const size = Math.max(1, options.poolSize || DEFAULT_REDIS_POOL_SIZE)
+    this.connections = Array.from({ length: size }, () => new RedisConnection(options))
+  }
+
+  sendCommand(args: Array<string | number>): Promise<any> {
+    const connection = this.connections.reduce((idlest, candidate) =>
+      candidate.pendingCount < idlest.pendingCount ? candidate : idlest
+    )
+    return connection.sendCommand(args)
+  }
+
+  async close(): Promise<void> {
+    await Promise.all(this.connections.map(connection => connection.close()))
+  }
+}
+
+/**
+ * Redis KV Store Class
+ * JSON-encodes values and uses native TTLs and conditional sets
+ */
+export class RedisKVStore implements KVStore {
+  private client: RedisCommandClient
+  private keyPrefix: string
+
+  constructor(options: RedisKVStoreOptions & { client?: RedisCommandClient } = {}) {
+    this.client = options.client || new RedisConnectionPool(options)
+    this.keyPrefix = options.keyPrefix || ''
+  }
+
+  async get(key: string): Promise<any> {
+    const raw = await this.client.sendCommand(['GET', this.keyPrefix + key])
+    return decodeValue(raw)
+  }
+
+  async set(key: string, value: any, options?: { ttl?: number; condition?: 'nx' | 'xx' }): Promise<boolean> {
+    const args: Array<string | number> = ['SET', this.keyPrefix + key, JSON.stringify(value)]
+
+    if (options?.ttl) {
+      // EX only accepts whole seconds; fall back to PX for fractional TTLs
+      if (Number.isInteger(options.ttl)) {
+        args.push('EX', options.ttl)
+      } else {
+        args.push('PX', Math.ceil(options.ttl * 1000))
+      }
+    }
+    if (options?.condition) {
+      args.push(options.condition.toUpperCase())
+    }
+
+    const reply = await this.client.sendCommand(args)
+    return reply === 'OK'
+  }
+
+  async delete(key: string): Promise<boolean> {
+    const removed = await this.client.sendCommand(['DEL', this.keyPrefix + key])
+    return removed > 0
+  }
+
+  async compareAndDelete(key: string, expected: any): Promise<boolean> {
+    const removed = await this.client.sendCommand([
+      'EVAL', COMPARE_AND_DELETE_SCRIPT, 1, this.keyPrefix + key, JSON.stringify(expected)
+    ])
+    return removed > 0
+  }
+
+  async compareAndSet(key: string, expected: any, next: any, options?: { ttl?: number }): Promise<boolean> {
+    const updated = await this.client.sendCommand([
+      'EVAL', COMPARE_AND_SET_SCRIPT, 1, this.keyPrefix + key,
+      expected === null || expected === undefined ? '' : JSON.stringify(expected),
+      JSON.stringify(next),
+      options?.ttl ? Math.ceil(options.ttl * 1000) : ''
+    ])
+    return updated > 0
+  }
+
+  async incr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    if (!options?.ttl) {
+      return this.client.sendCommand(['INCRBY', this.keyPrefix + key, by])
+    }
+
+    return this.client.sendCommand([
+      'EVAL', INCREMENT_WITH_TTL_SCRIPT, 1, this.keyPrefix + key, by, Math.ceil(options.ttl * 1000)
+    ])
+  }
+
+  async decr(key: string, by = 1, options?: { ttl?: number }): Promise<number> {
+    return this.incr(key, -by, options)
+  }
+
+  async getWithVersion(key: string): Promise<VersionedKVValue | null> {
+    const raw = await this.client.sendCommand(['GET', this.keyPrefix + key])
+    if (raw === null || raw === undefined) return null
+
+    // The version is a digest of the stored bytes, matching compareAndSet's value comparison
+    return { value: decodeValue(raw), version: createHash('sha1').update(raw).digest('hex') }
+  }
+
+  async scan(prefix: string): Promise<string[]> {
+    const pattern = `${escapeGlob(this.keyPrefix + prefix)}*`
+    const keys = new Set<string>()
+    let cursor = '0'
+
+    // SCAN may return a key more than once across iterations
+    do {
+      const [nextCursor, batch] = await this.client.sendCommand(['SCAN', cursor, 'MATCH', pattern, 'COUNT', 100])
+      cursor = nextCursor
+      for (const key of batch as string[]) {
+        keys.add(key.slice(this.keyPrefix.length))
+      }
+    } while (cursor !== '0')
+
+    return Array.from(keys)
+  }
+
+  /**
+   * Close pooled connections created by this store
+   */
+  async close(): Promise<void> {
+    if (this.client instanceof RedisConnectionPool || this.client instanceof RedisConnection) {
+      await this.client.close()
+    }
+  }
+}
+
+function escapeGlob(pattern: string): string {
+  return pattern.replace(/[*?[\]\\]/g, '\\$&')
+}
+
+function decodeValue(raw: string | null): any {
+  if (raw === null || raw === undefined) return null
+
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw // Written by another client without JSON encoding
+  }
+}
@@ -0,0 +1,38 @@
+import { describe, expect, it } from 'vitest'
+import { InMemoryKVStore } from './kv'
+import { KVReadWriteLock, KVSemaphore } from './semaphores'
+
+describe('KVSemaphore', () => {
+  it('stops waiting for a slot when the signal aborts', async () => {
+    const semaphore = new KVSemaphore(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    await semaphore.acquire('generations', 1, { ttlSeconds: 60 })
+
+    const controller = new AbortController()
+    const startedAt = Date.now()
+    const waiting = semaphore.acquire('generations', 1, {
+      ttlSeconds: 60,
+      wait: { timeoutMs: 10_000, pollIntervalMs: 20, signal: controller.signal }
+    })
+    setTimeout(() => controller.abort(new Error('client disconnected')), 50)
+
+    await expect(waiting).rejects.toThrow('client disconnected')
+    expect(Date.now() - startedAt).toBeLessThan(1000)
+  })
+})
+
+describe('KVReadWriteLock', () => {
+  it('drops the writer intent when an aborted writer stops waiting', async () => {
+    const lock = new KVReadWriteLock(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+    await lock.acquireRead('brand-kit', { ttlSeconds: 60 })
+
+    const controller = new AbortController()
+    const writing = lock.acquireWrite('brand-kit', {
+      wait: { timeoutMs: 10_000, pollIntervalMs: 20, signal: controller.signal }
+    })
+    setTimeout(() => controller.abort(new Error('cancelled')), 50)
+    await expect(writing).rejects.toThrow('cancelled')
+
+    // New readers are no longer held back by the abandoned writer
+    expect((await lock.acquireRead('brand-kit')).success).toBe(true)
+  })
+})
@@ -0,0 +1,420 @@
+/**
+ * @growthub/agent-tools/semaphores
+ * Counting Semaphores and Shared/Exclusive Locks
+ *
+ * Multi-holder coordination built on the same KVStore as KVLockManager.
+ * Every holder carries its own expiry, so holders from crashed processes are
+ * pruned automatically instead of leaking capacity.
+ */
+
+import { randomUUID } from 'node:crypto'
+import { InMemoryKVStore, DEFAULT_LOCK_TTL_SECONDS, updateKvValue, withAbortSignal } from './kv'
+import type { KVStore, LockWaitOptions } from './kv'
+
+// Holder entry stored under a semaphore or read/write lock key
+export interface KVLockHolder {
+  holderId: string
+  acquiredAt: string
+  expiresAt: number
+  processId?: string
+  metadata?: Record<string, any>
+}
+
+export interface SemaphoreState {
+  holders: KVLockHolder[]
+}
+
+export interface ReadWriteLockState {
+  readers: KVLockHolder[]
+  writer?: KVLockHolder
+  // A blocked writer briefly stops new readers so a steady read load cannot starve it
+  pendingWriter?: { holderId: string; expiresAt: number }
+}
+
+export interface MultiHolderAcquireOptions {
+  ttlSeconds?: number
+  holderId?: string
+  metadata?: Record<string, any>
+  // Aborting wait.signal rejects the acquisition with the signal's reason
+  wait?: Omit<LockWaitOptions, 'onQueuePosition'>
+}
+
+export interface MultiHolderLockResult {
+  success: boolean
+  key: string
+  holderId?: string
+  activeHolders: number
+  limit?: number
+}
+
+// Default Configuration
+export const DEFAULT_PENDING_WRITER_TTL_MS = 5000
+
+/**
+ * KV Semaphore Class
+ * Counting semaphore, e.g. "max 3 concurrent generations per user"
+ */
+export class KVSemaphore {
+  private kv: KVStore
+  private defaultTTL: number
+  private keyPrefix: string
+
+  constructor(
+    kvStore?: KVStore,
+    options: { defaultTTL?: number; keyPrefix?: string } = {}
+  ) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.defaultTTL = options.defaultTTL || DEFAULT_LOCK_TTL_SECONDS
+    this.keyPrefix = options.keyPrefix || 'sem'
+
+    // Evicting a holder would hand its slot to another caller
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for a named semaphore (e.g. `generations:${userId}`)
+   */
+  makeSemaphoreKey(name: string): string {
+    return `${this.keyPrefix}:${name}`
+  }
+
+  /**
+   * Take one of `limit` slots on the semaphore
+   */
+  async acquire(
+    name: string,
+    limit: number,
+    options: MultiHolderAcquireOptions = {}
+  ): Promise<MultiHolderLockResult> {
+    const key = this.makeSemaphoreKey(name)
+    const holderId = options.holderId || randomUUID()
+    const ttlSeconds = options.ttlSeconds ?? this.defaultTTL
+
+    return pollForSlot(options.wait, async () => {
+      let acquired = false
+      const state = await updateKvValue<SemaphoreState>(this.kv, key, current => {
+        const holders = liveHolders(current?.holders)
+        acquired = holders.length < limit
+        return { holders: acquired ? [...holders, createHolder(holderId, options, ttlSeconds)] : holders }
+      }, { ttl: stateTtl })
+
+      return {
+        success: acquired,
+        key,
+        holderId: acquired ? holderId : undefined,
+        activeHolders: state.holders.length,
+        limit
+      }
+    })
+  }
+
+  /**
+   * Give back a slot held by holderId
+   */
+  async release(name: string, holderId: string): Promise<boolean> {
+    let released = false
+    await updateKvValue<SemaphoreState>(this.kv, this.makeSemaphoreKey(name), current => {
+      const holders = liveHolders(current?.holders)
+      released = holders.some(holder => holder.holderId === holderId)
+      return { holders: holders.filter(holder => holder.holderId !== holderId) }
+    }, { ttl: stateTtl })
+    return released
+  }
+
+  /**
+   * Extend the expiry of a slot still held by holderId
+   */
+  async extend(name: string, holderId: string, ttlSeconds?: number): Promise<boolean> {
+    const expiresAt = Date.now() + (ttlSeconds ?? this.defaultTTL) * 1000
+    let extended = false
+    await updateKvValue<SemaphoreState>(this.kv, this.makeSemaphoreKey(name), current => {
+      const holders = liveHolders(current?.holders)
+      extended = renewHolder(holders, holderId, expiresAt)
+      return { holders }
+    }, { ttl: stateTtl })
+    return extended
+  }
+
+  /**
+   * List live holders of a semaphore
+   */
+  async getHolders(name: string): Promise<KVLockHolder[]> {
+    const state: SemaphoreState | null = await this.kv.get(this.makeSemaphoreKey(name))
+    return liveHolders(state?.holders)
+  }
+
+  /**
+   * Run an operation while holding a semaphore slot
+   */
+  async withSemaphore<T>(
+    name: string,
+    limit: number,
+    operation: () => Promise<T>,
+    options?: MultiHolderAcquireOptions
+  ): Promise<T> {
+    const result = await this.acquire(name, limit, options)
+    if (!result.success || !result.holderId) {
+      throw new Error(`Semaphore ${name} is at capacity (${result.activeHolders}/${limit})`)
+    }
+
+    try {
+      return await operation()
+    } finally {
+      await this.release(name, result.holderId)
+    }
+  }
+}
+
+/**
+ * KV Read/Write Lock Class
+ * Readers share access; a writer waits for readers to drain and then holds it exclusively
+ */
+export class KVReadWriteLock {
+  private kv: KVStore
+  private defaultTTL: number
+  private keyPrefix: string
+  private pendingWriterTtlMs: number
+
+  constructor(
+    kvStore?: KVStore,
+    options: { defaultTTL?: number; keyPrefix?: string; pendingWriterTtlMs?: number } = {}
+  ) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.defaultTTL = options.defaultTTL || DEFAULT_LOCK_TTL_SECONDS
+    this.keyPrefix = options.keyPrefix || 'rwlock'
+    this.pendingWriterTtlMs = options.pendingWriterTtlMs || DEFAULT_PENDING_WRITER_TTL_MS
+
+    // Evicting a holder or pending writer would let a conflicting lock through
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for a named read/write lock (e.g. `brand-kit:${brandKitId}`)
+   */
+  makeReadWriteLockKey(name: string): string {
+    return `${this.keyPrefix}:${name}`
+  }
+
+  /**
+   * Acquire shared (read) access
+   */
+  async acquireRead(name: string, options: MultiHolderAcquireOptions = {}): Promise<MultiHolderLockResult> {
+    const key = this.makeReadWriteLockKey(name)
+    const holderId = options.holderId || randomUUID()
+    const ttlSeconds = options.ttlSeconds ?? this.defaultTTL
+
+    return pollForSlot(options.wait, async () => {
+      let acquired = false
+      const state = await updateKvValue<ReadWriteLockState>(this.kv, key, current => {
+        const next = pruneReadWriteState(current)
+        acquired = !next.writer && !next.pendingWriter
+        if (acquired) {
+          next.readers.push(createHolder(holderId, options, ttlSeconds))
+        }
+        return next
+      }, { ttl: stateTtl })
+
+      return {
+        success: acquired,
+        key,
+        holderId: acquired ? holderId : undefined,
+        activeHolders: state.writer ? 1 : state.readers.length
+      }
+    })
+  }
+
+  /**
+   * Acquire exclusive (write) access
+   */
+  async acquireWrite(name: string, options: MultiHolderAcquireOptions = {}): Promise<MultiHolderLockResult> {
+    const key = this.makeReadWriteLockKey(name)
+    const holderId = options.holderId || randomUUID()
+    const ttlSeconds = options.ttlSeconds ?? this.defaultTTL
+
+    const result = await pollForSlot(options.wait, async () => {
+      let acquired = false
+      const state = await updateKvValue<ReadWriteLockState>(this.kv, key, current => {
+        const next = pruneReadWriteState(current)
+        const blockedByWriter = next.pendingWriter && next.pendingWriter.holderId !== holderId
+        acquired = !next.writer && next.readers.length === 0 && !blockedByWriter
+
+        if (acquired) {
+          next.writer = createHolder(holderId, options, ttlSeconds)
+          delete next.pendingWriter
+        } else if (!next.writer && !blockedByWriter) {
+          next.pendingWriter = { holderId, expiresAt: Date.now() + this.pendingWriterTtlMs }
+        }
+        return next
+      }, { ttl: stateTtl })
+
+      return {
+        success: acquired,
+        key,
+        holderId: acquired ? holderId : undefined,
+        activeHolders: state.writer ? 1 : state.readers.length
+      }
+    }).catch(async error => {
+      // An aborted wait must not leave this writer's intent behind either
+      await this.release(name, holderId)
+      throw error
+    })
+
+    if (!result.success) {
+      // Giving up must not leave readers blocked behind this writer's intent
+      await this.release(name, holderId)
+    }
+    return result
+  }
+
+  /**
+   * Release read or write access held by holderId
+   */
+  async release(name: string, holderId: string): Promise<boolean> {
+    let released = false
+    await updateKvValue<ReadWriteLockState>(this.kv, this.makeReadWriteLockKey(name), current => {
+      const next = pruneReadWriteState(current)
+      if (next.writer?.holderId === holderId) {
+        delete next.writer
+        released = true
+      }
+      if (next.pendingWriter?.holderId === holderId) {
+        delete next.pendingWriter
+      }
+
+      const readers = next.readers.filter(reader => reader.holderId !== holderId)
+      released = released || readers.length !== next.readers.length
+      next.readers = readers
+      return next
+    }, { ttl: stateTtl })
+    return released
+  }
+
+  /**
+   * Extend the expiry of read or write access held by holderId
+   */
+  async extend(name: string, holderId: string, ttlSeconds?: number): Promise<boolean> {
+    const expiresAt = Date.now() + (ttlSeconds ?? this.defaultTTL) * 1000
+    let extended = false
+    await updateKvValue<ReadWriteLockState>(this.kv, this.makeReadWriteLockKey(name), current => {
+      const next = pruneReadWriteState(current)
+      extended = renewHolder(next.writer ? [next.writer] : next.readers, holderId, expiresAt)
+      return next
+    }, { ttl: stateTtl })
+    return extended
+  }
+
+  /**
+   * Run an operation with shared access
+   */
+  async withReadLock<T>(name: string, operation: () => Promise<T>, options?: MultiHolderAcquireOptions): Promise<T> {
+    return this.runHolding(name, await this.acquireRead(name, options), 'read', operation)
+  }
+
+  /**
+   * Run an operation with exclusive access
+   */
+  async withWriteLock<T>(name: string, operation: () => Promise<T>, options?: MultiHolderAcquireOptions): Promise<T> {
+    return this.runHolding(name, await this.acquireWrite(name, options), 'write', operation)
+  }
+
+  private async runHolding<T>(
+    name: string,
+    result: MultiHolderLockResult,
+    mode: 'read' | 'write',
+    operation: () => Promise<T>
+  ): Promise<T> {
+    if (!result.success || !result.holderId) {
+      throw new Error(`Failed to acquire ${mode} lock ${name} (${result.activeHolders} active holders)`)
+    }
+
+    try {
+      return await operation()
+    } finally {
+      await this.release(name, result.holderId)
+    }
+  }
+}
+
+function createHolder(holderId: string, options: MultiHolderAcquireOptions, ttlSeconds: number): KVLockHolder {
+  return {
+    holderId,
+    acquiredAt: new Date().toISOString(),
+    expiresAt: Date.now() + ttlSeconds * 1000,
+    processId: process.pid?.toString(),
+    ...(options.metadata && { metadata: options.metadata })
+  }
+}
+
+function liveHolders(holders: KVLockHolder[] | undefined): KVLockHolder[] {
+  const now = Date.now()
+  return (holders || []).filter(holder => holder.expiresAt > now)
+}
+
+function renewHolder(holders: KVLockHolder[], holderId: string, expiresAt: number): boolean {
+  const holder = holders.find(candidate => candidate.holderId === holderId)
+  if (holder) {
+    holder.expiresAt = expiresAt
+  }
+  return !!holder
+}
+
+function pruneReadWriteState(current: ReadWriteLockState | null): ReadWriteLockState {
+  const now = Date.now()
+  const next: ReadWriteLockState = { readers: liveHolders(current?.readers) }
+  if (current?.writer && current.writer.expiresAt > now) {
+    next.writer = current.writer
+  }
+  if (current?.pendingWriter && current.pendingWriter.expiresAt > now) {
+    next.pendingWriter = current.pendingWriter
+  }
+  return next
+}
+
+/**
+ * Keep the state key around exactly as long as its longest-lived holder
+ */
+function stateTtl(state: SemaphoreState | ReadWriteLockState): number {
+  const expiries = [
+    ...('holders' in state ? state.holders : state.readers),
+    ...('writer' in state && state.writer ? [state.writer] : []),
+    ...('pendingWriter' in state && state.pendingWriter ? [state.pendingWriter] : [])
+  ].map(holder => holder.expiresAt)
+
+  const latest = expiries.length > 0 ? Math.max(...expiries) : Date.now()
+  return Math.max(1, Math.ceil((latest - Date.now()) / 1000))
+}
+
+/**
+ * Retry an acquisition with backoff until it succeeds or the wait times out
+ */
+async function pollForSlot(
+  wait: MultiHolderAcquireOptions['wait'],
+  attempt: () => Promise<MultiHolderLockResult>
+): Promise<MultiHolderLockResult> {
+  const deadline = Date.now() + Math.max(0, wait?.timeoutMs ?? 0)
+  const maxPollIntervalMs = wait?.maxPollIntervalMs ?? 2000
+  let delay = wait?.pollIntervalMs ?? 100
+
+  while (true) {
+    if (wait?.signal?.aborted) {
+      throw wait.signal.reason
+    }
+
+    const result = await attempt()
+    const remaining = deadline - Date.now()
+    if (result.success || !wait || remaining <= 0) {
+      return result
+    }
+
+    let timer: ReturnType<typeof setTimeout> | undefined
+    const pause = new Promise<void>(resolve => {
+      timer = setTimeout(resolve, Math.min(delay, remaining))
+    })
+    try {
+      await (wait.signal ? withAbortSignal(pause, wait.signal) : pause)
+    } finally {
+      clearTimeout(timer)
+    }
+    delay = Math.min(delay * (wait.backoffMultiplier ?? 1.5), maxPollIntervalMs)
+  }
+}
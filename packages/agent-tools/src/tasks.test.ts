@@ -0,0 +1,371 @@
+import { describe, expect, it, vi } from 'vitest'
+import { z } from 'zod'
+import { AgentTaskConfigs, AgentTaskExecutor, TaskCancelledError } from './tasks'
+import type { AgentTaskConfig, AgentTaskResult, AgentTaskStreamEvent } from './tasks'
+import { createFunctionDefinition } from './function-schema'
+import { LLMRequestError } from './llm'
+import type { LLMClient, LLMCompletionRequest, LLMCompletionResponse } from './llm'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+const request = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: 'user-1',
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+// A provider that ignores `strict`, answering every call with the same tool call
+function createNonStrictClient(name: string, args: Record<string, any>): LLMClient & { requests: LLMCompletionRequest[] } {
+  const requests: LLMCompletionRequest[] = []
+  return {
+    provider: 'anthropic',
+    requests,
+    async complete(completionRequest): Promise<LLMCompletionResponse> {
+      requests.push(completionRequest)
+      return {
+        content: null,
+        toolCalls: [{ id: 'call-1', name, arguments: JSON.stringify(args) }],
+        finishReason: 'tool_use',
+        model: 'claude-sonnet-4-5'
+      }
+    }
+  }
+}
+
+describe('AgentTaskExecutor tool-call validation', () => {
+  it('accepts a non-strict response that omits optional fields', async () => {
+    const client = createNonStrictClient('analyze_intent', {
+      analysis: 'Two social posts for a product launch',
+      conclusion: 'social_posts',
+      confidence: 0.9,
+      inferred_assets: 2
+    })
+    const executor = new AgentTaskExecutor(client)
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(result.stepResult).toMatchObject({ conclusion: 'social_posts', inferred_assets: 2 })
+    expect(result.stepResult).not.toHaveProperty('asset_types')
+    // Accepted on the first call, without repair re-prompts
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('does not require nullable fields of a strict definition without a result schema', async () => {
+    const parameters = z.object({
+      summary: z.string(),
+      tags: z.array(z.string()).optional()
+    })
+    const config: AgentTaskConfig = {
+      taskName: 'summarize',
+      taskType: 'analysis',
+      toolName: 'summarizer',
+      systemPrompt: 'Summarize the prompt.',
+      userPromptTemplate: data => data.prompt,
+      functionDefinition: createFunctionDefinition('summarize', 'Summarizes the prompt', parameters),
+      progressPercent: 50
+    }
+    const client = createNonStrictClient('summarize', { summary: 'Short' })
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Summarize this' }, config)
+
+    expect(result.success).toBe(true)
+    expect(client.requests).toHaveLength(1)
+  })
+})
+
+describe('AgentTaskExecutor repair re-prompts', () => {
+  const intent = {
+    analysis: 'Two social posts for a product launch',
+    conclusion: 'social_posts',
+    confidence: 0.9,
+    inferred_assets: 2
+  }
+
+  it('shows the model its invalid arguments and what was wrong with them', async () => {
+    const client = createScriptedClient([
+      toolCallResponse('analyze_intent', { ...intent, inferred_assets: 'two' }),
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(result.stepResult).toMatchObject({ inferred_assets: 2 })
+    expect(client.requests).toHaveLength(2)
+
+    const [, , assistant, repair] = client.requests[1].messages
+    expect(assistant).toEqual({ role: 'assistant', content: '', toolCalls: [toolCallResponse('analyze_intent', { ...intent, inferred_assets: 'two' }).toolCalls[0]] })
+    expect(repair).toMatchObject({ role: 'tool', toolCallId: 'call-analyze_intent' })
+    expect(repair.content).toMatch(/^The analyze_intent arguments were invalid:\n.*inferred_assets/)
+    expect(repair.content).toMatch(/Call analyze_intent again with corrected arguments\.$/)
+    // The repair call still forces the task's function
+    expect(client.requests[1].toolChoice).toEqual({ name: 'analyze_intent' })
+    // Usage covers the repair call too
+    expect(result.usage).toMatchObject({ calls: 2, totalTokens: 240 })
+  })
+
+  it('repairs arguments that are not JSON', async () => {
+    const client = createScriptedClient([
+      toolCallResponse('analyze_intent', '{"analysis": "Two posts",'),
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(client.requests[1].messages[3].content).toContain('$: Arguments are not valid JSON')
+  })
+
+  it('asks in a user turn when the model answered without a tool call', async () => {
+    const client = createScriptedClient([
+      { content: 'It is a launch campaign.', toolCalls: [], finishReason: 'stop' },
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(client.requests[1].messages.slice(2)).toEqual([
+      { role: 'assistant', content: 'It is a launch campaign.' },
+      {
+        role: 'user',
+        content: 'The analyze_intent arguments were invalid:\n$: No analyze_intent function call was returned\nCall analyze_intent again with corrected arguments.'
+      }
+    ])
+  })
+
+  it('fails with INVALID_TOOL_OUTPUT once the repair attempts are spent', async () => {
+    const invalid = JSON.stringify({ ...intent, confidence: 'high' })
+    const client = createScriptedClient([
+      toolCallResponse('analyze_intent', invalid),
+      toolCallResponse('analyze_intent', invalid)
+    ])
+    const executor = new AgentTaskExecutor(client, { maxRepairAttempts: 1 })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(false)
+    expect(result.stepResult).toEqual({ step: 'intent_analysis' })
+    expect(result.error).toMatchObject({
+      code: 'INVALID_TOOL_OUTPUT',
+      details: { attempts: 2, rawArguments: invalid, issues: [expect.objectContaining({ path: expect.stringContaining('confidence') })] }
+    })
+    expect(client.requests).toHaveLength(2)
+  })
+
+  it('lets a task override the executor repair limit', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', { ...intent, confidence: 'high' })])
+    const executor = new AgentTaskExecutor(client, { maxRepairAttempts: 3 })
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, { ...AgentTaskConfigs.INTENT_ANALYSIS, maxRepairAttempts: 0 })
+
+    expect(result.error).toMatchObject({ code: 'INVALID_TOOL_OUTPUT', details: { attempts: 1 } })
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('validates against the JSON Schema when the task has no result schema', async () => {
+    const config: AgentTaskConfig = {
+      taskName: 'tag',
+      taskType: 'analysis',
+      toolName: 'tagger',
+      systemPrompt: 'Tag the prompt.',
+      userPromptTemplate: data => data.prompt,
+      functionDefinition: {
+        name: 'tag',
+        description: 'Tags the prompt',
+        parameters: {
+          type: 'object',
+          properties: { tags: { type: 'array', items: { type: 'string' } } },
+          required: ['tags']
+        }
+      },
+      progressPercent: 50
+    }
+    const client = createScriptedClient([
+      toolCallResponse('tag', { labels: ['launch'] }),
+      toolCallResponse('other_function', { tags: ['launch'] }),
+      toolCallResponse('tag', { tags: ['launch'] })
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, config)
+
+    expect(result).toMatchObject({ success: true, stepResult: { tags: ['launch'] } })
+    const repairs = client.requests[2].messages.filter(message => message.role === 'tool').map(message => message.content)
+    expect(repairs[0]).toContain('tags')
+    expect(repairs[1]).toContain('$: Called other_function instead of tag')
+  })
+})
+
+describe('AgentTaskExecutor.streamAgentTask', () => {
+  const intent = {
+    analysis: 'Two social posts for a product launch',
+    conclusion: 'social_posts',
+    confidence: 0.9,
+    inferred_assets: 2
+  }
+
+  async function collectEvents(stream: AsyncGenerator<AgentTaskStreamEvent, AgentTaskResult>) {
+    const events: AgentTaskStreamEvent[] = []
+    while (true) {
+      const next = await stream.next()
+      if (next.done) return { events, result: next.value }
+      events.push(next.value)
+    }
+  }
+
+  it('reports tokens and parsed arguments as they arrive, then the result', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', intent)], { streaming: true, chunkSize: 16 })
+    const executor = new AgentTaskExecutor(client)
+
+    const { events, result } = await collectEvents(executor.streamAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS))
+
+    expect(events[0]).toMatchObject({ type: 'started', metadata: { step: 'intent_analysis', status: 'running', progress: 0, agentType: 'CONTENT_GENERATION_AGENT' } })
+    const last = events[events.length - 1]
+    expect(last).toMatchObject({ type: 'completed', result, metadata: { status: 'completed', progress: 25 } })
+    expect(result).toMatchObject({ success: true, stepResult: intent })
+
+    const tokens = events.filter(event => event.type === 'tokens')
+    expect(tokens.map(event => event.delta).join('')).toBe(JSON.stringify(intent))
+    expect(tokens[tokens.length - 1]).toMatchObject({ receivedChars: JSON.stringify(intent).length, attempt: 1 })
+
+    const partials = events.filter(event => event.type === 'partial_arguments')
+    expect(partials.length).toBeGreaterThan(1)
+    expect(partials[partials.length - 1].arguments).toEqual(intent)
+
+    // Progress only moves forward and stays short of the task's share until it completes
+    const progress = events.map(event => event.metadata.progress)
+    expect(progress).toEqual([...progress].sort((a, b) => a - b))
+    expect(Math.max(...progress.slice(0, -1))).toBeLessThan(25)
+    // Every event gets a newer status version, even within one millisecond
+    const versions = events.map(event => event.metadata.statusVersion!)
+    expect(new Set(versions).size).toBe(versions.length)
+    expect(versions).toEqual([...versions].sort((a, b) => a - b))
+  })
+
+  it('starts from the previous step\'s progress', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', intent)], { streaming: true })
+    const previousCSI = { completedSteps: ['setup'], currentProgress: 10, totalSteps: 4, currentStep: 'setup' }
+
+    const { events } = await collectEvents(new AgentTaskExecutor(client).streamAgentTask({ ...request, previousCSI }, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS))
+
+    expect(events[0].metadata.progress).toBe(10)
+    expect(events.every(event => event.metadata.progress >= 10)).toBe(true)
+  })
+
+  it('starts the arguments over on a repair attempt', async () => {
+    const client = createScriptedClient([
+      toolCallResponse('analyze_intent', { ...intent, confidence: 'high' }),
+      toolCallResponse('analyze_intent', intent)
+    ], { streaming: true })
+
+    const { events, result } = await collectEvents(new AgentTaskExecutor(client).streamAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS))
+
+    expect(result.success).toBe(true)
+    const partials = events.filter(event => event.type === 'partial_arguments')
+    const first = partials.filter(event => event.attempt === 1)
+    const repaired = partials.filter(event => event.attempt === 2)
+    expect(first[first.length - 1].arguments).toMatchObject({ confidence: 'high' })
+    // The repaired call is parsed from its own arguments only
+    expect(repaired[0].arguments).not.toHaveProperty('confidence')
+    expect(repaired[repaired.length - 1].arguments).toEqual(intent)
+  })
+
+  it('falls back to a single completion for clients that cannot stream', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', intent)])
+
+    const { events, result } = await collectEvents(new AgentTaskExecutor(client).streamAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS))
+
+    expect(events.map(event => event.type)).toEqual(['started', 'completed'])
+    expect(result).toMatchObject({ success: true, stepResult: intent, usage: { calls: 1 } })
+  })
+
+  it('completes with a failed status when the task fails', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', { ...intent, confidence: 'high' })], { streaming: true })
+    const executor = new AgentTaskExecutor(client, { maxRepairAttempts: 0 })
+
+    const { events, result } = await collectEvents(executor.streamAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS))
+
+    expect(result.error?.code).toBe('INVALID_TOOL_OUTPUT')
+    expect(events[events.length - 1]).toMatchObject({ type: 'completed', metadata: { status: 'failed' } })
+  })
+})
+
+describe('AgentTaskExecutor cancellation and timeouts', () => {
+  const stalled = () => new Promise<LLMCompletionResponse>(() => {})
+
+  it('fails with CANCELLED when the caller aborts, without waiting for a client that ignores the signal', async () => {
+    const client = createScriptedClient([stalled])
+    const controller = new AbortController()
+
+    const running = new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, { signal: controller.signal })
+    await vi.waitFor(() => expect(client.requests).toHaveLength(1))
+    controller.abort('user navigated away')
+
+    const result = await running
+    expect(result.success).toBe(false)
+    expect(result.error).toMatchObject({ code: 'CANCELLED', details: { reason: 'user navigated away' } })
+  })
+
+  it('hands the client an abort signal and reports its abort error as CANCELLED', async () => {
+    let clientSignal: AbortSignal | undefined
+    const client = createScriptedClient([
+      completionRequest => new Promise((_, reject) => {
+        clientSignal = completionRequest.signal
+        clientSignal!.addEventListener('abort', () => reject(new DOMException('The operation was aborted', 'AbortError')))
+      })
+    ])
+    const controller = new AbortController()
+
+    const running = new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, { signal: controller.signal })
+    await vi.waitFor(() => expect(clientSignal).toBeDefined())
+    controller.abort()
+
+    expect((await running).error?.code).toBe('CANCELLED')
+    expect(clientSignal!.aborted).toBe(true)
+  })
+
+  it('fails with TIMEOUT_ERROR once the task runs past timeoutMs', async () => {
+    const client = createScriptedClient([stalled])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, { ...AgentTaskConfigs.INTENT_ANALYSIS, timeoutMs: 20 })
+
+    expect(result.error).toMatchObject({ code: 'TIMEOUT_ERROR', message: 'intent_analysis timed out after 20ms', details: { timeoutMs: 20 } })
+  })
+
+  it('stops waiting between retries when the task times out', async () => {
+    const client = createScriptedClient([new LLMRequestError('openai', 503, { error: { type: 'server_error' } })])
+    const executor = new AgentTaskExecutor(client, { retryPolicy: { maxRetries: 3, initialDelayMs: 60_000, jitter: false } })
+    const startedAt = Date.now()
+
+    const result = await executor.executeAgentTask(request, { prompt: 'Launch posts' }, { ...AgentTaskConfigs.INTENT_ANALYSIS, timeoutMs: 20 })
+
+    expect(result.error?.code).toBe('TIMEOUT_ERROR')
+    expect(Date.now() - startedAt).toBeLessThan(5000)
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('does not start a task whose signal has already aborted', async () => {
+    const client = createScriptedClient([stalled])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, { signal: AbortSignal.abort() })
+
+    expect(result.error?.code).toBe('CANCELLED')
+  })
+
+  it('completes a cancelled stream with a cancelled status', async () => {
+    const client = createScriptedClient([stalled], { streaming: true })
+    const controller = new AbortController()
+    const stream = new AgentTaskExecutor(client).streamAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS, { signal: controller.signal })
+
+    expect((await stream.next()).value).toMatchObject({ type: 'started' })
+    const completed = stream.next()
+    controller.abort(new TaskCancelledError('intent_analysis', 'stopped'))
+
+    expect((await completed).value).toMatchObject({
+      type: 'completed',
+      result: { success: false, error: { code: 'CANCELLED', details: { reason: 'stopped' } } },
+      metadata: { status: 'cancelled' }
+    })
+  })
+})
@@ -3,17 +3,40 @@
  * Agent Task Coordination and OpenAI Function Calling Abstractions
  * 
  * Professional agent task patterns extracted from the AT-03 production system.
- * Provides simplified abstractions for OpenAI function calling and task coordination.
+ * Provides simplified abstractions for function calling on any LLM provider and task coordination.
  */
 
 import { z } from 'zod'
-import type { CSI } from '@growthub/compiler-core'
+import { createVersionedMetadata, AgentTypeNameSchema, parseAgentRequest } from '@growthub/compiler-core'
+import type { CSI, MessageMetadata } from '@growthub/compiler-core'
+import { withAbortSignal, linkAbortSignal } from './kv'
+import { toLLMClient } from './llm'
+import type { LLMClient, LLMCompletionRequest, LLMCompletionResponse, LLMMessage, LLMStreamDelta, LLMToolCall, LLMUsage } from './llm'
+import { validateJsonSchema, formatJsonSchemaIssues } from './json-schema'
+import type { JsonSchemaIssue } from './json-schema'
+import { createFunctionDefinition, parseFunctionArguments, relaxStrictParameters } from './function-schema'
+import { parsePartialJson } from './partial-json'
+import { classifyLLMError, getRetryDelayMs, ContentFilteredError, DEFAULT_RETRY_POLICY, CONTENT_FILTER_FINISH_REASONS } from './errors'
+import type { RetryPolicy } from './errors'
+import { calculateCost, DEFAULT_MODEL_PRICING } from './usage'
+import type { ModelPricingTable, TaskUsage } from './usage'
+import type { ToolRegistry, ToolExecution, AgentToolContext } from './tools'
+import type { ModelRouter } from './models'
+import { brandKitCacheTag } from './cache'
+import type { LLMResponseCache } from './cache'
+import { promptLibrary, PromptTemplateError } from './prompts'
+import type { PromptLibrary, PromptReference } from './prompts'
+import { assignExperimentVariant, applyExperimentVariant, validateExperiment } from './experiments'
+import type { Experiment, ExperimentAssignment, ExperimentTracker } from './experiments'
+import { RateLimitExceededError } from './rate-limit'
+import type { RateLimiter } from './rate-limit'
 
 // Base schemas for all agent tasks
 export const BaseAgentTaskRequestSchema = z.object({
   threadId: z.string().uuid(),
   userId: z.string().min(1),
-  agentType: z.enum(['CONTENT_GENERATION_AGENT', 'TEXT_ANALYSIS_AGENT']),
+  // Any type registered with the compiler-core agent type registry
+  agentType: AgentTypeNameSchema,
   taskSequence: z.number().int().min(1),
   previousCSI: z.object({
     completedSteps: z.array(z.string()).default([]),
@@ -33,34 +56,68 @@ export interface AgentTaskFunction {
     type: "object"
     properties: Record<string, any>
     required: string[]
+    additionalProperties?: boolean
   }
+  // Strict mode: the provider constrains output to the schema (OpenAI structured outputs)
+  strict?: boolean
 }
 
 // Agent task execution result
-export interface AgentTaskResult {
+export interface AgentTaskResult<TResult = Record<string, any>> {
   success: boolean
-  stepResult: {
-    step: string
-    [key: string]: any
-  }
+  // Failed tasks only carry `step`
+  stepResult: { step: string } & TResult
   updatedCSI: CSI
   agentTaskId?: string
+  // Token usage and cost of every model call the task made, when the provider reports usage
+  usage?: TaskUsage
+  // Multi-turn tasks (config.tools) only
+  transcript?: AgentTaskTranscript
+  // Model of the last call, as named by the provider when it reports one
+  model?: string
+  // Models given up on before `model`, with the error that moved the task on
+  fallbacks?: Array<{ model: string; code: string }>
+  // Model calls answered from the response cache (not counted in usage)
+  cacheHits?: number
+  // Template version the user prompt was rendered from (config.prompt only)
+  prompt?: { name: string; version: string }
+  // Variant this run was assigned (config.experiment only)
+  experiment?: ExperimentAssignment
   error?: {
     message: string
+    // RATE_LIMITED, TIMEOUT_ERROR, CONTEXT_LENGTH_EXCEEDED, ... (see classifyLLMError)
     code: string
     details?: any
+    retryAfterMs?: number
   }
 }
 
+// Events yielded by AgentTaskExecutor.streamAgentTask; `metadata` can be forwarded to clients as-is
+export type AgentTaskStreamEvent<TResult = Record<string, any>> =
+  | { type: 'started'; metadata: MessageMetadata }
+  // Text or tool-call argument characters as they arrive; `attempt` increases with every model call (repairs and retries)
+  | { type: 'tokens'; delta: string; receivedChars: number; attempt: number; metadata: MessageMetadata }
+  // Tool-call arguments parsed so far, emitted whenever they change; they start over when `attempt` changes
+  | { type: 'partial_arguments'; arguments: Partial<TResult>; attempt: number; metadata: MessageMetadata }
+  // A registered tool ran (multi-turn tasks only)
+  | { type: 'tool_call'; execution: ToolExecution; metadata: MessageMetadata }
+  // Final result, also for failed tasks (check `result.success`)
+  | { type: 'completed'; result: AgentTaskResult<TResult>; metadata: MessageMetadata }
+
 // Agent task configuration
-export interface AgentTaskConfig {
+export interface AgentTaskConfig<TResult = Record<string, any>> {
   taskName: string
   taskType: 'analysis' | 'image_generation' | 'text_generation' | 'completion'
   apiRoute?: string
   toolName: string
   systemPrompt: string
-  userPromptTemplate: (data: any) => string
+  // Versioned template from the executor's prompt library; wins over userPromptTemplate
+  prompt?: PromptReference
+  // One of prompt or userPromptTemplate is required
+  userPromptTemplate?: (data: any) => string
   functionDefinition: AgentTaskFunction
+  // Parses tool-call arguments into a typed stepResult (set by AgentTaskBuilder.schema)
+  resultSchema?: z.ZodType<TResult>
   progressPercent: number
   modelConfig?: {
     model?: string
@@ -68,127 +125,964 @@ export interface AgentTaskConfig {
     maxTokens?: number
     topP?: number
   }
+  // Re-prompts allowed when tool-call arguments fail validation (executor default otherwise)
+  maxRepairAttempts?: number
+  // Fails the task with TIMEOUT_ERROR once exceeded, repair attempts included
+  timeoutMs?: number
+  // Retries transient provider failures of each model call (executor default otherwise)
+  retryPolicy?: RetryPolicy
+  // Multi-turn mode: the model may call registered tools before the task's function
+  tools?: AgentTaskToolsConfig
+  // Reuse responses to identical calls when the executor has a response cache
+  cache?: AgentTaskCacheConfig
+  // Splits runs between variants that override the prompts or model settings
+  experiment?: Experiment
+}
+
+export interface AgentTaskCacheConfig {
+  // Cache default otherwise
+  ttlSeconds?: number
+  // Invalidating any of these tags drops the task's cached responses (e.g. brandKitCacheTag)
+  tags?: (request: BaseAgentTaskRequest, taskInput: any) => string[]
+}
+
+export interface AgentTaskToolsConfig {
+  registry: ToolRegistry
+  // Model turns spent on tool calls before the task's function call is forced
+  maxIterations?: number
+  // The task fails with BUDGET_EXCEEDED instead of making another call once either is reached
+  maxTokens?: number
+  maxCostUsd?: number
+}
+
+// Everything a multi-turn task said and did
+export interface AgentTaskTranscript {
+  // Messages sent to and received from the model, tool results and repair prompts included
+  messages: LLMMessage[]
+  toolExecutions: ToolExecution[]
+  // Model turns spent on tool calls
+  iterations: number
+}
+
+// Per-call task options
+export interface AgentTaskRunOptions {
+  // Aborts the in-flight model call; the task fails with code CANCELLED
+  signal?: AbortSignal
+  // Consumed before each model call (cache hits excepted), keyed by userId, agentType and
+  // the model being called; a rejected call fails the task with code RATE_LIMITED
+  rateLimiter?: RateLimiter
 }
 
 // OpenAI Client Interface
 export interface OpenAIClient {
   chat: {
     completions: {
-      create(params: any): Promise<any>
+      create(params: any, options?: any): Promise<any>
     }
   }
 }
 
+// Default Configuration
+export const DEFAULT_MAX_REPAIR_ATTEMPTS = 2
+export const DEFAULT_MAX_TOOL_ITERATIONS = 8
+
+/**
+ * Tool-call arguments that still failed validation after every repair attempt
+ */
+export class InvalidToolOutputError extends Error {
+  readonly code = 'INVALID_TOOL_OUTPUT'
+  readonly issues: JsonSchemaIssue[]
+  readonly attempts: number
+  readonly rawArguments?: string
+
+  constructor(toolName: string, issues: JsonSchemaIssue[], attempts: number, rawArguments?: string) {
+    super(`Invalid output from ${toolName} after ${attempts} attempt(s): ${formatJsonSchemaIssues(issues)}`)
+    this.name = 'InvalidToolOutputError'
+    this.issues = issues
+    this.attempts = attempts
+    this.rawArguments = rawArguments
+  }
+}
+
+/**
+ * Task stopped because its AbortSignal fired
+ */
+export class TaskCancelledError extends Error {
+  readonly code = 'CANCELLED'
+  readonly reason?: unknown
+
+  constructor(taskName: string, reason?: unknown) {
+    super(`${taskName} was cancelled`)
+    this.name = 'TaskCancelledError'
+    this.reason = reason
+  }
+}
+
+/**
+ * Task ran longer than its configured timeoutMs
+ */
+export class TaskTimeoutError extends Error {
+  readonly code = 'TIMEOUT_ERROR'
+  readonly timeoutMs: number
+
+  constructor(taskName: string, timeoutMs: number) {
+    super(`${taskName} timed out after ${timeoutMs}ms`)
+    this.name = 'TaskTimeoutError'
+    this.timeoutMs = timeoutMs
+  }
+}
+
+/**
+ * Multi-turn task reached its token or cost budget
+ */
+export class ToolBudgetExceededError extends Error {
+  readonly code = 'BUDGET_EXCEEDED'
+  readonly limit: 'tokens' | 'cost'
+  readonly used: number
+  readonly max: number
+
+  constructor(taskName: string, limit: 'tokens' | 'cost', used: number, max: number) {
+    super(`${taskName} reached its ${limit} budget (${used} of ${max})`)
+    this.name = 'ToolBudgetExceededError'
+    this.limit = limit
+    this.used = used
+    this.max = max
+  }
+}
+
 /**
  * Agent Task Executor Class
- * Handles the complete lifecycle of agent tasks with OpenAI function calling
+ * Handles the complete lifecycle of agent tasks with function calling on any LLMClient
+ * (an OpenAI SDK client is adapted automatically)
  */
 export class AgentTaskExecutor {
-  private openaiClient: OpenAIClient
+  private llmClient: LLMClient
   private defaultModel: string
   private defaultTemperature: number
+  private maxRepairAttempts: number
+  private retryPolicy: RetryPolicy
+  private pricing: ModelPricingTable
+  private router?: ModelRouter
+  private cache?: LLMResponseCache
+  private prompts: PromptLibrary
+  private experiments?: ExperimentTracker
 
   constructor(
-    openaiClient: OpenAIClient,
+    client: LLMClient | OpenAIClient,
     options: { 
       defaultModel?: string
       defaultTemperature?: number 
+      maxRepairAttempts?: number
+      retryPolicy?: RetryPolicy
+      // Defaults to the router's model pricing when a router is set
+      pricing?: ModelPricingTable
+      // Routes tasks to models and falls back along their chain
+      router?: ModelRouter
+      // Serves tasks with a `cache` config from stored responses
+      cache?: LLMResponseCache
+      // Templates for config.prompt; names it lacks come from the shared promptLibrary
+      prompts?: PromptLibrary
+      // Records experiment assignments and outcomes
+      experiments?: ExperimentTracker
     } = {}
   ) {
-    this.openaiClient = openaiClient
+    this.llmClient = toLLMClient(client)
     this.defaultModel = options.defaultModel || 'gpt-4o-mini'
     this.defaultTemperature = options.defaultTemperature || 0.3
+    this.maxRepairAttempts = options.maxRepairAttempts ?? DEFAULT_MAX_REPAIR_ATTEMPTS
+    this.retryPolicy = options.retryPolicy || DEFAULT_RETRY_POLICY
+    this.router = options.router
+    this.cache = options.cache
+    this.prompts = options.prompts || promptLibrary
+    this.experiments = options.experiments
+    this.pricing = options.pricing || options.router?.getPricingTable() || DEFAULT_MODEL_PRICING
   }
 
   /**
-   * Execute an agent task with OpenAI function calling
+   * Model a task runs on first (its own override, its route or the executor default)
+   * With a request, an experiment resolves to the variant its user or thread is assigned to.
    */
-  async executeAgentTask<T extends BaseAgentTaskRequest>(
+  resolveModel(config: AgentTaskConfig<any>, request?: BaseAgentTaskRequest): string {
+    const { experiment } = config
+    if (request && experiment) {
+      config = applyExperimentVariant(config, assignExperimentVariant(experiment, request[experiment.assignBy || 'userId']))
+    }
+    return this.resolveModels(config)[0]
+  }
+
+  /**
+   * Models a task may run on, primary first, followed by its fallback chain
+   */
+  resolveModels(config: AgentTaskConfig<any>, estimatedInputTokens?: number): string[] {
+    return this.router
+      ? this.router.resolve(config, this.defaultModel, estimatedInputTokens)
+      : [config.modelConfig?.model || this.defaultModel]
+  }
+
+  /**
+   * Execute an agent task with function calling
+   */
+  async executeAgentTask<T extends BaseAgentTaskRequest, TResult = Record<string, any>>(
     request: T,
     taskInput: Record<string, any>,
-    config: AgentTaskConfig
-  ): Promise<AgentTaskResult> {
+    config: AgentTaskConfig<TResult>,
+    options: AgentTaskRunOptions = {}
+  ): Promise<AgentTaskResult<TResult>> {
+    const taskSignal = createTaskSignal(config, options.signal)
+    const run = createTaskRun(request, taskSignal.signal, this.resolveModel(config), options)
+    let result: AgentTaskResult<TResult>
+
     try {
-      // Validate request
-      const validatedRequest = BaseAgentTaskRequestSchema.parse(request)
-
-      // Prepare OpenAI request
-      const modelConfig = config.modelConfig || {}
-      const response = await this.openaiClient.chat.completions.create({
-        model: modelConfig.model || this.defaultModel,
-        messages: [
-          {
-            role: "system",
-            content: config.systemPrompt
-          },
-          {
-            role: "user",
-            content: config.userPromptTemplate(taskInput)
-          }
-        ],
-        tools: [{ type: "function", function: config.functionDefinition }],
-        tool_choice: { type: "function", function: { name: config.functionDefinition.name } },
-        temperature: modelConfig.temperature ?? this.defaultTemperature,
-        ...(modelConfig.maxTokens && { max_tokens: modelConfig.maxTokens }),
-        ...(modelConfig.topP && { top_p: modelConfig.topP })
+      // Validate request, including fields its agent type requires
+      const validatedRequest = parseAgentRequest(BaseAgentTaskRequestSchema, request)
+      run.request = validatedRequest
+      run.cacheTags = config.cache?.tags?.(validatedRequest, taskInput)
+      config = this.applyExperiment(config, run)
+
+      // Call the model and validate its tool-call arguments, re-prompting on failure
+      let value: TResult | undefined
+      const messages = createTaskMessages(config, taskInput, this.prompts, run)
+      run.transcript = createTaskTranscript(config, messages)
+      for await (const event of this.requestToolArguments(config, messages, false, run)) {
+        if (event.type === 'result') value = event.value
+      }
+
+      result = toSuccessResult(validatedRequest, config, value as TResult, this.toResultExtras(run))
+
+    } catch (error) {
+      result = toFailureResult(request, config, toAbortError(config, taskSignal.signal, error), this.toResultExtras(run))
+    } finally {
+      taskSignal.dispose()
+    }
+
+    await this.recordExperimentResult(run, result)
+    return result
+  }
+
+  /**
+   * Execute an agent task, yielding progress while the model responds
+   * Falls back to a single completion when the client cannot stream; the generator's
+   * return value is the same result executeAgentTask would have produced.
+   */
+  async *streamAgentTask<T extends BaseAgentTaskRequest, TResult = Record<string, any>>(
+    request: T,
+    taskInput: Record<string, any>,
+    config: AgentTaskConfig<TResult>,
+    options: AgentTaskRunOptions = {}
+  ): AsyncGenerator<AgentTaskStreamEvent<TResult>, AgentTaskResult<TResult>> {
+    const startProgress = Math.min(request.previousCSI?.currentProgress ?? 0, config.progressPercent)
+    const required = config.functionDefinition.parameters.required
+    let progress = startProgress
+    let statusVersion = 0
+
+    const metadataFor = (status: MessageMetadata['status']): MessageMetadata => {
+      const metadata = createVersionedMetadata(config.taskName, status, Math.round(progress), {
+        agentType: request.agentType,
+        toolName: config.toolName,
+        stepNumber: request.taskSequence,
+        totalSteps: request.previousCSI?.totalSteps ?? 4
       })
+      // Several events can share a millisecond; keep versions increasing so clients never drop one
+      statusVersion = Math.max(metadata.statusVersion ?? 0, statusVersion + 1)
+      return { ...metadata, statusVersion }
+    }
+
+    const taskSignal = createTaskSignal(config, options.signal)
+    const run = createTaskRun(request, taskSignal.signal, this.resolveModel(config), options)
+    let result: AgentTaskResult<TResult>
+    try {
+      const validatedRequest = parseAgentRequest(BaseAgentTaskRequestSchema, request)
+      run.request = validatedRequest
+      run.cacheTags = config.cache?.tags?.(validatedRequest, taskInput)
+      config = this.applyExperiment(config, run)
+      yield { type: 'started', metadata: metadataFor('running') }
+
+      let value: TResult | undefined
+      let attempt = 0
+      let receivedChars = 0
+      let toolCalls = new Map<number, { name?: string; arguments: string }>()
+      let lastPartial: string | undefined
+
+      const messages = createTaskMessages(config, taskInput, this.prompts, run)
+      run.transcript = createTaskTranscript(config, messages)
+      for await (const event of this.requestToolArguments(config, messages, true, run)) {
+        if (event.type === 'result') {
+          value = event.value
+          continue
+        }
+        if (event.type === 'tool') {
+          yield { type: 'tool_call', execution: event.execution, metadata: metadataFor('running') }
+          continue
+        }
+
+        if (event.attempt !== attempt) {
+          // A repair attempt starts the arguments over
+          attempt = event.attempt
+          toolCalls = new Map()
+          lastPartial = undefined
+        }
 
-      // Parse result
-      const toolCall = response.choices[0].message.tool_calls?.[0]
-      if (!toolCall) {
-        throw new Error('No function call returned from OpenAI')
+        const { chunk } = event
+        const delta = chunk.type === 'text' ? chunk.text : chunk.argumentsDelta
+        if (delta) {
+          receivedChars += delta.length
+          yield { type: 'tokens', delta, receivedChars, attempt, metadata: metadataFor('running') }
+        }
+        if (chunk.type !== 'tool_call_delta') continue
+
+        const toolCall = toolCalls.get(chunk.index) || { arguments: '' }
+        toolCalls.set(chunk.index, { name: chunk.name || toolCall.name, arguments: toolCall.arguments + chunk.argumentsDelta })
+
+        const calls = Array.from(toolCalls.values())
+        // Calls to registered tools are not the task's result
+        const current = calls.find(call => call.name === config.functionDefinition.name) || (config.tools ? undefined : calls[0])
+        if (!current) continue
+        const partial = parsePartialJson(current.arguments)
+        if (typeof partial !== 'object' || partial === null || Array.isArray(partial)) continue
+
+        const serialized = JSON.stringify(partial)
+        if (serialized === lastPartial) continue
+        lastPartial = serialized
+
+        // Move toward the task's progress as required fields fill in, short of it until the task completes
+        const filled = required.length > 0 ? required.filter(key => key in partial).length / required.length : 0
+        progress = Math.max(progress, startProgress + (config.progressPercent - startProgress) * filled * 0.9)
+        yield { type: 'partial_arguments', arguments: partial as Partial<TResult>, attempt, metadata: metadataFor('running') }
       }
 
-      const result = JSON.parse(toolCall.function.arguments || '{}')
+      result = toSuccessResult(validatedRequest, config, value as TResult, this.toResultExtras(run))
+      progress = config.progressPercent
+    } catch (error) {
+      result = toFailureResult(request, config, toAbortError(config, taskSignal.signal, error), this.toResultExtras(run))
+    } finally {
+      taskSignal.dispose()
+    }
+
+    await this.recordExperimentResult(run, result)
+    const status = result.success ? 'completed' : result.error?.code === 'CANCELLED' ? 'cancelled' : 'failed'
+    yield { type: 'completed', result, metadata: metadataFor(status) }
+    return result
+  }
+
+  /**
+   * Request the task's function call until its arguments validate against the function definition
+   * Multi-turn tasks first run the registered tools the model calls, until it calls the
+   * task's function or runs out of iterations. Yields stream chunks tagged with their
+   * attempt when streaming, each tool execution, then the parsed result.
+   */
+  private async *requestToolArguments<TResult>(
+    config: AgentTaskConfig<TResult>,
+    messages: LLMMessage[],
+    streaming: boolean,
+    run: TaskRun
+  ): AsyncGenerator<ToolCallEvent<TResult>> {
+    const { signal } = run
+    const modelConfig = config.modelConfig || {}
+    const functionName = config.functionDefinition.name
+    const maxAttempts = 1 + (config.maxRepairAttempts ?? this.maxRepairAttempts)
+    const retryPolicy = { ...this.retryPolicy, ...config.retryPolicy }
+    const toolsConfig = config.tools
+    const maxIterations = toolsConfig?.maxIterations ?? DEFAULT_MAX_TOOL_ITERATIONS
+    const tools = toolsConfig
+      ? [...toolsConfig.registry.getDefinitions(), config.functionDefinition]
+      : [config.functionDefinition]
+    // Models too small for the prompt (about 4 characters per token) are skipped
+    const models = this.resolveModels(config, Math.ceil(JSON.stringify({ messages, tools }).length / 4))
+    let modelIndex = 0
+    let issues: JsonSchemaIssue[] = []
+    let rawArguments: string | undefined
+    let calls = 0
+    let iterations = 0
+    let attempt = 1
 
-      // Update CSI
-      const previousCSI = validatedRequest.previousCSI || {
-        completedSteps: [],
-        currentProgress: 0,
-        totalSteps: 4,
-        currentStep: 'pending'
+    while (attempt <= maxAttempts) {
+      if (toolsConfig && calls > 0) this.checkToolBudget(config, run)
+
+      // Once the iterations are spent, only the task's function may be called
+      const toolTurn = toolsConfig !== undefined && iterations < maxIterations
+      const baseRequest: Omit<LLMCompletionRequest, 'model'> = {
+        messages,
+        tools,
+        toolChoice: toolTurn ? 'required' : { name: functionName },
+        temperature: modelConfig.temperature ?? this.defaultTemperature,
+        maxTokens: modelConfig.maxTokens,
+        topP: modelConfig.topP,
+        signal
       }
+      let response: LLMCompletionResponse
+      let client: LLMClient
+      let cacheKey: string | undefined
+      let cacheHit = false
+      for (let retry = 1; ; retry++) {
+        const request: LLMCompletionRequest = { ...baseRequest, model: models[modelIndex] }
+        client = this.router?.getClient(request.model) || this.llmClient
+        run.model = request.model
 
-      const updatedCSI: CSI = {
-        completedSteps: [...previousCSI.completedSteps, config.taskName],
-        currentProgress: config.progressPercent,
-        totalSteps: previousCSI.totalSteps,
-        currentStep: config.taskName,
-        metadata: {
-          lastUpdated: new Date().toISOString(),
-          taskName: config.taskName,
-          taskType: config.taskType
+        // Looked up once per model; retries of the same request would miss again
+        if (retry === 1 && this.cache && config.cache) {
+          cacheKey = await this.cache.makeCacheKey(request, run.cacheTags)
+          const cached = cacheKey && await this.cache.get(cacheKey)
+          if (cached) {
+            response = cached
+            cacheHit = true
+            break
+          }
+        }
+
+        // Charged to the model actually called, so fallbacks and variants use their own limits
+        if (run.rateLimiter) {
+          const rateLimit = await run.rateLimiter.consume({ userId: run.request.userId, agentType: run.request.agentType, model: request.model })
+          if (!rateLimit.allowed) throw new RateLimitExceededError(request.model, rateLimit)
+        }
+
+        try {
+          calls++
+          // Clients that ignore the signal are abandoned rather than awaited
+          response = streaming && client.stream
+            ? yield* this.streamCompletion(client, request, calls, signal)
+            : await withAbortSignal(client.complete(request), signal)
+          break
+        } catch (error) {
+          if (signal.aborted) throw error
+
+          const classified = classifyLLMError(error)
+          const delayMs = getRetryDelayMs(retryPolicy, retry, classified)
+          if (delayMs === null) {
+            // Retries are used up (or pointless): move on to the next model in the chain
+            if (modelIndex + 1 >= models.length || !this.router?.shouldFallback(classified.code)) throw error
+
+            modelIndex++
+            console.warn(`[${config.taskName}] ${classified.code} from ${request.model}; falling back to ${models[modelIndex]}`)
+            run.fallbacks.push({ model: request.model, code: classified.code })
+            retry = 0
+            continue
+          }
+
+          console.warn(`[${config.taskName}] ${classified.code} from ${client.provider}; retry ${retry} in ${delayMs}ms`)
+          await sleep(delayMs, signal)
         }
       }
 
-      return {
-        success: true,
-        stepResult: { step: config.taskName, ...result },
-        updatedCSI
+      if (cacheHit) {
+        run.cacheHits++
+        if (response.model) run.model = response.model
+      } else {
+        addResponseUsage(run, response, models[modelIndex])
       }
 
+      // Repairing cannot get past a policy block
+      if (response.finishReason && CONTENT_FILTER_FINISH_REASONS.includes(response.finishReason)) {
+        throw new ContentFilteredError(client.provider, response.finishReason)
+      }
+      // Only responses the task can use are stored, so a bad answer is not replayed until it expires
+      const storeResponse = async () => {
+        if (cacheKey && !cacheHit) await this.cache!.set(cacheKey, response, config.cache?.ttlSeconds)
+      }
+
+      if (toolsConfig && toolTurn && response.toolCalls.length > 0 && !response.toolCalls.some(call => call.name === functionName)) {
+        iterations++
+        await storeResponse()
+        messages.push({ role: 'assistant', content: response.content || '', toolCalls: response.toolCalls })
+
+        // Calls from one turn are independent, so they run concurrently
+        const context = { request: run.request, taskName: config.taskName, signal }
+        const executions = await Promise.all(
+          response.toolCalls.map(call => executeToolCall(toolsConfig.registry, call, context, iterations))
+        )
+        for (const execution of executions) {
+          messages.push({ role: 'tool', toolCallId: execution.toolCallId, content: execution.output })
+          if (run.transcript) {
+            run.transcript.toolExecutions.push(execution)
+            run.transcript.iterations = iterations
+          }
+          yield { type: 'tool', execution }
+        }
+        continue
+      }
+
+      const toolCall = response.toolCalls.find(call => call.name === functionName) || response.toolCalls[0]
+      rawArguments = toolCall?.arguments
+      const parsed = parseToolArguments(toolCall, config)
+      issues = parsed.issues
+
+      if (issues.length === 0) {
+        await storeResponse()
+        yield { type: 'result', value: parsed.value }
+        return
+      }
+
+      console.warn(`[${config.taskName}] Invalid ${functionName} arguments (attempt ${attempt}/${maxAttempts}):\n${formatJsonSchemaIssues(issues)}`)
+
+      // Show the model its own output and what was wrong with it
+      const repairInstruction = `The ${functionName} arguments were invalid:\n${formatJsonSchemaIssues(issues)}\nCall ${functionName} again with corrected arguments.`
+      if (toolCall) {
+        messages.push(
+          { role: 'assistant', content: response.content || '', toolCalls: [toolCall] },
+          { role: 'tool', toolCallId: toolCall.id, content: repairInstruction }
+        )
+      } else {
+        messages.push(
+          { role: 'assistant', content: response.content || '' },
+          { role: 'user', content: repairInstruction }
+        )
+      }
+      attempt++
+    }
+
+    throw new InvalidToolOutputError(functionName, issues, maxAttempts, rawArguments)
+  }
+
+  /**
+   * Stop a multi-turn task before another model call once it has used its budget
+   */
+  private checkToolBudget(config: AgentTaskConfig<any>, run: TaskRun): void {
+    const { maxTokens, maxCostUsd } = config.tools || {}
+
+    if (maxTokens !== undefined && run.usage.totalTokens >= maxTokens) {
+      throw new ToolBudgetExceededError(config.taskName, 'tokens', run.usage.totalTokens, maxTokens)
+    }
+    if (maxCostUsd !== undefined) {
+      // Unpriced models cannot exceed a cost budget
+      const costUsd = this.calculateRunCost(run, true) ?? 0
+      if (costUsd >= maxCostUsd) {
+        throw new ToolBudgetExceededError(config.taskName, 'cost', costUsd, maxCostUsd)
+      }
+    }
+  }
+
+  /**
+   * Apply the variant the request's user (or thread) is assigned to
+   */
+  private applyExperiment<TResult>(config: AgentTaskConfig<TResult>, run: TaskRun): AgentTaskConfig<TResult> {
+    const { experiment } = config
+    if (!experiment) return config
+
+    const unitId = run.request[experiment.assignBy || 'userId']
+    const variant = assignExperimentVariant(experiment, unitId)
+    run.experiment = { experimentId: experiment.id, variantId: variant.id }
+    run.experimentUnitId = unitId
+
+    // The run was created with the control's model; a variant may route elsewhere
+    const variantConfig = applyExperimentVariant(config, variant)
+    run.usage.model = this.resolveModel(variantConfig)
+    return variantConfig
+  }
+
+  /**
+   * Record a run's assignment and outcome; tracking failures never fail the task
+   */
+  private async recordExperimentResult(run: TaskRun, result: AgentTaskResult<any>): Promise<void> {
+    if (!this.experiments || !run.experiment || !run.experimentUnitId) return
+
+    try {
+      await this.experiments.recordAssignment(run.experiment, run.experimentUnitId)
+      // A cancelled run says nothing about its variant, and a cached response repeats an
+      // earlier run's outcome without its cost
+      if (result.error?.code === 'CANCELLED' || run.cacheHits > 0) return
+
+      const confidence = (result.stepResult as Record<string, any>).confidence
+      await this.experiments.recordOutcome(run.experiment, {
+        success: result.success,
+        confidence: typeof confidence === 'number' ? confidence : undefined,
+        costUsd: result.usage?.costUsd
+      })
     } catch (error) {
-      console.error(`[${config.taskName}] Failed:`, error)
-      
-      return {
-        success: false,
-        stepResult: { step: config.taskName },
-        updatedCSI: request.previousCSI || {
-          completedSteps: [],
-          currentProgress: 0,
-          totalSteps: 4,
-          currentStep: 'failed'
-        },
-        error: {
-          message: error instanceof Error ? error.message : 'Unknown error',
-          code: 'TASK_EXECUTION_FAILED',
-          details: error
+      console.warn(`[${run.experiment.experimentId}] Could not record experiment result:`, error)
+    }
+  }
+
+  /**
+   * Usage, model and fallbacks to report on a task's result
+   * Usage is dropped when no call reported any.
+   */
+  private toResultExtras(run: TaskRun): TaskResultExtras {
+    return {
+      usage: run.usage.calls > 0 ? { ...run.usage, costUsd: this.calculateRunCost(run) } : undefined,
+      transcript: run.transcript,
+      model: run.model,
+      fallbacks: run.fallbacks.length > 0 ? run.fallbacks : undefined,
+      cacheHits: run.cacheHits > 0 ? run.cacheHits : undefined,
+      prompt: run.prompt,
+      experiment: run.experiment
+    }
+  }
+
+  /**
+   * Price each model's tokens at its own rate
+   * Undefined when a model has no price, unless `skipUnpriced` counts it as free.
+   */
+  private calculateRunCost(run: TaskRun, skipUnpriced = false): number | undefined {
+    let total = 0
+    for (const [model, usage] of run.modelUsage) {
+      const cost = calculateCost(usage, model, this.pricing)
+      if (cost === undefined && !skipUnpriced) return undefined
+      total += cost ?? 0
+    }
+    return total
+  }
+
+  private async *streamCompletion(
+    client: LLMClient,
+    request: LLMCompletionRequest,
+    attempt: number,
+    signal: AbortSignal
+  ): AsyncGenerator<ToolCallEvent<never>, LLMCompletionResponse> {
+    const chunks = client.stream!(request)[Symbol.asyncIterator]()
+
+    try {
+      while (true) {
+        const { done, value: chunk } = await withAbortSignal(chunks.next(), signal)
+        if (done) break
+        if (chunk.type === 'done') {
+          return chunk.response
         }
+        yield { type: 'chunk', attempt, chunk }
       }
+    } finally {
+      // Closes the underlying response when we stop early; not awaited in case the client is stuck
+      chunks.return?.()?.catch(() => {})
     }
+
+    throw new Error(`${client.provider} stream ended without a response`)
   }
 }
 
+type ToolCallEvent<TResult> =
+  | { type: 'chunk'; attempt: number; chunk: LLMStreamDelta }
+  | { type: 'tool'; execution: ToolExecution }
+  | { type: 'result'; value: TResult }
+
+// State of one task execution shared by its model calls
+interface TaskRun {
+  request: BaseAgentTaskRequest
+  signal: AbortSignal
+  usage: TaskUsage
+  // Model of the latest call, once one is made; changes when the task falls back
+  model?: string
+  fallbacks: NonNullable<AgentTaskResult['fallbacks']>
+  // Tokens per model, so fallbacks are priced at their own rates
+  modelUsage: Map<string, LLMUsage>
+  cacheTags?: string[]
+  cacheHits: number
+  prompt?: AgentTaskResult['prompt']
+  experiment?: ExperimentAssignment
+  experimentUnitId?: string
+  transcript?: AgentTaskTranscript
+  rateLimiter?: RateLimiter
+}
+
+/**
+ * Combine the caller's signal with the task's timeout
+ */
+function createTaskSignal(
+  config: AgentTaskConfig<any>,
+  signal?: AbortSignal
+): { signal: AbortSignal; dispose: () => void } {
+  const controller = new AbortController()
+  const unlink = linkAbortSignal(controller, signal)
+  const timeoutMs = config.timeoutMs
+  const timer = timeoutMs
+    ? setTimeout(() => controller.abort(new TaskTimeoutError(config.taskName, timeoutMs)), timeoutMs)
+    : undefined
+
+  return {
+    signal: controller.signal,
+    dispose: () => {
+      unlink()
+      clearTimeout(timer)
+    }
+  }
+}
+
+/**
+ * Report an aborted task as a timeout or cancellation instead of whatever the aborted call threw
+ */
+function toAbortError(config: AgentTaskConfig<any>, signal: AbortSignal, error: unknown): unknown {
+  if (!signal.aborted) return error
+
+  const reason = signal.reason
+  return reason instanceof TaskTimeoutError || reason instanceof TaskCancelledError
+    ? reason
+    : new TaskCancelledError(config.taskName, reason)
+}
+
+function createTaskRun(request: BaseAgentTaskRequest, signal: AbortSignal, model: string, options: AgentTaskRunOptions): TaskRun {
+  return {
+    request,
+    signal,
+    rateLimiter: options.rateLimiter,
+    usage: { model, inputTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0 },
+    fallbacks: [],
+    modelUsage: new Map(),
+    cacheHits: 0
+  }
+}
+
+function addResponseUsage(run: TaskRun, response: LLMCompletionResponse, requestedModel: string): void {
+  // The provider's name is more specific (dated snapshots) than the requested one
+  const model = response.model || requestedModel
+  run.model = model
+  if (!response.usage) return
+
+  const { usage } = run
+  usage.inputTokens += response.usage.inputTokens
+  usage.outputTokens += response.usage.outputTokens
+  usage.totalTokens += response.usage.totalTokens
+  usage.calls++
+  usage.model = model
+
+  const modelUsage = run.modelUsage.get(model) || { inputTokens: 0, outputTokens: 0, totalTokens: 0 }
+  run.modelUsage.set(model, {
+    inputTokens: modelUsage.inputTokens + response.usage.inputTokens,
+    outputTokens: modelUsage.outputTokens + response.usage.outputTokens,
+    totalTokens: modelUsage.totalTokens + response.usage.totalTokens
+  })
+}
+
+/**
+ * Start a transcript for multi-turn tasks; it shares the message list the model calls append to
+ */
+function createTaskTranscript(config: AgentTaskConfig<any>, messages: LLMMessage[]): AgentTaskTranscript | undefined {
+  return config.tools ? { messages, toolExecutions: [], iterations: 0 } : undefined
+}
+
+async function executeToolCall(
+  registry: ToolRegistry,
+  call: LLMToolCall,
+  context: AgentToolContext,
+  iteration: number
+): Promise<ToolExecution> {
+  const startedAt = Date.now()
+  const { output, isError } = await registry.execute(call, context)
+
+  return {
+    toolCallId: call.id,
+    name: call.name,
+    arguments: call.arguments,
+    output,
+    isError,
+    iteration,
+    durationMs: Date.now() - startedAt
+  }
+}
+
+function createTaskMessages(
+  config: AgentTaskConfig<any>,
+  taskInput: Record<string, any>,
+  prompts: PromptLibrary,
+  run: TaskRun
+): LLMMessage[] {
+  let userPrompt: string
+  if (config.prompt) {
+    // A library without any version of the prompt defers to the shared one, so the predefined configs keep working
+    const library = prompts.versions(config.prompt.name).length > 0 ? prompts : promptLibrary
+    const template = library.require(config.prompt.name, config.prompt.version)
+    // Recorded before rendering, so failures name the version that rejected the input
+    run.prompt = { name: template.name, version: template.version }
+    userPrompt = template.render(taskInput)
+  } else if (config.userPromptTemplate) {
+    userPrompt = config.userPromptTemplate(taskInput)
+  } else {
+    throw new Error(`Task ${config.taskName} has neither a prompt nor a userPromptTemplate`)
+  }
+
+  return [
+    {
+      role: "system",
+      content: config.systemPrompt
+    },
+    {
+      role: "user",
+      content: userPrompt
+    }
+  ]
+}
+
+type TaskResultExtras = Pick<AgentTaskResult, 'usage' | 'transcript' | 'model' | 'fallbacks' | 'cacheHits' | 'prompt' | 'experiment'>
+
+// Keep unset extras off the result rather than present as undefined
+function definedExtras(extras: TaskResultExtras): TaskResultExtras {
+  return Object.fromEntries(Object.entries(extras).filter(([, value]) => value !== undefined))
+}
+
+function toSuccessResult<TResult>(
+  request: BaseAgentTaskRequest,
+  config: AgentTaskConfig<TResult>,
+  result: TResult,
+  extras: TaskResultExtras = {}
+): AgentTaskResult<TResult> {
+  // Update CSI
+  const previousCSI = request.previousCSI || {
+    completedSteps: [],
+    currentProgress: 0,
+    totalSteps: 4,
+    currentStep: 'pending'
+  }
+
+  const updatedCSI: CSI = {
+    completedSteps: [...previousCSI.completedSteps, config.taskName],
+    currentProgress: config.progressPercent,
+    totalSteps: previousCSI.totalSteps,
+    currentStep: config.taskName,
+    metadata: {
+      lastUpdated: new Date().toISOString(),
+      taskName: config.taskName,
+      taskType: config.taskType
+    }
+  }
+
+  return {
+    success: true,
+    stepResult: { step: config.taskName, ...result } as AgentTaskResult<TResult>['stepResult'],
+    updatedCSI,
+    ...definedExtras(extras)
+  }
+}
+
+function toFailureResult<TResult>(
+  request: BaseAgentTaskRequest,
+  config: AgentTaskConfig<TResult>,
+  error: unknown,
+  extras: TaskResultExtras = {}
+): AgentTaskResult<TResult> {
+  if (!(error instanceof TaskCancelledError)) {
+    console.error(`[${config.taskName}] Failed:`, error)
+  }
+
+  return {
+    success: false,
+    stepResult: { step: config.taskName } as AgentTaskResult<TResult>['stepResult'],
+    updatedCSI: request.previousCSI || {
+      completedSteps: [],
+      currentProgress: 0,
+      totalSteps: 4,
+      currentStep: 'failed'
+    },
+    error: toTaskError(error),
+    ...definedExtras(extras)
+  }
+}
+
+function toTaskError(error: unknown): NonNullable<AgentTaskResult['error']> {
+  if (error instanceof InvalidToolOutputError) {
+    return {
+      message: error.message,
+      code: error.code,
+      details: { issues: error.issues, attempts: error.attempts, rawArguments: error.rawArguments }
+    }
+  }
+  if (error instanceof TaskTimeoutError) {
+    return { message: error.message, code: error.code, details: { timeoutMs: error.timeoutMs } }
+  }
+  if (error instanceof TaskCancelledError) {
+    return { message: error.message, code: error.code, details: { reason: error.reason } }
+  }
+  if (error instanceof ToolBudgetExceededError) {
+    return { message: error.message, code: error.code, details: { limit: error.limit, used: error.used, max: error.max } }
+  }
+  if (error instanceof PromptTemplateError) {
+    return { message: error.message, code: error.code, details: { template: error.template, variables: error.variables } }
+  }
+  if (error instanceof RateLimitExceededError) {
+    return { message: error.message, code: error.code, details: error.result, retryAfterMs: error.retryAfterMs }
+  }
+
+  // Provider failures keep their classification so callers can decide whether to retry
+  const classified = classifyLLMError(error)
+  return {
+    message: error instanceof Error ? error.message : 'Unknown error',
+    code: classified.code,
+    details: error,
+    ...(classified.retryAfterMs !== undefined && { retryAfterMs: classified.retryAfterMs })
+  }
+}
+
+/**
+ * Wait between retries, rejecting as soon as the task is aborted
+ */
+function sleep(ms: number, signal: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(signal.reason)
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function parseToolArguments<TResult>(
+  toolCall: LLMToolCall | undefined,
+  config: AgentTaskConfig<TResult>
+): { value: TResult; issues: JsonSchemaIssue[] } {
+  const functionName = config.functionDefinition.name
+  const invalid = (message: string) => ({ value: {} as TResult, issues: [{ path: '$', message }] })
+
+  if (!toolCall) {
+    return invalid(`No ${functionName} function call was returned`)
+  }
+  if (toolCall.name !== functionName) {
+    return invalid(`Called ${toolCall.name} instead of ${functionName}`)
+  }
+
+  let value: unknown
+  try {
+    value = JSON.parse(toolCall.arguments || '{}')
+  } catch (error) {
+    return invalid(`Arguments are not valid JSON (${(error as Error).message})`)
+  }
+
+  // The result schema alone decides: it accepts omitted optional fields as well as the nulls
+  // strict mode sends for them, and enforces bounds and refinements JSON Schema cannot express
+  if (config.resultSchema) {
+    const parsed = parseFunctionArguments(config.resultSchema, value)
+    return parsed.success ? { value: parsed.data, issues: [] } : { value: value as TResult, issues: parsed.issues }
+  }
+
+  // Only OpenAI honours `strict`; other providers may omit the optional fields it marks as required
+  const parameters = config.functionDefinition.strict
+    ? relaxStrictParameters(config.functionDefinition.parameters)
+    : config.functionDefinition.parameters
+  return { value: value as TResult, issues: validateJsonSchema(parameters, value) }
+}
+
+// Result schemas for the predefined configurations
+export const IntentAnalysisResultSchema = z.object({
+  analysis: z.string(),
+  conclusion: z.string(),
+  confidence: z.number(),
+  inferred_assets: z.number().int(),
+  asset_types: z.array(z.string()).optional(),
+  reasoning_steps: z.array(z.string()).optional()
+})
+
+export const BrandAnalysisResultSchema = z.object({
+  analysis: z.string(),
+  conclusion: z.string(),
+  confidence: z.number(),
+  brand_strength: z.enum(["weak", "moderate", "strong", "excellent"]),
+  brand_consistency_score: z.number().optional(),
+  recommendations: z.array(z.string()).optional()
+})
+
+export const ComplexityAssessmentResultSchema = z.object({
+  analysis: z.string(),
+  conclusion: z.string(),
+  confidence: z.number(),
+  complexity_level: z.enum(["simple", "moderate", "complex", "expert"]),
+  complexity_score: z.number(),
+  estimated_duration_ms: z.number().int().optional(),
+  resource_requirements: z.array(z.string()).optional(),
+  optimization_suggestions: z.array(z.string()).optional()
+})
+
+export type IntentAnalysisResult = z.infer<typeof IntentAnalysisResultSchema>
+export type BrandAnalysisResult = z.infer<typeof BrandAnalysisResultSchema>
+export type ComplexityAssessmentResult = z.infer<typeof ComplexityAssessmentResultSchema>
+
 /**
  * Predefined Agent Task Configurations
  * Common configurations for different agent task types
@@ -200,24 +1094,13 @@ export const AgentTaskConfigs = {
     apiRoute: '/api/v2/decomposition/intent-analysis',
     toolName: 'o3_mini_intent_analyzer',
     systemPrompt: 'Analyze user prompts for content generation tasks. Use causal reasoning to determine intent, asset count, and types.',
-    userPromptTemplate: (data: any) => 
-      `Analyze: "${data.prompt}" for ${data.brandContext?.brand_name || 'brand'} (${data.brandContext?.referenceImages?.length || 0} ref images)`,
-    functionDefinition: {
-      name: "analyze_intent",
-      description: "Analyzes user prompt for asset generation intent",
-      parameters: {
-        type: "object" as const,
-        properties: {
-          analysis: { type: "string" },
-          conclusion: { type: "string" },
-          confidence: { type: "number" },
-          inferred_assets: { type: "integer" },
-          asset_types: { type: "array", items: { type: "string" } },
-          reasoning_steps: { type: "array", items: { type: "string" } }
-        },
-        required: ["analysis", "conclusion", "confidence", "inferred_assets"]
-      }
-    },
+    prompt: { name: 'intent_analysis', version: '^1.0.0' },
+    functionDefinition: createFunctionDefinition(
+      "analyze_intent",
+      "Analyzes user prompt for asset generation intent",
+      IntentAnalysisResultSchema
+    ),
+    resultSchema: IntentAnalysisResultSchema,
     progressPercent: 25
   },
 
@@ -227,28 +1110,19 @@ export const AgentTaskConfigs = {
     apiRoute: '/api/v2/decomposition/brand-analysis',
     toolName: 'o3_mini_brand_analyzer',
     systemPrompt: 'Analyze brand assets for content generation readiness. Assess completeness, consistency, and strength.',
-    userPromptTemplate: (data: any) => 
-      `Analyze brand: ${data.brandContext?.brand_name || 'Unknown'}
-Colors: ${data.brandContext?.colors ? JSON.stringify(data.brandContext.colors) : 'None'}
-Messaging: ${data.brandContext?.messaging || 'None'}
-Reference Images: ${data.brandContext?.referenceImages?.length || 0}`,
-    functionDefinition: {
-      name: "analyze_brand",
-      description: "Analyzes brand assets and context for content generation readiness",
-      parameters: {
-        type: "object" as const,
-        properties: {
-          analysis: { type: "string" },
-          conclusion: { type: "string" },
-          confidence: { type: "number" },
-          brand_strength: { type: "string", enum: ["weak", "moderate", "strong", "excellent"] },
-          brand_consistency_score: { type: "number" },
-          recommendations: { type: "array", items: { type: "string" } }
-        },
-        required: ["analysis", "conclusion", "confidence", "brand_strength"]
-      }
-    },
-    progressPercent: 50
+    prompt: { name: 'brand_analysis', version: '^1.0.0' },
+    functionDefinition: createFunctionDefinition(
+      "analyze_brand",
+      "Analyzes brand assets and context for content generation readiness",
+      BrandAnalysisResultSchema
+    ),
+    resultSchema: BrandAnalysisResultSchema,
+    progressPercent: 50,
+    // Same brand context, same analysis; brand kit changes invalidate it
+    cache: {
+      ttlSeconds: 24 * 60 * 60,
+      tags: (request: BaseAgentTaskRequest) => [brandKitCacheTag(request.userId)]
+    }
   },
 
   COMPLEXITY_ASSESSMENT: {
@@ -257,30 +1131,13 @@ Reference Images: ${data.brandContext?.referenceImages?.length || 0}`,
     apiRoute: '/api/v2/decomposition/complexity-assessment',
     toolName: 'o3_mini_complexity_analyzer',
     systemPrompt: 'Assess complexity for content generation tasks. Consider assets, brand strength, and execution requirements.',
-    userPromptTemplate: (data: any) => 
-      `Assess complexity:
-Prompt: "${data.prompt || ''}"
-Brand: ${data.brandContext?.brand_name || 'Unknown'} (${data.brandStrength || 'Unknown'})
-Assets: ${data.inferredAssets || 1}
-References: ${data.brandContext?.referenceImages?.length || 0}`,
-    functionDefinition: {
-      name: "assess_complexity",
-      description: "Assesses task complexity for content generation execution",
-      parameters: {
-        type: "object" as const,
-        properties: {
-          analysis: { type: "string" },
-          conclusion: { type: "string" },
-          confidence: { type: "number" },
-          complexity_level: { type: "string", enum: ["simple", "moderate", "complex", "expert"] },
-          complexity_score: { type: "number" },
-          estimated_duration_ms: { type: "integer" },
-          resource_requirements: { type: "array", items: { type: "string" } },
-          optimization_suggestions: { type: "array", items: { type: "string" } }
-        },
-        required: ["analysis", "conclusion", "confidence", "complexity_level", "complexity_score"]
-      }
-    },
+    prompt: { name: 'complexity_assessment', version: '^1.0.0' },
+    functionDefinition: createFunctionDefinition(
+      "assess_complexity",
+      "Assesses task complexity for content generation execution",
+      ComplexityAssessmentResultSchema
+    ),
+    resultSchema: ComplexityAssessmentResultSchema,
     progressPercent: 75
   }
 }
@@ -288,71 +1145,126 @@ References: ${data.brandContext?.referenceImages?.length || 0}`,
 /**
  * Task Builder - Fluent interface for building agent tasks
  */
-export class AgentTaskBuilder {
-  private config: Partial<AgentTaskConfig> = {}
+export class AgentTaskBuilder<TResult = Record<string, any>> {
+  private config: Partial<AgentTaskConfig<TResult>> = {}
 
   static create(taskName: string): AgentTaskBuilder {
     return new AgentTaskBuilder().name(taskName)
   }
 
-  name(taskName: string): AgentTaskBuilder {
+  name(taskName: string): AgentTaskBuilder<TResult> {
     this.config.taskName = taskName
     return this
   }
 
-  type(taskType: AgentTaskConfig['taskType']): AgentTaskBuilder {
+  type(taskType: AgentTaskConfig['taskType']): AgentTaskBuilder<TResult> {
     this.config.taskType = taskType
     return this
   }
 
-  route(apiRoute: string): AgentTaskBuilder {
+  route(apiRoute: string): AgentTaskBuilder<TResult> {
     this.config.apiRoute = apiRoute
     return this
   }
 
-  tool(toolName: string): AgentTaskBuilder {
+  tool(toolName: string): AgentTaskBuilder<TResult> {
     this.config.toolName = toolName
     return this
   }
 
-  systemPrompt(prompt: string): AgentTaskBuilder {
+  systemPrompt(prompt: string): AgentTaskBuilder<TResult> {
     this.config.systemPrompt = prompt
     return this
   }
 
-  userPrompt(template: (data: any) => string): AgentTaskBuilder {
+  userPrompt(template: (data: any) => string): AgentTaskBuilder<TResult> {
     this.config.userPromptTemplate = template
     return this
   }
 
-  function(definition: AgentTaskFunction): AgentTaskBuilder {
+  /**
+   * Render the user prompt from a library template (exact version, ^ or ~ range, or latest)
+   */
+  prompt(name: string, version?: string): AgentTaskBuilder<TResult> {
+    this.config.prompt = { name, version }
+    return this
+  }
+
+  function(definition: AgentTaskFunction): AgentTaskBuilder<TResult> {
     this.config.functionDefinition = definition
     return this
   }
 
-  progress(percent: number): AgentTaskBuilder {
+  /**
+   * Define the function's parameters with Zod; results are parsed and typed by the schema
+   */
+  schema<S extends z.ZodObject<z.ZodRawShape>>(
+    name: string,
+    description: string,
+    schema: S
+  ): AgentTaskBuilder<z.infer<S>> {
+    const builder = this as unknown as AgentTaskBuilder<z.infer<S>>
+    builder.config.functionDefinition = createFunctionDefinition(name, description, schema)
+    builder.config.resultSchema = schema
+    return builder
+  }
+
+  progress(percent: number): AgentTaskBuilder<TResult> {
     this.config.progressPercent = percent
     return this
   }
 
-  model(config: AgentTaskConfig['modelConfig']): AgentTaskBuilder {
+  model(config: AgentTaskConfig['modelConfig']): AgentTaskBuilder<TResult> {
     this.config.modelConfig = config
     return this
   }
 
-  build(): AgentTaskConfig {
+  timeout(timeoutMs: number): AgentTaskBuilder<TResult> {
+    this.config.timeoutMs = timeoutMs
+    return this
+  }
+
+  /**
+   * Let the model call registered tools over several turns before returning the result
+   */
+  tools(registry: ToolRegistry, options: Omit<AgentTaskToolsConfig, 'registry'> = {}): AgentTaskBuilder<TResult> {
+    this.config.tools = { registry, ...options }
+    return this
+  }
+
+  /**
+   * Serve identical calls from the executor's response cache
+   */
+  cache(options: AgentTaskCacheConfig = {}): AgentTaskBuilder<TResult> {
+    this.config.cache = options
+    return this
+  }
+
+  /**
+   * Split runs between prompt or model variants
+   */
+  experiment(experiment: Experiment): AgentTaskBuilder<TResult> {
+    validateExperiment(experiment)
+    this.config.experiment = experiment
+    return this
+  }
+
+  build(): AgentTaskConfig<TResult> {
     const required = [
       'taskName', 'taskType', 'toolName', 'systemPrompt', 
-      'userPromptTemplate', 'functionDefinition', 'progressPercent'
+      'functionDefinition', 'progressPercent'
     ]
 
     for (const field of required) {
-      if (!this.config[field as keyof AgentTaskConfig]) {
+      if (!this.config[field as keyof AgentTaskConfig<TResult>]) {
         throw new Error(`Missing required field: ${field}`)
       }
     }
+    if (!this.config.prompt && !this.config.userPromptTemplate) {
+      throw new Error('Missing required field: prompt or userPromptTemplate')
+    }
 
-    return this.config as AgentTaskConfig
+    return this.config as AgentTaskConfig<TResult>
   }
 }
 
@@ -382,7 +1294,7 @@ export function handleAgentTaskError(error: any, taskName: string) {
  */
 export function validateAgentTaskRequest(data: unknown): { success: boolean; data?: BaseAgentTaskRequest; errors?: any[] } {
   try {
-    const validatedData = BaseAgentTaskRequestSchema.parse(data)
+    const validatedData = parseAgentRequest(BaseAgentTaskRequestSchema, data)
     return { success: true, data: validatedData }
   } catch (error) {
     if (error instanceof z.ZodError) {
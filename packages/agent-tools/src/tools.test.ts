@@ -0,0 +1,255 @@
+import { describe, expect, it } from 'vitest'
+import { z } from 'zod'
+import { ToolRegistry, createBrandKitTools, createCSIInspectionTool, defineTool } from './tools'
+import type { AgentToolContext, BrandKitToolSource } from './tools'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import type { AgentTaskConfig, AgentTaskStreamEvent } from './tasks'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+import type { LLMCompletionResponse } from './llm'
+
+const request = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: 'user-1',
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+const context = (signal = new AbortController().signal): AgentToolContext => ({ request, taskName: 'intent_analysis', signal })
+
+const intent = {
+  analysis: 'Two social posts for a product launch',
+  conclusion: 'social_posts',
+  confidence: 0.9,
+  inferred_assets: 2
+}
+
+const brandKits: BrandKitToolSource = {
+  async getBrandKits(userId) {
+    return userId === 'user-1' ? [{ id: 'kit-1', brand_name: 'Acme' }] : []
+  },
+  async getBrandKitById(userId, brandKitId) {
+    return userId === 'user-1' && brandKitId === 'kit-1' ? { id: 'kit-1', brand_name: 'Acme', colors: ['#ff0000'] } : null
+  },
+  async getBrandAssets(_userId, _brandKitId, assetTypes) {
+    const assets = [
+      { id: 'a-1', asset_type: 'logo', asset_url: 'https://cdn/logo.png', metadata: { description: 'Red logo' } },
+      { id: 'a-2', asset_type: 'product_photo', asset_url: 'https://cdn/shoe.png', metadata: { description: 'Running shoe' } }
+    ]
+    return assetTypes ? assets.filter(asset => assetTypes.includes(asset.asset_type)) : assets
+  }
+}
+
+// A call to a registered tool, with an id unique to its turn
+const toolTurn = (...calls: Array<[string, Record<string, any>]>): LLMCompletionResponse => ({
+  content: null,
+  toolCalls: calls.map(([name, args], index) => ({ id: `call-${name}-${index}`, name, arguments: JSON.stringify(args) })),
+  finishReason: 'tool_calls',
+  usage: { inputTokens: 100, outputTokens: 20, totalTokens: 120 }
+})
+
+describe('ToolRegistry', () => {
+  const echo = defineTool('echo', 'Echoes its text', z.object({ text: z.string(), times: z.number().int().optional() }), ({ text, times }) => text.repeat(times ?? 1))
+
+  it('refuses duplicate names', () => {
+    const registry = new ToolRegistry([echo])
+    expect(() => registry.register(echo)).toThrow('Tool echo is already registered')
+    expect(registry.unregister('echo')).toBe(true)
+    expect(registry.has('echo')).toBe(false)
+  })
+
+  it('passes strings through and serializes other results', async () => {
+    const registry = new ToolRegistry([
+      echo,
+      defineTool('object', 'Returns an object', z.object({}), () => ({ ok: true })),
+      defineTool('nothing', 'Returns nothing', z.object({}), () => undefined)
+    ])
+
+    expect(await registry.execute({ id: '1', name: 'echo', arguments: '{"text":"ab","times":2}' }, context())).toEqual({ output: 'abab', isError: false })
+    expect(await registry.execute({ id: '2', name: 'object', arguments: '' }, context())).toEqual({ output: '{"ok":true}', isError: false })
+    expect(await registry.execute({ id: '3', name: 'nothing', arguments: '{}' }, context())).toEqual({ output: 'null', isError: false })
+  })
+
+  it.each([
+    ['an unknown tool', { name: 'missing', arguments: '{}' }, 'Error: Unknown tool missing. Available tools: echo'],
+    ['arguments that are not JSON', { name: 'echo', arguments: '{"text":' }, /^Error: Arguments are not valid JSON/],
+    ['arguments the schema rejects', { name: 'echo', arguments: '{"text":1}' }, 'Error: Invalid arguments:\n$.text: Expected string, received number']
+  ])('returns error output for %s', async (_, call, expected) => {
+    const result = await new ToolRegistry([echo]).execute({ id: '1', ...call }, context())
+
+    expect(result.isError).toBe(true)
+    if (typeof expected === 'string') expect(result.output).toBe(expected)
+    else expect(result.output).toMatch(expected)
+  })
+
+  it('checks tools without a Zod schema against their JSON Schema', async () => {
+    const registry = new ToolRegistry([{
+      definition: {
+        name: 'lookup',
+        description: 'Looks up a key',
+        parameters: { type: 'object', properties: { key: { type: 'string' } }, required: ['key'] }
+      },
+      execute: (args: { key: string }) => `value of ${args.key}`
+    }])
+
+    expect(await registry.execute({ id: '1', name: 'lookup', arguments: '{}' }, context())).toMatchObject({ isError: true, output: expect.stringContaining('$.key') })
+    expect(await registry.execute({ id: '2', name: 'lookup', arguments: '{"key":"a"}' }, context())).toEqual({ output: 'value of a', isError: false })
+  })
+
+  it('returns a thrown error as output', async () => {
+    const registry = new ToolRegistry([defineTool('fail', 'Always fails', z.object({}), () => {
+      throw new Error('Database unavailable')
+    })])
+
+    expect(await registry.execute({ id: '1', name: 'fail', arguments: '{}' }, context())).toEqual({ output: 'Error: Database unavailable', isError: true })
+  })
+
+  it('truncates long output', async () => {
+    const registry = new ToolRegistry([echo], { maxOutputChars: 5 })
+
+    const { output } = await registry.execute({ id: '1', name: 'echo', arguments: '{"text":"abcdefgh"}' }, context())
+    expect(output).toBe('abcde\n[truncated 3 characters]')
+  })
+
+  it('rejects when the task is aborted', async () => {
+    const controller = new AbortController()
+    const registry = new ToolRegistry([defineTool('slow', 'Never finishes', z.object({}), () => new Promise(() => {}))])
+
+    const running = registry.execute({ id: '1', name: 'slow', arguments: '{}' }, context(controller.signal))
+    controller.abort(new Error('stopped'))
+
+    await expect(running).rejects.toThrow('stopped')
+  })
+})
+
+describe('built-in tools', () => {
+  it('reads brand kits and assets for the requesting user only', async () => {
+    const registry = new ToolRegistry(createBrandKitTools(brandKits))
+
+    expect(JSON.parse((await registry.execute({ id: '1', name: 'list_brand_kits', arguments: '{}' }, context())).output))
+      .toEqual([{ id: 'kit-1', brand_name: 'Acme', messaging: null }])
+    expect((await registry.execute({ id: '2', name: 'get_brand_kit', arguments: '{"brand_kit_id":"kit-1"}' }, { ...context(), request: { ...request, userId: 'user-2' } })).output)
+      .toBe('Brand kit kit-1 not found')
+
+    const search = await registry.execute({ id: '3', name: 'search_brand_assets', arguments: '{"brand_kit_id":"kit-1","query":"SHOE"}' }, context())
+    expect(JSON.parse(search.output)).toEqual([{ id: 'a-2', asset_type: 'product_photo', asset_url: 'https://cdn/shoe.png', description: 'Running shoe' }])
+
+    const invalidType = await registry.execute({ id: '4', name: 'search_brand_assets', arguments: '{"brand_kit_id":"kit-1","asset_types":["video"]}' }, context())
+    expect(invalidType.isError).toBe(true)
+  })
+
+  it('shows the task state', async () => {
+    const registry = new ToolRegistry([createCSIInspectionTool()])
+
+    const { output } = await registry.execute({ id: '1', name: 'inspect_task_state', arguments: '{}' }, context())
+    expect(JSON.parse(output)).toEqual({
+      taskName: 'intent_analysis',
+      agentType: 'CONTENT_GENERATION_AGENT',
+      taskSequence: 1,
+      csi: { completedSteps: [], currentProgress: 0, totalSteps: 4, currentStep: 'pending' }
+    })
+  })
+})
+
+describe('multi-turn tool loop', () => {
+  const withTools = (options: Partial<NonNullable<AgentTaskConfig['tools']>> = {}): AgentTaskConfig =>
+    ({ ...AgentTaskConfigs.INTENT_ANALYSIS, tools: { registry: new ToolRegistry(createBrandKitTools(brandKits)), ...options } })
+
+  it('runs tool calls and feeds their output back until the task function is called', async () => {
+    const client = createScriptedClient([
+      toolTurn(['list_brand_kits', {}]),
+      toolTurn(['get_brand_kit', { brand_kit_id: 'kit-1' }], ['search_brand_assets', { brand_kit_id: 'kit-1', asset_types: ['logo'] }]),
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, withTools())
+
+    expect(result).toMatchObject({ success: true, stepResult: intent, usage: { calls: 3, totalTokens: 360 } })
+    // Tool turns must call a tool; the task's function is offered alongside the registry's
+    expect(client.requests[0].toolChoice).toBe('required')
+    expect(client.requests[0].tools!.map(tool => tool.name)).toEqual(['list_brand_kits', 'get_brand_kit', 'search_brand_assets', 'analyze_intent'])
+
+    const { transcript } = result
+    expect(transcript?.iterations).toBe(2)
+    expect(transcript?.toolExecutions.map(execution => [execution.name, execution.iteration, execution.isError])).toEqual([
+      ['list_brand_kits', 1, false],
+      ['get_brand_kit', 2, false],
+      ['search_brand_assets', 2, false]
+    ])
+    // Each assistant turn is followed by one tool message per call, in call order
+    expect(transcript?.messages.slice(2).map(message => [message.role, message.toolCallId])).toEqual([
+      ['assistant', undefined],
+      ['tool', 'call-list_brand_kits-0'],
+      ['assistant', undefined],
+      ['tool', 'call-get_brand_kit-0'],
+      ['tool', 'call-search_brand_assets-1']
+    ])
+    expect(JSON.parse(transcript!.messages[6].content)).toEqual([{ id: 'a-1', asset_type: 'logo', asset_url: 'https://cdn/logo.png', description: 'Red logo' }])
+  })
+
+  it('sends tool errors back to the model instead of failing the task', async () => {
+    const client = createScriptedClient([
+      toolTurn(['get_brand_kit', {}]),
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, withTools())
+
+    expect(result.success).toBe(true)
+    expect(result.transcript?.toolExecutions[0]).toMatchObject({ isError: true, output: expect.stringContaining('$.brand_kit_id') })
+  })
+
+  it('forces the task function once maxIterations tool turns are spent', async () => {
+    const client = createScriptedClient([
+      toolTurn(['list_brand_kits', {}]),
+      toolCallResponse('analyze_intent', intent)
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, withTools({ maxIterations: 1 }))
+
+    expect(result.success).toBe(true)
+    expect(client.requests.map(sent => sent.toolChoice)).toEqual(['required', { name: 'analyze_intent' }])
+  })
+
+  it('fails with BUDGET_EXCEEDED before a call past the token budget', async () => {
+    const client = createScriptedClient([
+      toolTurn(['list_brand_kits', {}]),
+      toolTurn(['list_brand_kits', {}])
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, withTools({ maxTokens: 200 }))
+
+    expect(result.error).toMatchObject({ code: 'BUDGET_EXCEEDED', details: { limit: 'tokens', used: 240, max: 200 } })
+    expect(client.requests).toHaveLength(2)
+    expect(result.transcript?.iterations).toBe(2)
+  })
+
+  it('fails with BUDGET_EXCEEDED once the cost budget is spent', async () => {
+    const client = createScriptedClient([toolTurn(['list_brand_kits', {}])])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, withTools({ maxCostUsd: 0.00001 }))
+
+    expect(result.error).toMatchObject({ code: 'BUDGET_EXCEEDED', details: { limit: 'cost', max: 0.00001 } })
+    expect(client.requests).toHaveLength(1)
+  })
+
+  it('streams each tool execution', async () => {
+    const client = createScriptedClient([
+      toolTurn(['list_brand_kits', {}]),
+      toolCallResponse('analyze_intent', intent)
+    ], { streaming: true })
+    const events: AgentTaskStreamEvent[] = []
+
+    for await (const event of new AgentTaskExecutor(client).streamAgentTask(request, { prompt: 'Launch posts' }, withTools())) {
+      events.push(event)
+    }
+
+    const toolEvents = events.filter(event => event.type === 'tool_call')
+    expect(toolEvents).toHaveLength(1)
+    expect(toolEvents[0].execution).toMatchObject({ name: 'list_brand_kits', iteration: 1 })
+    // Arguments of tool calls are not reported as the task's partial result
+    const partials = events.filter(event => event.type === 'partial_arguments')
+    expect(partials[partials.length - 1].arguments).toEqual(intent)
+    expect(partials.every(event => !('brand_kit_id' in event.arguments))).toBe(true)
+    expect(events[events.length - 1]).toMatchObject({ type: 'completed', result: { success: true } })
+  })
+})
@@ -0,0 +1,236 @@
+/**
+ * @growthub/agent-tools/tools
+ * Tool Registry for Multi-turn Agent Tasks
+ *
+ * Tools the model may call while it works toward a task's final function call,
+ * such as brand kit lookup, asset search and CSI inspection. Arguments are defined
+ * and parsed with Zod; failures go back to the model as tool output so it can
+ * correct itself instead of failing the task.
+ */
+
+import { z } from 'zod'
+import { withAbortSignal } from './kv'
+import type { LLMToolCall } from './llm'
+import { createFunctionDefinition, parseFunctionArguments, relaxStrictParameters } from './function-schema'
+import { validateJsonSchema, formatJsonSchemaIssues } from './json-schema'
+import type { AgentTaskFunction, BaseAgentTaskRequest } from './tasks'
+
+// What a tool knows about the task calling it
+export interface AgentToolContext {
+  // Scope data access by request.userId, never by an id the model supplies
+  request: BaseAgentTaskRequest
+  taskName: string
+  signal: AbortSignal
+}
+
+export interface AgentTool<TArgs = any> {
+  definition: AgentTaskFunction
+  // Parses arguments when set; otherwise they are only checked against definition.parameters
+  argsSchema?: z.ZodType<TArgs>
+  // Strings are passed to the model as-is, anything else as JSON
+  execute(args: TArgs, context: AgentToolContext): unknown
+}
+
+// One tool call made during a task, as recorded in its transcript
+export interface ToolExecution {
+  toolCallId: string
+  name: string
+  arguments: string
+  output: string
+  isError: boolean
+  // Model turn that requested the call, starting at 1
+  iteration: number
+  durationMs: number
+}
+
+export interface ToolRegistryOptions {
+  // Longer outputs are truncated before they reach the model
+  maxOutputChars?: number
+}
+
+// Read access the brand kit tools need; BrandDataManager from @growthub/brand-kit satisfies it
+export interface BrandKitToolSource {
+  getBrandKits(userId: string): Promise<Array<{ id: string; brand_name: string; messaging?: string | null }>>
+  getBrandKitById(userId: string, brandKitId: string): Promise<Record<string, any> | null>
+  getBrandAssets(userId: string, brandKitId: string, assetTypes?: string[]): Promise<Array<{
+    id: string
+    asset_type: string
+    asset_url: string
+    metadata?: any
+  }>>
+}
+
+// Default Configuration
+export const DEFAULT_TOOL_OUTPUT_MAX_CHARS = 16000
+
+/**
+ * Define a tool whose arguments are described and parsed by a Zod object schema
+ */
+export function defineTool<S extends z.ZodObject<z.ZodRawShape>>(
+  name: string,
+  description: string,
+  schema: S,
+  execute: (args: z.infer<S>, context: AgentToolContext) => unknown
+): AgentTool<z.infer<S>> {
+  return {
+    definition: createFunctionDefinition(name, description, schema),
+    argsSchema: schema,
+    execute
+  }
+}
+
+/**
+ * Tool Registry Class
+ * Holds the tools a task may call and runs the calls the model makes
+ */
+export class ToolRegistry {
+  private tools = new Map<string, AgentTool>()
+  private maxOutputChars: number
+
+  constructor(tools: AgentTool[] = [], options: ToolRegistryOptions = {}) {
+    this.maxOutputChars = options.maxOutputChars || DEFAULT_TOOL_OUTPUT_MAX_CHARS
+    tools.forEach(tool => this.register(tool))
+  }
+
+  /**
+   * Add a tool; names must be unique
+   */
+  register(tool: AgentTool): this {
+    const name = tool.definition.name
+    if (this.tools.has(name)) {
+      throw new Error(`Tool ${name} is already registered`)
+    }
+    this.tools.set(name, tool)
+    return this
+  }
+
+  unregister(name: string): boolean {
+    return this.tools.delete(name)
+  }
+
+  has(name: string): boolean {
+    return this.tools.has(name)
+  }
+
+  get(name: string): AgentTool | undefined {
+    return this.tools.get(name)
+  }
+
+  list(): AgentTool[] {
+    return Array.from(this.tools.values())
+  }
+
+  /**
+   * Function definitions to offer the model
+   */
+  getDefinitions(): AgentTaskFunction[] {
+    return this.list().map(tool => tool.definition)
+  }
+
+  /**
+   * Run a tool call
+   * Unknown tools, invalid arguments and thrown errors become error output for the
+   * model; only an aborted task rejects.
+   */
+  async execute(call: LLMToolCall, context: AgentToolContext): Promise<{ output: string; isError: boolean }> {
+    const failed = (message: string) => ({ output: `Error: ${message}`, isError: true })
+
+    const tool = this.tools.get(call.name)
+    if (!tool) {
+      return failed(`Unknown tool ${call.name}. Available tools: ${Array.from(this.tools.keys()).join(', ') || 'none'}`)
+    }
+
+    let args: unknown
+    try {
+      args = JSON.parse(call.arguments || '{}')
+    } catch (error) {
+      return failed(`Arguments are not valid JSON (${(error as Error).message})`)
+    }
+
+    if (tool.argsSchema) {
+      const parsed = parseFunctionArguments(tool.argsSchema, args)
+      if (!parsed.success) return failed(`Invalid arguments:\n${formatJsonSchemaIssues(parsed.issues)}`)
+      args = parsed.data
+    } else {
+      const parameters = tool.definition.strict ? relaxStrictParameters(tool.definition.parameters) : tool.definition.parameters
+      const issues = validateJsonSchema(parameters, args)
+      if (issues.length > 0) return failed(`Invalid arguments:\n${formatJsonSchemaIssues(issues)}`)
+    }
+
+    try {
+      const result = await withAbortSignal(Promise.resolve(tool.execute(args, context)), context.signal)
+      return { output: this.truncate(typeof result === 'string' ? result : JSON.stringify(result ?? null)), isError: false }
+    } catch (error) {
+      if (context.signal.aborted) throw error
+      return failed(error instanceof Error ? error.message : String(error))
+    }
+  }
+
+  private truncate(output: string): string {
+    if (output.length <= this.maxOutputChars) return output
+    return `${output.slice(0, this.maxOutputChars)}\n[truncated ${output.length - this.maxOutputChars} characters]`
+  }
+}
+
+/**
+ * Brand kit lookup and asset search for the requesting user
+ */
+export function createBrandKitTools(source: BrandKitToolSource): AgentTool[] {
+  return [
+    defineTool(
+      'list_brand_kits',
+      "List the user's brand kits",
+      z.object({}),
+      async (_args, { request }) => (await source.getBrandKits(request.userId)).map(kit => ({
+        id: kit.id,
+        brand_name: kit.brand_name,
+        messaging: kit.messaging ?? null
+      }))
+    ),
+    defineTool(
+      'get_brand_kit',
+      'Get a brand kit: name, colors, fonts and messaging',
+      z.object({ brand_kit_id: z.string() }),
+      async ({ brand_kit_id }, { request }) =>
+        (await source.getBrandKitById(request.userId, brand_kit_id)) ?? `Brand kit ${brand_kit_id} not found`
+    ),
+    defineTool(
+      'search_brand_assets',
+      "Search a brand kit's assets by type and by text in their descriptions",
+      z.object({
+        brand_kit_id: z.string(),
+        asset_types: z.array(z.enum(['logo', 'product_photo', 'lifestyle_image', 'icon', 'banner'])).optional(),
+        query: z.string().optional().describe('Case-insensitive text to find in asset metadata')
+      }),
+      async ({ brand_kit_id, asset_types, query }, { request }) => {
+        const assets = await source.getBrandAssets(request.userId, brand_kit_id, asset_types)
+        const needle = query?.toLowerCase()
+        return assets
+          .filter(asset => !needle || JSON.stringify(asset.metadata ?? '').toLowerCase().includes(needle))
+          .map(asset => ({
+            id: asset.id,
+            asset_type: asset.asset_type,
+            asset_url: asset.asset_url,
+            description: asset.metadata?.description ?? null
+          }))
+      }
+    )
+  ]
+}
+
+/**
+ * Let the model read the task's CSI (completed steps, progress, current step)
+ */
+export function createCSIInspectionTool(): AgentTool {
+  return defineTool(
+    'inspect_task_state',
+    'Read the current task state: completed steps, progress and the current step',
+    z.object({}),
+    (_args, { request, taskName }) => ({
+      taskName,
+      agentType: request.agentType,
+      taskSequence: request.taskSequence,
+      csi: request.previousCSI ?? { completedSteps: [], currentProgress: 0, totalSteps: 4, currentStep: 'pending' }
+    })
+  )
+}
@@ -0,0 +1,182 @@
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { InMemoryKVStore, KVLockManager } from './kv'
+import { UsageTracker, calculateCost, findModelPricing, rollupUsage } from './usage'
+import type { TaskUsage } from './usage'
+import { AgentTaskConfigs, AgentTaskExecutor } from './tasks'
+import { AgentCoordinationManager } from './coordination'
+import { createScriptedClient, toolCallResponse } from '../test/support/scripted-client'
+
+// Lock validation requires UUIDs
+const USER_ID = '8f14e45f-ceea-4e67-a5a4-6f7c1d2b3a40'
+const THREAD_ID = 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22'
+
+const request = {
+  threadId: THREAD_ID,
+  userId: USER_ID,
+  agentType: 'CONTENT_GENERATION_AGENT',
+  taskSequence: 1
+}
+
+const intent = {
+  analysis: 'Two social posts for a product launch',
+  conclusion: 'social_posts',
+  confidence: 0.9,
+  inferred_assets: 2
+}
+
+// 100 input and 20 output tokens of gpt-4o-mini
+const MINI_CALL_COST = (100 * 0.15 + 20 * 0.6) / 1_000_000
+
+const taskUsage = (overrides: Partial<TaskUsage> = {}): TaskUsage => ({
+  model: 'gpt-4o-mini',
+  inputTokens: 100,
+  outputTokens: 20,
+  totalTokens: 120,
+  calls: 1,
+  costUsd: MINI_CALL_COST,
+  ...overrides
+})
+
+describe('model pricing', () => {
+  it('prices tokens per million at the model\'s rates', () => {
+    expect(calculateCost({ inputTokens: 1_000_000, outputTokens: 500_000 }, 'gpt-4o')).toBe(7.5)
+    expect(calculateCost({ inputTokens: 100, outputTokens: 20 }, 'gpt-4o-mini')).toBeCloseTo(MINI_CALL_COST, 12)
+  })
+
+  it('matches dated snapshots to the longest base name', () => {
+    expect(findModelPricing('gpt-4o-mini-2024-07-18')).toEqual({ inputPerMillion: 0.15, outputPerMillion: 0.6 })
+    expect(findModelPricing('gpt-4o-2024-08-06')).toEqual({ inputPerMillion: 2.5, outputPerMillion: 10 })
+    // A prefix only matches at a name boundary
+    expect(findModelPricing('gpt-4omni')).toBeUndefined()
+  })
+
+  it('leaves unpriced models without a cost', () => {
+    expect(calculateCost({ inputTokens: 10, outputTokens: 10 }, 'llama3.1')).toBeUndefined()
+    expect(calculateCost({ inputTokens: 10, outputTokens: 10 }, 'llama3.1', { 'llama3.1': { inputPerMillion: 0, outputPerMillion: 0 } })).toBe(0)
+  })
+})
+
+describe('rollupUsage', () => {
+  it('sums steps, counting unpriced ones as free', () => {
+    const rollup = rollupUsage([
+      { step: 'intent_analysis', usage: taskUsage({ calls: 2, inputTokens: 200, outputTokens: 40, totalTokens: 240, costUsd: 2 * MINI_CALL_COST }) },
+      { step: 'brand_analysis', usage: taskUsage({ model: 'llama3.1', costUsd: undefined }) }
+    ])
+
+    expect(rollup).toMatchObject({ inputTokens: 300, outputTokens: 60, totalTokens: 360, calls: 3, tasks: 2 })
+    expect(rollup.costUsd).toBeCloseTo(2 * MINI_CALL_COST, 12)
+    expect(rollup.steps.map(step => step.step)).toEqual(['intent_analysis', 'brand_analysis'])
+  })
+})
+
+describe('UsageTracker', () => {
+  afterEach(() => {
+    vi.useRealTimers()
+  })
+
+  it('keeps thread and monthly user totals broken down by task', async () => {
+    vi.useFakeTimers({ toFake: ['Date'] })
+    vi.setSystemTime(new Date('2025-03-31T23:00:00Z'))
+    const tracker = new UsageTracker(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+
+    await tracker.record('user-1', 'thread-1', 'intent_analysis', taskUsage())
+    await tracker.record('user-1', 'thread-1', 'intent_analysis', taskUsage())
+    await tracker.record('user-1', 'thread-2', 'brand_analysis', taskUsage({ model: 'llama3.1', costUsd: undefined }))
+
+    const thread = await tracker.getThreadUsage('user-1', 'thread-1')
+    expect(thread).toMatchObject({ totalTokens: 240, calls: 2, tasks: 2, byTask: { intent_analysis: { tasks: 2 } } })
+    expect(thread!.costUsd).toBeCloseTo(2 * MINI_CALL_COST, 12)
+
+    const march = await tracker.getUserUsage('user-1')
+    expect(march).toMatchObject({ totalTokens: 360, tasks: 3, byTask: { intent_analysis: { tasks: 2 }, brand_analysis: { tasks: 1, costUsd: 0 } } })
+    expect(await tracker.getUserUsage('user-1', '2025-03')).toEqual(march)
+
+    // A new month starts new user totals; thread totals carry on
+    vi.setSystemTime(new Date('2025-04-01T00:30:00Z'))
+    await tracker.record('user-1', 'thread-1', 'intent_analysis', taskUsage())
+    expect(await tracker.getUserUsage('user-1')).toMatchObject({ tasks: 1 })
+    expect(await tracker.getThreadUsage('user-1', 'thread-1')).toMatchObject({ tasks: 3 })
+    expect(await tracker.getUserUsage('user-2')).toBeNull()
+  })
+
+  it('does not lose concurrent records', async () => {
+    const tracker = new UsageTracker(new InMemoryKVStore({ sweepIntervalMs: 0 }))
+
+    await Promise.all(Array.from({ length: 10 }, () => tracker.record('user-1', 'thread-1', 'intent_analysis', taskUsage())))
+
+    expect(await tracker.getThreadUsage('user-1', 'thread-1')).toMatchObject({ tasks: 10, totalTokens: 1200 })
+  })
+})
+
+describe('task usage', () => {
+  it('sums every model call of a task, repairs included, at the reported model\'s price', async () => {
+    const client = createScriptedClient([
+      toolCallResponse('analyze_intent', { ...intent, confidence: 'high' }, { model: 'gpt-4o-mini-2024-07-18' }),
+      toolCallResponse('analyze_intent', intent, { model: 'gpt-4o-mini-2024-07-18' })
+    ])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.usage).toMatchObject({ model: 'gpt-4o-mini-2024-07-18', inputTokens: 200, outputTokens: 40, totalTokens: 240, calls: 2 })
+    expect(result.usage!.costUsd).toBeCloseTo(2 * MINI_CALL_COST, 12)
+  })
+
+  it('reports tokens without a cost for unpriced models', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', intent, { model: 'llama3.1' })])
+
+    const result = await new AgentTaskExecutor(client, { defaultModel: 'llama3.1' }).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.usage).toMatchObject({ model: 'llama3.1', totalTokens: 120 })
+    expect(result.usage!.costUsd).toBeUndefined()
+  })
+
+  it('leaves usage off when the provider reports none', async () => {
+    const client = createScriptedClient([toolCallResponse('analyze_intent', intent, { usage: undefined })])
+
+    const result = await new AgentTaskExecutor(client).executeAgentTask(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.success).toBe(true)
+    expect(result).not.toHaveProperty('usage')
+  })
+})
+
+describe('usage in AgentCoordinationManager', () => {
+  const createCoordinator = (steps: Parameters<typeof createScriptedClient>[0]) => {
+    const store = new InMemoryKVStore({ sweepIntervalMs: 0 })
+    const usageTracker = new UsageTracker(store)
+    const coordinator = new AgentCoordinationManager(new KVLockManager(store), new AgentTaskExecutor(createScriptedClient(steps)), { usageTracker })
+    return { usageTracker, coordinator }
+  }
+
+  it('rolls sequence usage up per step and records it for the thread and user', async () => {
+    const { usageTracker, coordinator } = createCoordinator([
+      toolCallResponse('analyze_intent', intent),
+      toolCallResponse('analyze_intent', intent, { usage: { inputTokens: 300, outputTokens: 50, totalTokens: 350 } })
+    ])
+
+    const result = await coordinator.executeTaskSequence(request, [
+      { taskInput: { prompt: 'Launch posts' }, taskConfig: AgentTaskConfigs.INTENT_ANALYSIS },
+      { taskInput: { prompt: 'Launch posts' }, taskConfig: { ...AgentTaskConfigs.INTENT_ANALYSIS, taskName: 'intent_review' } }
+    ])
+
+    expect(result.success).toBe(true)
+    expect(result.usage).toMatchObject({ totalTokens: 470, calls: 2, tasks: 2 })
+    expect(result.usage!.steps.map(step => [step.step, step.usage.totalTokens])).toEqual([['intent_analysis', 120], ['intent_review', 350]])
+
+    const thread = await usageTracker.getThreadUsage(USER_ID, THREAD_ID)
+    expect(thread).toMatchObject({ totalTokens: 470, byTask: { intent_analysis: { totalTokens: 120 }, intent_review: { totalTokens: 350 } } })
+    expect(thread!.costUsd).toBeCloseTo(result.usage!.costUsd, 12)
+    expect(await usageTracker.getUserUsage(USER_ID)).toMatchObject({ totalTokens: 470 })
+  })
+
+  it('bills the tokens of a failed task', async () => {
+    const invalid = toolCallResponse('analyze_intent', { ...intent, confidence: 'high' })
+    const { usageTracker, coordinator } = createCoordinator([invalid, invalid, invalid])
+
+    const result = await coordinator.executeTaskWithLock(request, { prompt: 'Launch posts' }, AgentTaskConfigs.INTENT_ANALYSIS)
+
+    expect(result.error?.code).toBe('INVALID_TOOL_OUTPUT')
+    expect(result.usage).toMatchObject({ calls: 3, totalTokens: 360 })
+    expect(await usageTracker.getThreadUsage(USER_ID, THREAD_ID)).toMatchObject({ calls: 3, tasks: 1 })
+  })
+})
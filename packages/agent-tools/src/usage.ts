@@ -0,0 +1,198 @@
+/**
+ * @growthub/agent-tools/usage
+ * Token Usage and Cost Accounting
+ *
+ * Prices each task's token usage from a model pricing table, rolls usage up
+ * across sequence and orchestration steps, and keeps running totals per thread
+ * and per user (by calendar month) in KVStore for billing.
+ */
+
+import { InMemoryKVStore, updateKvValue } from './kv'
+import type { KVStore } from './kv'
+import type { LLMUsage } from './llm'
+
+// USD per million tokens
+export interface ModelPricing {
+  inputPerMillion: number
+  outputPerMillion: number
+}
+
+// Keyed by model name; dated snapshots (gpt-4o-mini-2024-07-18) match their base name
+export type ModelPricingTable = Record<string, ModelPricing>
+
+// Usage of one task, summed over every model call it made (repairs and retries included)
+export interface TaskUsage {
+  model: string
+  inputTokens: number
+  outputTokens: number
+  totalTokens: number
+  calls: number
+  // Undefined when the model has no entry in the pricing table
+  costUsd?: number
+}
+
+export interface UsageTotals {
+  inputTokens: number
+  outputTokens: number
+  totalTokens: number
+  calls: number
+  tasks: number
+  // Unpriced models count as zero
+  costUsd: number
+}
+
+// Usage of a multi-step run, with each step's share
+export interface UsageRollup extends UsageTotals {
+  steps: Array<{ step: string; usage: TaskUsage }>
+}
+
+// Stored running totals, broken down by task to spot expensive prompts
+export interface UsageRecord extends UsageTotals {
+  byTask: Record<string, UsageTotals>
+  updatedAt: string
+}
+
+export interface UsageTrackerOptions {
+  keyPrefix?: string
+  // Expiry of per-thread totals; user totals are kept per month and expire after `userTtlSeconds`
+  threadTtlSeconds?: number
+  userTtlSeconds?: number
+}
+
+// Default Configuration
+// List prices at the time of writing; pass your own table to bill from
+export const DEFAULT_MODEL_PRICING: ModelPricingTable = {
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10 },
+  'o3-mini': { inputPerMillion: 1.1, outputPerMillion: 4.4 },
+  'claude-sonnet-4-5': { inputPerMillion: 3, outputPerMillion: 15 },
+  'claude-3-5-haiku': { inputPerMillion: 0.8, outputPerMillion: 4 }
+}
+export const DEFAULT_USAGE_THREAD_TTL_SECONDS = 30 * 24 * 60 * 60 // 30 days
+export const DEFAULT_USAGE_USER_TTL_SECONDS = 400 * 24 * 60 * 60 // 13 months
+
+/**
+ * Usage Tracker Class
+ * Accumulates task usage per thread and per user month
+ */
+export class UsageTracker {
+  private kv: KVStore
+  private keyPrefix: string
+  private threadTtlSeconds: number
+  private userTtlSeconds: number
+
+  constructor(kvStore?: KVStore, options: UsageTrackerOptions = {}) {
+    this.kv = kvStore || new InMemoryKVStore()
+    this.keyPrefix = options.keyPrefix || 'usage'
+    this.threadTtlSeconds = options.threadTtlSeconds || DEFAULT_USAGE_THREAD_TTL_SECONDS
+    this.userTtlSeconds = options.userTtlSeconds || DEFAULT_USAGE_USER_TTL_SECONDS
+
+    // Totals are only ever added to; an evicted key would restart from zero
+    this.kv.pinKeyPrefix?.(`${this.keyPrefix}:`)
+  }
+
+  /**
+   * Generate the KV key for a thread's totals
+   */
+  makeThreadUsageKey(userId: string, threadId: string): string {
+    return `${this.keyPrefix}:thread:${userId}:${threadId}`
+  }
+
+  /**
+   * Generate the KV key for a user's totals in a month (YYYY-MM, UTC)
+   */
+  makeUserUsageKey(userId: string, month: string = currentMonth()): string {
+    return `${this.keyPrefix}:user:${userId}:${month}`
+  }
+
+  /**
+   * Add a task's usage to its thread and to the user's current month
+   */
+  async record(userId: string, threadId: string, taskName: string, usage: TaskUsage): Promise<void> {
+    const update = (current: UsageRecord | null): UsageRecord => {
+      const record = current || { ...emptyUsageTotals(), byTask: {}, updatedAt: '' }
+      return {
+        ...addUsage(record, usage),
+        byTask: { ...record.byTask, [taskName]: addUsage(record.byTask[taskName] || emptyUsageTotals(), usage) },
+        updatedAt: new Date().toISOString()
+      }
+    }
+
+    await Promise.all([
+      updateKvValue(this.kv, this.makeThreadUsageKey(userId, threadId), update, { ttl: this.threadTtlSeconds }),
+      updateKvValue(this.kv, this.makeUserUsageKey(userId), update, { ttl: this.userTtlSeconds })
+    ])
+  }
+
+  /**
+   * Read a thread's totals
+   */
+  async getThreadUsage(userId: string, threadId: string): Promise<UsageRecord | null> {
+    return (await this.kv.get(this.makeThreadUsageKey(userId, threadId))) ?? null
+  }
+
+  /**
+   * Read a user's totals for a month (defaults to the current one)
+   */
+  async getUserUsage(userId: string, month?: string): Promise<UsageRecord | null> {
+    return (await this.kv.get(this.makeUserUsageKey(userId, month))) ?? null
+  }
+}
+
+/**
+ * Price token usage for a model, or undefined when the table has no entry for it
+ */
+export function calculateCost(
+  usage: Pick<LLMUsage, 'inputTokens' | 'outputTokens'>,
+  model: string,
+  pricing: ModelPricingTable = DEFAULT_MODEL_PRICING
+): number | undefined {
+  const price = findModelPricing(model, pricing)
+  if (!price) return undefined
+
+  return (usage.inputTokens * price.inputPerMillion + usage.outputTokens * price.outputPerMillion) / 1_000_000
+}
+
+/**
+ * Look up a model's price: exact name first, then the longest name it starts with
+ */
+export function findModelPricing(model: string, pricing: ModelPricingTable = DEFAULT_MODEL_PRICING): ModelPricing | undefined {
+  if (pricing[model]) return pricing[model]
+
+  const base = Object.keys(pricing)
+    .filter(name => model.startsWith(`${name}-`))
+    .sort((a, b) => b.length - a.length)[0]
+  return base ? pricing[base] : undefined
+}
+
+/**
+ * Add a task's usage to running totals
+ */
+export function addUsage(totals: UsageTotals, usage: TaskUsage): UsageTotals {
+  return {
+    inputTokens: totals.inputTokens + usage.inputTokens,
+    outputTokens: totals.outputTokens + usage.outputTokens,
+    totalTokens: totals.totalTokens + usage.totalTokens,
+    calls: totals.calls + usage.calls,
+    tasks: totals.tasks + 1,
+    costUsd: totals.costUsd + (usage.costUsd ?? 0)
+  }
+}
+
+/**
+ * Sum per-step usage into a rollup
+ */
+export function rollupUsage(steps: UsageRollup['steps']): UsageRollup {
+  return {
+    ...steps.reduce<UsageTotals>((totals, step) => addUsage(totals, step.usage), emptyUsageTotals()),
+    steps
+  }
+}
+
+export function emptyUsageTotals(): UsageTotals {
+  return { inputTokens: 0, outputTokens: 0, totalTokens: 0, calls: 0, tasks: 0, costUsd: 0 }
+}
+
+function currentMonth(): string {
+  return new Date().toISOString().slice(0, 7)
+}
@@ -0,0 +1,2 @@
+// fengari ships no type definitions; the stand-in only uses its C-style Lua API
+declare module 'fengari'
@@ -0,0 +1,251 @@
+/**
+ * Redis Stand-in Server for Tests
+ *
+ * A minimal in-process server speaking RESP2, enough for RedisKVStore to run
+ * against without a real Redis: GET, SET (EX/PX/NX/XX), DEL, INCRBY, PTTL,
+ * PEXPIRE, SCAN, PING and EVAL. EVAL runs the script in a Lua 5.3 VM (fengari)
+ * with Redis's KEYS, ARGV and redis.call bindings and reply conversions, so the
+ * scripts RedisKVStore sends are executed as written.
+ */
+
+import { createServer } from 'node:net'
+import type { Server, Socket } from 'node:net'
+import { lauxlib, lua, lualib, to_luastring } from 'fengari'
+import { parseRedisReply } from '../../src/redis-store'
+
+type StandInEntry = { value: string; expiresAt?: number }
+type Reply = string | number | null | Reply[] | Error
+
+export interface RedisStandIn {
+  port: number
+  // Raw stored strings, for assertions
+  data: Map<string, StandInEntry>
+  // Commands received, in order
+  commands: string[][]
+  close(): Promise<void>
+}
+
+/**
+ * Start a stand-in server on a free local port
+ */
+export async function startRedisStandIn(): Promise<RedisStandIn> {
+  const data = new Map<string, StandInEntry>()
+  const commands: string[][] = []
+  const sockets = new Set<Socket>()
+
+  const live = (key: string): StandInEntry | undefined => {
+    const entry = data.get(key)
+    if (entry?.expiresAt !== undefined && Date.now() >= entry.expiresAt) {
+      data.delete(key)
+      return undefined
+    }
+    return entry
+  }
+
+  const incrBy = (key: string, by: number): number | Error => {
+    const entry = live(key)
+    const current = entry ? Number(entry.value) : 0
+    if (!Number.isSafeInteger(current)) return new Error('ERR value is not an integer or out of range')
+    const next = current + by
+    data.set(key, { value: String(next), expiresAt: entry?.expiresAt })
+    return next
+  }
+
+  const handlers: Record<string, (args: string[]) => Reply> = {
+    PING: () => 'PONG',
+    GET: ([key]) => live(key)?.value ?? null,
+    SET: ([key, value, ...flags]) => {
+      const upper = flags.map(flag => flag.toUpperCase())
+      const exists = live(key) !== undefined
+      if ((upper.includes('NX') && exists) || (upper.includes('XX') && !exists)) return null
+
+      const ex = upper.indexOf('EX')
+      const px = upper.indexOf('PX')
+      const expiresAt = ex >= 0 ? Date.now() + Number(flags[ex + 1]) * 1000
+        : px >= 0 ? Date.now() + Number(flags[px + 1])
+        : undefined
+      data.set(key, { value, expiresAt })
+      return 'OK'
+    },
+    DEL: keys => keys.filter(key => live(key) !== undefined && data.delete(key)).length,
+    INCRBY: ([key, by]) => incrBy(key, Number(by)),
+    PTTL: ([key]) => {
+      const entry = live(key)
+      if (!entry) return -2
+      return entry.expiresAt === undefined ? -1 : entry.expiresAt - Date.now()
+    },
+    PEXPIRE: ([key, ms]) => {
+      const entry = live(key)
+      if (!entry) return 0
+      entry.expiresAt = Date.now() + Number(ms)
+      return 1
+    },
+    SCAN: args => {
+      const match = args.findIndex(arg => arg.toUpperCase() === 'MATCH')
+      const pattern = match >= 0 ? globToRegExp(args[match + 1]) : /^/
+      return ['0', Array.from(data.keys()).filter(key => live(key) !== undefined && pattern.test(key))]
+    },
+    EVAL: ([script, numKeys, ...rest]) => {
+      const count = Number(numKeys)
+      return evalScript(script, rest.slice(0, count), rest.slice(count), (name, args) => {
+        // EVAL from a script is not allowed by Redis either
+        const command = name.toUpperCase()
+        return command in handlers && command !== 'EVAL' ? handlers[command](args) : new Error(`ERR unknown command '${name}'`)
+      })
+    }
+  }
+
+  const server: Server = createServer(socket => {
+    sockets.add(socket)
+    let buffer = Buffer.alloc(0)
+
+    socket.on('data', chunk => {
+      buffer = Buffer.concat([buffer, chunk])
+      let parsed: ReturnType<typeof parseRedisReply>
+      while ((parsed = parseRedisReply(buffer))) {
+        buffer = buffer.subarray(parsed.offset)
+        const [name, ...args] = (parsed.value as string[]).map(String)
+        commands.push([name, ...args])
+        const handler = handlers[name.toUpperCase()]
+        socket.write(encodeReply(handler ? handler(args) : new Error(`ERR unknown command '${name}'`)))
+      }
+    })
+    socket.on('error', () => {})
+    socket.on('close', () => sockets.delete(socket))
+  })
+
+  await new Promise<void>(resolve => server.listen(0, '127.0.0.1', resolve))
+  const address = server.address()
+
+  return {
+    port: typeof address === 'object' && address ? address.port : 0,
+    data,
+    commands,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy())
+      server.close(() => resolve())
+    })
+  }
+}
+
+/**
+ * Run a script in a fresh Lua state, converting replies the way Redis does:
+ * integers become numbers, nil bulk strings become false and status replies
+ * become { ok = ... } tables, and the return value converts back likewise
+ */
+function evalScript(script: string, keys: string[], argv: string[], call: (name: string, args: string[]) => Reply): Reply {
+  const L = lauxlib.luaL_newstate()
+  lualib.luaL_openlibs(L)
+
+  const pushStrings = (values: string[], name: string) => {
+    lua.lua_createtable(L, values.length, 0)
+    values.forEach((value, index) => {
+      lua.lua_pushstring(L, to_luastring(value))
+      lua.lua_rawseti(L, -2, index + 1)
+    })
+    lua.lua_setglobal(L, to_luastring(name))
+  }
+  pushStrings(keys, 'KEYS')
+  pushStrings(argv, 'ARGV')
+
+  lua.lua_createtable(L, 0, 1)
+  lua.lua_pushcfunction(L, (state: any) => {
+    const args: string[] = []
+    for (let i = 1; i <= lua.lua_gettop(state); i++) {
+      args.push(lua.lua_tojsstring(state, i))
+    }
+    const reply = call(args[0], args.slice(1))
+    if (reply instanceof Error) {
+      lua.lua_pushstring(state, to_luastring(reply.message))
+      return lua.lua_error(state)
+    }
+    pushReply(state, reply)
+    return 1
+  })
+  lua.lua_setfield(L, -2, to_luastring('call'))
+  lua.lua_setglobal(L, to_luastring('redis'))
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    return new Error(`ERR Error running script: ${lua.lua_tojsstring(L, -1)}`)
+  }
+  return readReply(L, -1)
+}
+
+function pushReply(L: any, reply: Exclude<Reply, Error>): void {
+  if (reply === null) {
+    lua.lua_pushboolean(L, false)
+  } else if (typeof reply === 'number') {
+    // fengari integers are 32-bit; larger replies (a PTTL of days) become floats
+    if ((reply | 0) === reply) lua.lua_pushinteger(L, reply)
+    else lua.lua_pushnumber(L, reply)
+  } else if (Array.isArray(reply)) {
+    lua.lua_createtable(L, reply.length, 0)
+    reply.forEach((item, index) => {
+      pushReply(L, item as Exclude<Reply, Error>)
+      lua.lua_rawseti(L, -2, index + 1)
+    })
+  } else if (reply === 'OK' || reply === 'PONG') {
+    lua.lua_createtable(L, 0, 1)
+    lua.lua_pushstring(L, to_luastring(reply))
+    lua.lua_setfield(L, -2, to_luastring('ok'))
+  } else {
+    lua.lua_pushstring(L, to_luastring(reply))
+  }
+}
+
+function readReply(L: any, index: number): Reply {
+  switch (lua.lua_type(L, index)) {
+    case lua.LUA_TNUMBER:
+      return Math.trunc(lua.lua_tonumber(L, index))
+    case lua.LUA_TSTRING:
+      return lua.lua_tojsstring(L, index)
+    case lua.LUA_TBOOLEAN:
+      return lua.lua_toboolean(L, index) ? 1 : null
+    case lua.LUA_TTABLE: {
+      const table = lua.lua_absindex(L, index)
+      for (const field of ['err', 'ok']) {
+        if (lua.lua_getfield(L, table, to_luastring(field)) === lua.LUA_TSTRING) {
+          const text = lua.lua_tojsstring(L, -1)
+          lua.lua_pop(L, 1)
+          return field === 'err' ? new Error(text) : text
+        }
+        lua.lua_pop(L, 1)
+      }
+      // Like Redis, an array reply stops at the first nil
+      const items: Reply[] = []
+      for (let i = 1; lua.lua_rawgeti(L, table, i) !== lua.LUA_TNIL; i++) {
+        items.push(readReply(L, -1))
+        lua.lua_pop(L, 1)
+      }
+      lua.lua_pop(L, 1)
+      return items
+    }
+    default:
+      return null
+  }
+}
+
+function encodeReply(reply: Reply): string {
+  if (reply instanceof Error) return `-${reply.message}\r\n`
+  if (reply === null) return '$-1\r\n'
+  if (typeof reply === 'number') return `:${reply}\r\n`
+  if (Array.isArray(reply)) return `*${reply.length}\r\n${reply.map(encodeReply).join('')}`
+  if (reply === 'OK' || reply === 'PONG') return `+${reply}\r\n`
+  return `$${Buffer.byteLength(reply)}\r\n${reply}\r\n`
+}
+
+function globToRegExp(glob: string): RegExp {
+  let source = ''
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i]
+    if (char === '\\') source += escapeRegExp(glob[++i] ?? '')
+    else if (char === '*') source += '.*'
+    else if (char === '?') source += '.'
+    else source += escapeRegExp(char)
+  }
+  return new RegExp(`^${source}$`)
+}
+
+function escapeRegExp(text: string): string {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+}
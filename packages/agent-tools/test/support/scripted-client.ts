@@ -0,0 +1,86 @@
+/**
+ * Scripted LLM Client for Tests
+ *
+ * Answers each call with the next scripted step: a response, an error to throw,
+ * or a function of the request. Requests are recorded for assertions. With
+ * `streaming`, the client also streams each response, splitting tool-call
+ * arguments into chunks of `chunkSize` characters.
+ */
+
+import type { LLMClient, LLMCompletionRequest, LLMCompletionResponse, LLMStreamChunk } from '../../src/llm'
+
+export type ScriptedStep =
+  | LLMCompletionResponse
+  | Error
+  | ((request: LLMCompletionRequest) => LLMCompletionResponse | Promise<LLMCompletionResponse>)
+
+export interface ScriptedClientOptions {
+  provider?: string
+  streaming?: boolean
+  chunkSize?: number
+}
+
+export interface ScriptedClient extends LLMClient {
+  // Requests received, in order
+  requests: LLMCompletionRequest[]
+}
+
+/**
+ * A client that plays `steps` in order and fails once they run out
+ */
+export function createScriptedClient(steps: ScriptedStep[], options: ScriptedClientOptions = {}): ScriptedClient {
+  const requests: LLMCompletionRequest[] = []
+  const queue = [...steps]
+
+  const next = async (request: LLMCompletionRequest): Promise<LLMCompletionResponse> => {
+    requests.push(request)
+    const step = queue.shift()
+    if (!step) throw new Error(`Scripted client has no response left for call ${requests.length} (${request.model})`)
+    if (step instanceof Error) throw step
+    return typeof step === 'function' ? step(request) : step
+  }
+
+  const client: ScriptedClient = {
+    provider: options.provider || 'openai',
+    requests,
+    complete: next
+  }
+
+  if (options.streaming) {
+    const chunkSize = options.chunkSize || 8
+    client.stream = async function* (request): AsyncGenerator<LLMStreamChunk> {
+      const response = await next(request)
+      if (response.content) yield { type: 'text', text: response.content }
+      for (const [index, call] of response.toolCalls.entries()) {
+        for (let offset = 0; offset < Math.max(call.arguments.length, 1); offset += chunkSize) {
+          yield {
+            type: 'tool_call_delta',
+            index,
+            ...(offset === 0 && { id: call.id, name: call.name }),
+            argumentsDelta: call.arguments.slice(offset, offset + chunkSize)
+          }
+        }
+      }
+      yield { type: 'done', response }
+    }
+  }
+
+  return client
+}
+
+/**
+ * A response calling `name` with `args`
+ */
+export function toolCallResponse(
+  name: string,
+  args: Record<string, any> | string,
+  extra: Partial<LLMCompletionResponse> = {}
+): LLMCompletionResponse {
+  return {
+    content: null,
+    toolCalls: [{ id: `call-${name}`, name, arguments: typeof args === 'string' ? args : JSON.stringify(args) }],
+    finishReason: 'tool_calls',
+    usage: { inputTokens: 100, outputTokens: 20, totalTokens: 120 },
+    ...extra
+  }
+}
@@ -5,7 +5,20 @@ export default defineConfig({
     index: 'src/index.ts',
     kv: 'src/kv.ts',
     tasks: 'src/tasks.ts',
-    coordination: 'src/coordination.ts'
+    coordination: 'src/coordination.ts',
+    'file-store': 'src/file-store.ts',
+    'redis-store': 'src/redis-store.ts',
+    semaphores: 'src/semaphores.ts',
+    'rate-limit': 'src/rate-limit.ts',
+    idempotency: 'src/idempotency.ts',
+    llm: 'src/llm.ts',
+    usage: 'src/usage.ts',
+    cassette: 'src/cassette.ts',
+    tools: 'src/tools.ts',
+    models: 'src/models.ts',
+    cache: 'src/cache.ts',
+    prompts: 'src/prompts.ts',
+    experiments: 'src/experiments.ts'
   },
   format: ['esm', 'cjs'],
   dts: true,
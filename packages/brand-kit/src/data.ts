@@ -126,15 +126,29 @@ interface DeleteResult {
   error: any
 }
 
+// A brand kit or its assets changed; agents use this to drop cached responses
+export interface BrandKitChange {
+  type: 'created' | 'updated' | 'deleted' | 'asset_created'
+  userId: string
+  brandKitId: string
+}
+
+export interface BrandDataManagerOptions {
+  // Awaited after each successful write; errors are logged, since the write already committed
+  onBrandKitChange?: (change: BrandKitChange) => void | Promise<void>
+}
+
 /**
  * Brand Data Manager Class
  * Provides secure brand kit operations with user isolation
  */
 export class BrandDataManager {
   private client: BrandDatabaseClient
+  private onBrandKitChange?: BrandDataManagerOptions['onBrandKitChange']
 
-  constructor(databaseClient: BrandDatabaseClient) {
+  constructor(databaseClient: BrandDatabaseClient, options: BrandDataManagerOptions = {}) {
     this.client = databaseClient
+    this.onBrandKitChange = options.onBrandKitChange
   }
 
   /**
@@ -212,7 +226,9 @@ export class BrandDataManager {
         throw new Error(`Failed to create brand kit: ${error.message}`)
       }
       
-      return BrandKitDataSchema.parse(data)
+      const brandKit = BrandKitDataSchema.parse(data)
+      await this.notifyBrandKitChange({ type: 'created', userId, brandKitId: brandKit.id })
+      return brandKit
     } catch (error) {
       console.error('[createBrandKit] Error:', error)
       throw error
@@ -241,7 +257,9 @@ export class BrandDataManager {
         throw new Error(`Failed to update brand kit: ${error.message}`)
       }
       
-      return BrandKitDataSchema.parse(data)
+      const brandKit = BrandKitDataSchema.parse(data)
+      await this.notifyBrandKitChange({ type: 'updated', userId, brandKitId })
+      return brandKit
     } catch (error) {
       console.error('[updateBrandKit] Error:', error)
       throw error
@@ -266,6 +284,7 @@ export class BrandDataManager {
         throw new Error(`Failed to delete brand kit: ${result.error.message}`)
       }
       
+      await this.notifyBrandKitChange({ type: 'deleted', userId, brandKitId })
       return true
     } catch (error) {
       console.error('[deleteBrandKit] Error:', error)
@@ -337,13 +356,27 @@ export class BrandDataManager {
         throw new Error(`Failed to create brand asset: ${error.message}`)
       }
       
-      return BrandAssetSchema.parse(data)
+      const asset = BrandAssetSchema.parse(data)
+      await this.notifyBrandKitChange({ type: 'asset_created', userId, brandKitId: asset.brand_kit_id })
+      return asset
     } catch (error) {
       console.error('[createBrandAsset] Error:', error)
       throw error
     }
   }
 
+  /**
+   * Report a committed write to the change hook
+   * A failing hook (e.g. a cache outage) must not fail the write, or a retry would duplicate it.
+   */
+  private async notifyBrandKitChange(change: BrandKitChange): Promise<void> {
+    try {
+      await this.onBrandKitChange?.(change)
+    } catch (error) {
+      console.warn(`[onBrandKitChange] ${change.type} hook failed for brand kit ${change.brandKitId}:`, error)
+    }
+  }
+
   /**
    * Transform brand kit data to brand context for agent integration
    */
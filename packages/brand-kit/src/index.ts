@@ -17,7 +17,9 @@ export type {
   BrandAssetInsert,
   BrandContext,
   BrandDataToolResult,
-  BrandDatabaseClient
+  BrandDatabaseClient,
+  BrandDataManagerOptions,
+  BrandKitChange
 } from './data'
 
 // Re-export all asset utilities  
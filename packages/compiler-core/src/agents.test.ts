@@ -0,0 +1,183 @@
+import { afterEach, describe, expect, it } from 'vitest'
+import { z } from 'zod'
+import { AgentTypeSchema } from '@growthub/schemas'
+import {
+  AgentTypeRegistry,
+  DEFAULT_AGENT_TYPES,
+  agentTypeRegistry,
+  parseAgentRequest,
+  registerAgentType
+} from './agents'
+import type { AgentTypeDefinition } from './agents'
+import { decompositionStructuredOutput, validateDecompositionEvent } from './decomposition'
+import { OrchestrationRequestSchema, createAgentTypeSteps, createContentGenerationSteps, validateOrchestrationRequest } from './orchestration'
+
+const podcast: AgentTypeDefinition<string> = {
+  agentType: 'PODCAST_AGENT',
+  description: 'Writes podcast episodes',
+  steps: [
+    { stepId: 'outline', stepName: 'Outline', stepType: 'analysis' },
+    { stepId: 'script', stepName: 'Script', stepType: 'execution', dependencies: ['outline'] }
+  ],
+  taskConfigs: { outline: 'outline-task' },
+  requestSchema: z.object({ episodeMinutes: z.number().int().positive() })
+}
+
+const orchestrationRequest = {
+  threadId: 'c9f0f895-fb98-4b91-8f0e-7d3c2a1b0e22',
+  userId: 'user-1',
+  prompt: 'Launch posts',
+  brandContext: { brand_name: 'Acme', messaging: null }
+}
+
+describe('AgentTypeRegistry', () => {
+  it('starts the shared registry with every AgentTypeSchema type', () => {
+    expect(agentTypeRegistry.getAgentTypes()).toEqual(AgentTypeSchema.options)
+    expect(DEFAULT_AGENT_TYPES.every(definition => definition.steps.length > 0)).toBe(true)
+  })
+
+  it('looks up definitions and their task configs', () => {
+    const registry = new AgentTypeRegistry([podcast])
+
+    expect(registry.has('PODCAST_AGENT')).toBe(true)
+    expect(registry.get('PODCAST_AGENT')).toBe(podcast)
+    expect(registry.getTaskConfig('PODCAST_AGENT', 'outline')).toBe('outline-task')
+    expect(registry.getTaskConfig('PODCAST_AGENT', 'script')).toBeUndefined()
+    expect(() => registry.require('RADIO_AGENT')).toThrow('Unknown agent type RADIO_AGENT. Registered: PODCAST_AGENT')
+
+    expect(registry.unregister('PODCAST_AGENT')).toBe(true)
+    expect(registry.list()).toEqual([])
+  })
+
+  it('refuses to register a type twice unless replacing it', () => {
+    const registry = new AgentTypeRegistry([podcast])
+
+    expect(() => registry.register(podcast)).toThrow('Agent type PODCAST_AGENT is already registered')
+    registry.register({ ...podcast, description: 'Replaced' }, { replace: true })
+    expect(registry.require('PODCAST_AGENT').description).toBe('Replaced')
+  })
+
+  it('rejects steps that depend on unknown steps', () => {
+    const registry = new AgentTypeRegistry()
+
+    expect(() => registry.register({
+      agentType: 'BROKEN_AGENT',
+      steps: [{ stepId: 'a', stepName: 'A', stepType: 'analysis', dependencies: ['missing'] }]
+    })).toThrow('Step a of BROKEN_AGENT depends on unknown steps: missing')
+  })
+
+  it.each([
+    ['a step depending on itself', [['a', ['a']]], 'a -> a'],
+    ['two steps depending on each other', [['a', ['b']], ['b', ['a']]], 'a -> b -> a'],
+    ['a cycle behind an acyclic start', [['start', []], ['a', ['start', 'c']], ['b', ['a']], ['c', ['b']]], 'a -> c -> b -> a']
+  ] as Array<[string, Array<[string, string[]]>, string]>)('rejects %s', (_, graph, cycle) => {
+    const registry = new AgentTypeRegistry()
+    const steps = graph.map(([stepId, dependencies]) => ({ stepId, stepName: stepId, stepType: 'analysis' as const, dependencies }))
+
+    expect(() => registry.register({ agentType: 'CYCLIC_AGENT', steps })).toThrow(`Steps of CYCLIC_AGENT have a dependency cycle: ${cycle}`)
+    expect(registry.has('CYCLIC_AGENT')).toBe(false)
+  })
+
+  it('accepts a diamond of shared dependencies', () => {
+    const registry = new AgentTypeRegistry()
+
+    registry.register({
+      agentType: 'DIAMOND_AGENT',
+      steps: [
+        { stepId: 'a', stepName: 'A', stepType: 'analysis' },
+        { stepId: 'b', stepName: 'B', stepType: 'analysis', dependencies: ['a'] },
+        { stepId: 'c', stepName: 'C', stepType: 'analysis', dependencies: ['a'] },
+        { stepId: 'd', stepName: 'D', stepType: 'completion', dependencies: ['b', 'c'] }
+      ]
+    })
+    expect(registry.has('DIAMOND_AGENT')).toBe(true)
+  })
+
+  it('builds a schema that accepts types registered after it was created', () => {
+    const registry = new AgentTypeRegistry()
+    const schema = registry.schema()
+
+    const rejected = schema.safeParse('PODCAST_AGENT')
+    expect(rejected.success).toBe(false)
+    expect(rejected.error?.issues[0].message).toBe('Unknown agent type PODCAST_AGENT. Registered: ')
+
+    registry.register(podcast)
+    expect(schema.parse('PODCAST_AGENT')).toBe('PODCAST_AGENT')
+  })
+
+  it('checks and keeps the fields an agent type requires', () => {
+    const registry = new AgentTypeRegistry([podcast])
+    const schema = z.object({ agentType: registry.schema(), prompt: z.string() })
+
+    expect(registry.parseRequest(schema, { agentType: 'PODCAST_AGENT', prompt: 'Episode 1', episodeMinutes: 30 }))
+      .toEqual({ agentType: 'PODCAST_AGENT', prompt: 'Episode 1', episodeMinutes: 30 })
+    expect(() => registry.parseRequest(schema, { agentType: 'PODCAST_AGENT', prompt: 'Episode 1' })).toThrow(z.ZodError)
+  })
+})
+
+describe('shared agent types in request validation', () => {
+  afterEach(() => {
+    agentTypeRegistry.unregister('PODCAST_AGENT')
+  })
+
+  it('accepts every built-in type', () => {
+    for (const agentType of AgentTypeSchema.options) {
+      expect(validateOrchestrationRequest({ ...orchestrationRequest, agentType }).agentType).toBe(agentType)
+    }
+  })
+
+  it('accepts a registered type and applies its request schema', () => {
+    expect(() => validateOrchestrationRequest({ ...orchestrationRequest, agentType: 'PODCAST_AGENT' })).toThrow(z.ZodError)
+
+    registerAgentType(podcast)
+    expect(() => validateOrchestrationRequest({ ...orchestrationRequest, agentType: 'PODCAST_AGENT' })).toThrow(z.ZodError)
+    expect(parseAgentRequest(OrchestrationRequestSchema, { ...orchestrationRequest, agentType: 'PODCAST_AGENT', episodeMinutes: 20 }))
+      .toMatchObject({ agentType: 'PODCAST_AGENT', executionPriority: 'normal', episodeMinutes: 20 })
+
+    expect(validateDecompositionEvent({
+      threadId: orchestrationRequest.threadId,
+      userId: 'user-1',
+      agentType: 'PODCAST_AGENT',
+      prompt: 'Episode 1',
+      context: { brandKit: { id: 'kit-1', brand_name: 'Acme' } },
+      episodeMinutes: 20
+    })).toMatchObject({ episodeMinutes: 20, context: { referenceImages: [] } })
+  })
+
+  it('lists registered types in the decomposition structured output when read', () => {
+    const agentTypeSchema = decompositionStructuredOutput.json_schema.schema.properties.agentType
+    expect(agentTypeSchema.enum).toEqual(AgentTypeSchema.options)
+
+    registerAgentType(podcast)
+    expect(agentTypeSchema.enum).toContain('PODCAST_AGENT')
+    // Serialized output carries the current list too
+    expect(JSON.parse(JSON.stringify(decompositionStructuredOutput)).json_schema.schema.properties.agentType.enum).toContain('PODCAST_AGENT')
+  })
+})
+
+describe('agent type steps', () => {
+  const shape = (steps: ReturnType<typeof createContentGenerationSteps>) =>
+    steps.map(({ stepId, stepName, stepType, dependencies }) => ({ stepId, stepName, stepType, dependencies }))
+
+  it('builds orchestration steps from a type\'s step graph', () => {
+    const steps = createAgentTypeSteps('PODCAST_AGENT', new AgentTypeRegistry([podcast]))
+
+    expect(shape(steps)).toEqual([
+      { stepId: 'outline', stepName: 'Outline', stepType: 'analysis', dependencies: [] },
+      { stepId: 'script', stepName: 'Script', stepType: 'execution', dependencies: ['outline'] }
+    ])
+    expect(steps.every(step => step.status === 'pending' && step.progress === 0)).toBe(true)
+  })
+
+  it('keeps the content generation graph in step with the standard steps', () => {
+    expect(shape(createAgentTypeSteps('CONTENT_GENERATION_AGENT'))).toEqual(shape(createContentGenerationSteps()))
+  })
+
+  it('does not let a replaced content generation type change the standard steps', () => {
+    const registry = new AgentTypeRegistry(DEFAULT_AGENT_TYPES)
+    registry.register({ agentType: 'CONTENT_GENERATION_AGENT', steps: [{ stepId: 'only', stepName: 'Only', stepType: 'execution' }] }, { replace: true })
+
+    expect(createAgentTypeSteps('CONTENT_GENERATION_AGENT', registry)).toHaveLength(1)
+    expect(createContentGenerationSteps()).toHaveLength(6)
+  })
+})
@@ -0,0 +1,233 @@
+/**
+ * @growthub/compiler-core/agents
+ * Agent type registry shared by decomposition, orchestration and agent tasks
+ *
+ * Each agent type declares its default step graph, the task configs that run its
+ * steps and any extra request fields it needs. Request schemas accept whatever is
+ * registered, so teams can add agent types without forking the enums.
+ */
+
+import { z } from 'zod'
+import { AgentTypeSchema } from '@growthub/schemas'
+import type { AgentType } from '@growthub/schemas'
+import type { OrchestrationStep } from './orchestration'
+
+// Built-in types keep autocompletion; registered ones are plain strings
+export type AgentTypeName = AgentType | (string & {})
+
+export interface AgentStepDefinition {
+  stepId: string
+  stepName: string
+  stepType: OrchestrationStep['stepType']
+  dependencies?: string[]
+}
+
+export interface AgentTypeDefinition<TTaskConfig = unknown> {
+  agentType: AgentTypeName
+  description?: string
+  // Default step graph for orchestrations of this type
+  steps: AgentStepDefinition[]
+  // Task configs that run the steps, keyed by stepId (AgentTaskConfig in @growthub/agent-tools)
+  taskConfigs?: Record<string, TTaskConfig>
+  // Extra request fields this type requires, checked on top of the base request schema
+  requestSchema?: z.ZodTypeAny
+}
+
+// Default step graphs
+const GENERATION_STEPS: AgentStepDefinition[] = [
+  { stepId: 'intent_analysis', stepName: 'Intent Analysis', stepType: 'analysis' },
+  { stepId: 'brand_analysis', stepName: 'Brand Analysis', stepType: 'analysis', dependencies: ['intent_analysis'] },
+  { stepId: 'complexity_assessment', stepName: 'Complexity Assessment', stepType: 'analysis', dependencies: ['intent_analysis', 'brand_analysis'] },
+  { stepId: 'execution_planning', stepName: 'Execution Planning', stepType: 'coordination', dependencies: ['complexity_assessment'] },
+  { stepId: 'content_generation', stepName: 'Content Generation', stepType: 'execution', dependencies: ['execution_planning'] },
+  { stepId: 'finalization', stepName: 'Finalization', stepType: 'completion', dependencies: ['content_generation'] }
+]
+
+const ANALYSIS_STEPS: AgentStepDefinition[] = [
+  { stepId: 'intent_analysis', stepName: 'Intent Analysis', stepType: 'analysis' },
+  { stepId: 'brand_analysis', stepName: 'Brand Analysis', stepType: 'analysis', dependencies: ['intent_analysis'] },
+  { stepId: 'finalization', stepName: 'Finalization', stepType: 'completion', dependencies: ['brand_analysis'] }
+]
+
+const BRAND_ANALYSIS_STEPS: AgentStepDefinition[] = [
+  { stepId: 'brand_analysis', stepName: 'Brand Analysis', stepType: 'analysis' },
+  { stepId: 'finalization', stepName: 'Finalization', stepType: 'completion', dependencies: ['brand_analysis'] }
+]
+
+const DEFAULT_STEPS: Record<AgentType, { description: string; steps: AgentStepDefinition[] }> = {
+  CONTENT_GENERATION_AGENT: { description: 'Generates marketing content and creatives', steps: GENERATION_STEPS },
+  TEXT_ANALYSIS_AGENT: { description: 'Analyzes prompts and copy', steps: ANALYSIS_STEPS },
+  IMAGE_ANALYSIS_AGENT: { description: 'Analyzes reference and generated images', steps: ANALYSIS_STEPS },
+  SOCIAL_MEDIA_AGENT: { description: 'Generates social media posts', steps: GENERATION_STEPS },
+  EMAIL_MARKETING_AGENT: { description: 'Generates marketing emails', steps: GENERATION_STEPS },
+  SEO_OPTIMIZATION_AGENT: { description: 'Generates and optimizes content for search', steps: GENERATION_STEPS },
+  BRAND_ANALYSIS_AGENT: { description: 'Analyzes brand kits', steps: BRAND_ANALYSIS_STEPS },
+  COMPETITOR_ANALYSIS_AGENT: { description: 'Analyzes competitor positioning', steps: ANALYSIS_STEPS }
+}
+
+// Every AgentTypeSchema type from @growthub/schemas
+export const DEFAULT_AGENT_TYPES: AgentTypeDefinition[] = AgentTypeSchema.options.map(agentType => ({
+  agentType,
+  ...DEFAULT_STEPS[agentType]
+}))
+
+/**
+ * Agent Type Registry Class
+ * Lookup of agent type definitions; request schemas validate against it at parse time
+ */
+export class AgentTypeRegistry<TTaskConfig = unknown> {
+  private definitions = new Map<string, AgentTypeDefinition<TTaskConfig>>()
+
+  constructor(definitions: AgentTypeDefinition<TTaskConfig>[] = []) {
+    definitions.forEach(definition => this.register(definition))
+  }
+
+  /**
+   * Add an agent type; pass `replace` to override an existing definition
+   */
+  register(definition: AgentTypeDefinition<TTaskConfig>, options: { replace?: boolean } = {}): this {
+    if (this.definitions.has(definition.agentType) && !options.replace) {
+      throw new Error(`Agent type ${definition.agentType} is already registered`)
+    }
+
+    const stepIds = new Set(definition.steps.map(step => step.stepId))
+    for (const step of definition.steps) {
+      const missing = step.dependencies?.filter(dep => !stepIds.has(dep)) || []
+      if (missing.length > 0) {
+        throw new Error(`Step ${step.stepId} of ${definition.agentType} depends on unknown steps: ${missing.join(', ')}`)
+      }
+    }
+
+    // Orchestration would deadlock on a cycle, so refuse it here rather than at run time
+    const cycle = findDependencyCycle(definition.steps)
+    if (cycle) {
+      throw new Error(`Steps of ${definition.agentType} have a dependency cycle: ${cycle.join(' -> ')}`)
+    }
+
+    this.definitions.set(definition.agentType, definition)
+    return this
+  }
+
+  unregister(agentType: string): boolean {
+    return this.definitions.delete(agentType)
+  }
+
+  has(agentType: string): boolean {
+    return this.definitions.has(agentType)
+  }
+
+  get(agentType: string): AgentTypeDefinition<TTaskConfig> | undefined {
+    return this.definitions.get(agentType)
+  }
+
+  /**
+   * Get a definition, throwing for unregistered types
+   */
+  require(agentType: string): AgentTypeDefinition<TTaskConfig> {
+    const definition = this.definitions.get(agentType)
+    if (!definition) {
+      throw new Error(`Unknown agent type ${agentType}. Registered: ${this.getAgentTypes().join(', ')}`)
+    }
+    return definition
+  }
+
+  list(): AgentTypeDefinition<TTaskConfig>[] {
+    return Array.from(this.definitions.values())
+  }
+
+  getAgentTypes(): AgentTypeName[] {
+    return Array.from(this.definitions.keys())
+  }
+
+  /**
+   * Task config for one of an agent type's steps
+   */
+  getTaskConfig(agentType: string, stepId: string): TTaskConfig | undefined {
+    return this.require(agentType).taskConfigs?.[stepId]
+  }
+
+  /**
+   * Zod schema accepting any type registered at parse time
+   */
+  schema(): z.ZodType<AgentTypeName> {
+    return z.string().superRefine((agentType, ctx) => {
+      if (!this.has(agentType)) {
+        ctx.addIssue({
+          code: z.ZodIssueCode.custom,
+          message: `Unknown agent type ${agentType}. Registered: ${this.getAgentTypes().join(', ')}`
+        })
+      }
+    })
+  }
+
+  /**
+   * Parse a request with its base schema, then with its agent type's requestSchema
+   * Agent-specific fields are kept on the result. Throws a ZodError like `schema.parse`.
+   */
+  parseRequest<S extends z.ZodType<{ agentType: string }>>(
+    schema: S,
+    data: unknown
+  ): z.infer<S> & Record<string, unknown> {
+    const request = schema.parse(data)
+    const requestSchema = this.get(request.agentType)?.requestSchema
+    if (!requestSchema) return request
+
+    const extra = requestSchema.parse(data)
+    return { ...request, ...extra }
+  }
+}
+
+// Registry used by the request schemas of every @growthub package
+export const agentTypeRegistry = new AgentTypeRegistry(DEFAULT_AGENT_TYPES)
+
+export const AgentTypeNameSchema = agentTypeRegistry.schema()
+
+/**
+ * Register an agent type on the shared registry
+ */
+export function registerAgentType<TTaskConfig>(
+  definition: AgentTypeDefinition<TTaskConfig>,
+  options: { replace?: boolean } = {}
+): void {
+  agentTypeRegistry.register(definition as AgentTypeDefinition, options)
+}
+
+/**
+ * Parse a request with the shared registry (see AgentTypeRegistry.parseRequest)
+ */
+export function parseAgentRequest<S extends z.ZodType<{ agentType: string }>>(
+  schema: S,
+  data: unknown
+): z.infer<S> & Record<string, unknown> {
+  return agentTypeRegistry.parseRequest(schema, data)
+}
+
+/**
+ * First dependency cycle among steps, as the step ids along it (ending where it started)
+ */
+function findDependencyCycle(steps: AgentStepDefinition[]): string[] | undefined {
+  const dependencies = new Map(steps.map(step => [step.stepId, step.dependencies || []]))
+  const done = new Set<string>()
+  const path: string[] = []
+
+  const visit = (stepId: string): string[] | undefined => {
+    const index = path.indexOf(stepId)
+    if (index !== -1) return [...path.slice(index), stepId]
+    if (done.has(stepId)) return undefined
+
+    path.push(stepId)
+    for (const dependency of dependencies.get(stepId) || []) {
+      const cycle = visit(dependency)
+      if (cycle) return cycle
+    }
+    path.pop()
+    done.add(stepId)
+    return undefined
+  }
+
+  for (const step of steps) {
+    const cycle = visit(step.stepId)
+    if (cycle) return cycle
+  }
+  return undefined
+}
@@ -5,12 +5,14 @@
 
 import { z } from 'zod'
 import type { BrandKitSchema } from '@growthub/schemas'
+import { AgentTypeNameSchema, agentTypeRegistry, parseAgentRequest } from './agents'
+import type { AgentTypeName } from './agents'
 
 // 2025 Real-Time CSI Schema for Decomposition Events
 export const DecompositionEventSchema = z.object({
   threadId: z.string().uuid(),
   userId: z.string().min(1),
-  agentType: z.enum(['CONTENT_GENERATION_AGENT', 'TEXT_ANALYSIS_AGENT']),
+  agentType: AgentTypeNameSchema,
   prompt: z.string().min(1),
   context: z.object({
     brandKit: z.object({
@@ -47,7 +49,8 @@ export const decompositionStructuredOutput = {
         userId: { type: "string", minLength: 1 },
         agentType: { 
           type: "string", 
-          enum: ["CONTENT_GENERATION_AGENT", "TEXT_ANALYSIS_AGENT"] 
+          // Read when serialized, so agent types registered later are included
+          get enum() { return agentTypeRegistry.getAgentTypes() }
         },
         prompt: { type: "string", minLength: 1 },
         context: {
@@ -102,7 +105,7 @@ export const decompositionStructuredOutput = {
 export interface DecompositionResult {
   threadId: string
   userId: string
-  agentType: 'CONTENT_GENERATION_AGENT' | 'TEXT_ANALYSIS_AGENT'
+  agentType: AgentTypeName
   steps: DecompositionStep[]
   metadata: {
     startedAt: string
@@ -151,7 +154,7 @@ export function transformBrandContext(context: DecompositionEvent['context']): B
  * Validate decomposition event data with Zod
  */
 export function validateDecompositionEvent(data: unknown): DecompositionEvent {
-  return DecompositionEventSchema.parse(data)
+  return parseAgentRequest(DecompositionEventSchema, data)
 }
 
 /**
@@ -6,6 +6,14 @@
  * Growthub system for decomposition, orchestration, CSI tracking, and validation.
  */
 
+// Re-export the agent type registry
+export * from './agents'
+export type {
+  AgentTypeName,
+  AgentTypeDefinition,
+  AgentStepDefinition
+} from './agents'
+
 // Re-export all decomposition utilities
 export * from './decomposition'
 export type {
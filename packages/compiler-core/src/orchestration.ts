@@ -5,12 +5,14 @@
 
 import { z } from 'zod'
 import type { DecompositionEvent, DecompositionStep, BrandContext } from './decomposition'
+import { AgentTypeNameSchema, agentTypeRegistry, parseAgentRequest } from './agents'
+import type { AgentTypeRegistry } from './agents'
 
 // Orchestration Request Schema
 export const OrchestrationRequestSchema = z.object({
   threadId: z.string().uuid(),
   userId: z.string().min(1),
-  agentType: z.enum(['CONTENT_GENERATION_AGENT', 'TEXT_ANALYSIS_AGENT']),
+  agentType: AgentTypeNameSchema,
   prompt: z.string().min(1),
   brandContext: z.object({
     brand_name: z.string(),
@@ -234,7 +236,7 @@ export function createCSIFromSteps(steps: OrchestrationStep[]): CSI {
  * Validate orchestration request
  */
 export function validateOrchestrationRequest(data: unknown): OrchestrationRequest {
-  return OrchestrationRequestSchema.parse(data)
+  return parseAgentRequest(OrchestrationRequestSchema, data)
 }
 
 /**
@@ -245,6 +247,18 @@ export function generateOrchestrationId(userId: string, threadId: string): strin
   return `orch_${userId.slice(0, 8)}_${threadId.slice(0, 8)}_${timestamp}`
 }
 
+/**
+ * Create an agent type's default orchestration steps
+ */
+export function createAgentTypeSteps(
+  agentType: string,
+  registry: AgentTypeRegistry<any> = agentTypeRegistry
+): OrchestrationStep[] {
+  return registry.require(agentType).steps.map(step =>
+    createOrchestrationStep(step.stepId, step.stepName, step.stepType, step.dependencies)
+  )
+}
+
 /**
  * Create standard orchestration steps for content generation
  */
@@ -7,6 +7,7 @@ import { z } from 'zod'
 import type { DecompositionEvent } from './decomposition'
 import type { OrchestrationRequest } from './orchestration'
 import type { CSI, MessageMetadata } from './csi'
+import { AgentTypeNameSchema } from './agents'
 
 // Pre-Init Validation Schema
 export const PreInitValidationSchema = z.object({
@@ -15,7 +16,7 @@ export const PreInitValidationSchema = z.object({
   runId: z.string().uuid('Invalid run ID format').optional(),
   prompt: z.string().min(1, 'Prompt cannot be empty').max(2000, 'Prompt too long'),
   brandKitId: z.string().uuid('Invalid brand kit ID'),
-  agentType: z.enum(['CONTENT_GENERATION_AGENT', 'TEXT_ANALYSIS_AGENT']),
+  agentType: AgentTypeNameSchema,
   creativeCount: z.number().int().min(1).max(10).default(1),
   referenceImages: z.array(z.object({
     url: z.string().url('Invalid reference image URL'),
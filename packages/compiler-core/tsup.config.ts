@@ -6,7 +6,8 @@ export default defineConfig({
     decomposition: 'src/decomposition.ts', 
     orchestration: 'src/orchestration.ts',
     csi: 'src/csi.ts',
-    validation: 'src/validation.ts'
+    validation: 'src/validation.ts',
+    agents: 'src/agents.ts'
   },
   format: ['esm', 'cjs'],
   dts: true,